@@ -0,0 +1,84 @@
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { externalSignalService } = require('../services');
+const { parseCSVString } = require('../utils/csvParser');
+const { SIGNAL_AGGREGATIONS, parseSignalRows, parseSignalDate } = require('../utils/externalSignals');
+
+// @desc    List external signals with their uploaded values per region
+// @route   GET /api/external-signals
+exports.getExternalSignals = asyncHandler(async (req, res, next) => {
+  const signals = await externalSignalService.listExternalSignals();
+
+  res.status(200).json({ success: true, count: signals.length, data: signals });
+});
+
+// @desc    Get a signal's values
+// @route   GET /api/external-signals/:name/values
+exports.getSignalValues = asyncHandler(async (req, res, next) => {
+  const { region, from, to } = req.query;
+  const values = await externalSignalService.getSignalValues(req.params.name.toLowerCase(), {
+    region,
+    from: from ? parseSignalDate(from) : undefined,
+    to: to ? parseSignalDate(to) : undefined
+  });
+
+  res.status(200).json({ success: true, count: values.length, data: values });
+});
+
+// @desc    Upload signal values from CSV (date, signal, value, region)
+// @route   POST /api/external-signals/import
+exports.importSignals = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload a CSV file', 400));
+  }
+
+  const records = await parseCSVString(req.file.buffer.toString('utf-8'));
+  if (records.length === 0) {
+    return next(new AppError('CSV file is empty', 400));
+  }
+
+  const { rows, errors } = parseSignalRows(records);
+  if (rows.length === 0) {
+    return next(new AppError(`No valid rows found in CSV (${errors.length} invalid)`, 400));
+  }
+
+  const result = await externalSignalService.importSignalRows(rows, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${rows.length} values for ${result.signals.join(', ')}`,
+    data: { ...result, rows: rows.length, errors }
+  });
+});
+
+// @desc    Update a signal (label, aggregation, use in model)
+// @route   PUT /api/external-signals/:name
+exports.updateExternalSignal = asyncHandler(async (req, res, next) => {
+  const { label, description, aggregation, useInModel } = req.body;
+  if (aggregation !== undefined && !SIGNAL_AGGREGATIONS.includes(aggregation)) {
+    return next(new AppError(`aggregation must be one of: ${SIGNAL_AGGREGATIONS.join(', ')}`, 400));
+  }
+
+  const updates = {};
+  if (label !== undefined) updates.label = label;
+  if (description !== undefined) updates.description = description;
+  if (aggregation !== undefined) updates.aggregation = aggregation;
+  if (useInModel !== undefined) updates.useInModel = Boolean(useInModel);
+
+  const signal = await externalSignalService.updateExternalSignal(req.params.name.toLowerCase(), updates, req.user.id);
+  if (!signal) return next(new AppError('Signal not found', 404));
+
+  res.status(200).json({
+    success: true,
+    message: useInModel !== undefined ? 'Signal updated, retrain the model to apply the selection' : 'Signal updated',
+    data: signal
+  });
+});
+
+// @desc    Delete a signal and its values
+// @route   DELETE /api/external-signals/:name
+exports.deleteExternalSignal = asyncHandler(async (req, res, next) => {
+  const deleted = await externalSignalService.deleteExternalSignal(req.params.name.toLowerCase());
+  if (!deleted) return next(new AppError('Signal not found', 404));
+
+  res.status(200).json({ success: true, data: {} });
+});
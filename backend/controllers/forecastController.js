@@ -1,28 +1,63 @@
-const { InventoryItem } = require('../models');
+const { InventoryItem, ForecastOverride } = require('../models');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { forecastService } = require('../services');
+const { forecastService, backtestService, boardFeetService, jobService } = require('../services');
+const { logger } = require('../config/db');
+const { validateOverride, getOverrideState } = require('../utils/forecastOverrides');
+const { GROUP_BY } = require('../utils/boardFeet');
+
+// Store an item's forecast again after its overrides changed; the override
+// itself is saved either way, the weekly update catches up on failure
+const refreshAfterOverrideChange = async (itemId) => {
+  try {
+    await forecastService.refreshItemForecast(itemId);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not refresh forecast of item ${itemId}: ${error.message}`);
+    return false;
+  }
+};
 
 // @desc    Get forecast for single item
 // @route   GET /api/forecasts/:itemId
 exports.getForecast = asyncHandler(async (req, res, next) => {
-  const { days } = req.query;
+  const { days, confidence, method, simulate } = req.query;
 
   const item = await InventoryItem.findById(req.params.itemId);
   if (!item) return next(new AppError('Item not found', 404));
 
   const forecast = await forecastService.generateForecast(
     req.params.itemId,
-    days ? parseInt(days) : undefined
+    days ? parseInt(days) : undefined,
+    { confidenceLevels: confidence, method, simulate: simulate === 'true' }
   );
 
   res.status(200).json({ success: true, data: forecast });
 });
 
+// @desc    Get past forecasts for an item compared with actual consumption
+// @route   GET /api/forecasts/:itemId/history
+exports.getForecastHistory = asyncHandler(async (req, res, next) => {
+  const { weeks } = req.query;
+
+  const item = await InventoryItem.findById(req.params.itemId);
+  if (!item) return next(new AppError('Item not found', 404));
+
+  const history = await forecastService.getForecastHistory(
+    req.params.itemId,
+    weeks ? parseInt(weeks) : undefined
+  );
+
+  res.status(200).json({ success: true, data: history });
+});
+
 // @desc    Get batch forecasts for all items
 // @route   GET /api/forecasts/batch
 exports.getBatchForecasts = asyncHandler(async (req, res, next) => {
-  const { days } = req.query;
-  const forecasts = await forecastService.generateBatchForecasts(days ? parseInt(days) : undefined);
+  const { days, confidence } = req.query;
+  const forecasts = await forecastService.generateBatchForecasts(
+    days ? parseInt(days) : undefined,
+    { confidenceLevels: confidence }
+  );
 
   res.status(200).json({
     success: true,
@@ -34,7 +69,12 @@ exports.getBatchForecasts = asyncHandler(async (req, res, next) => {
 // @desc    Get reorder recommendations
 // @route   GET /api/forecasts/reorder-recommendations
 exports.getReorderRecommendations = asyncHandler(async (req, res, next) => {
-  const recommendations = await forecastService.getReorderRecommendations();
+  const { sortBy } = req.query;
+  if (sortBy && !['days', 'risk'].includes(sortBy)) {
+    return next(new AppError('sortBy must be days or risk', 400));
+  }
+
+  const recommendations = await forecastService.getReorderRecommendations({ sortBy });
 
   res.status(200).json({
     success: true,
@@ -43,53 +83,266 @@ exports.getReorderRecommendations = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Trigger model retraining
+// @desc    Consumption, forecast, stock and reorder totals in board feet
+// @route   GET /api/forecasts/board-feet
+exports.getBoardFeetReport = asyncHandler(async (req, res, next) => {
+  const { groupBy, weeks, days, category } = req.query;
+  if (groupBy && !GROUP_BY.includes(groupBy)) {
+    return next(new AppError(`groupBy must be one of: ${GROUP_BY.join(', ')}`, 400));
+  }
+
+  const report = await boardFeetService.getBoardFeetReport({
+    groupBy,
+    weeks: weeks ? parseInt(weeks) : undefined,
+    days: days ? parseInt(days) : undefined,
+    category
+  });
+
+  res.status(200).json({ success: true, data: report });
+});
+
+// @desc    List available forecasting methods
+// @route   GET /api/forecasts/methods
+exports.getForecastMethods = asyncHandler(async (req, res, next) => {
+  const methods = forecastService.listForecastMethods();
+
+  res.status(200).json({
+    success: true,
+    count: methods.length,
+    data: methods
+  });
+});
+
+// @desc    Walk-forward backtest of forecast methods
+// @route   GET /api/forecasts/backtest
+exports.getBacktest = asyncHandler(async (req, res, next) => {
+  const { category, itemId } = req.query;
+  const limits = {
+    horizon: backtestService.CONFIG.MAX_HORIZON,
+    weeks: backtestService.CONFIG.MAX_HISTORY_WEEKS,
+    step: backtestService.CONFIG.MAX_STEP
+  };
+
+  // Whole numbers from 1 up to the limit
+  const options = {};
+  for (const [name, max] of Object.entries(limits)) {
+    const value = req.query[name];
+    if (value === undefined || value === '') continue;
+    const parsed = /^\d+$/.test(value) ? parseInt(value) : NaN;
+    if (!(parsed >= 1 && parsed <= max)) {
+      return next(new AppError(`${name} must be a whole number between 1 and ${max}`, 400));
+    }
+    options[name] = parsed;
+  }
+
+  const result = await backtestService.runBacktest({ ...options, category, itemId });
+
+  res.status(200).json({ success: true, data: result });
+});
+
+// @desc    Start model retraining as a background job
 // @route   POST /api/forecasts/retrain
+// Body may override the training data policy: { dataPolicy: { excludeFlagged, winsorize, ... } }
 exports.retrainModel = asyncHandler(async (req, res, next) => {
-  const result = await forecastService.trainGlobalModel();
-
-  if (!result) {
-    return res.status(200).json({
-      success: true,
-      message: 'Not enough data to train model',
-      data: null
-    });
+  const options = {
+    triggeredBy: req.user.id,
+    dataPolicy: req.body.dataPolicy
+  };
+
+  // A waiting training job would run with its own data policy instead
+  const waiting = jobService.findConflictingJob('train_model', options);
+  if (waiting) {
+    return next(new AppError(`Training job ${waiting.id} is already queued with a different data policy`, 409));
   }
 
-  res.status(200).json({
+  const job = jobService.startJob('train_model', options, req.user.id);
+
+  res.status(202).json({
     success: true,
-    message: 'Model retrained successfully',
-    data: result
+    message: job.status === 'queued' ? 'Model training queued' : 'Model training started',
+    data: job
   });
 });
 
-// @desc    Update all item forecasts
+// @desc    Start updating all item forecasts as a background job
 // @route   POST /api/forecasts/update-all
 exports.updateAllForecasts = asyncHandler(async (req, res, next) => {
-  const updates = await forecastService.updateItemForecasts();
+  const job = jobService.startJob('update_forecasts', {}, req.user.id);
+
+  res.status(202).json({
+    success: true,
+    message: job.status === 'queued' ? 'Forecast update queued' : 'Forecast update started',
+    data: job
+  });
+});
+
+// @desc    List recent background jobs (newest first)
+// @route   GET /api/forecasts/jobs
+exports.getJobs = asyncHandler(async (req, res, next) => {
+  const jobs = jobService.listJobs();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// @desc    Get a background job with its progress (epoch, loss, ETA) and result
+// @route   GET /api/forecasts/jobs/:id
+exports.getJob = asyncHandler(async (req, res, next) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) return next(new AppError('Job not found', 404));
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
 
-  const successful = updates.filter(u => u.success).length;
-  const failed = updates.filter(u => !u.success).length;
+// @desc    Cancel a queued or running background job
+// @route   POST /api/forecasts/jobs/:id/cancel
+exports.cancelJob = asyncHandler(async (req, res, next) => {
+  const job = jobService.cancelJob(req.params.id);
+  if (!job) return next(new AppError('Job not found', 404));
 
   res.status(200).json({
     success: true,
-    message: `Updated ${successful} items, ${failed} failed`,
-    data: updates
+    message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancelling job',
+    data: job
+  });
+});
+
+// @desc    Reclassify item demand patterns (smooth / erratic / intermittent / lumpy)
+// @route   POST /api/forecasts/classify
+exports.classifyItems = asyncHandler(async (req, res, next) => {
+  const result = await forecastService.classifyItems();
+
+  res.status(200).json({
+    success: true,
+    message: `Classified ${result.itemsClassified} items`,
+    data: result
   });
 });
 
 // @desc    Get model status
 // @route   GET /api/forecasts/model-status
 exports.getModelStatus = asyncHandler(async (req, res, next) => {
-  const isTrained = forecastService.isModelTrained();
+  res.status(200).json({
+    success: true,
+    data: forecastService.getModelStatus()
+  });
+});
+
+// @desc    List stored model versions
+// @route   GET /api/forecasts/model-versions
+exports.getModelVersions = asyncHandler(async (req, res, next) => {
+  const versions = await forecastService.listModelVersions();
 
   res.status(200).json({
     success: true,
-    data: {
-      modelTrained: isTrained,
-      lastTraining: null, // Would need to track this
-      sequenceLength: parseInt(process.env.SEQUENCE_LENGTH) || 12,
-      forecastDays: parseInt(process.env.FORECAST_DAYS) || 45
-    }
+    count: versions.length,
+    data: versions
+  });
+});
+
+// @desc    Compare stored model versions on the current hold-out weeks
+// @route   GET /api/forecasts/model-versions/compare
+// Query: versions=3,5 (default: all stored versions)
+exports.compareModelVersions = asyncHandler(async (req, res, next) => {
+  let versions = null;
+  if (req.query.versions) {
+    versions = String(req.query.versions).split(',').map(v => parseInt(v));
+    if (versions.some(isNaN)) return next(new AppError('Invalid model versions', 400));
+  }
+
+  const comparison = await forecastService.compareModelVersions(versions);
+
+  res.status(200).json({
+    success: true,
+    data: comparison
+  });
+});
+
+// @desc    Activate a stored model version (promote a challenger or roll back)
+// @route   POST /api/forecasts/model-versions/:version/activate
+exports.activateModelVersion = asyncHandler(async (req, res, next) => {
+  const version = parseInt(req.params.version);
+  if (isNaN(version)) return next(new AppError('Invalid model version', 400));
+
+  const info = await forecastService.activateModelVersion(version, req.user.id);
+  if (!info) return next(new AppError(`Model version ${version} not found`, 404));
+
+  res.status(200).json({
+    success: true,
+    message: `Model v${version} is now active`,
+    data: info
+  });
+});
+
+// @desc    Get forecast overrides of an item (audit trail, newest first)
+// @route   GET /api/forecasts/:itemId/overrides
+exports.getOverrides = asyncHandler(async (req, res, next) => {
+  const item = await InventoryItem.findById(req.params.itemId);
+  if (!item) return next(new AppError('Item not found', 404));
+
+  const now = new Date();
+  const overrides = await ForecastOverride.find({ item: item._id })
+    .populate('createdBy', 'name')
+    .populate('cancelledBy', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    count: overrides.length,
+    data: overrides.map(override => ({ ...override, state: getOverrideState(override, now) }))
+  });
+});
+
+// @desc    Override an item's demand, minimum or target until a date
+// @route   POST /api/forecasts/:itemId/overrides
+exports.createOverride = asyncHandler(async (req, res, next) => {
+  const item = await InventoryItem.findById(req.params.itemId);
+  if (!item) return next(new AppError('Item not found', 404));
+
+  const input = {
+    field: req.body.field,
+    mode: req.body.mode,
+    value: typeof req.body.value === 'string' ? parseFloat(req.body.value) : req.body.value,
+    reason: req.body.reason,
+    startsAt: req.body.startsAt || undefined,
+    expiresAt: req.body.expiresAt
+  };
+  const errors = validateOverride(input);
+  if (errors.length > 0) return next(new AppError(errors.join('; '), 400));
+
+  const override = await ForecastOverride.create({
+    ...input,
+    item: item._id,
+    createdBy: req.user.id
   });
+  const forecastRefreshed = await refreshAfterOverrideChange(item._id);
+
+  res.status(201).json({ success: true, data: override, forecastRefreshed });
+});
+
+// @desc    Cancel a forecast override (kept for the audit trail)
+// @route   PUT /api/forecasts/overrides/:id/cancel
+exports.cancelOverride = asyncHandler(async (req, res, next) => {
+  const override = await ForecastOverride.findById(req.params.id);
+  if (!override) return next(new AppError('Override not found', 404));
+
+  const state = getOverrideState(override);
+  if (state === 'cancelled' || state === 'expired') {
+    return next(new AppError(`Override is already ${state}`, 400));
+  }
+
+  override.cancelledAt = new Date();
+  override.cancelledBy = req.user.id;
+  override.cancelReason = req.body.reason;
+  await override.save();
+  const forecastRefreshed = await refreshAfterOverrideChange(override.item);
+
+  res.status(200).json({ success: true, data: override, forecastRefreshed });
 });
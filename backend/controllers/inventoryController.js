@@ -10,6 +10,7 @@ exports.getItems = asyncHandler(async (req, res, next) => {
   const { 
     category, 
     status, 
+    demandPattern,
     search, 
     sortBy = 'name', 
     order = 'asc',
@@ -23,6 +24,10 @@ exports.getItems = asyncHandler(async (req, res, next) => {
     query.category = category;
   }
 
+  if (demandPattern) {
+    query.demandPattern = demandPattern === 'unclassified' ? null : demandPattern;
+  }
+
   if (search) {
     query.$or = [
       { name: { $regex: search, $options: 'i' } },
@@ -0,0 +1,78 @@
+const { PlannedDemand } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const EDITABLE_FIELDS = ['customer', 'job', 'items', 'neededBy', 'confidence', 'status', 'notes'];
+
+// @desc    Get planned demand
+// @route   GET /api/planned-demand
+exports.getPlannedDemand = asyncHandler(async (req, res, next) => {
+  const { status, item, from, to, customer } = req.query;
+  const query = {};
+
+  if (status) query.status = status;
+  if (item) query['items.item'] = item;
+  if (customer) query.customer = { $regex: customer, $options: 'i' };
+  if (from || to) {
+    query.neededBy = {};
+    if (from) query.neededBy.$gte = new Date(from);
+    if (to) query.neededBy.$lte = new Date(to);
+  }
+
+  const plans = await PlannedDemand.find(query)
+    .populate('items.item', 'name displayName sku unit')
+    .populate('createdBy', 'name')
+    .sort({ neededBy: 1 });
+
+  res.status(200).json({ success: true, count: plans.length, data: plans });
+});
+
+// @desc    Get single planned job
+// @route   GET /api/planned-demand/:id
+exports.getPlannedJob = asyncHandler(async (req, res, next) => {
+  const plan = await PlannedDemand.findById(req.params.id)
+    .populate('items.item', 'name displayName sku unit')
+    .populate('createdBy', 'name');
+  if (!plan) return next(new AppError('Planned demand not found', 404));
+
+  res.status(200).json({ success: true, data: plan });
+});
+
+// @desc    Create planned job
+// @route   POST /api/planned-demand
+exports.createPlannedJob = asyncHandler(async (req, res, next) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  }
+
+  const plan = await PlannedDemand.create({ ...fields, createdBy: req.user.id });
+  await plan.populate('items.item', 'name displayName sku unit');
+
+  res.status(201).json({ success: true, data: plan });
+});
+
+// @desc    Update planned job
+// @route   PUT /api/planned-demand/:id
+exports.updatePlannedJob = asyncHandler(async (req, res, next) => {
+  const plan = await PlannedDemand.findById(req.params.id);
+  if (!plan) return next(new AppError('Planned demand not found', 404));
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) plan[field] = req.body[field];
+  }
+  await plan.save();
+  await plan.populate('items.item', 'name displayName sku unit');
+
+  res.status(200).json({ success: true, data: plan });
+});
+
+// @desc    Delete planned job
+// @route   DELETE /api/planned-demand/:id
+exports.deletePlannedJob = asyncHandler(async (req, res, next) => {
+  const plan = await PlannedDemand.findById(req.params.id);
+  if (!plan) return next(new AppError('Planned demand not found', 404));
+
+  await plan.deleteOne();
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -0,0 +1,105 @@
+const { Scenario } = require('../models');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { scenarioService } = require('../services');
+const { validateAdjustments, MAX_HORIZON_WEEKS } = require('../utils/scenario');
+
+// Adjustments and horizon from a request body, or an error message
+const parseScenarioInput = (body) => {
+  const adjustments = {
+    demandUplifts: body.adjustments?.demandUplifts || [],
+    leadTimeOverrides: body.adjustments?.leadTimeOverrides || [],
+    seasonShift: body.adjustments?.seasonShift || { startWeeks: 0, endWeeks: 0 }
+  };
+  const errors = validateAdjustments(adjustments);
+
+  const weeks = body.weeks !== undefined ? parseInt(body.weeks) : scenarioService.DEFAULT_WEEKS;
+  if (!(weeks >= 1 && weeks <= MAX_HORIZON_WEEKS)) {
+    errors.push(`weeks must be between 1 and ${MAX_HORIZON_WEEKS}`);
+  }
+
+  return { adjustments, weeks, error: errors.length > 0 ? errors.join('; ') : null };
+};
+
+// @desc    Get saved scenarios
+// @route   GET /api/scenarios
+exports.getScenarios = asyncHandler(async (req, res, next) => {
+  const scenarios = await Scenario.find()
+    .populate('createdBy', 'name')
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({ success: true, count: scenarios.length, data: scenarios });
+});
+
+// @desc    Get single scenario
+// @route   GET /api/scenarios/:id
+exports.getScenario = asyncHandler(async (req, res, next) => {
+  const scenario = await Scenario.findById(req.params.id).populate('createdBy', 'name');
+  if (!scenario) return next(new AppError('Scenario not found', 404));
+
+  res.status(200).json({ success: true, data: scenario });
+});
+
+// @desc    Save scenario
+// @route   POST /api/scenarios
+exports.createScenario = asyncHandler(async (req, res, next) => {
+  const { adjustments, weeks, error } = parseScenarioInput(req.body);
+  if (error) return next(new AppError(error, 400));
+
+  const scenario = await Scenario.create({
+    name: req.body.name,
+    description: req.body.description,
+    weeks,
+    adjustments,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({ success: true, data: scenario });
+});
+
+// @desc    Update scenario
+// @route   PUT /api/scenarios/:id
+exports.updateScenario = asyncHandler(async (req, res, next) => {
+  const scenario = await Scenario.findById(req.params.id);
+  if (!scenario) return next(new AppError('Scenario not found', 404));
+
+  const { adjustments, weeks, error } = parseScenarioInput(req.body);
+  if (error) return next(new AppError(error, 400));
+
+  if (req.body.name !== undefined) scenario.name = req.body.name;
+  if (req.body.description !== undefined) scenario.description = req.body.description;
+  scenario.weeks = weeks;
+  scenario.adjustments = adjustments;
+  await scenario.save();
+
+  res.status(200).json({ success: true, data: scenario });
+});
+
+// @desc    Delete scenario
+// @route   DELETE /api/scenarios/:id
+exports.deleteScenario = asyncHandler(async (req, res, next) => {
+  const scenario = await Scenario.findById(req.params.id);
+  if (!scenario) return next(new AppError('Scenario not found', 404));
+
+  await scenario.deleteOne();
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Run unsaved adjustments against the baseline
+// @route   POST /api/scenarios/run
+exports.runScenario = asyncHandler(async (req, res, next) => {
+  const { adjustments, weeks, error } = parseScenarioInput(req.body);
+  if (error) return next(new AppError(error, 400));
+
+  const result = await scenarioService.runScenario(adjustments, { weeks });
+  res.status(200).json({ success: true, data: result });
+});
+
+// @desc    Run a saved scenario against the baseline
+// @route   POST /api/scenarios/:id/run
+exports.runSavedScenario = asyncHandler(async (req, res, next) => {
+  const scenario = await Scenario.findById(req.params.id).lean();
+  if (!scenario) return next(new AppError('Scenario not found', 404));
+
+  const result = await scenarioService.runScenario(scenario.adjustments, { weeks: scenario.weeks });
+  res.status(200).json({ success: true, data: { scenario: { id: scenario._id, name: scenario.name }, ...result } });
+});
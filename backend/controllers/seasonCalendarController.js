@@ -0,0 +1,74 @@
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { seasonCalendarService } = require('../services');
+const { DEFAULT_REGION, validateSeasonCalendar } = require('../utils/seasonHelper');
+
+// Calendar fields from a request body
+const parseCalendar = (body) => ({
+  name: body.name,
+  baseKey: body.baseKey || 'slow',
+  baseName: body.baseName || 'Slow season',
+  baseFactor: body.baseFactor !== undefined ? Number(body.baseFactor) : 1,
+  periods: (body.periods || []).map(period => ({
+    key: String(period.key || '').trim().toLowerCase(),
+    name: period.name,
+    type: period.type || 'regular',
+    startMonth: Number(period.startMonth),
+    startDay: Number(period.startDay),
+    endMonth: Number(period.endMonth),
+    endDay: Number(period.endDay),
+    demandFactor: Number(period.demandFactor),
+    rampDays: period.rampDays !== undefined ? Number(period.rampDays) : 0,
+    minimumBuffer: period.minimumBuffer !== undefined ? Number(period.minimumBuffer) : 0
+  }))
+});
+
+// @desc    Get season calendars
+// @route   GET /api/season-calendars
+exports.getSeasonCalendars = asyncHandler(async (req, res, next) => {
+  const calendars = await seasonCalendarService.listSeasonCalendars();
+
+  res.status(200).json({ success: true, count: calendars.length, data: calendars });
+});
+
+// @desc    Weekly seasons and demand levels of a region's calendar through a year
+// @route   GET /api/season-calendars/:region/preview
+exports.previewSeasonCalendar = asyncHandler(async (req, res, next) => {
+  const year = req.query.year ? parseInt(req.query.year) : undefined;
+  if (year !== undefined && !(year >= 2000 && year <= 2100)) {
+    return next(new AppError('year must be between 2000 and 2100', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: seasonCalendarService.previewSeasonCalendar(req.params.region, year)
+  });
+});
+
+// @desc    Create or replace a region's season calendar
+// @route   PUT /api/season-calendars/:region
+exports.saveSeasonCalendar = asyncHandler(async (req, res, next) => {
+  const calendar = parseCalendar(req.body);
+  const errors = validateSeasonCalendar(calendar);
+  if (errors.length > 0) return next(new AppError(errors.join('; '), 400));
+
+  const saved = await seasonCalendarService.saveSeasonCalendar(
+    req.params.region.toLowerCase(), calendar, req.user.id
+  );
+
+  res.status(200).json({ success: true, data: saved });
+});
+
+// @desc    Delete a region's season calendar
+// @route   DELETE /api/season-calendars/:region
+exports.deleteSeasonCalendar = asyncHandler(async (req, res, next) => {
+  const deleted = await seasonCalendarService.deleteSeasonCalendar(req.params.region.toLowerCase());
+  if (!deleted) return next(new AppError('Season calendar not found', 404));
+
+  res.status(200).json({
+    success: true,
+    message: req.params.region === DEFAULT_REGION
+      ? 'Default calendar removed, busy season settings apply again'
+      : 'Season calendar removed',
+    data: {}
+  });
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// An external demand driver (housing starts, precipitation, holiday weeks).
+// Its dated values are ExternalSignalValue documents; admins decide which
+// signals feed the forecast model. See utils/externalSignals.
+const externalSignalSchema = new mongoose.Schema({
+  // Key used in uploads, e.g. 'housing_starts'
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]{1,50}$/, 'Signal name must be letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // How daily (or finer) values become one weekly value
+  aggregation: {
+    type: String,
+    enum: ['mean', 'sum', 'max'],
+    default: 'mean'
+  },
+
+  // Feed this signal to the LSTM at the next training
+  useInModel: {
+    type: Boolean,
+    default: false
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static: names of the signals selected for the model
+externalSignalSchema.statics.getModelSignals = async function() {
+  const selected = await this.find({ useInModel: true }).sort({ name: 1 }).select('name').lean();
+  return selected.map(signal => signal.name);
+};
+
+module.exports = mongoose.model('ExternalSignal', externalSignalSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One dated value of an external signal, optionally for a region (matching
+// the items' season calendar regions; no region applies everywhere)
+const externalSignalValueSchema = new mongoose.Schema({
+  signal: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  region: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static: per signal and region, the number of values and the dates covered
+externalSignalValueSchema.statics.getCoverage = async function() {
+  return await this.aggregate([
+    {
+      $group: {
+        _id: { signal: '$signal', region: '$region' },
+        count: { $sum: 1 },
+        from: { $min: '$date' },
+        to: { $max: '$date' }
+      }
+    },
+    { $sort: { '_id.signal': 1, '_id.region': 1 } }
+  ]);
+};
+
+// A signal has one value per date and region; uploads replace it
+externalSignalValueSchema.index({ signal: 1, region: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExternalSignalValue', externalSignalValueSchema);
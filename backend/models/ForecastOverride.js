@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Purchaser override of an item's forecast for a limited time (a competitor
+// closing, a mill strike). Overrides are never deleted: cancelling or expiring
+// one keeps the record as the audit trail. See utils/forecastOverrides.
+const forecastOverrideSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+
+  // What is overridden: weekly demand, the minimum (reorder point) or the target
+  field: {
+    type: String,
+    enum: ['demand', 'minimum', 'target'],
+    required: true
+  },
+
+  // multiply: model value × value; absolute: value (units, or units per week for demand)
+  mode: {
+    type: String,
+    enum: ['multiply', 'absolute'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Value cannot be negative']
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true
+  },
+
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'An expiry date is required']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  cancelledAt: { type: Date },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: { type: String },
+
+  // Set once forecasts have been refreshed after the override ran out
+  expiryProcessedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Static: overrides of an item that are not cancelled and have not expired by `from`,
+// optionally only those starting before `until`
+forecastOverrideSchema.statics.getForItem = function(itemId, from = new Date(), until = null) {
+  const query = {
+    item: itemId,
+    cancelledAt: null,
+    expiresAt: { $gt: from }
+  };
+  if (until) query.startsAt = { $lt: until };
+
+  return this.find(query).sort({ createdAt: 1 }).lean();
+};
+
+// Static: expired overrides whose items have not been refreshed yet
+forecastOverrideSchema.statics.getUnprocessedExpired = function(now = new Date()) {
+  return this.find({
+    cancelledAt: null,
+    expiresAt: { $lte: now },
+    expiryProcessedAt: null
+  });
+};
+
+// Indexes
+forecastOverrideSchema.index({ item: 1, expiresAt: 1 });
+forecastOverrideSchema.index({ expiresAt: 1, expiryProcessedAt: 1 });
+
+module.exports = mongoose.model('ForecastOverride', forecastOverrideSchema);
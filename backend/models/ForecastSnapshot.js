@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// One predicted week of a snapshot
+const snapshotPredictionSchema = new mongoose.Schema({
+  week: {
+    type: Number,
+    required: true
+  },
+  // Period the prediction covers: [periodStart, periodEnd)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  predictedDemand: {
+    type: Number,
+    required: true
+  },
+  // Bounds at the widest confidence level of the forecast
+  lower: { type: Number },
+  upper: { type: Number }
+}, { _id: false });
+
+const forecastSnapshotSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+
+  // When the forecast was made
+  forecastDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // How it was made
+  method: {
+    type: String,
+    required: true
+  },
+  requestedMethod: {
+    type: String
+  },
+  modelVersion: {
+    type: Number
+  },
+  demandPattern: {
+    type: String
+  },
+  confidenceLevel: {
+    type: Number
+  },
+
+  // What it said
+  currentStock: {
+    type: Number
+  },
+  predictions: [snapshotPredictionSchema],
+  avgDailyDemand: {
+    type: Number
+  },
+  recommendedMin: {
+    type: Number
+  },
+  recommendedTarget: {
+    type: Number
+  },
+  daysUntilStockout: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Static: store a snapshot of a generated forecast (see forecastService.generateForecast)
+forecastSnapshotSchema.statics.createFromForecast = async function(forecast) {
+  const levels = forecast.uncertainty ? forecast.uncertainty.confidenceLevels : [];
+  const level = levels && levels.length > 0 ? Math.max(...levels) : null;
+  const forecastDate = forecast.generatedAt ? new Date(forecast.generatedAt) : new Date();
+
+  return this.create({
+    item: forecast.itemId,
+    forecastDate,
+    method: forecast.method,
+    requestedMethod: forecast.requestedMethod,
+    modelVersion: forecast.modelVersion,
+    demandPattern: forecast.demandPattern,
+    confidenceLevel: level,
+    currentStock: forecast.currentStock,
+    predictions: forecast.predictions.map(prediction => {
+      const bounds = level && prediction.intervals ? prediction.intervals[level] : null;
+      const periodStart = new Date(forecastDate.getTime() + (prediction.week - 1) * 7 * 24 * 60 * 60 * 1000);
+
+      return {
+        week: prediction.week,
+        periodStart,
+        periodEnd: new Date(periodStart.getTime() + 7 * 24 * 60 * 60 * 1000),
+        predictedDemand: prediction.predictedDemand,
+        lower: bounds ? bounds.lower : undefined,
+        upper: bounds ? bounds.upper : undefined
+      };
+    }),
+    avgDailyDemand: forecast.summary.avgDailyDemand,
+    recommendedMin: forecast.summary.recommendedMin,
+    recommendedTarget: forecast.summary.recommendedTarget,
+    daysUntilStockout: forecast.summary.daysUntilStockout
+  });
+};
+
+// Static: snapshots of an item made since a date, oldest first
+forecastSnapshotSchema.statics.getForItem = function(itemId, since) {
+  const query = { item: itemId };
+  if (since) query.forecastDate = { $gte: since };
+
+  return this.find(query).sort({ forecastDate: 1 }).lean();
+};
+
+// Indexes
+forecastSnapshotSchema.index({ item: 1, forecastDate: -1 });
+forecastSnapshotSchema.index({ forecastDate: -1 });
+
+module.exports = mongoose.model('ForecastSnapshot', forecastSnapshotSchema);
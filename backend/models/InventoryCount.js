@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { collectReceipts, reconstructConsumption } = require('../utils/consumptionHistory');
+const { resampleConsumption } = require('../utils/timeSeries');
+const { DEFAULT_POLICY, createTrainingDataFilter } = require('../utils/trainingDataPolicy');
 
 const inventoryCountSchema = new mongoose.Schema({
   item: {
@@ -75,6 +78,12 @@ const inventoryCountSchema = new mongoose.Schema({
     default: 'manual'
   },
   
+  // Order that produced a delivery count
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  
   // Week number for grouping (useful for ML)
   weekNumber: {
     type: Number
@@ -110,47 +119,56 @@ inventoryCountSchema.post('save', async function() {
 });
 
 // Static method to get consumption history for an item
-inventoryCountSchema.statics.getConsumptionHistory = async function(itemId, weeks = 12) {
+// Consumption is reconstructed from opening stock, receipts and closing stock,
+// see utils/consumptionHistory
+// options.excludeCount: (count) => boolean, drops counts before reconstruction
+inventoryCountSchema.statics.getConsumptionHistory = async function(itemId, weeks = 12, options = {}) {
+  const Order = mongoose.model('Order');
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - (weeks * 7));
   
-  const counts = await this.find({
-    item: itemId,
-    countDate: { $gte: startDate }
-  })
-  .sort({ countDate: 1 })
-  .lean();
-  
-  // Calculate weekly consumption
-  const weeklyConsumption = [];
-  for (let i = 1; i < counts.length; i++) {
-    const consumption = counts[i - 1].count - counts[i].count;
-    const daysBetween = (counts[i].countDate - counts[i - 1].countDate) / (1000 * 60 * 60 * 24);
-    
-    if (daysBetween > 0) {
-      weeklyConsumption.push({
-        week: counts[i].weekNumber,
-        year: counts[i].year,
-        consumption: consumption > 0 ? consumption : 0,
-        dailyRate: consumption > 0 ? consumption / daysBetween : 0,
-        date: counts[i].countDate
-      });
-    }
-  }
-  
-  return weeklyConsumption;
+  const [counts, orders] = await Promise.all([
+    this.find({
+      item: itemId,
+      countDate: { $gte: startDate }
+    })
+    .sort({ countDate: 1 })
+    .lean(),
+    Order.find({
+      status: 'delivered',
+      'items.item': itemId,
+      actualDeliveryDate: { $gte: startDate }
+    })
+    .select('orderNumber items actualDeliveryDate')
+    .lean()
+  ]);
+  
+  const receipts = collectReceipts(itemId, orders, counts);
+  const kept = options.excludeCount ? counts.filter(c => !options.excludeCount(c)) : counts;
+  
+  return reconstructConsumption(kept, receipts);
+};
+
+// Static method to get consumption as a regular calendar series
+// granularity 'week' (ISO weeks) or 'day'; buckets without counts are marked missing
+inventoryCountSchema.statics.getConsumptionSeries = async function(itemId, weeks = 12, granularity = 'week', options = {}) {
+  const history = await this.getConsumptionHistory(itemId, weeks, options);
+  return resampleConsumption(history, { granularity });
 };
 
 // Static method to calculate average consumption
+// Flagged counts are left out according to the training data policy
 inventoryCountSchema.statics.calculateAvgConsumption = async function(itemId) {
-  const history = await this.getConsumptionHistory(itemId, 12);
+  const { excludeCount } = createTrainingDataFilter(DEFAULT_POLICY);
+  const series = await this.getConsumptionSeries(itemId, 12, 'week', { excludeCount });
+  const weeks = series.filter(w => !w.missing);
   
-  if (history.length === 0) {
+  if (weeks.length === 0) {
     return { daily: 0, weekly: 0 };
   }
   
-  const totalConsumption = history.reduce((sum, h) => sum + h.consumption, 0);
-  const avgWeekly = totalConsumption / history.length;
+  const totalConsumption = weeks.reduce((sum, w) => sum + w.consumption, 0);
+  const avgWeekly = totalConsumption / weeks.length;
   const avgDaily = avgWeekly / 7;
   
   return {
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getSeasonPeriod, getBusyShare } = require('../utils/seasonHelper');
+const { calculateBoardFeetPerUnit } = require('../utils/boardFeet');
 
 const inventoryItemSchema = new mongoose.Schema({
   // Basic Info
@@ -31,6 +33,12 @@ const inventoryItemSchema = new mongoose.Schema({
     length: { type: String }     // e.g., "16'"
   },
   
+  // Species or grade family for board-foot reporting, e.g. "SPF", "Douglas Fir"
+  species: {
+    type: String,
+    trim: true
+  },
+  
   // Units
   unitOfMeasure: {
     type: String,
@@ -38,6 +46,13 @@ const inventoryItemSchema = new mongoose.Schema({
     default: 'pieces'
   },
   
+  // Pieces in one bundle (needed to convert bundles to board feet)
+  piecesPerBundle: {
+    type: Number,
+    min: [1, 'Pieces per bundle must be at least 1'],
+    default: null
+  },
+  
   // Current Stock (supports fractional units)
   currentStock: {
     type: Number,
@@ -60,6 +75,22 @@ const inventoryItemSchema = new mongoose.Schema({
     }
   },
   
+  // Minimums per season calendar period (keyed by period key, e.g. 'busy',
+  // 'spring-shoulder'); periods without one use the winter/summer minimums
+  seasonMinimums: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  
+  // Season calendar region (null uses the default calendar)
+  seasonRegion: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  
   // Target is auto-calculated as minimum * 1.5 (45-day supply)
   // But can be overridden
   targetMultiplier: {
@@ -82,6 +113,68 @@ const inventoryItemSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Target service level in percent (null uses the category default, see utils/safetyStock)
+  serviceLevel: {
+    type: Number,
+    min: [50, 'Service level must be at least 50%'],
+    max: [99.9, 'Service level must be below 100%'],
+    default: null
+  },
+  
+  // Service-level reorder point (updated by forecast service)
+  safetyStock: {
+    type: Number,
+    default: null
+  },
+  reorderPoint: {
+    type: Number,
+    default: null
+  },
+  // Inputs behind the reorder point, kept so purchasers can audit it
+  inventoryPolicy: {
+    basis: { type: String, enum: ['service_level', 'days_supply'] },
+    serviceLevel: { type: Number },
+    zScore: { type: Number },
+    avgDailyDemand: { type: Number },
+    dailyDemandStdDev: { type: Number },
+    leadTimeDays: { type: Number },
+    leadTimeStdDev: { type: Number },
+    leadTimeSource: { type: String },
+    leadTimeOrders: { type: Number },
+    reviewPeriodDays: { type: Number },
+    protectionDays: { type: Number },
+    demandDuringProtection: { type: Number },
+    calculatedAt: { type: Date }
+  },
+  
+  // Forecasting method for this item ('auto' uses the global default)
+  forecastMethod: {
+    type: String,
+    enum: ['auto', 'ensemble', 'lstm', 'holt_winters', 'seasonal_naive', 'simple_average', 'croston', 'sba', 'tsb'],
+    default: 'auto'
+  },
+  
+  // Ensemble weights per method from the latest backtest (updated with each retrain)
+  ensembleWeights: {
+    weights: { type: Map, of: Number },
+    origins: { type: Number },
+    calculatedAt: { type: Date }
+  },
+  
+  // Demand pattern from ADI / CV² (updated by forecast service)
+  demandPattern: {
+    type: String,
+    enum: ['smooth', 'erratic', 'intermittent', 'lumpy', null],
+    default: null
+  },
+  demandClassification: {
+    adi: { type: Number },
+    cv2: { type: Number },
+    periods: { type: Number },
+    demandPeriods: { type: Number },
+    classifiedAt: { type: Date }
+  },
+  
   // Average consumption (calculated from history)
   avgDailyConsumption: {
     type: Number,
@@ -134,6 +227,18 @@ inventoryItemSchema.virtual('displayName').get(function() {
   return this.name;
 });
 
+// Board feet in one unit of measure (null without dimensions, see utils/boardFeet)
+inventoryItemSchema.virtual('boardFeetPerUnit').get(function() {
+  const perUnit = calculateBoardFeetPerUnit(this);
+  return perUnit === null ? null : Math.round(perUnit * 100) / 100;
+});
+
+// Virtual for the current season calendar period
+inventoryItemSchema.virtual('currentSeason').get(function() {
+  const period = getSeasonPeriod(new Date(), this.seasonRegion);
+  return { key: period.key, name: period.name, type: period.type };
+});
+
 // Virtual for current minimum (based on season)
 inventoryItemSchema.virtual('currentMinimum').get(function() {
   // Use dynamic if available, otherwise seasonal
@@ -141,12 +246,17 @@ inventoryItemSchema.virtual('currentMinimum').get(function() {
     return this.dynamicMinimum;
   }
   
-  const month = new Date().getMonth() + 1; // 1-12
-  const busySeasonStart = parseInt(process.env.BUSY_SEASON_START) || 4;
-  const busySeasonEnd = parseInt(process.env.BUSY_SEASON_END) || 10;
+  const now = new Date();
+  const period = getSeasonPeriod(now, this.seasonRegion);
+  const seasonMinimum = this.seasonMinimums ? this.seasonMinimums.get(period.key) : undefined;
+  if (seasonMinimum !== undefined && seasonMinimum !== null) {
+    return seasonMinimum;
+  }
   
-  const isBusySeason = month >= busySeasonStart && month <= busySeasonEnd;
-  return isBusySeason ? this.minimums.summer : this.minimums.winter;
+  // Blend winter and summer through ramps instead of switching on a set day
+  const share = getBusyShare(now, this.seasonRegion);
+  const minimum = this.minimums.winter + (this.minimums.summer - this.minimums.winter) * share;
+  return Math.round(minimum * 100) / 100;
 });
 
 // Virtual for current target
@@ -176,8 +286,13 @@ inventoryItemSchema.virtual('daysUntilStockout').get(function() {
   return Math.floor(this.currentStock / this.avgDailyConsumption);
 });
 
-// Virtual for reorder needed (considering lead time)
+// Virtual for reorder needed: at or below the service-level reorder point,
+// else days until stockout within lead time
 inventoryItemSchema.virtual('needsReorder').get(function() {
+  if (this.reorderPoint !== null && this.reorderPoint !== undefined) {
+    return this.currentStock <= this.reorderPoint;
+  }
+  
   const daysLeft = this.daysUntilStockout;
   if (daysLeft === null) return false;
   
@@ -191,5 +306,6 @@ inventoryItemSchema.index({ sku: 1 });
 inventoryItemSchema.index({ category: 1 });
 inventoryItemSchema.index({ currentStock: 1 });
 inventoryItemSchema.index({ isActive: 1 });
+inventoryItemSchema.index({ demandPattern: 1 });
 
 module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
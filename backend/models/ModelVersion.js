@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const modelVersionSchema = new mongoose.Schema({
+  // Sequential version number (1, 2, 3...)
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  // Training metadata
+  trainedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  samplesUsed: {
+    type: Number,
+    default: 0
+  },
+  itemsUsed: {
+    type: Number,
+    default: 0
+  },
+  finalLoss: {
+    type: Number
+  },
+  epochs: {
+    type: Number
+  },
+
+  // Model configuration at training time (sequence length, features...)
+  config: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Per-item normalization params (itemId -> maxConsumption)
+  normParams: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  // Serialized TensorFlow.js model
+  artifacts: {
+    modelTopology: { type: mongoose.Schema.Types.Mixed },
+    weightSpecs: { type: mongoose.Schema.Types.Mixed },
+    weightData: { type: Buffer }
+  },
+
+  // Category and item models trained alongside the global one (see
+  // utils/modelScopes); their weights are stored as ScopedModel documents
+  scopedModels: [{
+    scope: { type: String, enum: ['category', 'item'], required: true },
+    key: { type: String, required: true },
+    samplesUsed: Number,
+    itemsUsed: Number,
+    finalLoss: Number
+  }],
+
+  // Only one version is active (used for forecasting) at a time
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: {
+    type: Date
+  },
+  // Who activated the version by hand (promotion or rollback)
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Hold-out comparison with the model that was active when this version was
+  // trained (see utils/modelPromotion): { holdoutWeeks, metric, margin,
+  // challenger, champion: { version, metrics }, promoted, reason, improvement }
+  evaluation: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Who triggered the training or rollback (null for scheduled jobs)
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static: Get the currently active version
+modelVersionSchema.statics.getActive = async function() {
+  return await this.findOne({ isActive: true }).sort({ version: -1 });
+};
+
+// Static: Get next version number
+modelVersionSchema.statics.getNextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+// Static: Make a version the active one (deactivates all others)
+modelVersionSchema.statics.activate = async function(version, userId = null) {
+  const target = await this.findOne({ version });
+  if (!target) return null;
+
+  await this.updateMany({ isActive: true, version: { $ne: version } }, { isActive: false });
+
+  target.isActive = true;
+  target.activatedAt = new Date();
+  target.activatedBy = userId;
+  return await target.save();
+};
+
+// Static: Remove old inactive versions with their scoped models, keeping the most recent `keep`
+modelVersionSchema.statics.pruneVersions = async function(keep = 10) {
+  const stale = await this.find({ isActive: false })
+    .sort({ version: -1 })
+    .skip(keep)
+    .select('_id version');
+
+  if (stale.length === 0) return 0;
+
+  await mongoose.model('ScopedModel').deleteMany({ version: { $in: stale.map(s => s.version) } });
+  const result = await this.deleteMany({ _id: { $in: stale.map(s => s._id) } });
+  return result.deletedCount;
+};
+
+// Method: Metadata without the (large) serialized weights
+modelVersionSchema.methods.toSummary = function() {
+  return {
+    version: this.version,
+    trainedAt: this.trainedAt,
+    samplesUsed: this.samplesUsed,
+    itemsUsed: this.itemsUsed,
+    finalLoss: this.finalLoss,
+    epochs: this.epochs,
+    config: this.config,
+    scopedModels: (this.scopedModels || []).map(m => ({
+      scope: m.scope,
+      key: m.key,
+      samplesUsed: m.samplesUsed,
+      itemsUsed: m.itemsUsed,
+      finalLoss: m.finalLoss
+    })),
+    isActive: this.isActive,
+    activatedAt: this.activatedAt,
+    activatedBy: this.activatedBy,
+    evaluation: this.evaluation,
+    notes: this.notes
+  };
+};
+
+// Indexes
+modelVersionSchema.index({ version: -1 });
+modelVersionSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
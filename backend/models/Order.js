@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { OPEN_ORDER_STATUSES } = require('../utils/openOrders');
 
 const orderItemSchema = new mongoose.Schema({
   item: {
@@ -188,6 +189,7 @@ orderSchema.post('save', async function() {
           count: newStock,
           previousCount: item.currentStock,
           source: 'delivery',
+          order: this._id,
           notes: `Delivery from order ${this.orderNumber}`,
           countDate: this.actualDeliveryDate || new Date()
         });
@@ -212,12 +214,28 @@ orderSchema.statics.getVendorLeadTime = async function(vendorId) {
         avgLeadTime: { $avg: '$leadTimeDays' },
         minLeadTime: { $min: '$leadTimeDays' },
         maxLeadTime: { $max: '$leadTimeDays' },
+        stdDevLeadTime: { $stdDevSamp: '$leadTimeDays' },
         orderCount: { $sum: 1 }
       }
     }
   ]);
   
-  return result[0] || { avgLeadTime: 7, minLeadTime: 7, maxLeadTime: 7, orderCount: 0 };
+  return result[0] || { avgLeadTime: 7, minLeadTime: 7, maxLeadTime: 7, stdDevLeadTime: 0, orderCount: 0 };
+};
+
+// Static: lead times (days) of a vendor's most recent delivered orders
+orderSchema.statics.getLeadTimeSamples = async function(vendorId, limit = 50) {
+  const orders = await this.find({
+    vendor: vendorId,
+    status: 'delivered',
+    leadTimeDays: { $exists: true, $ne: null }
+  })
+  .select('leadTimeDays')
+  .sort({ actualDeliveryDate: -1 })
+  .limit(limit)
+  .lean();
+  
+  return orders.map(order => order.leadTimeDays);
 };
 
 // Static: Get lead time for specific item from specific vendor
@@ -243,6 +261,18 @@ orderSchema.statics.getItemLeadTime = async function(itemId, vendorId) {
   return result[0] || null;
 };
 
+// Static: undelivered orders (pending, confirmed, shipped) containing an item
+orderSchema.statics.getOpenOrdersForItem = function(itemId) {
+  return this.find({
+    status: { $in: OPEN_ORDER_STATUSES },
+    'items.item': itemId
+  })
+  .select('orderNumber status vendor items orderDate expectedDeliveryDate')
+  .populate('vendor', 'name metrics.avgLeadTime')
+  .sort({ expectedDeliveryDate: 1 })
+  .lean();
+};
+
 // Indexes
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ vendor: 1 });
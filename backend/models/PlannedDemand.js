@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const plannedItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Quantity must be greater than 0']
+  }
+}, { _id: false });
+
+// Known future demand, e.g. a contractor's framing package for a subdivision.
+// Forecasts add it on top of the baseline and anomaly detection treats the
+// consumption as explained (see utils/plannedDemand).
+const plannedDemandSchema = new mongoose.Schema({
+  customer: {
+    type: String,
+    required: [true, 'Customer is required'],
+    trim: true
+  },
+  job: {
+    type: String,
+    trim: true
+  },
+
+  items: {
+    type: [plannedItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+
+  // When the material has to be ready for pickup/delivery
+  neededBy: {
+    type: Date,
+    required: [true, 'Needed-by date is required']
+  },
+
+  // Chance (%) the job goes ahead; forecasts add quantity × confidence
+  confidence: {
+    type: Number,
+    default: 100,
+    min: [1, 'Confidence must be at least 1%'],
+    max: [100, 'Confidence cannot exceed 100%']
+  },
+
+  status: {
+    type: String,
+    enum: ['planned', 'fulfilled', 'cancelled'],
+    default: 'planned'
+  },
+
+  notes: {
+    type: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static: planned demand (not cancelled) with items for an item, needed within a date range
+plannedDemandSchema.statics.getForItem = function(itemId, from, to, statuses = ['planned', 'fulfilled']) {
+  const query = {
+    'items.item': itemId,
+    status: { $in: statuses }
+  };
+  if (from || to) {
+    query.neededBy = {};
+    if (from) query.neededBy.$gte = from;
+    if (to) query.neededBy.$lte = to;
+  }
+
+  return this.find(query).sort({ neededBy: 1 }).lean();
+};
+
+// Indexes
+plannedDemandSchema.index({ 'items.item': 1, neededBy: 1 });
+plannedDemandSchema.index({ status: 1, neededBy: 1 });
+
+module.exports = mongoose.model('PlannedDemand', plannedDemandSchema);
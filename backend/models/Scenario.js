@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Demand uplift for one item, one category, or all items when neither is set
+const demandUpliftSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  },
+  category: {
+    type: String,
+    enum: ['dimensional', 'plywood', 'specialty', 'treated', 'composite', 'other']
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: [-99, 'Demand cannot drop by 100% or more']
+  }
+}, { _id: false });
+
+// Lead time for a vendor: fixed days or a multiple of the current lead time
+const leadTimeOverrideSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  leadTimeDays: {
+    type: Number,
+    min: [1, 'Lead time must be at least 1 day']
+  },
+  multiplier: {
+    type: Number,
+    min: [0.1, 'Multiplier must be at least 0.1']
+  }
+}, { _id: false });
+
+// Saved what-if scenario (see services/scenarioService); results are not stored
+const scenarioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scenario name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Horizon in weeks
+  weeks: {
+    type: Number,
+    default: 12,
+    min: 1,
+    max: 52
+  },
+
+  adjustments: {
+    demandUplifts: [demandUpliftSchema],
+    leadTimeOverrides: [leadTimeOverrideSchema],
+    // Weeks the busy season starts/ends later (positive) or earlier (negative)
+    seasonShift: {
+      startWeeks: { type: Number, default: 0 },
+      endWeeks: { type: Number, default: 0 }
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scenarioSchema.index({ updatedAt: -1 });
+
+module.exports = mongoose.model('Scenario', scenarioSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Serialized category or item model of a model version (see
+// utils/modelScopes). Each one is its own document so a version with many
+// scoped models stays within MongoDB's document size limit.
+const scopedModelSchema = new mongoose.Schema({
+  // Version number of the ModelVersion this model belongs to
+  version: {
+    type: Number,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['category', 'item'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  artifacts: {
+    modelTopology: { type: mongoose.Schema.Types.Mixed },
+    weightSpecs: { type: mongoose.Schema.Types.Mixed },
+    weightData: { type: Buffer }
+  }
+}, {
+  timestamps: true
+});
+
+// Static: All scoped models of a version
+scopedModelSchema.statics.getForVersion = async function(version) {
+  return await this.find({ version });
+};
+
+scopedModelSchema.index({ version: 1, scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('ScopedModel', scopedModelSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const seasonPeriodSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // shoulder: ramps into the next level; shutdown: holiday closure, never the peak
+  type: {
+    type: String,
+    enum: ['regular', 'shoulder', 'shutdown'],
+    default: 'regular'
+  },
+  startMonth: { type: Number, required: true, min: 1, max: 12 },
+  startDay: { type: Number, required: true, min: 1, max: 31 },
+  endMonth: { type: Number, required: true, min: 1, max: 12 },
+  endDay: { type: Number, required: true, min: 1, max: 31 },
+  // Demand relative to the base season (1.3 = 30% busier, 0 = closed)
+  demandFactor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Days at the start of the period to move from the previous level to this one
+  rampDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Extra % on days-of-supply minimums during the period
+  minimumBuffer: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Season calendar of a region (see utils/seasonHelper). The 'default' region
+// applies to items without their own region.
+const seasonCalendarSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    default: 'default'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+
+  // Season outside all periods
+  baseKey: {
+    type: String,
+    default: 'slow',
+    trim: true,
+    lowercase: true
+  },
+  baseName: {
+    type: String,
+    default: 'Slow season',
+    trim: true
+  },
+  baseFactor: {
+    type: Number,
+    default: 1,
+    min: [0.01, 'Base demand factor must be above 0']
+  },
+
+  periods: [seasonPeriodSchema],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SeasonCalendar', seasonCalendarSchema);
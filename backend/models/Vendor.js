@@ -86,6 +86,13 @@ const vendorSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Flat shipping charge per order below the free-shipping minimum
+  // (null = not known; order quantities below the minimum are flagged)
+  shippingCost: {
+    type: Number,
+    default: null,
+    min: [0, 'Shipping cost cannot be negative']
+  },
   
   // Rating (1-5)
   rating: {
@@ -138,6 +145,18 @@ vendorSchema.methods.getPriceForItem = function(itemId, quantity = 1) {
   return validPrices[0];
 };
 
+// Static: current price tiers for an item from one vendor, lowest minQuantity first
+// Works on documents and lean objects
+vendorSchema.statics.getPriceTiers = function(vendor, itemId) {
+  const now = new Date();
+  
+  return vendor.prices
+    .filter(p => p.item.toString() === itemId.toString() &&
+                 (!p.expirationDate || new Date(p.expirationDate) >= now))
+    .map(p => ({ minQuantity: p.minQuantity || 1, price: p.price }))
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+};
+
 // Method to add/update price for an item
 vendorSchema.methods.setPrice = function(itemId, price, minQuantity = 1, expirationDate = null) {
   // Check if price already exists for this item and quantity tier
@@ -4,6 +4,15 @@ const InventoryCount = require('./InventoryCount');
 const Order = require('./Order');
 const Vendor = require('./Vendor');
 const Alert = require('./Alert');
+const ModelVersion = require('./ModelVersion');
+const ScopedModel = require('./ScopedModel');
+const ForecastSnapshot = require('./ForecastSnapshot');
+const Scenario = require('./Scenario');
+const PlannedDemand = require('./PlannedDemand');
+const ForecastOverride = require('./ForecastOverride');
+const SeasonCalendar = require('./SeasonCalendar');
+const ExternalSignal = require('./ExternalSignal');
+const ExternalSignalValue = require('./ExternalSignalValue');
 
 module.exports = {
   User,
@@ -11,5 +20,14 @@ module.exports = {
   InventoryCount,
   Order,
   Vendor,
-  Alert
+  Alert,
+  ModelVersion,
+  ScopedModel,
+  ForecastSnapshot,
+  Scenario,
+  PlannedDemand,
+  ForecastOverride,
+  SeasonCalendar,
+  ExternalSignal,
+  ExternalSignalValue
 };
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  getExternalSignals,
+  getSignalValues,
+  importSignals,
+  updateExternalSignal,
+  deleteExternalSignal
+} = require('../controllers/externalSignalController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Multer config for CSV upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+router.use(protect);
+
+router.get('/', getExternalSignals);
+router.post('/import', authorize('admin', 'purchaser'), upload.single('file'), importSignals);
+router.get('/:name/values', getSignalValues);
+
+router.route('/:name')
+  .put(authorize('admin'), updateExternalSignal)
+  .delete(authorize('admin'), deleteExternalSignal);
+
+module.exports = router;
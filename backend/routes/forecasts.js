@@ -2,11 +2,25 @@ const express = require('express');
 const router = express.Router();
 const {
   getForecast,
+  getForecastHistory,
   getBatchForecasts,
   getReorderRecommendations,
+  getBoardFeetReport,
+  getBacktest,
+  getForecastMethods,
   retrainModel,
   updateAllForecasts,
-  getModelStatus
+  getJobs,
+  getJob,
+  cancelJob,
+  classifyItems,
+  getModelStatus,
+  getModelVersions,
+  compareModelVersions,
+  activateModelVersion,
+  getOverrides,
+  createOverride,
+  cancelOverride
 } = require('../controllers/forecastController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -14,9 +28,24 @@ router.use(protect);
 
 router.get('/batch', getBatchForecasts);
 router.get('/reorder-recommendations', getReorderRecommendations);
+router.get('/board-feet', getBoardFeetReport);
+router.get('/methods', getForecastMethods);
+router.get('/backtest', getBacktest);
 router.get('/model-status', getModelStatus);
+router.get('/model-versions', getModelVersions);
+router.get('/model-versions/compare', authorize('admin'), compareModelVersions);
+router.post('/model-versions/:version/activate', authorize('admin'), activateModelVersion);
 router.post('/retrain', authorize('admin', 'purchaser'), retrainModel);
 router.post('/update-all', updateAllForecasts);
+router.get('/jobs', getJobs);
+router.get('/jobs/:id', getJob);
+router.post('/jobs/:id/cancel', authorize('admin', 'purchaser'), cancelJob);
+router.post('/classify', authorize('admin', 'purchaser'), classifyItems);
+router.put('/overrides/:id/cancel', authorize('admin', 'purchaser'), cancelOverride);
+router.get('/:itemId/history', getForecastHistory);
+router.route('/:itemId/overrides')
+  .get(getOverrides)
+  .post(authorize('admin', 'purchaser'), createOverride);
 router.get('/:itemId', getForecast);
 
 module.exports = router;
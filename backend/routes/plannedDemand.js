@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlannedDemand,
+  getPlannedJob,
+  createPlannedJob,
+  updatePlannedJob,
+  deletePlannedJob
+} = require('../controllers/plannedDemandController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getPlannedDemand)
+  .post(authorize('admin', 'purchaser'), createPlannedJob);
+
+router.route('/:id')
+  .get(getPlannedJob)
+  .put(authorize('admin', 'purchaser'), updatePlannedJob)
+  .delete(authorize('admin', 'purchaser'), deletePlannedJob);
+
+module.exports = router;
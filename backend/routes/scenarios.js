@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getScenarios,
+  getScenario,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  runScenario,
+  runSavedScenario
+} = require('../controllers/scenarioController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getScenarios)
+  .post(authorize('admin', 'purchaser'), createScenario);
+
+router.post('/run', runScenario);
+
+router.route('/:id')
+  .get(getScenario)
+  .put(authorize('admin', 'purchaser'), updateScenario)
+  .delete(authorize('admin', 'purchaser'), deleteScenario);
+
+router.post('/:id/run', runSavedScenario);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSeasonCalendars,
+  previewSeasonCalendar,
+  saveSeasonCalendar,
+  deleteSeasonCalendar
+} = require('../controllers/seasonCalendarController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', getSeasonCalendars);
+router.get('/:region/preview', previewSeasonCalendar);
+
+router.route('/:region')
+  .put(authorize('admin'), saveSeasonCalendar)
+  .delete(authorize('admin'), deleteSeasonCalendar);
+
+module.exports = router;
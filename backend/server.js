@@ -4,7 +4,14 @@ const cors = require('cors');
 const cron = require('node-cron');
 const { connectDB, logger } = require('./config/db');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
-const { reminderService, forecastService, anomalyService } = require('./services');
+const {
+  reminderService,
+  forecastService,
+  anomalyService,
+  seasonCalendarService,
+  externalSignalService,
+  jobService
+} = require('./services');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,6 +20,10 @@ const orderRoutes = require('./routes/orders');
 const vendorRoutes = require('./routes/vendors');
 const forecastRoutes = require('./routes/forecasts');
 const alertRoutes = require('./routes/alerts');
+const scenarioRoutes = require('./routes/scenarios');
+const plannedDemandRoutes = require('./routes/plannedDemand');
+const seasonCalendarRoutes = require('./routes/seasonCalendars');
+const externalSignalRoutes = require('./routes/externalSignals');
 
 const app = express();
 
@@ -38,6 +49,10 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/vendors', vendorRoutes);
 app.use('/api/forecasts', forecastRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api/planned-demand', plannedDemandRoutes);
+app.use('/api/season-calendars', seasonCalendarRoutes);
+app.use('/api/external-signals', externalSignalRoutes);
 
 // Error handling
 app.use(notFound);
@@ -53,12 +68,20 @@ const startServer = async () => {
     // Initialize email transporter
     reminderService.initializeTransporter();
     
-    // Train model on startup if enough data
-    logger.info('Attempting initial model training...');
+    // Season calendars and external signals must be loaded before anything
+    // seasonal is calculated or the model is used
+    await seasonCalendarService.loadSeasonCalendars();
+    await externalSignalService.loadExternalSignals();
+    
+    // Load the stored model, or train one on startup if none exists yet
     try {
-      await forecastService.trainGlobalModel();
+      const loaded = await forecastService.loadActiveModel();
+      if (!loaded) {
+        logger.info('Starting initial model training in the background...');
+        jobService.startJob('train_model');
+      }
     } catch (err) {
-      logger.warn('Initial model training skipped (not enough data)');
+      logger.warn(`Forecast model not ready on startup: ${err.message}`);
     }
     
     // Schedule cron jobs
@@ -105,12 +128,20 @@ const setupCronJobs = () => {
     await anomalyService.runBatchAnalysis(6);
   });
   
+  // Forecast override expiry - every day at 5 AM
+  cron.schedule('0 5 * * *', async () => {
+    logger.info('Expiring forecast overrides...');
+    await forecastService.expireForecastOverrides();
+  });
+  
   // Weekly model retraining - Sunday at midnight
   const retrainSchedule = process.env.MODEL_RETRAIN_SCHEDULE || '0 0 * * 0';
   cron.schedule(retrainSchedule, async () => {
     logger.info('Retraining forecast model...');
-    await forecastService.trainGlobalModel();
-    await forecastService.updateItemForecasts();
+    // Queued jobs run in order, so forecasts are updated with the new model
+    // and the ensemble weights learned during training
+    jobService.startJob('train_model');
+    jobService.startJob('update_forecasts');
   });
   
   logger.info('Cron jobs scheduled');
@@ -3,12 +3,13 @@
  * 
  * Detects suspicious patterns in inventory data such as:
  * - Unexplained stock increases (no purchase order)
- * - Unusual consumption spikes
+ * - Unusual consumption spikes (not explained by planned jobs)
  * - Data entry errors
  */
 
-const { InventoryItem, InventoryCount, Order, Alert } = require('../models');
+const { InventoryItem, InventoryCount, Order, Alert, PlannedDemand } = require('../models');
 const { logger } = require('../config/db');
+const { PLANNED_DEMAND_WINDOW_DAYS, getExplainedQuantity } = require('../utils/plannedDemand');
 
 // Configuration
 const CONFIG = {
@@ -119,6 +120,7 @@ const detectUnexplainedIncrease = async (item, latestCount, previousCount) => {
 
 /**
  * Check for unusual consumption spikes
+ * Consumption for planned jobs needed around the count period is explained
  */
 const detectConsumptionSpike = async (item, latestCount, previousCount, stats) => {
   if (!previousCount || !stats) {
@@ -133,22 +135,39 @@ const detectConsumptionSpike = async (item, latestCount, previousCount, stats) =
   }
   
   const consumption = Math.abs(change);
+  if (!isAnomalousChange(change, stats)) {
+    return null;
+  }
   
-  if (isAnomalousChange(change, stats)) {
+  // Check for planned jobs needed between counts
+  const windowMs = PLANNED_DEMAND_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const plans = await PlannedDemand.getForItem(
+    item._id,
+    new Date(new Date(previousCount.countDate).getTime() - windowMs),
+    new Date(new Date(latestCount.countDate).getTime() + windowMs)
+  );
+  const plannedQty = getExplainedQuantity(plans, item._id, previousCount.countDate, latestCount.countDate);
+  const unexplainedConsumption = Math.max(0, consumption - plannedQty);
+  
+  // Only a spike if what is left is still unusually high (not unusually low)
+  if (-unexplainedConsumption < stats.mean && isAnomalousChange(-unexplainedConsumption, stats)) {
     const expectedConsumption = Math.abs(stats.mean);
-    const deviation = ((consumption - expectedConsumption) / expectedConsumption) * 100;
+    const deviation = ((unexplainedConsumption - expectedConsumption) / expectedConsumption) * 100;
+    const plannedNote = plannedQty > 0 ? ` after ${plannedQty} units for planned jobs` : '';
     
     return {
       type: 'consumption_spike',
       severity: deviation > 200 ? 'high' : 'medium',
       details: {
         consumption,
+        plannedQty,
+        unexplainedConsumption,
         expectedConsumption: Math.round(expectedConsumption * 10) / 10,
         deviation: Math.round(deviation),
         previousCount: previousCount.count,
         currentCount: latestCount.count
       },
-      message: `Consumption of ${consumption} units is ${Math.round(deviation)}% higher than expected ${Math.round(expectedConsumption)} units.`
+      message: `Consumption of ${consumption} units${plannedNote} is ${Math.round(deviation)}% higher than expected ${Math.round(expectedConsumption)} units.`
     };
   }
   
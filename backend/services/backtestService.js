@@ -0,0 +1,246 @@
+/**
+ * Backtest Service
+ *
+ * Walk-forward (rolling origin) evaluation of the forecasting methods.
+ * For every origin in an item's consumption history the methods only see
+ * the weeks before the origin, forecast the following `horizon` weeks, and
+ * the forecasts are scored against what was actually consumed.
+ */
+
+const { InventoryItem } = require('../models');
+const { logger } = require('../config/db');
+const forecastService = require('./forecastService');
+const forecastMethods = require('./forecastMethods');
+const { calculateErrorMetrics, pickBestMethod } = require('../utils/forecastMetrics');
+const { ENSEMBLE_BACKTEST_WEEKS, calculateEnsembleWeights } = require('../utils/ensembleForecast');
+
+// Configuration
+const CONFIG = {
+  // Weeks ahead forecast from each origin
+  DEFAULT_HORIZON: 4,
+  // Weeks of consumption history replayed per item
+  DEFAULT_HISTORY_WEEKS: 52,
+  // Weeks between consecutive origins
+  DEFAULT_STEP: 1,
+  // Upper bounds for requested values
+  MAX_HORIZON: 26,
+  MAX_HISTORY_WEEKS: 260,
+  MAX_STEP: 52
+};
+
+/**
+ * Methods that can be backtested, keyed by forecast `method` name.
+ * Returns null for an origin where the method cannot forecast yet.
+ */
+const getBacktestMethods = (exclude = []) => {
+  const methods = {};
+
+  for (const name of forecastMethods.getMethodNames()) {
+    const method = forecastMethods.getMethod(name);
+    if (!method.isAvailable() || exclude.includes(name)) continue;
+
+    methods[name] = (history, weeks, context) => {
+      if (!forecastMethods.canUseMethod(method, history)) return null;
+
+      return method.predict(history, weeks, {
+        ...context,
+        startDate: history[history.length - 1].date,
+        skipUncertainty: true
+      }).values;
+    };
+  }
+
+  return methods;
+};
+
+/**
+ * Replay a single consumption history with rolling origins
+ * Returns the raw { actual, predicted } pairs per method
+ */
+const runWalkForward = (history, methods, options, context) => {
+  const { minHistory } = options;
+  // Origins must move forward, or the loop never ends
+  const horizon = Math.max(1, Math.floor(options.horizon) || 1);
+  const step = Math.max(1, Math.floor(options.step) || 1);
+  const pairs = {};
+  let origins = 0;
+
+  Object.keys(methods).forEach(method => { pairs[method] = []; });
+
+  for (let origin = minHistory; origin + horizon <= history.length; origin += step) {
+    const training = history.slice(0, origin);
+    const actuals = history.slice(origin, origin + horizon);
+    origins++;
+
+    for (const [method, predict] of Object.entries(methods)) {
+      const predicted = predict(training, horizon, context);
+      if (!predicted) continue;
+
+      actuals.forEach((actual, i) => {
+        pairs[method].push({
+          actual: actual.consumption,
+          predicted: predicted[i],
+          horizonWeek: i + 1
+        });
+      });
+    }
+  }
+
+  return { origins, pairs };
+};
+
+/**
+ * Backtest a single item
+ */
+const backtestItem = async (item, options = {}) => {
+  const horizon = options.horizon || CONFIG.DEFAULT_HORIZON;
+  const step = options.step || CONFIG.DEFAULT_STEP;
+  const weeks = options.weeks || CONFIG.DEFAULT_HISTORY_WEEKS;
+  const methods = options.methods || getBacktestMethods();
+  const minHistory = forecastService.CONFIG.SEQUENCE_LENGTH;
+
+  const history = await forecastService.getWeeklyHistory(item._id, weeks, options.dataFilter);
+
+  const { origins, pairs } = runWalkForward(
+    history,
+    methods,
+    { horizon, step, minHistory },
+    {
+      itemId: item._id,
+      category: item.category,
+      seasonRegion: item.seasonRegion,
+      ensembleWeights: forecastService.getEnsembleWeights(item)
+    }
+  );
+
+  const metrics = {};
+  for (const [method, methodPairs] of Object.entries(pairs)) {
+    metrics[method] = calculateErrorMetrics(methodPairs);
+  }
+
+  return {
+    itemId: item._id,
+    itemName: item.displayName || item.name,
+    sku: item.sku,
+    category: item.category,
+    historyPoints: history.length,
+    origins,
+    metrics,
+    bestMethod: pickBestMethod(metrics),
+    pairs
+  };
+};
+
+/**
+ * Backtest all active items (optionally filtered) and aggregate the results
+ * per item, per category and overall
+ */
+const runBacktest = async (options = {}) => {
+  const query = { isActive: true };
+  if (options.itemId) query._id = options.itemId;
+  if (options.category) query.category = options.category;
+
+  const items = await InventoryItem.find(query);
+  const methods = getBacktestMethods();
+  const methodNames = Object.keys(methods);
+  const dataFilter = await forecastService.createDataFilter();
+
+  const itemResults = [];
+  const categoryPairs = {};
+  const overallPairs = {};
+  methodNames.forEach(method => { overallPairs[method] = []; });
+
+  for (const item of items) {
+    try {
+      const result = await backtestItem(item, { ...options, methods, dataFilter });
+      if (result.origins === 0) continue;
+
+      const category = item.category || 'other';
+      if (!categoryPairs[category]) {
+        categoryPairs[category] = {};
+        methodNames.forEach(method => { categoryPairs[category][method] = []; });
+      }
+
+      for (const method of methodNames) {
+        categoryPairs[category][method].push(...result.pairs[method]);
+        overallPairs[method].push(...result.pairs[method]);
+      }
+
+      const { pairs, ...summary } = result;
+      itemResults.push(summary);
+    } catch (error) {
+      logger.error(`Backtest failed for item ${item._id}:`, error);
+    }
+  }
+
+  const summarize = (pairsByMethod) => {
+    const metrics = {};
+    for (const [method, methodPairs] of Object.entries(pairsByMethod)) {
+      metrics[method] = calculateErrorMetrics(methodPairs);
+    }
+    return { metrics, bestMethod: pickBestMethod(metrics) };
+  };
+
+  const byCategory = {};
+  for (const [category, pairsByMethod] of Object.entries(categoryPairs)) {
+    byCategory[category] = summarize(pairsByMethod);
+  }
+
+  return {
+    config: {
+      horizon: options.horizon || CONFIG.DEFAULT_HORIZON,
+      step: options.step || CONFIG.DEFAULT_STEP,
+      weeks: options.weeks || CONFIG.DEFAULT_HISTORY_WEEKS,
+      methods: methodNames,
+      // The stored LSTM was trained on the same history it is replayed against
+      lstmInSample: methodNames.includes('lstm')
+    },
+    itemsEvaluated: itemResults.length,
+    overall: summarize(overallPairs),
+    byCategory,
+    items: itemResults
+  };
+};
+
+/**
+ * Learn each active item's ensemble weights from a backtest of the other
+ * methods over its recent history (see utils/ensembleForecast) and store
+ * them on the item; items without enough history fall back to equal weights
+ * options.onProgress / options.shouldCancel as for forecast updates
+ */
+const refreshEnsembleWeights = async (options = {}) => {
+  const onProgress = options.onProgress || (() => {});
+  const shouldCancel = options.shouldCancel || (() => false);
+  const items = await InventoryItem.find({ isActive: true });
+  const methods = getBacktestMethods(['ensemble']);
+  const dataFilter = await forecastService.createDataFilter();
+  let weighted = 0;
+  let processed = 0;
+
+  for (const item of items) {
+    if (shouldCancel()) break;
+    onProgress({ phase: 'weighting', completed: processed, total: items.length });
+    processed++;
+
+    try {
+      const result = await backtestItem(item, { methods, dataFilter, weeks: ENSEMBLE_BACKTEST_WEEKS });
+      const weights = calculateEnsembleWeights(result.metrics);
+      await InventoryItem.findByIdAndUpdate(item._id, {
+        ensembleWeights: { weights: weights || {}, origins: result.origins, calculatedAt: new Date() }
+      });
+      if (weights) weighted++;
+    } catch (error) {
+      logger.warn(`Ensemble weights not updated for item ${item._id}: ${error.message}`);
+    }
+  }
+
+  return { itemsWeighted: weighted, itemsEqualWeights: processed - weighted };
+};
+
+module.exports = {
+  CONFIG,
+  refreshEnsembleWeights,
+  runBacktest,
+  backtestItem,
+  runWalkForward
+};
@@ -0,0 +1,76 @@
+/**
+ * Board-Foot Service
+ *
+ * Reports actual consumption history, forecasts, stock and reorder quantities
+ * of all active items in board feet, totalled by species/dimension family or by
+ * category, for buying from mills (see utils/boardFeet).
+ */
+
+const { InventoryItem, InventoryCount } = require('../models');
+const { logger } = require('../config/db');
+const forecastService = require('./forecastService');
+const { aggregateBoardFeet } = require('../utils/boardFeet');
+
+const DEFAULT_HISTORY_WEEKS = 12;
+
+/**
+ * options:
+ *   groupBy   'family' (default) or 'category'
+ *   weeks     weeks of consumption history (default 12); the history is what
+ *             was consumed, without the planned-job and outlier cleanup the
+ *             forecast trains on
+ *   days      forecast horizon in days (default CONFIG.FORECAST_DAYS)
+ *   category  only items of one category
+ */
+const getBoardFeetReport = async (options = {}) => {
+  const groupBy = options.groupBy || 'family';
+  const weeks = options.weeks || DEFAULT_HISTORY_WEEKS;
+  const days = options.days || forecastService.CONFIG.FORECAST_DAYS;
+
+  const query = { isActive: true };
+  if (options.category) query.category = options.category;
+
+  const [items, vendors, dataFilter] = await Promise.all([
+    InventoryItem.find(query),
+    forecastService.getOrderingVendors(),
+    forecastService.createDataFilter()
+  ]);
+
+  const reconciliation = await forecastService.reconcileItems(items, Math.ceil(days / 7));
+  const entries = [];
+  const failed = [];
+
+  for (const item of items) {
+    try {
+      const forecast = await forecastService.generateForecast(item._id, days, { simulate: true, reconciliation });
+      const history = await InventoryCount.getConsumptionSeries(item._id, weeks, 'week', {
+        excludeCount: dataFilter.excludeCount
+      });
+      const recommendation = forecastService.buildReorderRecommendation(item, forecast, vendors);
+
+      entries.push({
+        item,
+        currentStock: item.currentStock,
+        onOrder: forecast.summary.onOrder,
+        reorderQty: recommendation ? recommendation.recommendedOrderQty : 0,
+        history: history.filter(w => !w.missing),
+        forecast: forecast.predictions
+      });
+    } catch (error) {
+      logger.warn(`Board-foot report skipped item ${item._id}: ${error.message}`);
+      failed.push({ itemId: item._id, sku: item.sku, error: error.message });
+    }
+  }
+
+  return {
+    groupBy,
+    historyWeeks: weeks,
+    forecastDays: days,
+    ...aggregateBoardFeet(entries, groupBy),
+    failed
+  };
+};
+
+module.exports = {
+  getBoardFeetReport
+};
@@ -0,0 +1,119 @@
+/**
+ * External Signal Service
+ *
+ * Stores uploaded external demand signals and keeps them loaded into
+ * utils/externalSignals, which the LSTM feature code reads synchronously.
+ * Reload after every change.
+ */
+
+const { ExternalSignal, ExternalSignalValue } = require('../models');
+const { logger } = require('../config/db');
+const { setExternalSignals } = require('../utils/externalSignals');
+
+// Load all signals and their values into memory
+const loadExternalSignals = async () => {
+  const [definitions, values] = await Promise.all([
+    ExternalSignal.find().lean(),
+    ExternalSignalValue.find().select('signal region date value').lean()
+  ]);
+
+  setExternalSignals(
+    definitions,
+    values.map(v => ({ name: v.signal, region: v.region, date: v.date, value: v.value }))
+  );
+  logger.info(`Loaded ${definitions.length} external signal(s) with ${values.length} values`);
+  return definitions;
+};
+
+// Signals with the values uploaded per region
+const listExternalSignals = async () => {
+  const [definitions, coverage] = await Promise.all([
+    ExternalSignal.find().sort({ name: 1 }).lean(),
+    ExternalSignalValue.getCoverage()
+  ]);
+
+  return definitions.map(definition => {
+    const regions = coverage
+      .filter(c => c._id.signal === definition.name)
+      .map(c => ({ region: c._id.region, count: c.count, from: c.from, to: c.to }));
+
+    return {
+      ...definition,
+      regions,
+      valueCount: regions.reduce((sum, r) => sum + r.count, 0)
+    };
+  });
+};
+
+// Store parsed rows (utils/externalSignals parseSignalRows); values for an
+// existing date and region are replaced, new signal names are created unselected
+const importSignalRows = async (rows, userId) => {
+  const names = [...new Set(rows.map(row => row.name))];
+
+  await ExternalSignal.bulkWrite(names.map(name => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { name, label: name.replace(/_/g, ' '), updatedBy: userId } },
+      upsert: true
+    }
+  })));
+
+  const result = await ExternalSignalValue.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { signal: row.name, region: row.region, date: row.date },
+      update: { $set: { value: row.value, uploadedBy: userId } },
+      upsert: true
+    }
+  })));
+
+  await loadExternalSignals();
+
+  return {
+    signals: names,
+    created: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
+
+// Change a signal's label, aggregation or model selection
+const updateExternalSignal = async (name, updates, userId) => {
+  const signal = await ExternalSignal.findOneAndUpdate(
+    { name },
+    { ...updates, updatedBy: userId },
+    { new: true, runValidators: true }
+  );
+  if (signal) await loadExternalSignals();
+  return signal;
+};
+
+// Remove a signal and all its values
+const deleteExternalSignal = async (name) => {
+  const result = await ExternalSignal.deleteOne({ name });
+  if (result.deletedCount === 0) return false;
+
+  await ExternalSignalValue.deleteMany({ signal: name });
+  await loadExternalSignals();
+  return true;
+};
+
+// Stored values of a signal, optionally for one region and date range
+const getSignalValues = async (name, options = {}) => {
+  const query = { signal: name };
+  if (options.region !== undefined) query.region = options.region || null;
+  if (options.from || options.to) {
+    query.date = {};
+    if (options.from) query.date.$gte = options.from;
+    if (options.to) query.date.$lte = options.to;
+  }
+
+  return await ExternalSignalValue.find(query).sort({ date: 1 }).select('region date value').lean();
+};
+
+module.exports = {
+  loadExternalSignals,
+  listExternalSignals,
+  importSignalRows,
+  updateExternalSignal,
+  deleteExternalSignal,
+  getSignalValues
+};
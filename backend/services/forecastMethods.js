@@ -0,0 +1,234 @@
+/**
+ * Forecast Method Registry
+ *
+ * Forecasting methods register themselves here by name. Each method is a
+ * plain object:
+ *   {
+ *     name,          // reported in the forecast `method` field
+ *     label,         // human readable name
+ *     minHistory,    // minimum consumption history entries needed
+ *     isAvailable,   // () => boolean (e.g. LSTM needs a trained model)
+ *     canForecast,   // optional (history) => boolean for extra checks
+ *     predict        // (history, weeks, context) => { values, sigmas, details }
+ *   }
+ *
+ * The global default comes from FORECAST_METHOD ('auto' unless set) and can be
+ * overridden per item with `InventoryItem.forecastMethod`.
+ */
+
+const {
+  simpleAverage,
+  seasonalNaive,
+  canSeasonalNaive,
+  holtWinters,
+  croston,
+  canCroston
+} = require('../utils/statisticalForecasting');
+const { resolveEnsembleWeights, combineForecasts } = require('../utils/ensembleForecast');
+
+const methods = new Map();
+
+// Order in which 'auto' tries methods; the first usable one wins
+const AUTO_ORDER = ['ensemble', 'lstm', 'holt_winters', 'simple_average'];
+
+// Methods 'auto' prefers for each demand pattern (see utils/demandClassification)
+const PATTERN_METHODS = {
+  smooth: ['ensemble', 'lstm', 'holt_winters', 'simple_average'],
+  erratic: ['ensemble', 'holt_winters', 'simple_average'],
+  intermittent: ['sba', 'croston', 'simple_average'],
+  lumpy: ['tsb', 'sba', 'simple_average']
+};
+
+const DEFAULT_METHOD = process.env.FORECAST_METHOD || 'auto';
+
+/**
+ * Register (or replace) a forecasting method
+ */
+const registerMethod = (definition) => {
+  if (!definition.name || typeof definition.predict !== 'function') {
+    throw new Error('Forecast method needs a name and a predict function');
+  }
+
+  methods.set(definition.name, {
+    label: definition.name,
+    minHistory: 0,
+    isAvailable: () => true,
+    ...definition
+  });
+};
+
+const getMethod = (name) => methods.get(name) || null;
+
+/**
+ * Can this method produce a forecast from this history right now?
+ */
+const canUseMethod = (method, history) => {
+  if (!method || !method.isAvailable()) return false;
+  if (history.length < method.minHistory) return false;
+  return method.canForecast ? method.canForecast(history) : true;
+};
+
+/**
+ * Pick the method for a forecast.
+ * `requested` is the item's setting (or an explicit override); 'auto' and
+ * unusable requests fall through to the global default, then the methods for
+ * the item's demand pattern, then AUTO_ORDER.
+ * `basis` tells which of these the chosen method came from.
+ */
+const selectMethod = (requested, history, options = {}) => {
+  const candidates = [];
+  if (requested && requested !== 'auto') candidates.push({ name: requested, basis: 'item' });
+  if (DEFAULT_METHOD !== 'auto') candidates.push({ name: DEFAULT_METHOD, basis: 'default' });
+  (PATTERN_METHODS[options.demandPattern] || []).forEach(name => {
+    candidates.push({ name, basis: 'demand_pattern' });
+  });
+  AUTO_ORDER.forEach(name => candidates.push({ name, basis: 'auto' }));
+
+  for (const { name, basis } of candidates) {
+    const method = getMethod(name);
+    if (canUseMethod(method, history)) {
+      return {
+        method,
+        requested: requested || 'auto',
+        fallback: Boolean(requested && requested !== 'auto' && requested !== name),
+        basis
+      };
+    }
+  }
+
+  return {
+    method: getMethod('simple_average'),
+    requested: requested || 'auto',
+    fallback: true,
+    basis: 'auto'
+  };
+};
+
+/**
+ * Registered methods with their current availability
+ */
+const listMethods = () => Array.from(methods.values()).map(method => ({
+  name: method.name,
+  label: method.label,
+  description: method.description,
+  minHistory: method.minHistory,
+  available: method.isAvailable()
+}));
+
+const getMethodNames = () => Array.from(methods.keys());
+
+// Built-in dependency-free methods
+registerMethod({
+  name: 'simple_average',
+  label: 'Simple Average',
+  description: 'Average weekly consumption over the last 12 weeks',
+  minHistory: 0,
+  predict: (history, weeks, context = {}) => simpleAverage(history, weeks, { startDate: context.startDate })
+});
+
+registerMethod({
+  name: 'holt_winters',
+  label: 'Holt-Winters (ETS)',
+  description: 'Exponential smoothing with damped trend and a yearly seasonal component',
+  minHistory: 8,
+  predict: (history, weeks, context = {}) => holtWinters(history, weeks, {
+    startDate: context.startDate,
+    region: context.seasonRegion
+  })
+});
+
+registerMethod({
+  name: 'seasonal_naive',
+  label: 'Seasonal Naive',
+  description: 'Repeats consumption from the same week last year',
+  minHistory: 2,
+  canForecast: canSeasonalNaive,
+  predict: (history, weeks, context = {}) => seasonalNaive(history, weeks, { startDate: context.startDate })
+});
+
+// Intermittent-demand methods (specialty / composite items)
+registerMethod({
+  name: 'croston',
+  label: 'Croston',
+  description: 'Intermittent demand: smooths demand size and interval between demands',
+  minHistory: 4,
+  canForecast: canCroston,
+  predict: (history, weeks) => croston(history, weeks, { variant: 'croston' })
+});
+
+registerMethod({
+  name: 'sba',
+  label: 'Syntetos-Boylan (SBA)',
+  description: 'Bias-corrected Croston for intermittent demand',
+  minHistory: 4,
+  canForecast: canCroston,
+  predict: (history, weeks) => croston(history, weeks, { variant: 'sba' })
+});
+
+registerMethod({
+  name: 'tsb',
+  label: 'Teunter-Syntetos-Babai (TSB)',
+  description: 'Intermittent demand with decaying demand probability',
+  minHistory: 4,
+  canForecast: canCroston,
+  predict: (history, weeks) => croston(history, weeks, { variant: 'tsb' })
+});
+
+// Weighted combination of the other methods (see utils/ensembleForecast);
+// context.ensembleWeights holds the item's learned { weights, calculatedAt }
+const getEnsembleComponents = (history) => getMethodNames()
+  .filter(name => name !== 'ensemble')
+  .map(getMethod)
+  .filter(method => canUseMethod(method, history));
+
+registerMethod({
+  name: 'ensemble',
+  label: 'Ensemble',
+  description: 'Weighted combination of the available methods, weighted by recent backtest error',
+  minHistory: 2,
+  canForecast: (history) => getEnsembleComponents(history).length >= 2,
+  predict: (history, weeks, context = {}) => {
+    const learned = context.ensembleWeights || null;
+    const { basis, weights } = resolveEnsembleWeights(
+      learned && learned.weights,
+      getEnsembleComponents(history).map(method => method.name),
+      AUTO_ORDER.filter(name => name !== 'ensemble')
+    );
+
+    const components = Object.entries(weights).map(([name, weight]) => ({
+      method: name,
+      weight,
+      ...getMethod(name).predict(history, weeks, context)
+    }));
+    const combined = combineForecasts(components, weeks);
+    const lstm = components.find(c => c.method === 'lstm');
+
+    return {
+      ...combined,
+      details: {
+        ...(lstm && { modelVersion: lstm.details.modelVersion, modelKey: lstm.details.modelKey }),
+        ensemble: {
+          basis,
+          calculatedAt: basis === 'backtest' ? learned.calculatedAt : null,
+          components: components.map(c => ({
+            method: c.method,
+            weight: Math.round(c.weight * 1000) / 1000,
+            values: c.values.map(v => Math.round(v * 100) / 100)
+          }))
+        }
+      }
+    };
+  }
+});
+
+module.exports = {
+  DEFAULT_METHOD,
+  AUTO_ORDER,
+  PATTERN_METHODS,
+  registerMethod,
+  getMethod,
+  canUseMethod,
+  selectMethod,
+  listMethods,
+  getMethodNames
+};
@@ -13,18 +13,94 @@ try {
   console.warn('TensorFlow.js not available. Forecast features will be limited.');
 }
 
-const { InventoryItem, InventoryCount } = require('../models');
+const {
+  InventoryItem,
+  InventoryCount,
+  Order,
+  ModelVersion,
+  ScopedModel,
+  Alert,
+  ForecastSnapshot,
+  Vendor,
+  PlannedDemand,
+  ExternalSignal,
+  ForecastOverride
+} = require('../models');
 const { logger } = require('../config/db');
+const forecastMethods = require('./forecastMethods');
+const { classifyDemand } = require('../utils/demandClassification');
+const { fillGaps } = require('../utils/timeSeries');
+const { resolvePolicy, createTrainingDataFilter } = require('../utils/trainingDataPolicy');
+const { calculateErrorMetrics, compareSnapshotsToActuals } = require('../utils/forecastMetrics');
+const { getServiceLevel, calculateReorderPoint } = require('../utils/safetyStock');
+const { recommendOrderQuantity } = require('../utils/orderQuantity');
+const {
+  collectOpenOrders,
+  sumOnOrder,
+  calculateStockoutDays,
+  applyReceiptsToPredictions
+} = require('../utils/openOrders');
+const {
+  getDemandMultiplier,
+  findLeadTimeOverride,
+  applyLeadTimeOverride,
+  delayReceipts,
+  getSeasonShiftOffsets,
+  warpValues
+} = require('../utils/scenario');
+const { seedFromString, simulateStockoutRisk } = require('../utils/stockoutSimulation');
+const { spreadPlannedDemand, removePlannedFromHistory } = require('../utils/plannedDemand');
+const { calculateBoardFeetPerUnit, toBoardFeet } = require('../utils/boardFeet');
+const { getSignalScaling, getSignalFeature } = require('../utils/externalSignals');
+const {
+  MODEL_HOLDOUT_WEEKS,
+  MODEL_PROMOTION_MARGIN,
+  MODEL_PROMOTION_METRIC,
+  collectHoldoutPairs,
+  decidePromotion
+} = require('../utils/modelPromotion');
+const {
+  MODEL_SCOPE,
+  GLOBAL_KEY,
+  modelKey,
+  planModelScopes,
+  resolveModelKey
+} = require('../utils/modelScopes');
+const {
+  FORECAST_RECONCILIATION,
+  getReconciliationGroup,
+  sumHistories,
+  reconcileForecasts,
+  applyReconciliation
+} = require('../utils/forecastReconciliation');
+const {
+  COLD_START_MIN_WEEKS,
+  COLD_START_MAX_ANALOGS,
+  findAnalogs,
+  buildColdStartHistory
+} = require('../utils/coldStart');
+const {
+  applyDemandOverrides,
+  applyLevelOverrides,
+  describeOverride
+} = require('../utils/forecastOverrides');
 const {
   getSeasonIndicator,
   getNormalizedDayOfYear,
   calculateDynamicMinimum,
   calculateTarget
 } = require('../utils/seasonHelper');
+const {
+  parseConfidenceLevels,
+  standardDeviation,
+  addIntervalsToPredictions,
+  calculateStockoutInterval
+} = require('../utils/predictionIntervals');
 
 // Model configuration
 const CONFIG = {
   SEQUENCE_LENGTH: parseInt(process.env.SEQUENCE_LENGTH) || 12,
+  // Base features; each external signal selected for the model adds one
   FEATURES: 3,
   LSTM_UNITS_1: 64,
   LSTM_UNITS_2: 32,
@@ -34,11 +110,31 @@ const CONFIG = {
   BATCH_SIZE: 32,
   LEARNING_RATE: 0.001,
   VALIDATION_SPLIT: 0.2,
-  FORECAST_DAYS: parseInt(process.env.FORECAST_DAYS) || 45
+  FORECAST_DAYS: parseInt(process.env.FORECAST_DAYS) || 45,
+  // Weeks of consumption history handed to forecasting methods
+  HISTORY_WEEKS: parseInt(process.env.FORECAST_HISTORY_WEEKS) || 156,
+  // Weeks of consumption history used to classify the demand pattern
+  CLASSIFICATION_WEEKS: parseInt(process.env.DEMAND_CLASSIFICATION_WEEKS) || 52,
+  // Observed weeks needed before safety stock replaces the days-of-supply minimum
+  SAFETY_STOCK_MIN_WEEKS: 8,
+  MODEL_VERSIONS_KEPT: parseInt(process.env.MODEL_VERSIONS_KEPT) || 10,
+  // Hours a group's reconciliation is reused by single-item forecasts
+  RECONCILIATION_CACHE_HOURS: parseFloat(process.env.RECONCILIATION_CACHE_HOURS) || 24
 };
 
+const BASE_FEATURES = ['consumption', 'season', 'dayOfYear'];
+
 let globalModel = null;
-const itemNormParams = new Map();
+// Category and item models of the loaded version (see utils/modelScopes)
+let scopedModels = new Map();
+// Reconciled groups by method, horizon and group: { reconciledAt, items:
+// Map(itemId -> entry) }, kept until they expire, the next forecast update
+// or a model change (see reconcileItems)
+const reconciledGroups = new Map();
+let itemNormParams = new Map();
+let activeModelInfo = null;
+// External signals of the loaded model with their training-time scaling
+let modelSignals = [];
 
 // Check if TensorFlow is available
 const isTensorFlowAvailable = () => {
@@ -50,7 +146,7 @@ const isTensorFlowAvailable = () => {
 };
 
 // Create LSTM model architecture
-const createModel = () => {
+const createModel = (featureCount = CONFIG.FEATURES) => {
   if (!isTensorFlowAvailable()) {
     throw new Error('TensorFlow.js is not available');
   }
@@ -59,7 +155,7 @@ const createModel = () => {
   model.add(tf.layers.lstm({
     units: CONFIG.LSTM_UNITS_1,
     returnSequences: true,
-    inputShape: [CONFIG.SEQUENCE_LENGTH, CONFIG.FEATURES]
+    inputShape: [CONFIG.SEQUENCE_LENGTH, featureCount]
   }));
   
   model.add(tf.layers.dropout({ rate: CONFIG.DROPOUT_RATE }));
@@ -90,74 +186,399 @@ const createModel = () => {
   return model;
 };
 
+// Training data filter for one run (see utils/trainingDataPolicy)
+// policyOverrides are merged into the configured policy
+const createDataFilter = async (policyOverrides = {}) => {
+  const policy = resolvePolicy(policyOverrides);
+  
+  const unresolvedCountIds = policy.excludeUnresolvedAnomalies
+    ? await Alert.find({
+      type: 'anomaly_detected',
+      status: { $in: ['active', 'acknowledged'] },
+      'anomalyDetails.countId': { $exists: true }
+    }).distinct('anomalyDetails.countId')
+    : [];
+  
+  return createTrainingDataFilter(policy, unresolvedCountIds);
+};
+
+// Weekly consumption with past planned jobs taken out (see utils/plannedDemand)
+// and the training data policy applied
+const getBaselineSeries = async (itemId, weeks, filter) => {
+  const series = await InventoryCount.getConsumptionSeries(itemId, weeks, 'week', {
+    excludeCount: filter.excludeCount
+  });
+  const since = series.length > 0 ? series[0].date : new Date();
+  const plans = await PlannedDemand.getForItem(itemId, since, new Date());
+  return filter.winsorize(removePlannedFromHistory(series, plans, itemId), itemId);
+};
+
+// Weekly consumption series for forecasting: regular ISO weeks with the
+// training data policy applied and interior gaps interpolated (see utils/timeSeries)
+const getWeeklyHistory = async (itemId, weeks, dataFilter = null) => {
+  const filter = dataFilter || await createDataFilter();
+  return fillGaps(await getBaselineSeries(itemId, weeks, filter));
+};
+
+// New items borrow the weekly demand of analogous items (same category and
+// unit, closest size) until they have enough history of their own (see utils/coldStart)
+const getColdStartHistory = async (item, history, dataFilter = null) => {
+  if (history.filter(w => !w.imputed).length >= COLD_START_MIN_WEEKS) return null;
+  
+  const candidates = await InventoryItem.find({
+    _id: { $ne: item._id },
+    isActive: true,
+    category: item.category,
+    unitOfMeasure: item.unitOfMeasure
+  });
+  const ranked = findAnalogs(item, candidates, candidates.length);
+  if (ranked.length === 0) return null;
+  
+  // Most similar analogs that have enough history themselves
+  const filter = dataFilter || await createDataFilter();
+  const analogs = [];
+  for (const analog of ranked) {
+    const analogHistory = await getWeeklyHistory(analog.item._id, CONFIG.HISTORY_WEEKS, filter);
+    if (analogHistory.filter(w => !w.imputed).length < COLD_START_MIN_WEEKS) continue;
+    analogs.push({ ...analog, history: analogHistory });
+    if (analogs.length === COLD_START_MAX_ANALOGS) break;
+  }
+  
+  return buildColdStartHistory(history, analogs);
+};
+
+// Model input for one week: normalized consumption, season, day of year and
+// the external signals (see utils/externalSignals), in the region's values
+const buildFeatureVector = (consumption, date, seasonRegion, signals) => [
+  consumption,
+  getSeasonIndicator(date, seasonRegion),
+  getNormalizedDayOfYear(date),
+  ...signals.map(signal => getSignalFeature(signal, date, seasonRegion))
+];
+
 // Prepare data for training
-const prepareItemData = async (itemId) => {
-  const history = await InventoryCount.getConsumptionHistory(itemId, 52);
+// Training windows that contain a missing week are skipped rather than imputed
+// Season features and regional signals follow the item's season calendar region
+// The last holdoutWeeks are left out to compare models on (see utils/modelPromotion)
+const prepareItemData = async (itemId, dataFilter, seasonRegion = null, signals = [], holdoutWeeks = 0) => {
+  const series = await getBaselineSeries(itemId, 52, dataFilter);
+  const training = series.slice(0, series.length - holdoutWeeks);
+  const observed = training.filter(w => !w.missing);
   
-  if (history.length < CONFIG.SEQUENCE_LENGTH + 1) {
+  if (observed.length < CONFIG.SEQUENCE_LENGTH + 1) {
     return null;
   }
   
-  const consumptions = history.map(h => h.consumption);
+  const consumptions = observed.map(w => w.consumption);
   const maxConsumption = Math.max(...consumptions) || 1;
   
-  const features = history.map(h => ({
-    consumption: h.consumption / maxConsumption,
-    season: getSeasonIndicator(h.date),
-    dayOfYear: getNormalizedDayOfYear(h.date)
-  }));
+  const features = training.map(w => (w.missing
+    ? null
+    : buildFeatureVector(w.consumption / maxConsumption, w.date, seasonRegion, signals)));
   
   const sequences = [];
   const targets = [];
   
   for (let i = 0; i < features.length - CONFIG.SEQUENCE_LENGTH; i++) {
-    sequences.push(features.slice(i, i + CONFIG.SEQUENCE_LENGTH)
-      .map(f => [f.consumption, f.season, f.dayOfYear]));
-    targets.push(features[i + CONFIG.SEQUENCE_LENGTH].consumption);
+    const window = features.slice(i, i + CONFIG.SEQUENCE_LENGTH + 1);
+    if (window.some(f => f === null)) continue;
+    
+    sequences.push(window.slice(0, CONFIG.SEQUENCE_LENGTH));
+    targets.push(window[CONFIG.SEQUENCE_LENGTH][0]);
+  }
+  
+  if (sequences.length === 0) {
+    return null;
   }
   
-  return { sequences, targets, maxConsumption, itemId };
+  return { sequences, targets, maxConsumption, itemId, series, volume: consumptions.reduce((sum, c) => sum + c, 0) };
+};
+
+// External signals selected for the model, scaled over their current values;
+// selected signals without values are skipped
+const getTrainingSignals = async () => {
+  const selected = await ExternalSignal.getModelSignals();
+  const signals = selected.map(getSignalScaling).filter(Boolean);
+  
+  return {
+    signals,
+    skipped: selected.filter(name => !signals.some(signal => signal.name === name))
+  };
 };
 
-// Prepare global training data
-const prepareGlobalTrainingData = async () => {
+// Prepare global training data, with each item's full series as hold-out data
+// and its windows in byItem for the scoped models
+const prepareGlobalTrainingData = async (policyOverrides = {}, holdoutWeeks = 0) => {
   const items = await InventoryItem.find({ isActive: true });
+  const dataFilter = await createDataFilter(policyOverrides);
+  const { signals, skipped } = await getTrainingSignals();
   
   let allSequences = [];
   let allTargets = [];
+  const normParams = new Map();
+  const holdout = [];
+  const byItem = [];
   
   for (const item of items) {
-    const data = await prepareItemData(item._id);
+    const data = await prepareItemData(item._id, dataFilter, item.seasonRegion, signals, holdoutWeeks);
     if (data) {
       allSequences = allSequences.concat(data.sequences);
       allTargets = allTargets.concat(data.targets);
-      itemNormParams.set(item._id.toString(), data.maxConsumption);
+      normParams.set(item._id.toString(), data.maxConsumption);
+      holdout.push({ itemId: item._id, category: item.category, seasonRegion: item.seasonRegion, series: data.series });
+      byItem.push({
+        itemId: item._id,
+        category: item.category,
+        sequences: data.sequences,
+        targets: data.targets,
+        volume: data.volume
+      });
+    }
+  }
+  
+  return allSequences.length > 0
+    ? {
+      sequences: allSequences,
+      targets: allTargets,
+      normParams,
+      holdout,
+      byItem,
+      dataPolicy: dataFilter.report(),
+      signals,
+      skippedSignals: skipped
     }
+    : null;
+};
+
+// Serialize a trained model into plain artifacts that can be stored in MongoDB
+const serializeModel = async (model) => {
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: 'JSON'
+      }
+    };
+  }));
+  
+  // tfjs >= 4.10 may hand back the weights as a list of buffers
+  const weightData = Array.isArray(artifacts.weightData)
+    ? tf.io.concatenateArrayBuffers(artifacts.weightData)
+    : artifacts.weightData;
+  
+  return {
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData: Buffer.from(weightData)
+  };
+};
+
+// Rebuild a model from stored artifacts
+const deserializeModel = async (artifacts) => {
+  const buffer = artifacts.weightData;
+  const weightData = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  
+  return await tf.loadLayersModel(tf.io.fromMemory({
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData
+  }));
+};
+
+// The loaded version's models: { global, scoped: Map(key -> model), signals }
+const activeModelSet = () => ({ global: globalModel, scoped: scopedModels, signals: modelSignals });
+
+// The model of a set that serves an item (see utils/modelScopes): { key, model, signals }
+const selectModel = (set, item) => {
+  const key = resolveModelKey(item, set.scoped);
+  return { key, model: key === GLOBAL_KEY ? set.global : set.scoped.get(key), signals: set.signals };
+};
+
+// Rebuild the global and scoped models of a stored version
+const deserializeModelSet = async (modelVersion) => {
+  const stored = await ScopedModel.getForVersion(modelVersion.version);
+  const expected = (modelVersion.scopedModels || []).length;
+  if (stored.length < expected) {
+    logger.warn(`Model v${modelVersion.version} has ${stored.length} of ${expected} scoped models, the others use the global model`);
+  }
+  
+  const scoped = new Map();
+  for (const entry of stored) {
+    scoped.set(modelKey(entry.scope, entry.key), await deserializeModel(entry.artifacts));
+  }
+  
+  return {
+    global: await deserializeModel(modelVersion.artifacts),
+    scoped,
+    signals: (modelVersion.config && modelVersion.config.signals) || []
+  };
+};
+
+const disposeModelSet = (set) => {
+  if (set.global) set.global.dispose();
+  set.scoped.forEach(model => model.dispose());
+};
+
+// Swap the in-memory models for a stored version
+const applyModelVersion = async (modelVersion) => {
+  const storedLength = modelVersion.config && modelVersion.config.sequenceLength;
+  if (storedLength && storedLength !== CONFIG.SEQUENCE_LENGTH) {
+    throw new Error(
+      `Model v${modelVersion.version} was trained with sequence length ${storedLength}, ` +
+      `current configuration is ${CONFIG.SEQUENCE_LENGTH}`
+    );
   }
   
-  return allSequences.length > 0 ? { sequences: allSequences, targets: allTargets } : null;
+  const set = await deserializeModelSet(modelVersion);
+  const missing = set.signals.filter(signal => !getSignalScaling(signal.name)).map(signal => signal.name);
+  if (missing.length > 0) {
+    logger.warn(`Model v${modelVersion.version} uses signals without values: ${missing.join(', ')}`);
+  }
+  
+  disposeModelSet(activeModelSet());
+  clearReconciliationCache();
+  
+  globalModel = set.global;
+  scopedModels = set.scoped;
+  itemNormParams = new Map(modelVersion.normParams);
+  modelSignals = set.signals;
+  activeModelInfo = modelVersion.toSummary();
+  
+  return activeModelInfo;
 };
 
-// Train global model
-const trainGlobalModel = async () => {
+// Load the active model version from the database (called on startup)
+const loadActiveModel = async () => {
   if (!isTensorFlowAvailable()) {
-    logger.warn('Cannot train model: TensorFlow.js is not available');
     return null;
   }
   
-  logger.info('Starting global model training...');
+  const active = await ModelVersion.getActive();
+  if (!active) {
+    logger.info('No stored forecast model found');
+    return null;
+  }
+  
+  const info = await applyModelVersion(active);
+  logger.info(`Loaded forecast model v${info.version} (trained ${info.trainedAt.toISOString()})`);
+  return info;
+};
+
+// Promote a challenger or roll back to a previously trained version by hand
+const activateModelVersion = async (version, userId = null) => {
+  if (!isTensorFlowAvailable()) {
+    throw new Error('TensorFlow.js is not available');
+  }
   
-  const data = await prepareGlobalTrainingData();
+  const target = await ModelVersion.findOne({ version });
+  if (!target) return null;
   
-  if (!data || data.sequences.length < 10) {
-    logger.warn('Not enough training data');
-    return null;
+  // Load first so a corrupt version never becomes active
+  const info = await applyModelVersion(target);
+  await ModelVersion.activate(version, userId);
+  
+  activeModelInfo = { ...info, isActive: true, activatedAt: new Date(), activatedBy: userId };
+  return activeModelInfo;
+};
+
+// List stored versions (metadata only)
+const listModelVersions = async () => {
+  const versions = await ModelVersion.find()
+    .select('-artifacts -normParams')
+    .sort({ version: -1 });
+  
+  return versions.map(v => v.toSummary());
+};
+
+// Weekly series of the active items for hold-out comparisons
+const getHoldoutSeries = async (dataFilter) => {
+  const items = await InventoryItem.find({ isActive: true });
+  const holdout = [];
+  
+  for (const item of items) {
+    const series = await getBaselineSeries(item._id, 52, dataFilter);
+    holdout.push({ itemId: item._id, category: item.category, seasonRegion: item.seasonRegion, series });
+  }
+  
+  return holdout;
+};
+
+// Error metrics of a model set predicting the hold-out weeks one week ahead
+// (see utils/modelPromotion), each item with the model that serves it, in
+// total and per model (byModel); items the set has no normalization for use
+// their own largest week
+const evaluateOnHoldout = (set, normParams, holdout, holdoutWeeks = MODEL_HOLDOUT_WEEKS) => {
+  const pairsByModel = new Map();
+  
+  for (const entry of holdout) {
+    const { key, ...lstm } = selectModel(set, entry);
+    const observed = entry.series.filter(w => !w.missing).map(w => w.consumption);
+    const maxConsumption = normParams.get(entry.itemId.toString()) || Math.max(0, ...observed) || 1;
+    
+    const pairs = collectHoldoutPairs(entry.series, holdoutWeeks, CONFIG.SEQUENCE_LENGTH, (window) => {
+      const [predicted] = predictLstmSequence(window, 1, maxConsumption, window[window.length - 1].date, entry.seasonRegion, lstm);
+      return Math.max(0, predicted);
+    });
+    pairsByModel.set(key, [...(pairsByModel.get(key) || []), ...pairs]);
+  }
+  
+  const byModel = {};
+  pairsByModel.forEach((pairs, key) => { byModel[key] = calculateErrorMetrics(pairs); });
+  
+  return {
+    ...calculateErrorMetrics([...pairsByModel.values()].flat()),
+    byModel
+  };
+};
+
+// Evaluate stored versions (all when none are given) on the current hold-out weeks
+const compareModelVersions = async (versions = null) => {
+  if (!isTensorFlowAvailable()) {
+    throw new Error('TensorFlow.js is not available');
   }
   
-  const xTrain = tf.tensor3d(data.sequences);
-  const yTrain = tf.tensor2d(data.targets, [data.targets.length, 1]);
+  const query = versions ? { version: { $in: versions } } : {};
+  const stored = await ModelVersion.find(query).sort({ version: -1 });
+  const holdout = await getHoldoutSeries(await createDataFilter());
+  const results = [];
+  
+  for (const modelVersion of stored) {
+    const summary = modelVersion.toSummary();
+    const storedLength = modelVersion.config && modelVersion.config.sequenceLength;
+    if (storedLength && storedLength !== CONFIG.SEQUENCE_LENGTH) {
+      results.push({ ...summary, metrics: null, error: `Trained with sequence length ${storedLength}` });
+      continue;
+    }
+    
+    // The loaded champion is reused, other versions are loaded for the comparison
+    const loaded = activeModelInfo && activeModelInfo.version === modelVersion.version && globalModel;
+    const set = loaded ? activeModelSet() : await deserializeModelSet(modelVersion);
+    try {
+      results.push({ ...summary, metrics: evaluateOnHoldout(set, new Map(modelVersion.normParams), holdout) });
+    } finally {
+      if (!loaded) disposeModelSet(set);
+    }
+  }
   
-  const model = createModel();
+  return {
+    holdoutWeeks: MODEL_HOLDOUT_WEEKS,
+    metric: MODEL_PROMOTION_METRIC,
+    versions: results
+  };
+};
+
+// Fit a new LSTM on training windows, optionally starting from other weights
+// options.onEpochEnd(epoch, logs) runs after every epoch; training stops
+// early once options.shouldCancel() is true
+const fitModel = async (sequences, targets, featureCount, options = {}) => {
+  const xTrain = tf.tensor3d(sequences);
+  const yTrain = tf.tensor2d(targets, [targets.length, 1]);
+  const model = createModel(featureCount);
+  if (options.initialWeights) {
+    model.setWeights(options.initialWeights);
+  }
   
   try {
     const history = await model.fit(xTrain, yTrain, {
@@ -167,85 +588,328 @@ const trainGlobalModel = async () => {
       callbacks: {
         onEpochEnd: (epoch, logs) => {
           if (epoch % 20 === 0) {
-            logger.info(`Epoch ${epoch}: loss=${logs.loss.toFixed(4)}`);
+            logger.info(`${options.label || 'Model'} epoch ${epoch}: loss=${logs.loss.toFixed(4)}`);
+          }
+          if (options.onEpochEnd) options.onEpochEnd(epoch, logs);
+          if (options.shouldCancel && options.shouldCancel()) {
+            model.stopTraining = true;
           }
         }
       }
     });
     
-    globalModel = model;
-    xTrain.dispose();
-    yTrain.dispose();
-    
-    return {
-      success: true,
-      finalLoss: history.history.loss.slice(-1)[0],
-      samplesUsed: data.sequences.length
-    };
-  } catch (error) {
+    return { model, finalLoss: history.history.loss.slice(-1)[0], epochs: history.epoch.length };
+  } finally {
     xTrain.dispose();
     yTrain.dispose();
-    throw error;
   }
 };
 
-// Generate forecast for an item
-const generateForecast = async (itemId, daysAhead = CONFIG.FORECAST_DAYS) => {
-  const item = await InventoryItem.findById(itemId);
-  if (!item) throw new Error('Item not found');
+// Train a challenger on all but the hold-out weeks and store it as a new
+// version; it becomes the active version only if it beats the current one
+// on the hold-out weeks (see utils/modelPromotion)
+// Besides the global model, category and item models are trained as
+// configured (see utils/modelScopes), starting from the global weights
+// options.dataPolicy overrides the configured training data policy for this run
+// options.onProgress receives { phase, model, completed, total, loss, valLoss }
+// and training stops before anything is stored once options.shouldCancel() is true
+const trainGlobalModel = async (options = {}) => {
+  if (!isTensorFlowAvailable()) {
+    logger.warn('Cannot train model: TensorFlow.js is not available');
+    return null;
+  }
+  
+  const onProgress = options.onProgress || (() => {});
+  const shouldCancel = options.shouldCancel || (() => false);
+  
+  logger.info('Starting global model training...');
+  onProgress({ phase: 'preparing' });
+  
+  const data = await prepareGlobalTrainingData(options.dataPolicy, MODEL_HOLDOUT_WEEKS);
   
-  const history = await InventoryCount.getConsumptionHistory(itemId, CONFIG.SEQUENCE_LENGTH);
+  if (!data || data.sequences.length < 10) {
+    logger.warn('Not enough training data');
+    return null;
+  }
+  
+  const featureNames = [...BASE_FEATURES, ...data.signals.map(signal => signal.name)];
+  const plans = planModelScopes(data.byItem.map(entry => ({
+    itemId: entry.itemId,
+    category: entry.category,
+    samples: entry.sequences.length,
+    volume: entry.volume
+  })));
+  
+  // Progress counts the epochs of all models
+  const totalEpochs = CONFIG.EPOCHS * (plans.length + 1);
+  let epochsDone = 0;
+  const fitOptions = (label) => ({
+    label,
+    shouldCancel,
+    onEpochEnd: (epoch, logs) => onProgress({
+      phase: 'training',
+      model: label,
+      completed: epochsDone + epoch + 1,
+      total: totalEpochs,
+      loss: logs.loss,
+      valLoss: logs.val_loss
+    })
+  });
+  
+  onProgress({ phase: 'training', model: GLOBAL_KEY, completed: 0, total: totalEpochs });
+  const global = await fitModel(data.sequences, data.targets, featureNames.length, fitOptions(GLOBAL_KEY));
+  epochsDone += global.epochs;
   
-  // If not enough history or no model, use simple average
-  if (history.length < CONFIG.SEQUENCE_LENGTH || !globalModel) {
-    const avgConsumption = await InventoryCount.calculateAvgConsumption(itemId);
-    const totalPredicted = avgConsumption.daily * daysAhead;
+  const set = { global: global.model, scoped: new Map(), signals: data.signals };
+  const scopedSummaries = [];
+  for (const plan of plans) {
+    if (shouldCancel()) break;
     
-    return {
-      itemId,
-      itemName: item.displayName || item.name,
-      method: 'simple_average',
-      currentStock: item.currentStock,
-      predictions: generateSimplePredictions(avgConsumption.daily, daysAhead),
-      summary: {
-        totalPredictedDemand: Math.round(totalPredicted * 100) / 100,
-        avgDailyDemand: avgConsumption.daily,
-        daysUntilStockout: avgConsumption.daily > 0 
-          ? Math.floor(item.currentStock / avgConsumption.daily) 
-          : null,
-        recommendedMin: calculateDynamicMinimum(avgConsumption.daily),
-        recommendedTarget: calculateTarget(calculateDynamicMinimum(avgConsumption.daily))
-      }
-    };
+    const windows = data.byItem.filter(entry => plan.itemIds.includes(String(entry.itemId)));
+    const sequences = windows.flatMap(entry => entry.sequences);
+    const fitted = await fitModel(sequences, windows.flatMap(entry => entry.targets), featureNames.length, {
+      ...fitOptions(plan.name),
+      initialWeights: global.model.getWeights()
+    });
+    epochsDone += fitted.epochs;
+    
+    set.scoped.set(plan.name, fitted.model);
+    scopedSummaries.push({
+      scope: plan.scope,
+      key: plan.key,
+      samplesUsed: sequences.length,
+      itemsUsed: windows.length,
+      finalLoss: fitted.finalLoss
+    });
   }
   
-  // Use ML prediction
-  const maxConsumption = itemNormParams.get(itemId.toString()) || 
-    Math.max(...history.map(h => h.consumption)) || 1;
+  if (shouldCancel()) {
+    disposeModelSet(set);
+    logger.info(`Model training cancelled after ${epochsDone} epochs`);
+    return { success: false, cancelled: true, epochsCompleted: epochsDone };
+  }
   
-  // Prepare input sequence
-  const inputFeatures = history.slice(-CONFIG.SEQUENCE_LENGTH).map(h => [
-    h.consumption / maxConsumption,
-    getSeasonIndicator(h.date),
-    getNormalizedDayOfYear(h.date)
-  ]);
+  const finalLoss = global.finalLoss;
+  onProgress({ phase: 'evaluating' });
   
-  const predictions = [];
-  let currentSequence = [...inputFeatures];
-  let predictedDate = new Date();
-  let cumulativeDemand = 0;
+  const challengerMetrics = evaluateOnHoldout(set, data.normParams, data.holdout);
+  const championMetrics = globalModel && activeModelInfo
+    ? evaluateOnHoldout(activeModelSet(), itemNormParams, data.holdout)
+    : null;
+  const decision = decidePromotion(challengerMetrics, championMetrics);
   
-  // Generate predictions iteratively
-  const weeksToPredict = Math.ceil(daysAhead / 7);
+  onProgress({ phase: 'storing' });
+  const version = await ModelVersion.getNextVersion();
+  let stored;
+  try {
+    // Scoped models first (one document each), so a stored version always
+    // has all of its models; leftovers of an interrupted run are replaced
+    await ScopedModel.deleteMany({ version });
+    for (const summary of scopedSummaries) {
+      await ScopedModel.create({
+        version,
+        scope: summary.scope,
+        key: summary.key,
+        artifacts: await serializeModel(set.scoped.get(modelKey(summary.scope, summary.key)))
+      });
+    }
+    
+    stored = await ModelVersion.create({
+      version,
+      trainedAt: new Date(),
+      samplesUsed: data.sequences.length,
+      itemsUsed: data.normParams.size,
+      finalLoss,
+      epochs: CONFIG.EPOCHS,
+      config: {
+        sequenceLength: CONFIG.SEQUENCE_LENGTH,
+        features: featureNames.length,
+        featureNames,
+        signals: data.signals,
+        modelScope: MODEL_SCOPE,
+        dataPolicy: data.dataPolicy
+      },
+      normParams: Object.fromEntries(data.normParams),
+      artifacts: await serializeModel(set.global),
+      scopedModels: scopedSummaries,
+      evaluation: {
+        holdoutWeeks: MODEL_HOLDOUT_WEEKS,
+        metric: MODEL_PROMOTION_METRIC,
+        margin: MODEL_PROMOTION_MARGIN,
+        challenger: challengerMetrics,
+        champion: championMetrics ? { version: activeModelInfo.version, metrics: championMetrics } : null,
+        promoted: decision.promote,
+        reason: decision.reason,
+        improvement: decision.improvement
+      },
+      triggeredBy: options.triggeredBy
+    });
+  } catch (error) {
+    await ScopedModel.deleteMany({ version });
+    disposeModelSet(set);
+    throw error;
+  }
+  
+  if (decision.promote) {
+    await ModelVersion.activate(stored.version);
+    
+    disposeModelSet(activeModelSet());
+    clearReconciliationCache();
+    globalModel = set.global;
+    scopedModels = set.scoped;
+    itemNormParams = data.normParams;
+    modelSignals = data.signals;
+    activeModelInfo = { ...stored.toSummary(), isActive: true, activatedAt: new Date() };
+    
+    logger.info(`Promoted forecast model v${stored.version} (loss=${finalLoss.toFixed(4)}): ${decision.reason}`);
+  } else {
+    disposeModelSet(set);
+    logger.info(`Stored forecast model v${stored.version} as a challenger, v${activeModelInfo.version} stays active: ${decision.reason}`);
+  }
+  await ModelVersion.pruneVersions(CONFIG.MODEL_VERSIONS_KEPT);
+  
+  return {
+    success: true,
+    version: stored.version,
+    promoted: decision.promote,
+    activeVersion: activeModelInfo.version,
+    evaluation: stored.evaluation,
+    trainedAt: stored.trainedAt,
+    finalLoss,
+    samplesUsed: data.sequences.length,
+    scopedModels: scopedSummaries,
+    features: featureNames,
+    skippedSignals: data.skippedSignals,
+    dataPolicy: data.dataPolicy
+  };
+};
+
+// Current model state for the status endpoint
+const getModelStatus = () => ({
+  modelTrained: globalModel !== null,
+  tensorflowAvailable: tf !== null,
+  activeVersion: activeModelInfo ? activeModelInfo.version : null,
+  lastTraining: activeModelInfo ? activeModelInfo.trainedAt : null,
+  samplesUsed: activeModelInfo ? activeModelInfo.samplesUsed : null,
+  finalLoss: activeModelInfo ? activeModelInfo.finalLoss : null,
+  features: activeModelInfo && activeModelInfo.config && activeModelInfo.config.featureNames
+    ? activeModelInfo.config.featureNames
+    : BASE_FEATURES,
+  modelScope: MODEL_SCOPE,
+  scopedModels: activeModelInfo && activeModelInfo.scopedModels ? activeModelInfo.scopedModels : [],
+  reconciliation: FORECAST_RECONCILIATION,
+  sequenceLength: CONFIG.SEQUENCE_LENGTH,
+  forecastDays: CONFIG.FORECAST_DAYS
+});
+
+// Predict the next `weeks` weekly consumption values from the last
+// SEQUENCE_LENGTH entries of a consumption history (iterative, one step at a time)
+// with the active model, or another one given as lstm = { model, signals }
+const predictLstmSequence = (history, weeks, maxConsumption, startDate = new Date(), seasonRegion = null, lstm = null) => {
+  const { model, signals } = lstm || { model: globalModel, signals: modelSignals };
+  const inputFeatures = history.slice(-CONFIG.SEQUENCE_LENGTH)
+    .map(h => buildFeatureVector(h.consumption / maxConsumption, h.date, seasonRegion, signals));
+  
+  const values = [];
+  const currentSequence = [...inputFeatures];
+  let predictedDate = new Date(startDate);
   
-  for (let week = 0; week < weeksToPredict; week++) {
+  for (let week = 0; week < weeks; week++) {
     const input = tf.tensor3d([currentSequence]);
-    const prediction = globalModel.predict(input);
+    const prediction = model.predict(input);
     const predictedValue = prediction.dataSync()[0] * maxConsumption;
     
     input.dispose();
     prediction.dispose();
     
+    predictedDate = new Date(predictedDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+    values.push(predictedValue);
+    
+    // Update sequence for next prediction
+    currentSequence.shift();
+    currentSequence.push(buildFeatureVector(predictedValue / maxConsumption, predictedDate, seasonRegion, signals));
+  }
+  
+  return values;
+};
+
+// Normalization factor for an item (stored with the model, else from its history)
+const getItemNormParam = (itemId, history) => {
+  return (itemId && itemNormParams.get(itemId.toString())) ||
+    Math.max(...history.map(h => h.consumption)) || 1;
+};
+
+// One-step-ahead in-sample residuals (actual - predicted) of the LSTM over a history
+const calculateLstmResiduals = (history, maxConsumption, seasonRegion = null, lstm = null) => {
+  const residuals = [];
+  
+  for (let i = CONFIG.SEQUENCE_LENGTH; i < history.length; i++) {
+    const [predicted] = predictLstmSequence(history.slice(0, i), 1, maxConsumption, history[i - 1].date, seasonRegion, lstm);
+    residuals.push(history[i].consumption - predicted);
+  }
+  
+  return residuals;
+};
+
+// Root mean square of residuals (includes any bias, unlike a standard deviation)
+const rootMeanSquare = (values) => {
+  if (values.length === 0) return 0;
+  return Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+};
+
+// The LSTM is one of the registered methods, available once a model is loaded;
+// each item is predicted by its own, its category's or the global model
+forecastMethods.registerMethod({
+  name: 'lstm',
+  label: 'LSTM Neural Network',
+  description: 'TensorFlow.js LSTM trained on all items, by category or per item',
+  minHistory: CONFIG.SEQUENCE_LENGTH,
+  isAvailable: () => globalModel !== null,
+  predict: (history, weeks, context = {}) => {
+    const { key, ...lstm } = selectModel(activeModelSet(), { itemId: context.itemId, category: context.category });
+    const maxConsumption = getItemNormParam(context.itemId, history);
+    const values = predictLstmSequence(history, weeks, maxConsumption, context.startDate, context.seasonRegion, lstm);
+    
+    if (context.skipUncertainty) {
+      return {
+        values,
+        sigmas: [],
+        details: {
+          modelVersion: activeModelInfo ? activeModelInfo.version : null,
+          modelKey: key,
+          signals: modelSignals.map(signal => signal.name)
+        }
+      };
+    }
+    
+    // Residual spread from replaying the model over the history; the iterative
+    // forecast feeds on its own predictions, so the error grows with the horizon
+    const residuals = calculateLstmResiduals(history, maxConsumption, context.seasonRegion, lstm);
+    const residualSigma = residuals.length >= 2
+      ? rootMeanSquare(residuals)
+      : standardDeviation(history.map(h => h.consumption));
+    
+    return {
+      values,
+      sigmas: values.map((v, i) => residualSigma * Math.sqrt(i + 1)),
+      details: {
+        modelVersion: activeModelInfo ? activeModelInfo.version : null,
+        modelKey: key,
+        signals: modelSignals.map(signal => signal.name),
+        residualStdDev: Math.round(residualSigma * 100) / 100,
+        residualSamples: residuals.length
+      }
+    };
+  }
+});
+
+// Turn weekly predicted values into dated prediction rows
+const buildPredictions = (weeklyValues, currentStock, startDate = new Date()) => {
+  const predictions = [];
+  let predictedDate = new Date(startDate);
+  let cumulativeDemand = 0;
+  
+  weeklyValues.forEach((predictedValue, week) => {
     predictedDate = new Date(predictedDate.getTime() + 7 * 24 * 60 * 60 * 1000);
     cumulativeDemand += predictedValue;
     
@@ -254,81 +918,509 @@ const generateForecast = async (itemId, daysAhead = CONFIG.FORECAST_DAYS) => {
       date: predictedDate.toISOString().split('T')[0],
       predictedDemand: Math.round(predictedValue * 100) / 100,
       cumulativeDemand: Math.round(cumulativeDemand * 100) / 100,
-      projectedStock: Math.round((item.currentStock - cumulativeDemand) * 100) / 100
+      projectedStock: Math.round((currentStock - cumulativeDemand) * 100) / 100
     });
-    
-    // Update sequence for next prediction
-    currentSequence.shift();
-    currentSequence.push([
-      predictedValue / maxConsumption,
-      getSeasonIndicator(predictedDate),
-      getNormalizedDayOfYear(predictedDate)
-    ]);
+  });
+  
+  return predictions;
+};
+
+// Days until stock can no longer fill a demand event of an intermittent item:
+// the stock covers floor(stock / demandSize) events, the next one is short.
+// Receipts that arrive before that event add to the stock.
+const calculateIntermittentStockoutDays = (currentStock, intermittent, receipts = []) => {
+  if (!intermittent || !intermittent.demandSize || !intermittent.intervalWeeks) return null;
+  
+  const daysCovered = (stock) => {
+    if (stock <= 0) return 0;
+    const eventsCovered = Math.floor(stock / intermittent.demandSize);
+    return Math.floor((eventsCovered + 1) * intermittent.intervalWeeks * 7);
+  };
+  
+  let stock = currentStock;
+  let days = daysCovered(stock);
+  for (const receipt of receipts) {
+    if (receipt.daysUntilArrival >= days) break;
+    stock += receipt.quantity;
+    days = daysCovered(stock);
   }
   
-  const avgDailyDemand = cumulativeDemand / daysAhead;
-  const daysUntilStockout = avgDailyDemand > 0 
-    ? Math.floor(item.currentStock / avgDailyDemand) 
+  return days;
+};
+
+// Lead time and its spread from the preferred vendor's delivered orders,
+// else the item's own lead time with no spread
+// scenario.leadTimeOverrides replaces the preferred vendor's lead time (see utils/scenario)
+const getLeadTimeStats = async (item, scenario = null) => {
+  const override = scenario
+    ? findLeadTimeOverride(item.preferredVendor, scenario.leadTimeOverrides)
     : null;
   
+  if (item.preferredVendor) {
+    const stats = await Order.getVendorLeadTime(item.preferredVendor);
+    if (stats.orderCount > 0) {
+      return applyLeadTimeOverride({
+        leadTimeDays: stats.avgLeadTime,
+        leadTimeStdDev: stats.orderCount > 1 ? stats.stdDevLeadTime || 0 : 0,
+        leadTimeSource: 'vendor_orders',
+        leadTimeOrders: stats.orderCount
+      }, override);
+    }
+  }
+  
+  return applyLeadTimeOverride({
+    leadTimeDays: item.avgLeadTime || 7,
+    leadTimeStdDev: 0,
+    leadTimeSource: 'item',
+    leadTimeOrders: 0
+  }, override);
+};
+
+// Minimum stock for an item: service-level reorder point when there is enough
+// history to estimate the forecast error, else the seasonal days-of-supply rule
+const calculateInventoryPolicy = async (item, avgDailyDemand, weeklyStdDev, observedWeeks, intermittent, scenario = null) => {
+  const serviceLevel = getServiceLevel(item);
+  const leadTime = await getLeadTimeStats(item, scenario);
+  
+  if (observedWeeks < CONFIG.SAFETY_STOCK_MIN_WEEKS) {
+    const minimum = calculateDynamicMinimum(avgDailyDemand, undefined, { intermittent, region: item.seasonRegion });
+    return {
+      basis: 'days_supply',
+      serviceLevel,
+      avgDailyDemand,
+      ...leadTime,
+      safetyStock: null,
+      reorderPoint: null,
+      minimum
+    };
+  }
+  
+  return {
+    ...calculateReorderPoint({
+      avgDailyDemand,
+      dailyDemandStdDev: weeklyStdDev / Math.sqrt(7),
+      leadTimeDays: leadTime.leadTimeDays,
+      leadTimeStdDev: leadTime.leadTimeStdDev,
+      serviceLevel,
+      intermittent
+    }),
+    leadTimeSource: leadTime.leadTimeSource,
+    leadTimeOrders: leadTime.leadTimeOrders
+  };
+};
+
+// Monte Carlo stockout risk (see utils/stockoutSimulation): weekly demand is
+// drawn from the item's last year of observed weeks and scaled to the
+// forecast, lead time from the preferred vendor's delivered orders
+const calculateStockoutRisk = async (item, history, weeklyForecast, openOrders, inventoryPolicy, daysAhead) => {
+  const leadTimeSamples = item.preferredVendor
+    ? await Order.getLeadTimeSamples(item.preferredVendor)
+    : [];
+  
+  return simulateStockoutRisk({
+    demandHistory: history
+      .slice(-CONFIG.CLASSIFICATION_WEEKS)
+      .filter(w => !w.imputed)
+      .map(w => w.consumption),
+    forecast: weeklyForecast,
+    currentStock: item.currentStock,
+    receipts: openOrders,
+    leadTimeSamples,
+    fallbackLeadTime: inventoryPolicy.leadTimeDays,
+    horizonDays: daysAhead,
+    seed: seedFromString(item._id)
+  });
+};
+
+// Predict through a what-if scenario: season shifts warp the forecast in time
+// (predicting from an earlier start when the season moves later), demand
+// uplifts scale it. See utils/scenario.
+const predictScenario = (method, history, weeks, context, item, scenario) => {
+  const offsets = getSeasonShiftOffsets(context.startDate, weeks, scenario.seasonShift, context.seasonRegion);
+  const back = Math.max(0, -Math.min(0, ...offsets));
+  const ahead = Math.max(0, ...offsets);
+  const startDate = new Date(context.startDate.getTime() - back * 7 * 24 * 60 * 60 * 1000);
+  
+  const result = method.predict(history, weeks + back + ahead, { ...context, startDate });
+  const multiplier = getDemandMultiplier(item, scenario.demandUplifts);
+  
+  return {
+    ...result,
+    values: warpValues(result.values, offsets, back).map(v => v * multiplier),
+    sigmas: result.sigmas.slice(back, back + weeks).map(s => s * multiplier),
+    details: { ...result.details, scenario: { demandMultiplier: multiplier, seasonShiftWeeks: offsets } }
+  };
+};
+
+// An item's learned ensemble weights as { weights, calculatedAt }, or null
+const getEnsembleWeights = (item) => {
+  const stored = item.ensembleWeights;
+  if (!stored || !stored.weights || stored.weights.size === 0) return null;
+  return { weights: Object.fromEntries(stored.weights), calculatedAt: stored.calculatedAt };
+};
+
+// An item's demand as forecast by its method, before reconciliation,
+// overrides and planned jobs
+// options: method, scenario and skipUncertainty as for generateForecast and
+// the method context, dataFilter to share one across items
+const getModelDemand = async (item, weeks, startDate, options = {}) => {
+  const ownHistory = await getWeeklyHistory(item._id, CONFIG.HISTORY_WEEKS, options.dataFilter);
+  const coldStart = await getColdStartHistory(item, ownHistory, options.dataFilter);
+  const history = coldStart ? coldStart.history : ownHistory;
+  
+  const demandClassification = classifyDemand(
+    history.slice(-CONFIG.CLASSIFICATION_WEEKS).filter(w => !w.imputed)
+  );
+  const selection = forecastMethods.selectMethod(
+    options.method || item.forecastMethod,
+    history,
+    { demandPattern: demandClassification.pattern }
+  );
+  
+  const context = {
+    itemId: item._id,
+    category: item.category,
+    startDate,
+    seasonRegion: item.seasonRegion,
+    ensembleWeights: getEnsembleWeights(item),
+    skipUncertainty: options.skipUncertainty
+  };
+  const modelForecast = options.scenario
+    ? predictScenario(selection.method, history, weeks, context, item, options.scenario)
+    : selection.method.predict(history, weeks, context);
+  
+  return { ownHistory, coldStart, history, demandClassification, selection, modelForecast };
+};
+
+const reconciledGroupKey = (method, weeks, group) => `${method}:${weeks}:${group}`;
+
+// Forget reconciled groups once forecasts or models change
+const clearReconciliationCache = () => reconciledGroups.clear();
+
+// A group's cached reconciliation, unless older than RECONCILIATION_CACHE_HOURS
+const getCachedReconciliation = (key) => {
+  const cached = reconciledGroups.get(key);
+  if (!cached) return null;
+  if (Date.now() - cached.reconciledAt > CONFIG.RECONCILIATION_CACHE_HOURS * 60 * 60 * 1000) {
+    reconciledGroups.delete(key);
+    return null;
+  }
+  return cached.items;
+};
+
+// Reconcile one group's items; returns Map(itemId -> { group, method, base, values }),
+// without items whose forecast fails
+const reconcileGroup = async (group, items, weeks, startDate, method, dataFilter) => {
+  const entries = [];
+  for (const item of items) {
+    try {
+      const demand = await getModelDemand(item, weeks, startDate, { dataFilter, skipUncertainty: true });
+      entries.push({ id: String(item._id), values: demand.modelForecast.values, history: demand.ownHistory });
+    } catch (error) {
+      logger.warn(`Reconciliation skipped item ${item._id}: ${error.message}`);
+    }
+  }
+  
+  let total = null;
+  if (entries.length > 0 && method !== 'bottom_up') {
+    const totalHistory = sumHistories(entries.map(entry => entry.history));
+    const selection = forecastMethods.selectMethod('auto', totalHistory, {
+      demandPattern: classifyDemand(totalHistory.slice(-CONFIG.CLASSIFICATION_WEEKS)).pattern
+    });
+    const context = { category: items[0].category, startDate, skipUncertainty: true };
+    total = { values: selection.method.predict(totalHistory, weeks, context).values, history: totalHistory };
+  }
+  
+  const result = reconcileForecasts(entries, total, method);
+  return new Map(entries.map(entry => [
+    entry.id,
+    { group, method, base: entry.values, values: result.items.get(entry.id) }
+  ]));
+};
+
+// Reconcile the forecasts of items within their category and unit groups
+// (see utils/forecastReconciliation); group totals are forecast from the
+// summed history with the automatic method selection. Pass whole groups:
+// each group's result is kept for single-item forecasts. A group that
+// fails keeps its items' own forecasts.
+// Returns Map(itemId -> { group, method, base, values }), empty when
+// reconciliation is off
+const reconcileItems = async (items, weeks, startDate = new Date(), method = FORECAST_RECONCILIATION) => {
+  const reconciled = new Map();
+  if (method === 'none' || items.length === 0) return reconciled;
+  
+  const groups = new Map();
+  for (const item of items) {
+    const group = getReconciliationGroup(item);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(item);
+  }
+  
+  let dataFilter;
+  try {
+    dataFilter = await createDataFilter();
+  } catch (error) {
+    logger.warn(`Reconciliation skipped: ${error.message}`);
+    return reconciled;
+  }
+  
+  for (const [group, groupItems] of groups) {
+    try {
+      const groupResult = await reconcileGroup(group, groupItems, weeks, startDate, method, dataFilter);
+      groupResult.forEach((entry, itemId) => reconciled.set(itemId, entry));
+      reconciledGroups.set(reconciledGroupKey(method, weeks, group), { reconciledAt: Date.now(), items: groupResult });
+    } catch (error) {
+      logger.warn(`Reconciliation skipped group ${group}: ${error.message}`);
+    }
+  }
+  
+  return reconciled;
+};
+
+// Generate forecast for an item
+// options.method overrides the item's `forecastMethod` for this call
+// options.scenario applies what-if adjustments (nothing is stored)
+// options.simulate adds a Monte Carlo stockout risk to the summary
+// options.reconcile = false skips reconciliation; options.reconciliation
+// passes the result of reconcileItems when forecasting many items, else the
+// group's last reconciliation is reused (computed on the first request or
+// once it expires)
+const generateForecast = async (itemId, daysAhead = CONFIG.FORECAST_DAYS, options = {}) => {
+  const item = await InventoryItem.findById(itemId);
+  if (!item) throw new Error('Item not found');
+  
+  const confidenceLevels = parseConfidenceLevels(options.confidenceLevels);
+  const weeksToPredict = Math.ceil(daysAhead / 7);
+  const startDate = new Date();
+  const scenario = options.scenario || null;
+  const { ownHistory, coldStart, history, demandClassification, selection, modelForecast } = await getModelDemand(
+    item, weeksToPredict, startDate, { method: options.method, scenario }
+  );
+  let openOrders = collectOpenOrders(itemId, await Order.getOpenOrdersForItem(itemId), startDate);
+  if (scenario) openOrders = delayReceipts(openOrders, scenario.leadTimeOverrides, startDate);
+  
+  // The item's share of its group's reconciled total replaces its own
+  // forecast, as a weekly ratio (scenarios are not reconciled)
+  let reconciliation = null;
+  if (!scenario && options.reconcile !== false && FORECAST_RECONCILIATION !== 'none') {
+    const groupKey = reconciledGroupKey(FORECAST_RECONCILIATION, weeksToPredict, getReconciliationGroup(item));
+    let reconciled = options.reconciliation || getCachedReconciliation(groupKey);
+    if (!reconciled) {
+      reconciled = await reconcileItems(
+        await InventoryItem.find({ isActive: true, category: item.category, unitOfMeasure: item.unitOfMeasure }),
+        weeksToPredict,
+        startDate
+      );
+    }
+    reconciliation = reconciled.get(String(item._id)) || null;
+  }
+  const reconciledValues = applyReconciliation(modelForecast.values, reconciliation);
+  const adjustments = reconciledValues.map((v, i) => v - modelForecast.values[i]);
+  
+  // Purchaser overrides replace or scale the model's demand (see utils/forecastOverrides)
+  const overrides = await ForecastOverride.getForItem(
+    itemId, startDate, new Date(startDate.getTime() + weeksToPredict * 7 * 24 * 60 * 60 * 1000)
+  );
+  const demandOverride = applyDemandOverrides(reconciledValues, modelForecast.sigmas, overrides, startDate);
+  const baseline = { ...modelForecast, values: demandOverride.values, sigmas: demandOverride.sigmas };
+  
+  // Known jobs go on top of the baseline; jobs that may not happen widen the interval
+  const plannedDemand = spreadPlannedDemand(
+    await PlannedDemand.getForItem(itemId, startDate, null, ['planned']),
+    itemId,
+    startDate,
+    weeksToPredict
+  );
+  const result = {
+    ...baseline,
+    values: baseline.values.map((v, i) => v + (plannedDemand.weekly[i] || 0)),
+    sigmas: baseline.sigmas.map((s, i) => Math.sqrt(s * s + (plannedDemand.variances[i] || 0)))
+  };
+  
+  const predictions = addIntervalsToPredictions(
+    applyReceiptsToPredictions(
+      buildPredictions(result.values, item.currentStock, startDate),
+      openOrders,
+      item.currentStock
+    ),
+    result.sigmas,
+    confidenceLevels,
+    item.currentStock
+  ).map((prediction, i) => ({
+    ...prediction,
+    ...(plannedDemand.total > 0 && { plannedDemand: plannedDemand.weekly[i] }),
+    ...(demandOverride.weeks.includes(prediction.week) && { overridden: true })
+  }));
+  
+  const avgWeeklyDemand = result.values.length > 0
+    ? result.values.reduce((sum, v) => sum + v, 0) / result.values.length
+    : 0;
+  const avgDailyDemand = Math.round((avgWeeklyDemand / 7) * 100) / 100;
+  const intermittent = result.details.intermittent || null;
+  
+  // Stock on the way arrives on each open order's expected delivery date
+  let daysUntilStockout = calculateStockoutDays(item.currentStock, avgDailyDemand, openOrders);
+  if (intermittent) {
+    daysUntilStockout = calculateIntermittentStockoutDays(item.currentStock, intermittent, openOrders);
+  }
+  
+  const weeklyStdDev = baseline.sigmas.length > 0 ? baseline.sigmas[0] : 0;
+  const observedWeeks = history.filter(w => !w.imputed).length;
+  const inventoryPolicy = await calculateInventoryPolicy(
+    item, avgDailyDemand, weeklyStdDev, observedWeeks, intermittent, scenario
+  );
+  const modelMin = inventoryPolicy.reorderPoint ?? inventoryPolicy.minimum;
+  const levels = applyLevelOverrides(
+    { minimum: modelMin, target: calculateTarget(modelMin) }, overrides, startDate, calculateTarget
+  );
+  const recommendedMin = levels.minimum;
+  // An overridden minimum is also the reorder point
+  const reorderPoint = levels.minimumOverride ? levels.minimum : inventoryPolicy.reorderPoint;
+  const stockoutRisk = options.simulate
+    ? await calculateStockoutRisk(item, history, result.values, openOrders, inventoryPolicy, daysAhead)
+    : undefined;
+  
   return {
     itemId,
     itemName: item.displayName || item.name,
-    method: 'lstm',
+    generatedAt: startDate.toISOString(),
+    method: selection.method.name,
+    requestedMethod: selection.requested,
+    methodFallback: selection.fallback,
+    methodBasis: selection.basis,
+    coldStart: coldStart ? {
+      ownWeeks: coldStart.ownWeeks,
+      borrowedWeeks: coldStart.history.filter(w => w.borrowed).length,
+      levelScale: coldStart.levelScale,
+      analogs: coldStart.analogs
+    } : null,
+    demandPattern: demandClassification.pattern,
+    demandClassification,
+    ...(result.details.modelKey && {
+      modelVersion: result.details.modelVersion,
+      modelKey: result.details.modelKey
+    }),
+    ensemble: result.details.ensemble || null,
+    reconciliation: reconciliation ? {
+      method: reconciliation.method,
+      group: reconciliation.group,
+      totalAdjustment: Math.round(adjustments.reduce((sum, a) => sum + a, 0) * 100) / 100
+    } : null,
     currentStock: item.currentStock,
+    unitOfMeasure: item.unitOfMeasure,
+    boardFeetPerUnit: item.boardFeetPerUnit,
     predictions,
     summary: {
-      totalPredictedDemand: Math.round(cumulativeDemand * 100) / 100,
-      avgDailyDemand: Math.round(avgDailyDemand * 100) / 100,
+      totalPredictedDemand: Math.round(avgDailyDemand * daysAhead * 100) / 100,
+      avgDailyDemand,
       daysUntilStockout,
-      recommendedMin: calculateDynamicMinimum(avgDailyDemand),
-      recommendedTarget: calculateTarget(calculateDynamicMinimum(avgDailyDemand)),
+      daysUntilStockoutInterval: calculateStockoutInterval(
+        predictions, item.currentStock, confidenceLevels, openOrders
+      ),
+      recommendedMin,
+      recommendedTarget: levels.target,
+      serviceLevel: inventoryPolicy.serviceLevel,
+      safetyStock: inventoryPolicy.safetyStock,
+      reorderPoint,
+      inventoryPolicy,
+      onOrder: sumOnOrder(openOrders),
+      openOrders,
+      plannedDemand: { total: plannedDemand.total, jobs: plannedDemand.jobs },
+      overrides: overrides.length > 0 ? {
+        applied: overrides.map(describeOverride),
+        demandWeeks: demandOverride.weeks,
+        minimum: Boolean(levels.minimumOverride),
+        target: Boolean(levels.targetOverride),
+        modelValues: {
+          recommendedMin: modelMin,
+          recommendedTarget: calculateTarget(modelMin),
+          reorderPoint: inventoryPolicy.reorderPoint
+        }
+      } : null,
+      ...(intermittent && { intermittent }),
       stockoutDate: daysUntilStockout 
         ? new Date(Date.now() + daysUntilStockout * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-        : null
+        : null,
+      ...(stockoutRisk !== undefined && { stockoutRisk })
+    },
+    methodDetails: result.details,
+    uncertainty: {
+      method: result.details.uncertaintyBasis || 'residual',
+      confidenceLevels,
+      weeklyStdDev: Math.round(weeklyStdDev * 100) / 100,
+      sampleSize: observedWeeks
     }
   };
 };
 
-// Simple predictions fallback
-const generateSimplePredictions = (avgDaily, daysAhead) => {
-  const predictions = [];
-  let date = new Date();
-  let cumulative = 0;
+// Item fields stored for a demand classification
+const classificationUpdate = (classification) => ({
+  demandPattern: classification.pattern,
+  demandClassification: {
+    adi: classification.adi,
+    cv2: classification.cv2,
+    periods: classification.periods,
+    demandPeriods: classification.demandPeriods,
+    classifiedAt: new Date()
+  }
+});
+
+// Reclassify the demand pattern of all active items without regenerating forecasts
+const classifyItems = async () => {
+  const items = await InventoryItem.find({ isActive: true });
+  const counts = { smooth: 0, erratic: 0, intermittent: 0, lumpy: 0, unclassified: 0 };
   
-  for (let week = 1; week <= Math.ceil(daysAhead / 7); week++) {
-    date = new Date(date.getTime() + 7 * 24 * 60 * 60 * 1000);
-    const weeklyDemand = avgDaily * 7;
-    cumulative += weeklyDemand;
+  for (const item of items) {
+    const series = await InventoryCount.getConsumptionSeries(item._id, CONFIG.CLASSIFICATION_WEEKS, 'week');
+    const classification = classifyDemand(series.filter(w => !w.missing));
     
-    predictions.push({
-      week,
-      date: date.toISOString().split('T')[0],
-      predictedDemand: Math.round(weeklyDemand * 100) / 100,
-      cumulativeDemand: Math.round(cumulative * 100) / 100
-    });
+    await InventoryItem.findByIdAndUpdate(item._id, classificationUpdate(classification));
+    counts[classification.pattern || 'unclassified']++;
   }
   
-  return predictions;
+  return { itemsClassified: items.length, counts };
+};
+
+// Regenerate one item's forecast and store its min/target and policy on the item
+// (active forecast overrides are part of the forecast, so they are kept)
+// options as for generateForecast
+const refreshItemForecast = async (itemId, options = {}) => {
+  const forecast = await generateForecast(itemId, undefined, options);
+  
+  await ForecastSnapshot.createFromForecast(forecast);
+  await InventoryItem.findByIdAndUpdate(itemId, {
+    dynamicMinimum: forecast.summary.recommendedMin,
+    dynamicTarget: forecast.summary.recommendedTarget,
+    safetyStock: forecast.summary.safetyStock,
+    reorderPoint: forecast.summary.reorderPoint,
+    inventoryPolicy: { ...forecast.summary.inventoryPolicy, calculatedAt: new Date() },
+    avgDailyConsumption: forecast.summary.avgDailyDemand,
+    avgWeeklyConsumption: forecast.summary.avgDailyDemand * 7,
+    ...classificationUpdate(forecast.demandClassification),
+    lastForecastUpdate: new Date()
+  });
+  
+  return forecast;
 };
 
 // Update item's dynamic min/target based on forecast
-const updateItemForecasts = async () => {
+// options.onProgress / options.shouldCancel as for trainGlobalModel; items
+// after a cancel are left as they are
+const updateItemForecasts = async (options = {}) => {
+  const onProgress = options.onProgress || (() => {});
+  const shouldCancel = options.shouldCancel || (() => false);
   const items = await InventoryItem.find({ isActive: true });
   const updates = [];
   
+  onProgress({ phase: 'reconciling' });
+  clearReconciliationCache();
+  const reconciliation = await reconcileItems(items, Math.ceil(CONFIG.FORECAST_DAYS / 7));
+  
   for (const item of items) {
+    if (shouldCancel()) break;
+    onProgress({ phase: 'updating', completed: updates.length, total: items.length });
     try {
-      const forecast = await generateForecast(item._id);
-      
-      await InventoryItem.findByIdAndUpdate(item._id, {
-        dynamicMinimum: forecast.summary.recommendedMin,
-        dynamicTarget: forecast.summary.recommendedTarget,
-        avgDailyConsumption: forecast.summary.avgDailyDemand,
-        avgWeeklyConsumption: forecast.summary.avgDailyDemand * 7,
-        lastForecastUpdate: new Date()
-      });
-      
+      await refreshItemForecast(item._id, { reconciliation });
       updates.push({ itemId: item._id, success: true });
     } catch (error) {
       updates.push({ itemId: item._id, success: false, error: error.message });
@@ -338,14 +1430,60 @@ const updateItemForecasts = async () => {
   return updates;
 };
 
+// Refresh items whose forecast overrides ran out, so their stored min/target
+// go back to the model's values without waiting for the weekly update
+const expireForecastOverrides = async () => {
+  const expired = await ForecastOverride.getUnprocessedExpired();
+  const itemIds = [...new Set(expired.map(override => String(override.item)))];
+  
+  for (const itemId of itemIds) {
+    try {
+      await refreshItemForecast(itemId);
+    } catch (error) {
+      logger.warn(`Could not refresh item ${itemId} after override expiry: ${error.message}`);
+    }
+  }
+  
+  await ForecastOverride.updateMany(
+    { _id: { $in: expired.map(override => override._id) } },
+    { expiryProcessedAt: new Date() }
+  );
+  
+  return { overridesExpired: expired.length, itemsRefreshed: itemIds.length };
+};
+
+// Past forecast snapshots of an item joined to actual consumption
+const getForecastHistory = async (itemId, weeks = 52) => {
+  const item = await InventoryItem.findById(itemId);
+  if (!item) throw new Error('Item not found');
+  
+  const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+  const snapshots = await ForecastSnapshot.getForItem(itemId, since);
+  
+  // Actuals from the first snapshot on, without counts excluded by the data policy
+  const horizonWeeks = Math.ceil(CONFIG.FORECAST_DAYS / 7);
+  const { excludeCount } = await createDataFilter();
+  const dailySeries = snapshots.length > 0
+    ? await InventoryCount.getConsumptionSeries(itemId, weeks + horizonWeeks, 'day', { excludeCount })
+    : [];
+  
+  return {
+    itemId,
+    itemName: item.displayName || item.name,
+    weeks,
+    ...compareSnapshotsToActuals(snapshots, dailySeries)
+  };
+};
+
 // Batch forecast for all items
-const generateBatchForecasts = async (daysAhead = CONFIG.FORECAST_DAYS) => {
+const generateBatchForecasts = async (daysAhead = CONFIG.FORECAST_DAYS, options = {}) => {
   const items = await InventoryItem.find({ isActive: true });
+  const reconciliation = await reconcileItems(items, Math.ceil(daysAhead / 7));
   const forecasts = [];
   
   for (const item of items) {
     try {
-      const forecast = await generateForecast(item._id, daysAhead);
+      const forecast = await generateForecast(item._id, daysAhead, { reconciliation, ...options });
       forecasts.push(forecast);
     } catch (error) {
       forecasts.push({
@@ -359,41 +1497,178 @@ const generateBatchForecasts = async (daysAhead = CONFIG.FORECAST_DAYS) => {
   return forecasts;
 };
 
+// Quantity to bring the stock position (on hand + on order) up to target;
+// intermittent items must at least be able to fill one full demand event
+// after the order arrives
+const calculateRecommendedOrderQty = (stockPosition, summary) => {
+  let quantity = summary.recommendedTarget - stockPosition;
+  
+  if (summary.intermittent && summary.intermittent.demandSize) {
+    quantity = Math.max(quantity, summary.intermittent.demandSize - stockPosition);
+  }
+  
+  return Math.max(0, Math.ceil(quantity));
+};
+
+// Lowest total-cost order quantity across the vendors that price the item
+// (EOQ, price breaks, free shipping - see utils/orderQuantity). The preferred
+// vendor wins ties. Returns null when no vendor has a price for the item.
+const calculateOrderQuantity = (item, neededQty, avgDailyDemand, vendors) => {
+  const options = [];
+  
+  for (const vendor of vendors) {
+    const tiers = Vendor.getPriceTiers(vendor, item._id);
+    if (tiers.length === 0) continue;
+    
+    const result = recommendOrderQuantity({
+      avgDailyDemand,
+      minQuantity: neededQty,
+      tiers,
+      freeShippingMinimum: vendor.freeShippingMinimum,
+      shippingCost: vendor.shippingCost
+    });
+    if (!result) continue;
+    
+    options.push({
+      vendor: { id: vendor._id, name: vendor.name, code: vendor.code },
+      preferred: item.preferredVendor ? String(item.preferredVendor) === String(vendor._id) : false,
+      ...result
+    });
+  }
+  
+  if (options.length === 0) return null;
+  
+  options.sort((a, b) =>
+    a.breakdown.totalAnnualCost - b.breakdown.totalAnnualCost || Number(b.preferred) - Number(a.preferred)
+  );
+  const [best, ...others] = options;
+  
+  return {
+    ...best,
+    neededQty,
+    alternatives: others.map(option => ({
+      vendor: option.vendor,
+      quantity: option.quantity,
+      unitPrice: option.breakdown.unitPrice,
+      totalAnnualCost: option.breakdown.totalAnnualCost
+    }))
+  };
+};
+
+// Sort orders for reorder recommendations
+const REORDER_SORTS = {
+  // Soonest point-estimate stockout first
+  days: (a, b) => (a.daysUntilStockout ?? Infinity) - (b.daysUntilStockout ?? Infinity),
+  // Highest simulated probability of running out before a new order arrives first
+  risk: (a, b) =>
+    ((b.stockoutRisk ? b.stockoutRisk.probabilityOfStockout : -1) -
+     (a.stockoutRisk ? a.stockoutRisk.probabilityOfStockout : -1)) ||
+    ((b.stockoutRisk ? b.stockoutRisk.expectedUnitsShort : 0) -
+     (a.stockoutRisk ? a.stockoutRisk.expectedUnitsShort : 0)) ||
+    REORDER_SORTS.days(a, b)
+};
+
+// Vendors considered for order quantities
+const getOrderingVendors = () => (
+  Vendor.find({ isActive: true }).select('name code prices freeShippingMinimum shippingCost').lean()
+);
+
+// Reorder recommendation for an item from its (simulated) forecast, or null
+// when it does not need reordering yet
+const buildReorderRecommendation = (item, forecast, vendors) => {
+  const { summary } = forecast;
+  const policy = summary.inventoryPolicy;
+  const leadTime = Math.round(policy.leadTimeDays * 10) / 10;
+  
+  // Open orders count towards stock, so an item covered by a confirmed
+  // delivery is not recommended again
+  const stockPosition = Math.round((item.currentStock + summary.onOrder) * 100) / 100;
+  
+  // Service-level items (and items with an overridden minimum) reorder at their
+  // reorder point; items without enough history fall back to running out
+  // within lead time plus a buffer
+  // (daysUntilStockout already includes open order arrivals)
+  const needsReorder = policy.basis === 'service_level' || summary.overrides?.minimum
+    ? stockPosition <= summary.reorderPoint
+    : summary.daysUntilStockout !== null && summary.daysUntilStockout <= leadTime + 5;
+  
+  if (!needsReorder) return null;
+  
+  const neededQty = calculateRecommendedOrderQty(stockPosition, summary);
+  const orderQuantity = calculateOrderQuantity(item, neededQty, summary.avgDailyDemand, vendors);
+  const recommendedOrderQty = orderQuantity ? orderQuantity.quantity : neededQty;
+  const boardFeetPerUnit = calculateBoardFeetPerUnit(item);
+  
+  return {
+    item: {
+      id: item._id,
+      name: item.displayName || item.name,
+      sku: item.sku,
+      currentStock: item.currentStock
+    },
+    onOrder: summary.onOrder,
+    stockPosition,
+    openOrders: summary.openOrders,
+    urgency: summary.daysUntilStockout !== null && summary.daysUntilStockout <= leadTime ? 'critical' : 'high',
+    daysUntilStockout: summary.daysUntilStockout,
+    leadTime,
+    method: forecast.method,
+    serviceLevel: summary.serviceLevel,
+    safetyStock: summary.safetyStock,
+    reorderPoint: summary.reorderPoint,
+    recommendedOrderQty,
+    boardFeetPerUnit: item.boardFeetPerUnit,
+    recommendedOrderBoardFeet: boardFeetPerUnit !== null ? toBoardFeet(recommendedOrderQty, boardFeetPerUnit) : null,
+    orderQuantity,
+    stockoutDate: summary.stockoutDate,
+    stockoutRisk: summary.stockoutRisk,
+    ...(summary.intermittent && { demandPattern: summary.intermittent })
+  };
+};
+
 // Get items that need reordering
-const getReorderRecommendations = async () => {
-  const items = await InventoryItem.find({ isActive: true });
+// options.sortBy: 'days' (default) or 'risk'
+const getReorderRecommendations = async (options = {}) => {
+  const [items, vendors] = await Promise.all([
+    InventoryItem.find({ isActive: true }),
+    getOrderingVendors()
+  ]);
+  const reconciliation = await reconcileItems(items, Math.ceil(CONFIG.FORECAST_DAYS / 7));
   const recommendations = [];
   
   for (const item of items) {
-    const forecast = await generateForecast(item._id);
-    const leadTime = item.avgLeadTime || 7;
-    
-    if (forecast.summary.daysUntilStockout !== null && 
-        forecast.summary.daysUntilStockout <= leadTime + 5) {
-      recommendations.push({
-        item: {
-          id: item._id,
-          name: item.displayName || item.name,
-          sku: item.sku,
-          currentStock: item.currentStock
-        },
-        urgency: forecast.summary.daysUntilStockout <= leadTime ? 'critical' : 'high',
-        daysUntilStockout: forecast.summary.daysUntilStockout,
-        leadTime,
-        recommendedOrderQty: Math.ceil(forecast.summary.recommendedTarget - item.currentStock),
-        stockoutDate: forecast.summary.stockoutDate
-      });
-    }
+    const forecast = await generateForecast(item._id, undefined, { simulate: true, reconciliation });
+    const recommendation = buildReorderRecommendation(item, forecast, vendors);
+    if (recommendation) recommendations.push(recommendation);
   }
   
-  return recommendations.sort((a, b) => a.daysUntilStockout - b.daysUntilStockout);
+  return recommendations.sort(REORDER_SORTS[options.sortBy] || REORDER_SORTS.days);
 };
 
 module.exports = {
   trainGlobalModel,
+  loadActiveModel,
+  activateModelVersion,
+  listModelVersions,
+  compareModelVersions,
+  getModelStatus,
   generateForecast,
   updateItemForecasts,
+  refreshItemForecast,
+  expireForecastOverrides,
+  getForecastHistory,
+  classifyItems,
+  getWeeklyHistory,
+  createDataFilter,
   generateBatchForecasts,
+  reconcileItems,
+  clearReconciliationCache,
+  getEnsembleWeights,
   getReorderRecommendations,
+  getOrderingVendors,
+  buildReorderRecommendation,
+  calculateOrderQuantity,
+  listForecastMethods: forecastMethods.listMethods,
+  CONFIG,
   isModelTrained: () => globalModel !== null
 };
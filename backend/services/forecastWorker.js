@@ -0,0 +1,69 @@
+/**
+ * Forecast Worker
+ *
+ * Runs one background job (see services/jobService) in a worker thread so
+ * model training and forecast updates never block the API. Training also
+ * refreshes the items' ensemble weights. The thread has
+ * its own database connection, season calendars, external signals and
+ * active model.
+ *
+ * workerData: { type: 'train_model' | 'update_forecasts', options }
+ * Messages to the parent: { type: 'progress', progress },
+ * { type: 'result', result } or { type: 'error', error }.
+ * The parent sends { type: 'cancel' } to stop the job early.
+ */
+
+require('dotenv').config();
+const { parentPort, workerData } = require('worker_threads');
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const forecastService = require('./forecastService');
+const seasonCalendarService = require('./seasonCalendarService');
+const externalSignalService = require('./externalSignalService');
+const backtestService = require('./backtestService');
+
+let cancelled = false;
+parentPort.on('message', (message) => {
+  if (message.type === 'cancel') cancelled = true;
+});
+
+const jobOptions = {
+  ...workerData.options,
+  onProgress: (progress) => parentPort.postMessage({ type: 'progress', progress }),
+  shouldCancel: () => cancelled
+};
+
+const runJob = async () => {
+  await connectDB();
+  await seasonCalendarService.loadSeasonCalendars();
+  await externalSignalService.loadExternalSignals();
+  await forecastService.loadActiveModel();
+
+  if (workerData.type === 'train_model') {
+    const training = await forecastService.trainGlobalModel(jobOptions);
+    if (cancelled) return training || { cancelled: true };
+
+    // Ensemble weights are learned with the model that is active after training
+    const ensembleWeights = await backtestService.refreshEnsembleWeights(jobOptions);
+    // The model is already stored; a late cancel only stops the weighting
+    return { ...training, ensembleWeights, ...(cancelled && { cancelled: true }) };
+  }
+
+  if (workerData.type === 'update_forecasts') {
+    const updates = await forecastService.updateItemForecasts(jobOptions);
+    return {
+      cancelled,
+      updated: updates.filter(u => u.success).length,
+      failed: updates.filter(u => !u.success).length,
+      updates
+    };
+  }
+
+  throw new Error(`Unknown job type: ${workerData.type}`);
+};
+
+runJob()
+  // Plain JSON so ObjectIds and dates survive the thread boundary
+  .then(result => parentPort.postMessage({ type: 'result', result: JSON.parse(JSON.stringify(result)) }))
+  .catch(error => parentPort.postMessage({ type: 'error', error: error.message }))
+  .finally(() => mongoose.connection.close());
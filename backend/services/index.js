@@ -2,10 +2,22 @@ const forecastService = require('./forecastService');
 const anomalyService = require('./anomalyService');
 const reminderService = require('./reminderService');
 const vendorOptimizer = require('./vendorOptimizer');
+const backtestService = require('./backtestService');
+const scenarioService = require('./scenarioService');
+const seasonCalendarService = require('./seasonCalendarService');
+const boardFeetService = require('./boardFeetService');
+const externalSignalService = require('./externalSignalService');
+const jobService = require('./jobService');
 
 module.exports = {
   forecastService,
   anomalyService,
   reminderService,
-  vendorOptimizer
+  vendorOptimizer,
+  backtestService,
+  scenarioService,
+  seasonCalendarService,
+  boardFeetService,
+  externalSignalService,
+  jobService
 };
@@ -0,0 +1,103 @@
+/**
+ * Job Service
+ *
+ * Background jobs for model training and forecast updates (see
+ * utils/jobQueue). Each job runs in its own worker thread
+ * (services/forecastWorker) so the API stays responsive; the queue runs one
+ * job at a time. When a training job promotes a new model, the API's
+ * in-memory model is reloaded from the database.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../config/db');
+const forecastService = require('./forecastService');
+const { createJobQueue } = require('../utils/jobQueue');
+
+const JOB_TYPES = ['train_model', 'update_forecasts'];
+
+// Run a job in a worker thread
+const runInWorker = (job, { onProgress }) => {
+  const worker = new Worker(path.join(__dirname, 'forecastWorker.js'), {
+    workerData: { type: job.type, options: job.options }
+  });
+
+  const result = new Promise((resolve, reject) => {
+    let settled = false;
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        onProgress(message.progress);
+      } else if (message.type === 'result' || message.type === 'error') {
+        settled = true;
+        worker.terminate();
+        if (message.type === 'result') resolve(message.result);
+        else reject(new Error(message.error));
+      }
+    });
+    worker.on('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+    worker.on('exit', (code) => {
+      if (!settled) reject(new Error(`Worker stopped with exit code ${code}`));
+    });
+  });
+
+  return {
+    result,
+    cancel: () => worker.postMessage({ type: 'cancel' })
+  };
+};
+
+const queue = createJobQueue({
+  run: (job, handlers) => {
+    logger.info(`Starting ${job.type} job ${job.id}`);
+    const handle = runInWorker(job, handlers);
+    handle.result.catch(error => logger.error(`${job.type} job ${job.id} failed: ${error.message}`));
+    return handle;
+  },
+  onComplete: async (job) => {
+    logger.info(`Finished ${job.type} job ${job.id}${job.result && job.result.cancelled ? ' (cancelled)' : ''}`);
+    // Forecasts, models or ensemble weights changed in the worker
+    forecastService.clearReconciliationCache();
+    if (job.type === 'train_model' && job.result && job.result.promoted) {
+      await forecastService.loadActiveModel();
+    }
+  }
+});
+
+// Options that decide what a job does, with sorted keys (who started it does not)
+const describeOptions = ({ triggeredBy, ...options } = {}) => JSON.stringify(options, (key, value) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+    : value
+));
+
+// A waiting job of the type that would run with other options than these, or
+// null; startJob would return it in place of the job asked for
+const findConflictingJob = (type, options = {}) => {
+  const waiting = queue.list().find(job => job.type === type && job.status === 'queued');
+  return waiting && describeOptions(waiting.options) !== describeOptions(options) ? waiting : null;
+};
+
+// Queue a job; a job of the same type that is still waiting is returned instead
+// (one that is already running is not, so the new job sees the latest data)
+const startJob = (type, options = {}, userId = null) => {
+  if (!JOB_TYPES.includes(type)) throw new Error(`Unknown job type: ${type}`);
+
+  const waiting = queue.list().find(job => job.type === type && job.status === 'queued');
+  if (waiting) return waiting;
+
+  return queue.enqueue(type, options, userId);
+};
+
+module.exports = {
+  JOB_TYPES,
+  startJob,
+  findConflictingJob,
+  getJob: queue.get,
+  listJobs: queue.list,
+  findActiveJob: queue.findActive,
+  cancelJob: queue.cancel
+};
@@ -194,7 +194,9 @@ const checkReorderNeeds = async () => {
   if (recommendations.length > 0) {
     const reorderItems = recommendations.map(rec => ({
       name: rec.item.name,
-      value: `${rec.daysUntilStockout} days until stockout`,
+      value: rec.onOrder > 0
+        ? `${rec.daysUntilStockout} days until stockout, ${rec.onOrder} on order (${rec.openOrders.map(o => o.orderNumber).join(', ')})`
+        : `${rec.daysUntilStockout} days until stockout`,
       status: rec.urgency.toUpperCase(),
       urgency: rec.urgency
     }));
@@ -0,0 +1,142 @@
+/**
+ * Scenario Service
+ *
+ * Reruns every active item's forecast with what-if adjustments (demand
+ * uplifts, vendor lead times, season shifts) and compares projected
+ * stockouts, orders and spend week by week with the unadjusted baseline.
+ * Nothing is stored; saved scenarios only keep their adjustments.
+ */
+
+const { InventoryItem, Vendor, Order } = require('../models');
+const { logger } = require('../config/db');
+const forecastService = require('./forecastService');
+const {
+  getDemandMultiplier,
+  simulateItemPlan,
+  summarizeByWeek,
+  summarizeTotals,
+  diff
+} = require('../utils/scenario');
+
+const DEFAULT_WEEKS = 12;
+
+// Most recent unit price paid per item, for items no vendor has a price for
+const getLastUnitPrices = async () => {
+  const rows = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $sort: { orderDate: -1 } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.item', unitPrice: { $first: '$items.unitPrice' } } }
+  ]);
+
+  return new Map(rows.map(row => [String(row._id), row.unitPrice]));
+};
+
+// Simulate one item from a (baseline or scenario) forecast
+const planItem = (item, forecast, vendors, lastPrices) => {
+  const { summary } = forecast;
+  const orderQuantity = forecastService.calculateOrderQuantity(item, 0, summary.avgDailyDemand, vendors);
+  const unitPrice = orderQuantity
+    ? orderQuantity.breakdown.unitPrice
+    : lastPrices.get(String(item._id)) ?? null;
+
+  return simulateItemPlan({
+    weeklyDemand: forecast.predictions.map(p => p.predictedDemand),
+    currentStock: item.currentStock,
+    receipts: summary.openOrders,
+    reorderPoint: summary.reorderPoint ?? summary.recommendedMin,
+    target: summary.recommendedTarget,
+    leadTimeDays: summary.inventoryPolicy.leadTimeDays,
+    minOrderQty: orderQuantity ? orderQuantity.quantity : 0,
+    unitPrice
+  });
+};
+
+/**
+ * Run a scenario against the baseline
+ *
+ * adjustments: see utils/scenario (validate with validateAdjustments first)
+ * options.weeks: horizon in weeks
+ */
+const runScenario = async (adjustments, options = {}) => {
+  const weeks = options.weeks || DEFAULT_WEEKS;
+  const startDate = new Date();
+
+  const [items, vendors, lastPrices] = await Promise.all([
+    InventoryItem.find({ isActive: true }),
+    Vendor.find({ isActive: true }).select('name code prices freeShippingMinimum shippingCost').lean(),
+    getLastUnitPrices()
+  ]);
+
+  const baselinePlans = [];
+  const scenarioPlans = [];
+  const itemResults = [];
+  const skipped = [];
+
+  for (const item of items) {
+    try {
+      // Scenarios are not reconciled, so neither is their baseline
+      const baseline = await forecastService.generateForecast(item._id, weeks * 7, { reconcile: false });
+      const scenario = await forecastService.generateForecast(item._id, weeks * 7, { scenario: adjustments });
+
+      const baselinePlan = planItem(item, baseline, vendors, lastPrices);
+      const scenarioPlan = planItem(item, scenario, vendors, lastPrices);
+      baselinePlans.push(baselinePlan);
+      scenarioPlans.push(scenarioPlan);
+
+      itemResults.push({
+        item: {
+          id: item._id,
+          name: item.displayName || item.name,
+          sku: item.sku,
+          category: item.category
+        },
+        demandMultiplier: getDemandMultiplier(item, adjustments.demandUplifts),
+        leadTimeDays: {
+          baseline: baseline.summary.inventoryPolicy.leadTimeDays,
+          scenario: scenario.summary.inventoryPolicy.leadTimeDays
+        },
+        baseline: baselinePlan.totals,
+        scenario: scenarioPlan.totals,
+        change: diff(scenarioPlan.totals, baselinePlan.totals)
+      });
+    } catch (error) {
+      logger.warn(`Scenario skipped item ${item._id}: ${error.message}`);
+      skipped.push({ itemId: item._id, error: error.message });
+    }
+  }
+
+  const baselineWeeks = summarizeByWeek(baselinePlans, weeks, startDate);
+  const scenarioWeeks = summarizeByWeek(scenarioPlans, weeks, startDate);
+  const baselineTotals = summarizeTotals(baselinePlans);
+  const scenarioTotals = summarizeTotals(scenarioPlans);
+
+  // Items whose outcome changes most first
+  itemResults.sort((a, b) =>
+    (b.change.stockoutWeeks - a.change.stockoutWeeks) ||
+    (Math.abs(b.change.spend) - Math.abs(a.change.spend))
+  );
+
+  return {
+    generatedAt: startDate.toISOString(),
+    weeks,
+    adjustments,
+    baseline: { totals: baselineTotals, byWeek: baselineWeeks },
+    scenario: { totals: scenarioTotals, byWeek: scenarioWeeks },
+    change: {
+      totals: diff(scenarioTotals, baselineTotals),
+      byWeek: scenarioWeeks.map((week, i) => ({
+        ...diff(week, baselineWeeks[i]),
+        week: week.week,
+        periodStart: week.periodStart
+      }))
+    },
+    items: itemResults,
+    skipped
+  };
+};
+
+module.exports = {
+  DEFAULT_WEEKS,
+  runScenario
+};
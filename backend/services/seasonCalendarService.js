@@ -0,0 +1,87 @@
+/**
+ * Season Calendar Service
+ *
+ * Keeps the season calendars stored in the database loaded into
+ * utils/seasonHelper, whose helpers are synchronous and used everywhere
+ * (minimums, forecast features, seasonal factors). Reload after every change.
+ */
+
+const { SeasonCalendar } = require('../models');
+const { logger } = require('../config/db');
+const {
+  DEFAULT_REGION,
+  createDefaultCalendar,
+  setSeasonCalendars,
+  getSeasonCalendar,
+  getSeasonPeriod,
+  getSeasonLevel
+} = require('../utils/seasonHelper');
+
+// Load all stored calendars into the season helper
+const loadSeasonCalendars = async () => {
+  const calendars = await SeasonCalendar.find().lean();
+  setSeasonCalendars(calendars);
+  logger.info(`Loaded ${calendars.length} season calendar(s)`);
+  return calendars;
+};
+
+// Stored calendars, plus the settings-based default when none is stored for it
+const listSeasonCalendars = async () => {
+  const calendars = await SeasonCalendar.find().sort({ region: 1 }).lean();
+  if (!calendars.some(c => c.region === DEFAULT_REGION)) {
+    calendars.unshift({ ...createDefaultCalendar(), fromSettings: true });
+  }
+  return calendars;
+};
+
+// Create or replace the calendar of a region
+const saveSeasonCalendar = async (region, calendar, userId) => {
+  const saved = await SeasonCalendar.findOneAndUpdate(
+    { region },
+    {
+      region,
+      name: calendar.name,
+      baseKey: calendar.baseKey,
+      baseName: calendar.baseName,
+      baseFactor: calendar.baseFactor,
+      periods: calendar.periods,
+      updatedBy: userId
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  await loadSeasonCalendars();
+  return saved;
+};
+
+// Remove a region's calendar (the default region falls back to the settings)
+const deleteSeasonCalendar = async (region) => {
+  const result = await SeasonCalendar.deleteOne({ region });
+  await loadSeasonCalendars();
+  return result.deletedCount > 0;
+};
+
+// Weekly season and demand level of a region through a year, for charts
+const previewSeasonCalendar = (region, year = new Date().getFullYear()) => {
+  const calendar = getSeasonCalendar(region);
+  const weeks = [];
+
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7)) {
+    const period = getSeasonPeriod(date, region);
+    weeks.push({
+      date: date.toISOString().split('T')[0],
+      season: period.key,
+      seasonName: period.name,
+      level: Math.round(getSeasonLevel(date, region) * 1000) / 1000
+    });
+  }
+
+  return { region: calendar.region || DEFAULT_REGION, year, weeks };
+};
+
+module.exports = {
+  loadSeasonCalendars,
+  listSeasonCalendars,
+  saveSeasonCalendar,
+  deleteSeasonCalendar,
+  previewSeasonCalendar
+};
@@ -0,0 +1,72 @@
+const { calculateErrorMetrics, pickBestMethod } = require('../utils/forecastMetrics');
+const { runWalkForward } = require('../services/backtestService');
+
+describe('Forecast Metrics', () => {
+  it('should calculate MAE, MAPE, bias and WAPE', () => {
+    const metrics = calculateErrorMetrics([
+      { actual: 10, predicted: 12 },
+      { actual: 20, predicted: 15 },
+      { actual: 0, predicted: 1 }
+    ]);
+
+    expect(metrics.count).toBe(3);
+    expect(metrics.mae).toBeCloseTo(8 / 3, 2);
+    expect(metrics.bias).toBeCloseTo(-2 / 3, 2);
+    // MAPE skips the zero-demand week: (20% + 25%) / 2
+    expect(metrics.mape).toBeCloseTo(22.5, 2);
+    expect(metrics.wape).toBeCloseTo((8 / 30) * 100, 2);
+  });
+
+  it('should return nulls when there is nothing to score', () => {
+    expect(calculateErrorMetrics([])).toEqual({
+      count: 0, mae: null, mape: null, bias: null, wape: null
+    });
+  });
+
+  it('should pick the method with the lowest WAPE', () => {
+    expect(pickBestMethod({
+      lstm: { wape: 30 },
+      simple_average: { wape: 25 },
+      other: { wape: null }
+    })).toBe('simple_average');
+  });
+});
+
+describe('Walk-forward replay', () => {
+  const history = [5, 5, 5, 5, 10, 10].map((consumption, i) => ({
+    consumption,
+    date: new Date(2024, 0, 1 + i * 7)
+  }));
+
+  it('should only let methods see weeks before each origin', () => {
+    const seen = [];
+    const methods = {
+      last_value: (training, weeks) => {
+        seen.push(training.length);
+        return Array(weeks).fill(training[training.length - 1].consumption);
+      }
+    };
+
+    const { origins, pairs } = runWalkForward(
+      history, methods, { horizon: 2, step: 1, minHistory: 3 }, {}
+    );
+
+    expect(origins).toBe(2);
+    expect(seen).toEqual([3, 4]);
+    expect(pairs.last_value).toEqual([
+      { actual: 5, predicted: 5, horizonWeek: 1 },
+      { actual: 10, predicted: 5, horizonWeek: 2 },
+      { actual: 10, predicted: 5, horizonWeek: 1 },
+      { actual: 10, predicted: 5, horizonWeek: 2 }
+    ]);
+  });
+
+  it('should always move origins forward', () => {
+    const history = [1, 2, 3, 4, 5, 6].map(consumption => ({ consumption }));
+    const methods = { last_value: (training, weeks) => Array(weeks).fill(training[training.length - 1].consumption) };
+
+    const { origins } = runWalkForward(history, methods, { horizon: 1, step: -1, minHistory: 3 }, {});
+
+    expect(origins).toBe(3);
+  });
+});
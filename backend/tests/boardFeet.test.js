@@ -0,0 +1,104 @@
+const {
+  parseLengthFeet,
+  calculateBoardFeetPerUnit,
+  getDimensionFamily,
+  aggregateBoardFeet
+} = require('../utils/boardFeet');
+
+const lumber = (id, thickness, width, length, overrides = {}) => ({
+  _id: id,
+  sku: id.toUpperCase(),
+  name: `${thickness}x${width} - ${length}`,
+  category: 'dimensional',
+  unitOfMeasure: 'pieces',
+  dimensions: { thickness, width, length },
+  ...overrides
+});
+
+describe('Board feet', () => {
+  it('should read lengths in feet or inches', () => {
+    expect(parseLengthFeet("16'")).toBe(16);
+    expect(parseLengthFeet('8 ft')).toBe(8);
+    expect(parseLengthFeet('12')).toBe(12);
+    expect(parseLengthFeet('96')).toBe(8);
+    expect(parseLengthFeet('30"')).toBe(2.5);
+    expect(parseLengthFeet('')).toBeNull();
+  });
+
+  it('should convert each unit of measure to board feet', () => {
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '4', "8'"))).toBeCloseTo(5.333);
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', "12'"))).toBe(12);
+    expect(calculateBoardFeetPerUnit(lumber('p', '3/4', '48', '96', { category: 'plywood', unitOfMeasure: 'sheets' }))).toBe(24);
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', "12'", { unitOfMeasure: 'linear_feet' }))).toBe(1);
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '4', "12'", { unitOfMeasure: 'linear_feet' }))).toBeCloseTo(0.667);
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', "12'", { unitOfMeasure: 'board_feet' }))).toBe(1);
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', "12'", { unitOfMeasure: 'bundles', piecesPerBundle: 50 }))).toBe(600);
+  });
+
+  it('should not convert without dimensions or pieces per bundle', () => {
+    expect(calculateBoardFeetPerUnit(lumber('a', '', '', ''))).toBeNull();
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', ''))).toBeNull();
+    expect(calculateBoardFeetPerUnit(lumber('a', '2', '6', "12'", { unitOfMeasure: 'bundles' }))).toBeNull();
+  });
+
+  it('should name dimension families by species and nominal size', () => {
+    expect(getDimensionFamily(lumber('a', '2', '6', "12'"))).toBe('2x6');
+    expect(getDimensionFamily(lumber('a', '2', '6', "12'", { species: 'SPF' }))).toBe('SPF 2x6');
+  });
+
+  it('should total board feet per family across lengths', () => {
+    const week = (date, consumption) => ({ date: new Date(`${date}T00:00:00Z`), consumption });
+    const entries = [
+      {
+        item: lumber('a', '2', '6', "12'"),
+        currentStock: 10,
+        onOrder: 5,
+        reorderQty: 20,
+        history: [week('2024-05-06', 4), week('2024-05-13', 2)],
+        forecast: [{ week: 1, date: '2024-05-27', predictedDemand: 3 }]
+      },
+      {
+        item: lumber('b', '2', '6', "16'", { unitOfMeasure: 'bundles', piecesPerBundle: 10 }),
+        currentStock: 1,
+        onOrder: 0,
+        reorderQty: 0,
+        history: [week('2024-05-13', 0.5)],
+        forecast: [{ week: 1, date: '2024-05-27', predictedDemand: 0.25 }]
+      },
+      {
+        item: lumber('c', '2', '4', "8'"),
+        currentStock: 3,
+        history: [],
+        forecast: [{ week: 1, date: '2024-05-27', predictedDemand: 3 }]
+      },
+      { item: lumber('d', '', '', ''), currentStock: 100, history: [], forecast: [] }
+    ];
+
+    const report = aggregateBoardFeet(entries, 'family');
+    const family = report.groups.find(g => g.key === '2x6');
+
+    expect(report.groups.map(g => g.key)).toEqual(['2x6', '2x4']);
+    expect(family.itemCount).toBe(2);
+    expect(family.currentStock).toBe(10 * 12 + 160);
+    expect(family.onOrder).toBe(60);
+    expect(family.reorder).toBe(240);
+    expect(family.history).toEqual([
+      { date: '2024-05-06', boardFeet: 48 },
+      { date: '2024-05-13', boardFeet: 24 + 80 }
+    ]);
+    expect(family.weeks).toEqual([{ week: 1, date: '2024-05-27', boardFeet: 36 + 40 }]);
+    expect(report.totals.forecast).toBe(76 + 16);
+    expect(report.unconverted.map(u => u.itemId)).toEqual(['d']);
+  });
+
+  it('should group by category', () => {
+    const entries = [
+      { item: lumber('a', '2', '6', "12'"), currentStock: 1 },
+      { item: lumber('b', '2', '6', "12'", { category: 'treated' }), currentStock: 2 }
+    ];
+
+    const report = aggregateBoardFeet(entries, 'category');
+
+    expect(report.groups.map(g => [g.key, g.currentStock]).sort()).toEqual([['dimensional', 12], ['treated', 24]]);
+  });
+});
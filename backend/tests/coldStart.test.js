@@ -0,0 +1,95 @@
+const {
+  parseDimension,
+  calculateSimilarity,
+  calculateDemandScale,
+  findAnalogs,
+  buildColdStartHistory
+} = require('../utils/coldStart');
+
+const lumber = (id, thickness, width, length, overrides = {}) => ({
+  _id: id,
+  sku: `${thickness}X${width}-${length}`,
+  name: `${thickness}x${width} - ${length}'`,
+  category: 'dimensional',
+  unitOfMeasure: 'pieces',
+  dimensions: { thickness, width, length: `${length}'` },
+  ...overrides
+});
+
+const weeks = (values, startWeek = 0) => values.map((consumption, i) => ({
+  date: new Date(2024, 0, 1 + (startWeek + i) * 7),
+  consumption,
+  missing: consumption === null,
+  imputed: false
+}));
+
+describe('Cold start', () => {
+  it('should parse lumber dimensions', () => {
+    expect(parseDimension('2')).toBe(2);
+    expect(parseDimension("16'")).toBe(16);
+    expect(parseDimension('8 ft')).toBe(8);
+    expect(parseDimension('5/4')).toBe(1.25);
+    expect(parseDimension('1-1/2')).toBe(1.5);
+    expect(parseDimension('')).toBeNull();
+    expect(parseDimension(undefined)).toBeNull();
+  });
+
+  it('should rank neighbouring lengths of the same size first', () => {
+    const item = lumber('new', '2', '6', 14);
+    const candidates = [
+      lumber('a', '2', '4', 14),
+      lumber('b', '2', '6', 12),
+      lumber('c', '2', '6', 16),
+      lumber('d', '2', '6', 8),
+      lumber('e', '2', '6', 14, { category: 'treated' }),
+      lumber('f', '2', '6', 14, { unitOfMeasure: 'board_feet' }),
+      lumber('new', '2', '6', 14)
+    ];
+
+    const analogs = findAnalogs(item, candidates);
+
+    expect(analogs.map(a => a.item._id)).toEqual(['c', 'b', 'a']);
+    expect(calculateSimilarity(item, candidates[4])).toBe(0);
+    expect(calculateSimilarity(item, candidates[5])).toBe(0);
+    expect(findAnalogs(item, candidates, 10).map(a => a.item._id)).not.toContain('new');
+  });
+
+  it('should convert analog demand into the item unit', () => {
+    const item = lumber('new', '2', '6', 14);
+    const analog = lumber('a', '2', '4', 12);
+
+    expect(calculateDemandScale(item, analog)).toBe(1);
+    expect(calculateDemandScale({ ...item, unitOfMeasure: 'linear_feet' }, analog)).toBe(1.17);
+    expect(calculateDemandScale({ ...item, unitOfMeasure: 'board_feet' }, analog)).toBe(1.75);
+  });
+
+  it('should average analogs weighted by similarity', () => {
+    const result = buildColdStartHistory([], [
+      { item: lumber('a', '2', '6', 12), similarity: 0.75, scale: 1, history: weeks([10, 10, 20]) },
+      { item: lumber('b', '2', '6', 16), similarity: 0.25, scale: 2, history: weeks([10, 30, null]) }
+    ], 2);
+
+    expect(result.history.map(w => w.consumption)).toEqual([12.5, 22.5, 20]);
+    expect(result.history.every(w => w.borrowed)).toBe(true);
+    expect(result.analogs.map(a => a.weight)).toEqual([0.75, 0.25]);
+    expect(result.ownWeeks).toBe(0);
+  });
+
+  it('should keep own weeks and scale borrowed weeks to their level', () => {
+    const analog = { item: lumber('a', '2', '6', 12), similarity: 0.8, scale: 1, history: weeks([10, 10, 10, 10, 10]) };
+    const own = weeks([5, 6], 3);
+
+    const result = buildColdStartHistory(own, [analog], 2);
+
+    expect(result.levelScale).toBe(0.55);
+    expect(result.history.map(w => w.consumption)).toEqual([5.5, 5.5, 5.5, 5, 6]);
+    expect(result.history.map(w => w.borrowed)).toEqual([true, true, true, false, false]);
+  });
+
+  it('should need analogs with enough history', () => {
+    const analog = { item: lumber('a', '2', '6', 12), similarity: 0.8, scale: 1, history: weeks([10, 10]) };
+
+    expect(buildColdStartHistory([], [analog], 3)).toBeNull();
+    expect(buildColdStartHistory([], [], 3)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+const { collectReceipts, reconstructConsumption } = require('../utils/consumptionHistory');
+
+const day = (n) => new Date(2024, 2, 4 + n);
+const count = (n, value, extra = {}) => ({ countDate: day(n), count: value, source: 'manual', ...extra });
+
+describe('Consumption reconstruction', () => {
+  it('should add deliveries back into the week they arrived', () => {
+    const counts = [
+      count(0, 100),
+      count(3, 150, { source: 'delivery', previousCount: 100 }),
+      count(7, 130)
+    ];
+    const history = reconstructConsumption(counts, collectReceipts('item', [], counts));
+
+    // 100 + 50 received - 130 = 20, in a single weekly entry
+    expect(history).toHaveLength(1);
+    expect(history[0].consumption).toBe(20);
+    expect(history[0].received).toBe(50);
+  });
+
+  it('should use the delivery date for deliveries recorded after the next count', () => {
+    // Delivered on day 3 but marked delivered after the day 7 count
+    const counts = [
+      count(0, 100),
+      count(3, 180, { source: 'delivery', previousCount: 130 }),
+      count(7, 130)
+    ];
+    const history = reconstructConsumption(counts, collectReceipts('item', [], counts));
+
+    expect(history[0].consumption).toBe(20);
+  });
+
+  it('should exclude adjustments from consumption', () => {
+    const counts = [
+      count(0, 100),
+      count(2, 95, { source: 'adjustment', previousCount: 100 }),
+      count(7, 80)
+    ];
+    const history = reconstructConsumption(counts, []);
+
+    expect(history[0].consumption).toBe(15);
+    expect(history[0].adjusted).toBe(-5);
+  });
+
+  it('should not count an order delivery twice', () => {
+    const order = {
+      _id: 'order1',
+      orderNumber: 'PO-1',
+      actualDeliveryDate: day(3),
+      items: [{ item: 'item', quantity: 50 }, { item: 'other', quantity: 10 }]
+    };
+    const counts = [
+      count(0, 100),
+      count(3, 150, { source: 'delivery', previousCount: 100, order: 'order1' }),
+      count(5, 160, { source: 'delivery', previousCount: 150, notes: 'Delivery from order PO-1' }),
+      count(7, 130)
+    ];
+    const receipts = collectReceipts('item', [order], counts);
+
+    expect(receipts).toHaveLength(1);
+    expect(reconstructConsumption(counts, receipts)[0].consumption).toBe(20);
+  });
+});
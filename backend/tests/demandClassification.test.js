@@ -0,0 +1,59 @@
+const { classifyDemand } = require('../utils/demandClassification');
+const { selectMethod } = require('../services/forecastMethods');
+
+const toHistory = (values) => values.map(consumption => ({ consumption }));
+
+describe('Demand pattern classification', () => {
+  it('should classify steady weekly demand as smooth', () => {
+    const result = classifyDemand(toHistory([20, 22, 19, 21, 20, 23, 18, 20, 21, 22]));
+
+    expect(result.pattern).toBe('smooth');
+    expect(result.adi).toBe(1);
+  });
+
+  it('should classify every-week demand with varying sizes as erratic', () => {
+    const result = classifyDemand(toHistory([2, 40, 5, 60, 1, 35, 3, 50, 4, 45]));
+
+    expect(result.pattern).toBe('erratic');
+  });
+
+  it('should classify sparse demand of similar size as intermittent', () => {
+    const result = classifyDemand(toHistory([0, 0, 10, 0, 0, 0, 11, 0, 0, 9, 0, 0]));
+
+    expect(result.pattern).toBe('intermittent');
+    expect(result.adi).toBe(4);
+  });
+
+  it('should classify sparse demand of varying size as lumpy', () => {
+    const result = classifyDemand(toHistory([0, 0, 2, 0, 0, 0, 60, 0, 0, 5, 0, 0]));
+
+    expect(result.pattern).toBe('lumpy');
+  });
+
+  it('should leave short or empty histories unclassified', () => {
+    expect(classifyDemand(toHistory([5, 6, 7])).pattern).toBeNull();
+    expect(classifyDemand(toHistory([0, 0, 0, 0, 0, 0, 0, 0, 4, 0])).pattern).toBeNull();
+  });
+});
+
+describe('Pattern-driven method selection', () => {
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+  const lumpy = [0, 0, 2, 0, 0, 0, 60, 0, 0, 5, 0, 0].map((consumption, i) => ({
+    date: new Date(2023, 0, 2 + (i * WEEK_MS) / (24 * 60 * 60 * 1000)),
+    consumption
+  }));
+
+  it('should use an intermittent method for lumpy items on auto', () => {
+    const selection = selectMethod('auto', lumpy, { demandPattern: 'lumpy' });
+
+    expect(selection.method.name).toBe('tsb');
+    expect(selection.basis).toBe('demand_pattern');
+  });
+
+  it('should keep an explicit item method over the pattern', () => {
+    const selection = selectMethod('holt_winters', lumpy, { demandPattern: 'lumpy' });
+
+    expect(selection.method.name).toBe('holt_winters');
+    expect(selection.basis).toBe('item');
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  calculateEnsembleWeights,
+  resolveEnsembleWeights,
+  combineForecasts
+} = require('../utils/ensembleForecast');
+
+describe('Ensemble forecast', () => {
+  it('should weigh methods by inverse backtest error', () => {
+    const weights = calculateEnsembleWeights({
+      lstm: { count: 20, mae: 2 },
+      holt_winters: { count: 20, mae: 4 },
+      simple_average: { count: 20, mae: 8 },
+      seasonal_naive: { count: 20, mae: 16 }
+    }, { maxMethods: 3 });
+
+    expect(weights).toEqual({ lstm: 0.571, holt_winters: 0.286, simple_average: 0.143 });
+  });
+
+  it('should skip methods with too few backtested weeks', () => {
+    const metrics = {
+      lstm: { count: 3, mae: 1 },
+      simple_average: { count: 20, mae: 5 }
+    };
+
+    expect(calculateEnsembleWeights(metrics, { minPairs: 8 })).toEqual({ simple_average: 1 });
+    expect(calculateEnsembleWeights({ lstm: { count: 0, mae: null } })).toBeNull();
+  });
+
+  it('should give exact methods all the weight', () => {
+    const weights = calculateEnsembleWeights({
+      croston: { count: 20, mae: 0 },
+      simple_average: { count: 20, mae: 3 }
+    });
+
+    expect(weights).toEqual({ croston: 1 });
+  });
+
+  it('should rescale learned weights to the usable methods', () => {
+    const resolved = resolveEnsembleWeights(
+      { lstm: 0.5, holt_winters: 0.3, simple_average: 0.2 },
+      ['holt_winters', 'simple_average']
+    );
+
+    expect(resolved.basis).toBe('backtest');
+    expect(resolved.weights.holt_winters).toBeCloseTo(0.6);
+    expect(resolved.weights.simple_average).toBeCloseTo(0.4);
+  });
+
+  it('should weigh the default methods equally without learned weights', () => {
+    const resolved = resolveEnsembleWeights(null, ['holt_winters', 'simple_average', 'croston'], ['lstm', 'holt_winters', 'simple_average']);
+
+    expect(resolved).toEqual({ basis: 'equal', weights: { holt_winters: 0.5, simple_average: 0.5 } });
+  });
+
+  it('should combine values and sigmas with the weights', () => {
+    const combined = combineForecasts([
+      { weight: 0.75, values: [10, 20], sigmas: [2, 4] },
+      { weight: 0.25, values: [30, 40], sigmas: [6, 8] }
+    ], 2);
+
+    expect(combined).toEqual({ values: [15, 25], sigmas: [3, 5] });
+    expect(combineForecasts([{ weight: 1, values: [1], sigmas: [] }], 1).sigmas).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  parseSignalDate,
+  parseSignalRows,
+  aggregateWeekly,
+  setExternalSignals,
+  getSignalScaling,
+  getSignalValue,
+  getSignalFeature
+} = require('../utils/externalSignals');
+
+// Mondays (ISO week starts) in local time
+const monday = (year, month, day) => new Date(year, month - 1, day);
+
+describe('External signals', () => {
+  afterEach(() => setExternalSignals([], []));
+
+  it('should read plain dates as local days', () => {
+    const date = parseSignalDate('2024-05-06');
+
+    expect(date.getFullYear()).toBe(2024);
+    expect(date.getMonth()).toBe(4);
+    expect(date.getDate()).toBe(6);
+    expect(parseSignalDate('not a date')).toBeNull();
+    expect(parseSignalDate('')).toBeNull();
+  });
+
+  it('should parse CSV records and report invalid rows', () => {
+    const { rows, errors } = parseSignalRows([
+      { Date: '2024-05-06', Signal: 'Housing Starts', Value: 120, Region: 'North' },
+      { date: '2024-05-06', name: 'holiday', value: '1' },
+      { date: 'soon', signal: 'rain_mm', value: 4 },
+      { date: '2024-05-06', signal: 'rain_mm', value: 'lots' },
+      { date: '2024-05-06', signal: 'rain/mm', value: 4 }
+    ]);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ name: 'housing_starts', region: 'north', value: 120 });
+    expect(rows[1]).toMatchObject({ name: 'holiday', region: null, value: 1 });
+    expect(errors.map(e => e.row)).toEqual([4, 5, 6]);
+  });
+
+  it('should aggregate values into ISO weeks', () => {
+    const values = [
+      { date: new Date(2024, 4, 6), value: 2 },
+      { date: new Date(2024, 4, 8), value: 4 },
+      { date: new Date(2024, 4, 13), value: 1 }
+    ];
+
+    const key = monday(2024, 5, 6).getTime();
+    expect(aggregateWeekly(values, 'sum').get(key)).toBe(6);
+    expect(aggregateWeekly(values, 'mean').get(key)).toBe(3);
+    expect(aggregateWeekly(values, 'max').get(key)).toBe(4);
+    expect(aggregateWeekly(values, 'sum').size).toBe(2);
+  });
+
+  it('should prefer the item region and fall back to the general series', () => {
+    setExternalSignals([{ name: 'permits', aggregation: 'sum' }], [
+      { name: 'permits', region: null, date: monday(2024, 5, 6), value: 100 },
+      { name: 'permits', region: 'north', date: monday(2024, 5, 6), value: 40 }
+    ]);
+
+    expect(getSignalValue('permits', new Date(2024, 4, 9), 'north')).toBe(40);
+    expect(getSignalValue('permits', new Date(2024, 4, 9), 'south')).toBe(100);
+    expect(getSignalValue('permits', new Date(2024, 4, 9))).toBe(100);
+    expect(getSignalValue('unknown', new Date(2024, 4, 9))).toBeNull();
+  });
+
+  it('should fill weeks from last year, then from the latest value', () => {
+    setExternalSignals([{ name: 'holiday', aggregation: 'max' }, { name: 'starts' }], [
+      { name: 'holiday', date: new Date(2023, 6, 4), value: 1 },
+      { name: 'holiday', date: new Date(2023, 6, 11), value: 0 },
+      { name: 'starts', date: monday(2024, 3, 4), value: 80 },
+      { name: 'starts', date: monday(2024, 4, 1), value: 95 }
+    ]);
+
+    expect(getSignalValue('holiday', new Date(2024, 6, 4))).toBe(1);
+    expect(getSignalValue('starts', new Date(2024, 5, 10))).toBe(95);
+    expect(getSignalValue('starts', new Date(2023, 0, 2))).toBeNull();
+  });
+
+  it('should scale features with the training min and max', () => {
+    setExternalSignals([{ name: 'starts' }], [
+      { name: 'starts', date: monday(2024, 3, 4), value: 80 },
+      { name: 'starts', date: monday(2024, 4, 1), value: 120 }
+    ]);
+
+    const scaling = getSignalScaling('starts');
+
+    expect(scaling).toEqual({ name: 'starts', min: 80, max: 120 });
+    expect(getSignalFeature(scaling, monday(2024, 4, 1))).toBe(1);
+    expect(getSignalFeature({ name: 'starts', min: 100, max: 140 }, monday(2024, 3, 4))).toBe(0);
+    expect(getSignalFeature({ name: 'starts', min: 0, max: 160 }, monday(2024, 3, 4))).toBe(0.5);
+    expect(getSignalFeature({ name: 'gone', min: 0, max: 1 }, monday(2024, 3, 4))).toBe(0);
+    expect(getSignalScaling('gone')).toBeNull();
+  });
+});
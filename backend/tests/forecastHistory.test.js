@@ -0,0 +1,66 @@
+const { compareSnapshotsToActuals } = require('../utils/forecastMetrics');
+const { resampleConsumption } = require('../utils/timeSeries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weeks without a daylight saving change (see the last test for one)
+const start = new Date(2024, 0, 8);
+const at = (days) => new Date(start.getTime() + days * DAY_MS);
+
+// 2 units a day for four weeks
+const dailySeries = resampleConsumption(
+  [{ periodStart: at(0), date: at(28), consumption: 56 }],
+  { granularity: 'day' }
+);
+
+const snapshot = (forecastDay, predicted) => ({
+  _id: `snap-${forecastDay}`,
+  forecastDate: at(forecastDay),
+  method: 'holt_winters',
+  predictions: predicted.map((value, i) => ({
+    week: i + 1,
+    periodStart: at(forecastDay + i * 7),
+    periodEnd: at(forecastDay + (i + 1) * 7),
+    predictedDemand: value
+  }))
+});
+
+describe('Forecast vs actual', () => {
+  it('should score finished weeks against actual consumption', () => {
+    const result = compareSnapshotsToActuals([snapshot(0, [16, 12])], dailySeries, at(30));
+    const [first] = result.snapshots;
+
+    expect(first.predictions[0].actual).toBe(14);
+    expect(first.predictions[0].error).toBe(2);
+    expect(first.predictions[1].error).toBe(-2);
+    expect(first.metrics.mae).toBe(2);
+    expect(result.byHorizon[1].count).toBe(1);
+  });
+
+  it('should leave future and uncovered weeks out of the metrics', () => {
+    const result = compareSnapshotsToActuals([snapshot(21, [14, 14])], dailySeries, at(30));
+    const [only] = result.snapshots;
+
+    expect(only.predictions[0].status).toBe('scored');
+    expect(only.predictions[1].status).toBe('pending');
+
+    const later = compareSnapshotsToActuals([snapshot(21, [14, 14])], dailySeries, at(40));
+    expect(later.snapshots[0].predictions[1].status).toBe('no_data');
+    expect(later.overall.count).toBe(1);
+  });
+
+  it('should find every calendar day of a week with a 23-hour day', () => {
+    // Clocks go forward on 10 March 2024 in New York (tests run in that time
+    // zone unless TZ is set, see tests/timezoneSetup.js)
+    const days = Array.from({ length: 14 }, (_, i) => ({ date: new Date(2024, 2, 4 + i), consumption: 2 }));
+    const week = {
+      _id: 'snap-dst',
+      forecastDate: new Date(2024, 2, 7),
+      method: 'holt_winters',
+      predictions: [{ week: 1, periodStart: new Date(2024, 2, 7), periodEnd: new Date(2024, 2, 14), predictedDemand: 15 }]
+    };
+
+    const result = compareSnapshotsToActuals([week], days, new Date(2024, 2, 20));
+
+    expect(result.snapshots[0].predictions[0]).toMatchObject({ status: 'scored', actual: 14, error: 1 });
+  });
+});
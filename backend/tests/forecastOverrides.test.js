@@ -0,0 +1,89 @@
+const {
+  validateOverride,
+  getOverrideState,
+  pickOverride,
+  applyDemandOverrides,
+  applyLevelOverrides
+} = require('../utils/forecastOverrides');
+const { calculateTarget } = require('../utils/seasonHelper');
+
+const now = new Date('2024-06-03T12:00:00Z');
+const days = (n) => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+const override = (overrides) => ({
+  _id: 'o1',
+  field: 'demand',
+  mode: 'multiply',
+  value: 1.5,
+  reason: 'Competitor closing',
+  startsAt: days(-1),
+  expiresAt: days(30),
+  createdAt: days(-1),
+  ...overrides
+});
+
+describe('Forecast overrides', () => {
+  it('should require a reason, a valid value and a future expiry', () => {
+    expect(validateOverride(override(), now)).toEqual([]);
+
+    const errors = validateOverride({ field: 'price', mode: 'multiply', value: 0, reason: ' ', expiresAt: days(-2) }, now);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('field'),
+      'a multiplier must be above 0',
+      'reason is required',
+      'expiresAt must be in the future'
+    ]));
+    expect(validateOverride(override({ expiresAt: days(400) }), now)[0]).toMatch(/at most/);
+    expect(validateOverride(override({ startsAt: days(10), expiresAt: days(5) }), now))
+      .toContain('expiresAt must be after startsAt');
+  });
+
+  it('should report the state of an override at a date', () => {
+    expect(getOverrideState(override(), now)).toBe('active');
+    expect(getOverrideState(override({ startsAt: days(3) }), now)).toBe('scheduled');
+    expect(getOverrideState(override({ expiresAt: days(-0.5) }), now)).toBe('expired');
+    expect(getOverrideState(override({ cancelledAt: days(-0.5) }), now)).toBe('cancelled');
+  });
+
+  it('should let the newest override of a field win', () => {
+    const overrides = [
+      override({ _id: 'old', createdAt: days(-5) }),
+      override({ _id: 'new', createdAt: days(-2) }),
+      override({ _id: 'min', field: 'minimum', createdAt: days(0) })
+    ];
+
+    expect(pickOverride(overrides, 'demand', now)._id).toBe('new');
+    expect(pickOverride(overrides, 'target', now)).toBeNull();
+  });
+
+  it('should override demand only in the weeks the override covers', () => {
+    const overrides = [
+      override({ expiresAt: days(14) }),
+      override({ _id: 'o2', mode: 'absolute', value: 5, startsAt: days(20), expiresAt: days(40), createdAt: days(0) })
+    ];
+
+    const result = applyDemandOverrides([10, 10, 10, 10], [2, 2, 2, 2], overrides, now);
+
+    expect(result.values).toEqual([15, 15, 10, 5]);
+    expect(result.sigmas).toEqual([3, 3, 2, 2]);
+    expect(result.weeks).toEqual([1, 2, 4]);
+  });
+
+  it('should override the minimum and let the target follow', () => {
+    const levels = { minimum: 100, target: 150 };
+
+    const minimumOnly = applyLevelOverrides(levels, [override({ field: 'minimum', mode: 'absolute', value: 200 })], now, calculateTarget);
+    expect(minimumOnly.minimum).toBe(200);
+    expect(minimumOnly.target).toBe(calculateTarget(200));
+
+    const both = applyLevelOverrides(levels, [
+      override({ field: 'minimum', value: 2 }),
+      override({ _id: 'o2', field: 'target', mode: 'absolute', value: 120 })
+    ], now, calculateTarget);
+    expect(both.minimum).toBe(200);
+    expect(both.target).toBe(200);
+
+    const none = applyLevelOverrides(levels, [override()], now, calculateTarget);
+    expect(none).toEqual({ minimum: 100, target: 150, minimumOverride: null, targetOverride: null });
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  getReconciliationGroup,
+  sumHistories,
+  reconcileForecasts,
+  applyReconciliation
+} = require('../utils/forecastReconciliation');
+
+const week = (day, consumption) => ({ date: new Date(2024, 0, day), consumption });
+
+const items = [
+  { id: 'a', values: [10, 10], history: [week(1, 6), week(8, 10), week(15, 14)] },
+  { id: 'b', values: [5, 5], history: [week(1, 3), week(8, 3), week(15, 3)] }
+];
+
+describe('Forecast reconciliation', () => {
+  it('should group items by category and unit', () => {
+    expect(getReconciliationGroup({ category: 'lumber', unitOfMeasure: 'pieces' })).toBe('lumber:pieces');
+  });
+
+  it('should add up histories by week', () => {
+    const total = sumHistories([items[0].history, [week(8, 1), week(22, 2)]]);
+
+    expect(total.map(w => w.consumption)).toEqual([6, 11, 14, 2]);
+  });
+
+  it('should keep the item forecasts bottom-up', () => {
+    const result = reconcileForecasts(items, null, 'bottom_up');
+
+    expect(result.total).toEqual([15, 15]);
+    expect(result.items.get('a')).toEqual([10, 10]);
+  });
+
+  it('should split the total top-down by past consumption shares', () => {
+    const result = reconcileForecasts(items, { values: [21, 30], history: [] }, 'top_down');
+
+    // a consumed 30 of 39
+    expect(result.items.get('a')).toEqual([16.15, 23.08]);
+    expect(result.items.get('b')).toEqual([4.85, 6.92]);
+  });
+
+  it('should spread the MinT gap by demand variance and stay coherent', () => {
+    const total = { values: [27], history: sumHistories(items.map(item => item.history)) };
+    const result = reconcileForecasts(items, total, 'mint');
+
+    // b has no variance, so a takes the items' share of the gap
+    expect(result.items.get('b')[0]).toBe(5);
+    expect(result.items.get('a')[0]).toBeGreaterThan(10);
+    expect(result.total[0]).toBeCloseTo(result.items.get('a')[0] + 5, 2);
+  });
+
+  it('should never reconcile to negative demand', () => {
+    const result = reconcileForecasts(items, { values: [0], history: [week(1, 0), week(8, 100)] }, 'mint');
+
+    expect(result.items.get('a')[0]).toBeGreaterThanOrEqual(0);
+    expect(result.items.get('b')[0]).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should scale the current forecast by the reconciled ratio', () => {
+    const reconciled = { base: [10, 0], values: [15, 2] };
+
+    // the forecast halved since the group was reconciled
+    expect(applyReconciliation([5, 1, 4], reconciled)).toEqual([7.5, 3, 4]);
+    expect(applyReconciliation([5, 1], null)).toEqual([5, 1]);
+    expect(applyReconciliation([0, 0], { base: [0, 0], values: [0, -1] })).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,134 @@
+const { estimateRemainingSeconds, createJobQueue } = require('../utils/jobQueue');
+
+// Runner whose jobs finish when the test says so
+const createRunner = () => {
+  const runs = [];
+  const run = (job, { onProgress }) => {
+    let resolve;
+    let reject;
+    const result = new Promise((res, rej) => { resolve = res; reject = rej; });
+    const entry = { job, onProgress, resolve, reject, cancelled: false };
+    runs.push(entry);
+    return { result, cancel: () => { entry.cancelled = true; } };
+  };
+  return { runs, run };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job queue', () => {
+  it('should estimate the time left from the steps done so far', () => {
+    const start = new Date(2024, 0, 1, 12, 0, 0);
+    const now = new Date(2024, 0, 1, 12, 0, 20);
+
+    expect(estimateRemainingSeconds(start, 0, 10, 100, now)).toBe(180);
+    expect(estimateRemainingSeconds(start, 0, 0, 100, now)).toBeNull();
+    expect(estimateRemainingSeconds(start, 0, 100, 100, now)).toBe(0);
+    expect(estimateRemainingSeconds(start, 0, 5, undefined, now)).toBeNull();
+  });
+
+  it('should run jobs one at a time in order', async () => {
+    const { runs, run } = createRunner();
+    const queue = createJobQueue({ run });
+
+    const first = queue.enqueue('train_model');
+    const second = queue.enqueue('update_forecasts');
+
+    expect(queue.get(first.id).status).toBe('running');
+    expect(queue.get(second.id).status).toBe('queued');
+    expect(runs).toHaveLength(1);
+
+    runs[0].resolve({ version: 2 });
+    await flush();
+
+    expect(queue.get(first.id)).toMatchObject({ status: 'completed', result: { version: 2 } });
+    expect(queue.get(second.id).status).toBe('running');
+    expect(queue.list().map(job => job.id)).toEqual([second.id, first.id]);
+  });
+
+  it('should report progress with percentage and ETA per phase', () => {
+    const { runs, run } = createRunner();
+    let clock = new Date(2024, 0, 1, 12, 0, 0);
+    const queue = createJobQueue({ run, now: () => clock });
+
+    const job = queue.enqueue('train_model');
+    runs[0].onProgress({ phase: 'preparing' });
+    runs[0].onProgress({ phase: 'training', completed: 0, total: 100 });
+    clock = new Date(2024, 0, 1, 12, 0, 30);
+    runs[0].onProgress({ phase: 'training', completed: 25, total: 100, loss: 0.1 });
+
+    expect(queue.get(job.id).progress).toEqual({
+      phase: 'training',
+      completed: 25,
+      total: 100,
+      loss: 0.1,
+      percent: 25,
+      etaSeconds: 90
+    });
+  });
+
+  it('should mark failed jobs and continue with the next one', async () => {
+    const { runs, run } = createRunner();
+    const queue = createJobQueue({ run });
+
+    const first = queue.enqueue('train_model');
+    const second = queue.enqueue('train_model');
+    runs[0].reject(new Error('out of memory'));
+    await flush();
+
+    expect(queue.get(first.id)).toMatchObject({ status: 'failed', error: 'out of memory' });
+    expect(queue.get(second.id).status).toBe('running');
+  });
+
+  it('should drop queued jobs and ask running ones to stop on cancel', async () => {
+    const { runs, run } = createRunner();
+    const queue = createJobQueue({ run });
+
+    const running = queue.enqueue('train_model');
+    const waiting = queue.enqueue('update_forecasts');
+
+    expect(queue.cancel(waiting.id).status).toBe('cancelled');
+    expect(queue.cancel(running.id).status).toBe('running');
+    expect(runs[0].cancelled).toBe(true);
+    expect(queue.cancel('unknown')).toBeNull();
+
+    runs[0].resolve({ cancelled: true });
+    await flush();
+
+    expect(queue.get(running.id).status).toBe('cancelled');
+    expect(runs).toHaveLength(1);
+    expect(queue.findActive('train_model')).toBeNull();
+  });
+
+  it('should call onComplete for a job that stopped on cancel', async () => {
+    const { runs, run } = createRunner();
+    const completed = [];
+    const queue = createJobQueue({ run, onComplete: async (job) => { completed.push(job.result); } });
+
+    const job = queue.enqueue('train_model', { dataPolicy: { winsorize: false } });
+    expect(queue.get(job.id).options).toEqual({ dataPolicy: { winsorize: false } });
+
+    queue.cancel(job.id);
+    runs[0].resolve({ promoted: true, cancelled: true });
+    await flush();
+
+    expect(completed).toEqual([{ promoted: true, cancelled: true }]);
+    expect(queue.get(job.id).status).toBe('cancelled');
+  });
+
+  it('should call onComplete before a job is reported completed and keep only recent jobs', async () => {
+    const { runs, run } = createRunner();
+    const completed = [];
+    const queue = createJobQueue({ run, keep: 2, onComplete: async (job) => { completed.push(job.result); } });
+
+    const ids = [1, 2, 3].map(() => queue.enqueue('update_forecasts').id);
+    for (let i = 0; i < 3; i++) {
+      runs[i].resolve({ updated: i });
+      await flush();
+    }
+
+    expect(completed).toEqual([{ updated: 0 }, { updated: 1 }, { updated: 2 }]);
+    expect(queue.get(ids[0])).toBeNull();
+    expect(queue.list()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,56 @@
+const { collectHoldoutPairs, decidePromotion } = require('../utils/modelPromotion');
+
+const weeks = (values) => values.map((consumption, i) => ({
+  date: new Date(2024, 0, 1 + i * 7),
+  consumption: consumption === null ? 0 : consumption,
+  missing: consumption === null
+}));
+
+describe('Model promotion', () => {
+  it('should predict each hold-out week from the weeks before it', () => {
+    const series = weeks([1, 2, 3, 4, 5, 6]);
+    const windows = [];
+
+    const pairs = collectHoldoutPairs(series, 2, 3, (window) => {
+      windows.push(window.map(w => w.consumption));
+      return window[window.length - 1].consumption;
+    });
+
+    expect(windows).toEqual([[2, 3, 4], [3, 4, 5]]);
+    expect(pairs.map(p => [p.actual, p.predicted])).toEqual([[5, 4], [6, 5]]);
+  });
+
+  it('should skip hold-out weeks that are missing or follow a gap', () => {
+    const series = weeks([1, 2, 3, null, 5, 6, 7, null]);
+
+    const pairs = collectHoldoutPairs(series, 4, 2, () => 0);
+
+    expect(pairs.map(p => p.actual)).toEqual([7]);
+  });
+
+  it('should not reach into the weeks before the first full window', () => {
+    const pairs = collectHoldoutPairs(weeks([1, 2, 3]), 8, 2, () => 0);
+
+    expect(pairs.map(p => p.actual)).toEqual([3]);
+  });
+
+  it('should promote a challenger that beats the champion by the margin', () => {
+    const decision = decidePromotion({ wape: 18 }, { wape: 20 }, { metric: 'wape', margin: 5 });
+
+    expect(decision.promote).toBe(true);
+    expect(decision.improvement).toBe(10);
+  });
+
+  it('should keep the champion when the challenger is not better by the margin', () => {
+    expect(decidePromotion({ wape: 19.8 }, { wape: 20 }, { metric: 'wape', margin: 2 }).promote).toBe(false);
+    expect(decidePromotion({ wape: 25 }, { wape: 20 }, { metric: 'wape', margin: 0 }).improvement).toBe(-25);
+    expect(decidePromotion({ mae: 0 }, { mae: 0 }, { metric: 'mae', margin: 0 }).promote).toBe(true);
+    expect(decidePromotion({ mae: 1 }, { mae: 0 }, { metric: 'mae', margin: 0 }).promote).toBe(false);
+  });
+
+  it('should handle missing models and metrics', () => {
+    expect(decidePromotion({ wape: null }, null).promote).toBe(true);
+    expect(decidePromotion({ wape: null }, { wape: 20 }).promote).toBe(false);
+    expect(decidePromotion({ wape: 30 }, { wape: null }).promote).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+const { GLOBAL_KEY, modelKey, planModelScopes, resolveModelKey } = require('../utils/modelScopes');
+
+const entries = [
+  { itemId: 'a', category: 'plywood', samples: 30, volume: 800 },
+  { itemId: 'b', category: 'plywood', samples: 30, volume: 200 },
+  { itemId: 'c', category: 'trim', samples: 20, volume: 50 }
+];
+
+describe('Model scopes', () => {
+  it('should build model keys', () => {
+    expect(modelKey('global')).toBe(GLOBAL_KEY);
+    expect(modelKey('category', 'plywood')).toBe('category:plywood');
+    expect(modelKey('item', 'a')).toBe('item:a');
+  });
+
+  it('should plan no scoped models for the global scope', () => {
+    expect(planModelScopes(entries, { scope: 'global', itemMinShare: 0 })).toEqual([]);
+  });
+
+  it('should plan category models with enough training windows', () => {
+    const plans = planModelScopes(entries, { scope: 'category', itemMinShare: 0, minSamples: 40 });
+
+    expect(plans).toEqual([
+      { scope: 'category', key: 'plywood', name: 'category:plywood', itemIds: ['a', 'b'] }
+    ]);
+  });
+
+  it('should plan item models for items with a large share of their category', () => {
+    const plans = planModelScopes(entries, { scope: 'category', itemMinShare: 50, minSamples: 20 });
+
+    expect(plans.map(plan => plan.name)).toEqual(['category:plywood', 'item:a', 'category:trim']);
+    expect(plans[1].itemIds).toEqual(['a']);
+  });
+
+  it('should serve each item with the most specific loaded model', () => {
+    const loaded = new Set(['item:a', 'category:plywood']);
+
+    expect(resolveModelKey({ itemId: 'a', category: 'plywood' }, loaded)).toBe('item:a');
+    expect(resolveModelKey({ _id: 'b', category: 'plywood' }, loaded)).toBe('category:plywood');
+    expect(resolveModelKey({ itemId: 'c', category: 'trim' }, loaded)).toBe(GLOBAL_KEY);
+  });
+});
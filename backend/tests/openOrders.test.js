@@ -0,0 +1,79 @@
+const {
+  collectOpenOrders,
+  sumOnOrder,
+  calculateStockoutDays,
+  applyReceiptsToPredictions
+} = require('../utils/openOrders');
+const { calculateStockoutInterval } = require('../utils/predictionIntervals');
+
+const now = new Date('2024-06-03T12:00:00Z');
+const days = (n) => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+describe('Open orders', () => {
+  it('should collect undelivered order lines for the item', () => {
+    const orders = [
+      { _id: 'o1', orderNumber: 'PO1', status: 'confirmed', vendor: { _id: 'v1', name: 'Mill' },
+        expectedDeliveryDate: days(10), items: [{ item: 'a', quantity: 100 }, { item: 'b', quantity: 5 }] },
+      { _id: 'o2', orderNumber: 'PO2', status: 'shipped', vendor: 'v2',
+        expectedDeliveryDate: days(3), items: [{ item: 'a', quantity: 40 }] },
+      { _id: 'o3', orderNumber: 'PO3', status: 'draft', vendor: 'v2',
+        expectedDeliveryDate: days(1), items: [{ item: 'a', quantity: 999 }] }
+    ];
+
+    const receipts = collectOpenOrders('a', orders, now);
+
+    expect(receipts.map(r => r.orderNumber)).toEqual(['PO2', 'PO1']);
+    expect(receipts[1].quantity).toBe(100);
+    expect(receipts[1].vendor.name).toBe('Mill');
+    expect(receipts[0].daysUntilArrival).toBe(3);
+    expect(sumOnOrder(receipts)).toBe(140);
+  });
+
+  it('should estimate missing delivery dates and treat late orders as due today', () => {
+    const orders = [
+      { _id: 'o1', orderNumber: 'PO1', status: 'pending', orderDate: now,
+        vendor: { _id: 'v1', name: 'Mill', metrics: { avgLeadTime: 12 } }, items: [{ item: 'a', quantity: 10 }] },
+      { _id: 'o2', orderNumber: 'PO2', status: 'confirmed', vendor: 'v1',
+        expectedDeliveryDate: days(-2), items: [{ item: 'a', quantity: 10 }] }
+    ];
+
+    const [late, estimated] = collectOpenOrders('a', orders, now);
+
+    expect(late.overdue).toBe(true);
+    expect(late.daysUntilArrival).toBe(0);
+    expect(estimated.estimated).toBe(true);
+    expect(estimated.daysUntilArrival).toBe(12);
+  });
+
+  it('should extend days until stockout by receipts that arrive in time', () => {
+    expect(calculateStockoutDays(50, 10)).toBe(5);
+    expect(calculateStockoutDays(50, 10, [{ daysUntilArrival: 3, quantity: 100 }])).toBe(15);
+    // Arrives after the stockout
+    expect(calculateStockoutDays(50, 10, [{ daysUntilArrival: 8, quantity: 100 }])).toBe(5);
+    expect(calculateStockoutDays(50, 0)).toBeNull();
+  });
+
+  it('should add receipts to projected stock in the week they arrive', () => {
+    const predictions = [
+      { week: 1, predictedDemand: 70, cumulativeDemand: 70, projectedStock: 30 },
+      { week: 2, predictedDemand: 70, cumulativeDemand: 140, projectedStock: -40 }
+    ];
+
+    const result = applyReceiptsToPredictions(predictions, [{ daysUntilArrival: 9, quantity: 100 }], 100);
+
+    expect(result[0].receivedQty).toBe(0);
+    expect(result[0].projectedStock).toBe(30);
+    expect(result[1].receivedQty).toBe(100);
+    expect(result[1].projectedStock).toBe(60);
+  });
+
+  it('should include receipts in the stockout interval', () => {
+    const predictions = [{}, { intervals: { 95: { cumulativeUpper: 140, cumulativeLower: 70 } } }];
+    const receipts = [{ daysUntilArrival: 5, quantity: 100 }];
+
+    const result = calculateStockoutInterval(predictions, 100, [95], receipts);
+
+    // 10/day: 100 on hand + 100 arriving on day 5 lasts 20 days
+    expect(result[95].earliest).toBe(20);
+  });
+});
@@ -0,0 +1,128 @@
+const { calculateTotalCost, recommendOrderQuantity } = require('../utils/orderQuantity');
+
+// 10 per day = 3650 per year; order cost 25, holding 25% of price per year
+const base = {
+  avgDailyDemand: 10,
+  minQuantity: 0,
+  orderCost: 25,
+  holdingRate: 0.25
+};
+
+describe('Order quantity', () => {
+  it('should recommend the EOQ with a single price', () => {
+    const result = recommendOrderQuantity({ ...base, tiers: [{ minQuantity: 1, price: 4 }] });
+
+    // sqrt(2 * 3650 * 25 / (0.25 * 4)) = 427.2
+    expect(result.eoq).toBeCloseTo(427.2, 1);
+    expect(result.quantity).toBe(428);
+    expect(result.reason).toBe('eoq');
+    expect(result.breakdown.unitPrice).toBe(4);
+  });
+
+  it('should take a price break when it lowers total cost', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      tiers: [{ minQuantity: 1, price: 4 }, { minQuantity: 1000, price: 3.6 }]
+    });
+
+    expect(result.quantity).toBe(1000);
+    expect(result.reason).toBe('price_break');
+    expect(result.breakdown.unitPrice).toBe(3.6);
+    expect(result.candidates.map(c => c.quantity)).toContain(428);
+  });
+
+  it('should order up to the free-shipping minimum when shipping costs more', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      tiers: [{ minQuantity: 1, price: 4 }],
+      freeShippingMinimum: 2000,
+      shippingCost: 150
+    });
+
+    expect(result.quantity).toBe(500);
+    expect(result.reason).toBe('free_shipping');
+    expect(result.breakdown.freeShipping).toBe(true);
+    expect(result.breakdown.shippingCost).toBe(0);
+  });
+
+  it('should flag orders below the free-shipping minimum when shipping cost is unknown', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      tiers: [{ minQuantity: 1, price: 4 }],
+      freeShippingMinimum: 5000
+    });
+
+    expect(result.quantity).toBe(428);
+    expect(result.shippingCostUnknown).toBe(true);
+    expect(result.breakdown.freeShipping).toBe(false);
+    expect(result.breakdown.shippingPerOrder).toBe(0);
+    expect(result.candidates.find(c => c.reason === 'free_shipping').shippingCostUnknown).toBe(false);
+  });
+
+  it('should treat vendors without shipping terms as shipping free', () => {
+    const result = recommendOrderQuantity({ ...base, tiers: [{ minQuantity: 1, price: 4 }] });
+
+    expect(result.shippingCostUnknown).toBe(false);
+    expect(result.breakdown.freeShipping).toBe(true);
+  });
+
+  it('should never recommend less than the quantity needed', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      minQuantity: 800,
+      tiers: [{ minQuantity: 1, price: 4 }]
+    });
+
+    expect(result.quantity).toBe(800);
+    expect(result.reason).toBe('minimum_need');
+  });
+
+  it('should respect the smallest quantity the vendor sells', () => {
+    const result = recommendOrderQuantity({ ...base, tiers: [{ minQuantity: 600, price: 4 }] });
+
+    expect(result.quantity).toBe(600);
+  });
+
+  it('should cap quantities at the maximum weeks of supply', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      maxWeeksSupply: 4,
+      tiers: [{ minQuantity: 1, price: 4 }, { minQuantity: 5000, price: 1 }]
+    });
+
+    // 4 weeks of 70 per week
+    expect(result.quantity).toBeLessThanOrEqual(281);
+  });
+
+  it('should order only what is needed without demand', () => {
+    const result = recommendOrderQuantity({
+      ...base,
+      avgDailyDemand: 0,
+      minQuantity: 12,
+      tiers: [{ minQuantity: 1, price: 4 }]
+    });
+
+    expect(result.quantity).toBe(12);
+    expect(result.eoq).toBeNull();
+  });
+
+  it('should return null without prices', () => {
+    expect(recommendOrderQuantity({ ...base, tiers: [] })).toBeNull();
+  });
+
+  it('should break down yearly cost', () => {
+    const cost = calculateTotalCost(500, {
+      annualDemand: 3650,
+      tiers: [{ minQuantity: 1, price: 4 }],
+      orderCost: 25,
+      holdingRate: 0.25,
+      freeShippingMinimum: 0,
+      shippingCost: 0
+    });
+
+    expect(cost.purchaseCost).toBe(14600);
+    expect(cost.orderingCost).toBe(182.5);
+    expect(cost.holdingCost).toBe(250);
+    expect(cost.totalAnnualCost).toBe(15032.5);
+  });
+});
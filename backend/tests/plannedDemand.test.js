@@ -0,0 +1,90 @@
+const {
+  getPlannedQuantity,
+  spreadPlannedDemand,
+  removePlannedFromHistory,
+  getExplainedQuantity
+} = require('../utils/plannedDemand');
+
+const now = new Date('2024-06-03T12:00:00Z');
+const days = (n) => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+const plan = (overrides) => ({
+  _id: 'p1',
+  customer: 'Ridge Builders',
+  job: 'Lot 12 framing',
+  status: 'planned',
+  confidence: 100,
+  items: [{ item: 'a', quantity: 200 }, { item: 'b', quantity: 30 }],
+  ...overrides
+});
+
+describe('Planned demand', () => {
+  it('should sum the quantity of an item across job lines', () => {
+    const job = plan({ items: [{ item: { _id: 'a' }, quantity: 50 }, { item: 'a', quantity: 25 }, { item: 'b', quantity: 9 }] });
+
+    expect(getPlannedQuantity(job, 'a')).toBe(75);
+    expect(getPlannedQuantity(job, 'c')).toBe(0);
+  });
+
+  it('should add expected quantities to the week needed', () => {
+    const plans = [
+      plan({ neededBy: days(10) }),
+      plan({ _id: 'p2', neededBy: days(2), confidence: 50 }),
+      plan({ _id: 'p3', neededBy: days(60) }),
+      plan({ _id: 'p4', neededBy: days(-3) }),
+      plan({ _id: 'p5', neededBy: days(4), status: 'cancelled' })
+    ];
+
+    const planned = spreadPlannedDemand(plans, 'a', now, 4);
+
+    expect(planned.weekly).toEqual([100, 200, 0, 0]);
+    expect(planned.total).toBe(300);
+    expect(planned.jobs.map(j => j.week)).toEqual([2, 1]);
+    expect(planned.jobs[1].expectedQuantity).toBe(100);
+  });
+
+  it('should add variance only for jobs that may not go ahead', () => {
+    const planned = spreadPlannedDemand(
+      [plan({ neededBy: days(1) }), plan({ _id: 'p2', neededBy: days(8), confidence: 50 })],
+      'a',
+      now,
+      2
+    );
+
+    expect(planned.variances[0]).toBe(0);
+    expect(planned.variances[1]).toBe(200 * 200 * 0.25);
+  });
+
+  it('should take past jobs out of the history week they were needed in', () => {
+    const series = [
+      { date: new Date('2024-05-20T00:00:00Z'), consumption: 40, missing: false },
+      { date: new Date('2024-05-27T00:00:00Z'), consumption: 250, missing: false },
+      { date: new Date('2024-06-03T00:00:00Z'), consumption: 150, missing: false },
+      { date: new Date('2024-06-10T00:00:00Z'), consumption: null, missing: true }
+    ];
+    const plans = [
+      plan({ neededBy: new Date('2024-05-29T00:00:00Z'), status: 'fulfilled' }),
+      plan({ _id: 'p2', neededBy: new Date('2024-06-05T00:00:00Z') }),
+      plan({ _id: 'p3', neededBy: new Date('2024-05-22T00:00:00Z'), status: 'cancelled' })
+    ];
+
+    const result = removePlannedFromHistory(series, plans, 'a');
+
+    expect(result.map(w => w.consumption)).toEqual([40, 50, 0, null]);
+    expect(result[1].plannedConsumption).toBe(200);
+    expect(result[2].plannedConsumption).toBe(150);
+    expect(result[0].plannedConsumption).toBeUndefined();
+  });
+
+  it('should explain consumption by jobs needed around the count period', () => {
+    const plans = [
+      plan({ neededBy: days(3) }),
+      plan({ _id: 'p2', neededBy: days(12) }),
+      plan({ _id: 'p3', neededBy: days(30) }),
+      plan({ _id: 'p4', neededBy: days(5), status: 'cancelled' })
+    ];
+
+    expect(getExplainedQuantity(plans, 'a', now, days(7), 7)).toBe(400);
+    expect(getExplainedQuantity(plans, 'a', now, days(7), 0)).toBe(200);
+  });
+});
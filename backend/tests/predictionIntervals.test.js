@@ -0,0 +1,63 @@
+const {
+  zScoreForConfidence,
+  parseConfidenceLevels,
+  addIntervalsToPredictions,
+  calculateStockoutInterval
+} = require('../utils/predictionIntervals');
+
+describe('Prediction Intervals', () => {
+  it('should return standard normal z-scores', () => {
+    expect(zScoreForConfidence(95)).toBeCloseTo(1.96, 2);
+    expect(zScoreForConfidence(80)).toBeCloseTo(1.2816, 3);
+  });
+
+  it('should parse confidence levels and ignore invalid values', () => {
+    expect(parseConfidenceLevels('90,abc,150')).toEqual([90]);
+    expect(parseConfidenceLevels()).toEqual([80, 95]);
+  });
+
+  it('should widen cumulative bounds with the horizon', () => {
+    const predictions = addIntervalsToPredictions(
+      [
+        { predictedDemand: 10, cumulativeDemand: 10 },
+        { predictedDemand: 10, cumulativeDemand: 20 }
+      ],
+      [2, 2],
+      [95],
+      100
+    );
+
+    const [week1, week2] = predictions.map(p => p.intervals[95]);
+    expect(week1.upper - week1.lower).toBeCloseTo(week2.upper - week2.lower, 5);
+    expect(week2.cumulativeUpper - week2.cumulativeLower)
+      .toBeGreaterThan(week1.cumulativeUpper - week1.cumulativeLower);
+    expect(week2.projectedStockLower).toBeCloseTo(100 - week2.cumulativeUpper, 5);
+  });
+
+  it('should never produce negative demand bounds', () => {
+    const [prediction] = addIntervalsToPredictions(
+      [{ predictedDemand: 1, cumulativeDemand: 1 }], [10], [95]
+    );
+    expect(prediction.intervals[95].lower).toBe(0);
+    expect(prediction.intervals[95].cumulativeLower).toBe(0);
+  });
+
+  it('should give an earlier stockout for the high-demand bound', () => {
+    const predictions = addIntervalsToPredictions(
+      [{ predictedDemand: 7, cumulativeDemand: 7 }], [2], [80], 70
+    );
+    const interval = calculateStockoutInterval(predictions, 70, [80]);
+
+    expect(interval[80].earliest).toBeLessThan(70);
+    expect(interval[80].latest).toBeGreaterThan(70);
+  });
+
+  it('should spread the bounds over the whole weeks predicted', () => {
+    // A 10-day horizon is predicted as two weeks: 28 units over 14 days
+    const predictions = [{}, { intervals: { 80: { cumulativeUpper: 28, cumulativeLower: 14 } } }];
+    const interval = calculateStockoutInterval(predictions, 20, [80]);
+
+    expect(interval[80].earliest).toBe(10);
+    expect(interval[80].latest).toBe(20);
+  });
+});
@@ -0,0 +1,47 @@
+const { calculateReorderPoint, getServiceLevel } = require('../utils/safetyStock');
+
+describe('Safety stock and reorder point', () => {
+  it('should cover demand over lead time plus review period', () => {
+    const result = calculateReorderPoint({
+      avgDailyDemand: 10,
+      dailyDemandStdDev: 0,
+      leadTimeDays: 7,
+      leadTimeStdDev: 0,
+      serviceLevel: 95,
+      reviewPeriodDays: 7
+    });
+
+    expect(result.safetyStock).toBe(0);
+    expect(result.reorderPoint).toBe(140);
+  });
+
+  it('should combine demand and lead-time variability', () => {
+    const result = calculateReorderPoint({
+      avgDailyDemand: 10,
+      dailyDemandStdDev: 3,
+      leadTimeDays: 5,
+      leadTimeStdDev: 2,
+      serviceLevel: 95,
+      reviewPeriodDays: 0
+    });
+
+    // 1.645 * sqrt(5 * 9 + 100 * 4) = 34.7
+    expect(result.zScore).toBeCloseTo(1.64, 1);
+    expect(result.safetyStock).toBeCloseTo(34.7, 0);
+    expect(result.reorderPoint).toBeCloseTo(84.7, 0);
+  });
+
+  it('should hold more safety stock for a higher service level', () => {
+    const inputs = { avgDailyDemand: 10, dailyDemandStdDev: 3, leadTimeDays: 5, leadTimeStdDev: 1 };
+    const low = calculateReorderPoint({ ...inputs, serviceLevel: 85 });
+    const high = calculateReorderPoint({ ...inputs, serviceLevel: 99 });
+
+    expect(high.safetyStock).toBeGreaterThan(low.safetyStock);
+  });
+
+  it('should use the category default unless the item sets its own', () => {
+    expect(getServiceLevel({ category: 'dimensional', serviceLevel: null })).toBe(95);
+    expect(getServiceLevel({ category: 'specialty' })).toBe(85);
+    expect(getServiceLevel({ category: 'specialty', serviceLevel: 97.5 })).toBe(97.5);
+  });
+});
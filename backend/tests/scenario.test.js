@@ -0,0 +1,155 @@
+const {
+  validateAdjustments,
+  getDemandMultiplier,
+  applyLeadTimeOverride,
+  delayReceipts,
+  getSeasonShiftWeeks,
+  warpValues,
+  simulateItemPlan,
+  summarizeByWeek,
+  summarizeTotals
+} = require('../utils/scenario');
+const { setSeasonCalendars } = require('../utils/seasonHelper');
+
+describe('Scenario adjustments', () => {
+  it('should reject invalid adjustments', () => {
+    expect(validateAdjustments({})).toEqual([]);
+    expect(validateAdjustments({
+      demandUplifts: [{ category: 'plywood', percent: -120 }],
+      leadTimeOverrides: [{ vendor: 'v1' }],
+      seasonShift: { startWeeks: 2.5 }
+    })).toHaveLength(3);
+  });
+
+  it('should reject entries that are not objects', () => {
+    expect(validateAdjustments({
+      demandUplifts: [null, 5],
+      leadTimeOverrides: ['v1'],
+      seasonShift: 3
+    })).toEqual([
+      'demandUplifts[0] must be an object',
+      'demandUplifts[1] must be an object',
+      'leadTimeOverrides[0] must be an object',
+      'seasonShift must be an object'
+    ]);
+  });
+
+  it('should prefer item uplifts over category and global ones', () => {
+    const uplifts = [
+      { percent: 5 },
+      { category: 'treated', percent: 20 },
+      { item: 'a', percent: -50 }
+    ];
+
+    expect(getDemandMultiplier({ _id: 'a', category: 'treated' }, uplifts)).toBe(0.5);
+    expect(getDemandMultiplier({ _id: 'b', category: 'treated' }, uplifts)).toBe(1.2);
+    expect(getDemandMultiplier({ _id: 'c', category: 'plywood' }, uplifts)).toBe(1.05);
+    expect(getDemandMultiplier({ _id: 'c', category: 'plywood' }, [])).toBe(1);
+  });
+
+  it('should scale lead time and its spread', () => {
+    const stats = { leadTimeDays: 10, leadTimeStdDev: 2, leadTimeSource: 'vendor_orders' };
+
+    const doubled = applyLeadTimeOverride(stats, { vendor: 'v1', multiplier: 2 });
+    expect(doubled.leadTimeDays).toBe(20);
+    expect(doubled.leadTimeStdDev).toBe(4);
+    expect(doubled.leadTimeSource).toBe('scenario');
+
+    expect(applyLeadTimeOverride(stats, { vendor: 'v1', leadTimeDays: 15 }).leadTimeDays).toBe(15);
+    expect(applyLeadTimeOverride(stats, null)).toBe(stats);
+  });
+
+  it('should delay open orders of vendors with longer lead times', () => {
+    const now = new Date('2024-06-03T00:00:00Z');
+    const receipts = [{
+      vendor: { id: 'v1' },
+      orderDate: new Date('2024-05-31T00:00:00Z'),
+      expectedDeliveryDate: '2024-06-07',
+      daysUntilArrival: 4,
+      quantity: 100
+    }];
+
+    const [delayed] = delayReceipts(receipts, [{ vendor: 'v1', multiplier: 2 }], now);
+
+    expect(delayed.expectedDeliveryDate).toBe('2024-06-14');
+    expect(delayed.daysUntilArrival).toBe(11);
+    expect(delayReceipts(receipts, [{ vendor: 'v2', multiplier: 2 }], now)[0]).toBe(receipts[0]);
+  });
+
+  it('should look ahead when the busy season starts early', () => {
+    // Default busy season starts in April
+    const march = new Date(2024, 2, 15);
+
+    expect(getSeasonShiftWeeks(march, { startWeeks: -3, endWeeks: 0 })).toBe(3);
+    expect(getSeasonShiftWeeks(march, { startWeeks: 0, endWeeks: 2 })).toBe(0);
+    expect(getSeasonShiftWeeks(new Date(2024, 9, 20), { startWeeks: 0, endWeeks: 2 })).toBe(-2);
+  });
+
+  it('should move around the item region\'s season boundaries', () => {
+    setSeasonCalendars([{
+      region: 'coast',
+      baseFactor: 1,
+      periods: [{ key: 'busy', name: 'Winter build', startMonth: 12, startDay: 1, endMonth: 2, endDay: 28, demandFactor: 2 }]
+    }]);
+
+    try {
+      // Early November is nearest the default season's end but the coast season's start
+      const november = new Date(2024, 10, 10);
+      const shift = { startWeeks: -3, endWeeks: 2 };
+      expect(getSeasonShiftWeeks(november, shift)).toBe(-2);
+      expect(getSeasonShiftWeeks(november, shift, 'coast')).toBe(3);
+    } finally {
+      setSeasonCalendars([]);
+    }
+  });
+
+  it('should warp a series by per-week offsets', () => {
+    // Predicted from one week before the horizon start
+    const values = [10, 20, 30, 40, 50];
+
+    expect(warpValues(values, [0, 0, 0], 1)).toEqual([20, 30, 40]);
+    expect(warpValues(values, [1, 1, -1], 1)).toEqual([30, 40, 30]);
+  });
+});
+
+describe('Scenario simulation', () => {
+  const base = {
+    weeklyDemand: [50, 50, 50, 50],
+    currentStock: 120,
+    receipts: [],
+    reorderPoint: 60,
+    target: 150,
+    leadTimeDays: 7,
+    unitPrice: 2
+  };
+
+  it('should order at the reorder point and receive after the lead time', () => {
+    const plan = simulateItemPlan(base);
+
+    // Week 1 ends at 70, week 2 at 20 -> order 130 arriving in week 4
+    expect(plan.weeks[1].orderQty).toBe(130);
+    expect(plan.weeks[1].spend).toBe(260);
+    expect(plan.weeks[2].stockout).toBe(true);
+    expect(plan.weeks[3].received).toBe(130);
+    expect(plan.totals.firstStockoutWeek).toBe(3);
+  });
+
+  it('should count open orders towards the stock position', () => {
+    const plan = simulateItemPlan({ ...base, receipts: [{ daysUntilArrival: 10, quantity: 100 }] });
+
+    expect(plan.weeks[1].received).toBe(100);
+    expect(plan.totals.stockoutWeeks).toBe(0);
+  });
+
+  it('should summarize plans by week and in total', () => {
+    const plans = [simulateItemPlan(base), simulateItemPlan({ ...base, currentStock: 500 })];
+
+    const byWeek = summarizeByWeek(plans, 4, new Date('2024-06-03T00:00:00Z'));
+    const totals = summarizeTotals(plans);
+
+    expect(byWeek[2].itemsOut).toBe(1);
+    expect(byWeek[1].spend).toBe(260);
+    expect(totals.itemsWithStockout).toBe(1);
+    expect(totals.spend).toBe(260);
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  setSeasonCalendars,
+  validateSeasonCalendar,
+  getSeasonPeriod,
+  getSeasonLevel,
+  getBusyShare,
+  isInBusySeason,
+  getSeasonIndicator,
+  getSeasonalAdjustmentFactor,
+  getSeasonTransitions,
+  calculateDynamicMinimum
+} = require('../utils/seasonHelper');
+
+const calendar = {
+  region: 'default',
+  baseKey: 'slow',
+  baseName: 'Slow season',
+  baseFactor: 1,
+  periods: [
+    { key: 'spring', name: 'Spring shoulder', type: 'shoulder', startMonth: 3, startDay: 15, endMonth: 4, endDay: 30, demandFactor: 1.2, rampDays: 9, minimumBuffer: 10 },
+    { key: 'busy', name: 'Busy season', type: 'regular', startMonth: 5, startDay: 1, endMonth: 9, endDay: 30, demandFactor: 1.5, rampDays: 0, minimumBuffer: 20 },
+    { key: 'mill-week', name: 'Mill shutdown', type: 'shutdown', startMonth: 7, startDay: 1, endMonth: 7, endDay: 7, demandFactor: 0 },
+    { key: 'holidays', name: 'Holiday shutdown', type: 'shutdown', startMonth: 12, startDay: 24, endMonth: 1, endDay: 2, demandFactor: 0 }
+  ]
+};
+
+const northern = {
+  region: 'north',
+  baseFactor: 1,
+  periods: [{ key: 'busy', name: 'Short summer', startMonth: 6, startDay: 1, endMonth: 8, endDay: 31, demandFactor: 2 }]
+};
+
+describe('Season calendar', () => {
+  afterEach(() => setSeasonCalendars([]));
+
+  it('should default to the busy season settings without a stored calendar', () => {
+    expect(isInBusySeason(new Date(2024, 5, 15))).toBe(true);
+    expect(isInBusySeason(new Date(2024, 0, 15))).toBe(false);
+    expect(getSeasonIndicator(new Date(2024, 5, 15))).toBe(1);
+    expect(getSeasonIndicator(new Date(2024, 0, 15))).toBe(0);
+    expect(getSeasonTransitions(2024).busySeasonEnd).toEqual(new Date(2024, 9, 31));
+  });
+
+  it('should find the period of a date, preferring the shortest overlap', () => {
+    setSeasonCalendars([calendar]);
+
+    expect(getSeasonPeriod(new Date(2024, 1, 1)).key).toBe('slow');
+    expect(getSeasonPeriod(new Date(2024, 5, 30)).key).toBe('busy');
+    expect(getSeasonPeriod(new Date(2024, 6, 3)).key).toBe('mill-week');
+    expect(getSeasonPeriod(new Date(2024, 11, 31)).key).toBe('holidays');
+    expect(getSeasonPeriod(new Date(2025, 0, 2)).key).toBe('holidays');
+    expect(getSeasonLevel(new Date(2024, 6, 3))).toBe(0);
+  });
+
+  it('should ramp into a shoulder season instead of jumping', () => {
+    setSeasonCalendars([calendar]);
+
+    const levels = [14, 15, 19, 23, 24].map(day => getSeasonLevel(new Date(2024, 2, day)));
+
+    expect(levels[0]).toBe(1);
+    expect(levels[1]).toBeCloseTo(1.02, 5);
+    expect(levels[2]).toBeCloseTo(1.1, 5);
+    expect(levels[3]).toBeCloseTo(1.18, 5);
+    expect(levels[4]).toBe(1.2);
+    expect(getBusyShare(new Date(2024, 2, 19))).toBeCloseTo(0.2, 5);
+  });
+
+  it('should scale the season indicator between the lowest and highest level', () => {
+    setSeasonCalendars([calendar]);
+
+    expect(getSeasonIndicator(new Date(2024, 6, 3))).toBe(0);
+    expect(getSeasonIndicator(new Date(2024, 1, 1))).toBeCloseTo(1 / 1.5, 5);
+    expect(getSeasonIndicator(new Date(2024, 7, 1))).toBe(1);
+  });
+
+  it('should derive adjustment factors and transitions from the calendar', () => {
+    setSeasonCalendars([calendar]);
+
+    expect(getSeasonalAdjustmentFactor(new Date(2024, 1, 1), new Date(2024, 7, 1))).toBeCloseTo(1.5, 5);
+    expect(getSeasonalAdjustmentFactor(new Date(2024, 7, 1), new Date(2024, 1, 1))).toBeCloseTo(1 / 1.5, 5);
+    expect(getSeasonalAdjustmentFactor(new Date(2024, 11, 26), new Date(2025, 0, 10))).toBe(1);
+
+    const transitions = getSeasonTransitions(2024);
+    expect(transitions.busySeasonStart).toEqual(new Date(2024, 4, 1));
+    expect(transitions.slowSeasonStart).toEqual(new Date(2024, 9, 1));
+    expect(transitions.slowSeasonEnd).toEqual(new Date(2025, 3, 30));
+  });
+
+  it('should use the region calendar and fall back to the default one', () => {
+    setSeasonCalendars([calendar, northern]);
+
+    expect(getSeasonPeriod(new Date(2024, 4, 15), 'north').key).toBe('base');
+    expect(getSeasonLevel(new Date(2024, 6, 15), 'north')).toBe(2);
+    expect(getSeasonPeriod(new Date(2024, 4, 15), 'south').key).toBe('busy');
+  });
+
+  it('should add the season buffer to days-of-supply minimums', () => {
+    setSeasonCalendars([calendar]);
+
+    expect(calculateDynamicMinimum(10, 30, { date: new Date(2024, 7, 1) })).toBe(360);
+    expect(calculateDynamicMinimum(10, 30, { date: new Date(2024, 1, 1) })).toBe(300);
+  });
+
+  it('should reject invalid periods', () => {
+    expect(validateSeasonCalendar(calendar)).toEqual([]);
+
+    const errors = validateSeasonCalendar({
+      baseKey: 'slow',
+      baseFactor: 0,
+      periods: [
+        { key: 'Busy Season', name: 'Busy', startMonth: 2, startDay: 30, endMonth: 13, endDay: 1, demandFactor: -1 },
+        { key: 'slow', name: 'Again', startMonth: 1, startDay: 1, endMonth: 2, endDay: 1, demandFactor: 1, rampDays: 1.5 }
+      ]
+    });
+
+    expect(errors).toEqual([
+      'baseFactor must be a number above 0',
+      'periods[0].key must be lowercase letters, digits, - or _',
+      'periods[0] has an invalid start date',
+      'periods[0] has an invalid end date',
+      'periods[0].demandFactor must be a number of at least 0',
+      'periods[1].key "slow" is used twice',
+      'periods[1].rampDays must be a whole number of days up to 90'
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+const {
+  simpleAverage,
+  seasonalNaive,
+  canSeasonalNaive,
+  holtWinters,
+  croston,
+  canCroston
+} = require('../utils/statisticalForecasting');
+const { selectMethod } = require('../services/forecastMethods');
+const { calculateDynamicMinimum } = require('../utils/seasonHelper');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Weekly history with a yearly sine-shaped season
+const buildHistory = (weeks, start = new Date(2022, 0, 3)) => {
+  const history = [];
+  for (let i = 0; i < weeks; i++) {
+    history.push({
+      date: new Date(start.getTime() + i * WEEK_MS),
+      consumption: 20 + 10 * Math.sin((2 * Math.PI * i) / 52)
+    });
+  }
+  return history;
+};
+
+describe('Statistical forecasting methods', () => {
+  it('should average the last 12 weeks', () => {
+    const history = buildHistory(30);
+    const origin = history[history.length - 1].date;
+    const result = simpleAverage(history, 3, { startDate: origin });
+
+    expect(result.values).toHaveLength(3);
+    expect(result.values[0]).toBe(result.values[2]);
+    expect(result.details.uncertaintyBasis).toBe('historical_variance');
+  });
+
+  it('should repeat last year for seasonal naive', () => {
+    const history = buildHistory(60);
+    const origin = history[history.length - 1].date;
+    const result = seasonalNaive(history, 2, { startDate: origin });
+
+    // Week 61 repeats week 9 (61 - 52)
+    expect(result.values[0]).toBeCloseTo(history[8].consumption, 5);
+    expect(canSeasonalNaive(history)).toBe(true);
+    expect(canSeasonalNaive(history.slice(0, 20))).toBe(false);
+  });
+
+  it('should follow the yearly season with two years of history', () => {
+    const history = buildHistory(110);
+    const origin = history[history.length - 1].date;
+    const result = holtWinters(history, 4, { startDate: origin });
+
+    expect(result.details.seasonality).toBe('yearly');
+    for (let h = 0; h < 4; h++) {
+      const expected = 20 + 10 * Math.sin((2 * Math.PI * (110 + h)) / 52);
+      expect(Math.abs(result.values[h] - expected)).toBeLessThan(2);
+    }
+  });
+
+  it('should never forecast negative demand', () => {
+    const history = buildHistory(20).map((h, i) => ({ ...h, consumption: Math.max(0, 20 - i * 2) }));
+    const result = holtWinters(history, 8, { startDate: history[19].date });
+
+    result.values.forEach(v => expect(v).toBeGreaterThanOrEqual(0));
+  });
+});
+
+describe('Intermittent demand methods', () => {
+  // 12 units every fourth week, nothing in between
+  const lumpy = buildHistory(40).map((h, i) => ({ ...h, consumption: i % 4 === 3 ? 12 : 0 }));
+
+  it('should estimate demand size and interval with Croston', () => {
+    const result = croston(lumpy, 4, { variant: 'croston' });
+
+    expect(result.details.intermittent.demandSize).toBeCloseTo(12, 1);
+    expect(result.details.intermittent.intervalWeeks).toBeCloseTo(4, 1);
+    expect(result.values[0]).toBeCloseTo(3, 1);
+  });
+
+  it('should correct the Croston bias with SBA', () => {
+    const plain = croston(lumpy, 1, { variant: 'croston' });
+    const sba = croston(lumpy, 1, { variant: 'sba' });
+
+    expect(sba.values[0]).toBeLessThan(plain.values[0]);
+  });
+
+  it('should need at least two demand events', () => {
+    const single = lumpy.map((h, i) => ({ ...h, consumption: i === 5 ? 12 : 0 }));
+
+    expect(canCroston(lumpy)).toBe(true);
+    expect(canCroston(single)).toBe(false);
+  });
+
+  it('should keep a full demand event as the minimum stock', () => {
+    const intermittent = { demandSize: 40, intervalWeeks: 3 };
+    const minimum = calculateDynamicMinimum(40 / 21, 30, { intermittent });
+
+    expect(minimum).toBeGreaterThanOrEqual(40);
+  });
+});
+
+describe('Forecast method selection', () => {
+  it('should fall back when the requested method is unavailable', () => {
+    const selection = selectMethod('lstm', buildHistory(30));
+
+    expect(selection.method.name).not.toBe('lstm');
+    expect(selection.fallback).toBe(true);
+  });
+
+  it('should use the item setting when it can forecast', () => {
+    const selection = selectMethod('seasonal_naive', buildHistory(60));
+
+    expect(selection.method.name).toBe('seasonal_naive');
+    expect(selection.fallback).toBe(false);
+  });
+
+  it('should use simple average for very short histories', () => {
+    expect(selectMethod('auto', buildHistory(3)).method.name).toBe('simple_average');
+  });
+});
@@ -0,0 +1,76 @@
+const { createRandom, seedFromString, simulateStockoutRisk } = require('../utils/stockoutSimulation');
+
+describe('Stockout simulation', () => {
+  it('should repeat results for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+    expect(seedFromString('abc')).toBe(seedFromString('abc'));
+    expect(seedFromString('abc')).not.toBe(seedFromString('abd'));
+  });
+
+  it('should return null without demand history', () => {
+    expect(simulateStockoutRisk({ demandHistory: [], currentStock: 10 })).toBeNull();
+  });
+
+  it('should be certain with constant demand and lead time', () => {
+    // 70 per week = 10 per day; 50 on hand runs out on day 6, delivery takes 7 days
+    const result = simulateStockoutRisk({
+      demandHistory: [70, 70, 70],
+      currentStock: 50,
+      leadTimeSamples: [7],
+      horizonDays: 14,
+      runs: 200
+    });
+
+    expect(result.probabilityOfStockout).toBe(1);
+    expect(result.expectedUnitsShort).toBeCloseTo(20, 5);
+    expect(result.stockoutDay.p50).toBe(6);
+    expect(result.byWeek[0].probability).toBe(1);
+  });
+
+  it('should count open-order receipts', () => {
+    const result = simulateStockoutRisk({
+      demandHistory: [70],
+      currentStock: 50,
+      receipts: [{ daysUntilArrival: 3, quantity: 100 }],
+      leadTimeSamples: [7],
+      horizonDays: 14,
+      runs: 100
+    });
+
+    expect(result.probabilityOfStockout).toBe(0);
+    expect(result.expectedUnitsShort).toBe(0);
+    // 150 units last 15 days, beyond the horizon
+    expect(result.stockoutDay.p50).toBeNull();
+  });
+
+  it('should reflect variable lead times as a probability', () => {
+    // Runs out on day 6; half the deliveries arrive on day 4, half on day 10
+    const result = simulateStockoutRisk({
+      demandHistory: [70],
+      currentStock: 50,
+      leadTimeSamples: [4, 10],
+      horizonDays: 14,
+      runs: 2000,
+      seed: 7
+    });
+
+    expect(result.probabilityOfStockout).toBeGreaterThan(0.4);
+    expect(result.probabilityOfStockout).toBeLessThan(0.6);
+    expect(result.leadTime.samples).toBe(2);
+  });
+
+  it('should scale demand draws to the forecast level', () => {
+    const params = {
+      demandHistory: [70],
+      currentStock: 150,
+      leadTimeSamples: [14],
+      horizonDays: 14,
+      runs: 50
+    };
+
+    expect(simulateStockoutRisk(params).probabilityOfStockout).toBe(0);
+    expect(simulateStockoutRisk({ ...params, forecast: [140, 140] }).probabilityOfStockout).toBe(1);
+  });
+});
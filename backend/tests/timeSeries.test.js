@@ -0,0 +1,52 @@
+const { resampleConsumption, fillGaps, getIsoWeek } = require('../utils/timeSeries');
+
+// Monday 2024-03-04
+const day = (n, hour = 12) => new Date(2024, 2, 4 + n, hour);
+const interval = (from, to, consumption) => ({ periodStart: from, date: to, consumption });
+
+describe('Time series resampling', () => {
+  it('should spread a three-week interval evenly over its weeks', () => {
+    const series = resampleConsumption([interval(day(0, 0), day(21, 0), 30)], { granularity: 'week' });
+
+    expect(series).toHaveLength(3);
+    series.forEach(week => expect(week.consumption).toBeCloseTo(10, 1));
+  });
+
+  it('should sum several counts within one week', () => {
+    const series = resampleConsumption([
+      interval(day(0, 0), day(3, 0), 6),
+      interval(day(3, 0), day(3, 2), 1),
+      interval(day(3, 2), day(7, 0), 7)
+    ], { granularity: 'week' });
+
+    expect(series).toHaveLength(1);
+    expect(series[0].consumption).toBeCloseTo(14, 1);
+    expect(series[0].dailyRate).toBeCloseTo(2, 1);
+  });
+
+  it('should produce daily buckets', () => {
+    const series = resampleConsumption([interval(day(0, 0), day(4, 0), 8)], { granularity: 'day' });
+
+    expect(series).toHaveLength(4);
+    series.forEach(d => expect(d.consumption).toBeCloseTo(2, 5));
+  });
+
+  it('should mark weeks without counts as missing and interpolate them', () => {
+    const series = resampleConsumption([
+      interval(day(0, 0), day(7, 0), 10),
+      interval(day(14, 0), day(21, 0), 20)
+    ], { granularity: 'week' });
+
+    expect(series[1].missing).toBe(true);
+    expect(series[1].consumption).toBeNull();
+
+    const filled = fillGaps(series);
+    expect(filled[1].imputed).toBe(true);
+    expect(filled[1].consumption).toBeCloseTo(15, 5);
+  });
+
+  it('should number ISO weeks across the year boundary', () => {
+    expect(getIsoWeek(new Date(2024, 11, 30))).toEqual({ week: 1, year: 2025 });
+    expect(getIsoWeek(new Date(2021, 0, 3))).toEqual({ week: 53, year: 2020 });
+  });
+});
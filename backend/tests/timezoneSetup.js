@@ -0,0 +1,5 @@
+// Run tests in a time zone with daylight saving changes, so date arithmetic
+// that assumes 24-hour days fails here rather than in production
+module.exports = () => {
+  process.env.TZ = process.env.TZ || 'America/New_York';
+};
@@ -0,0 +1,49 @@
+const {
+  resolvePolicy,
+  calculateOutlierBound,
+  createTrainingDataFilter
+} = require('../utils/trainingDataPolicy');
+
+const week = (consumption) => ({ consumption, missing: false });
+
+describe('Training data policy', () => {
+  it('should exclude flagged counts unless verified', () => {
+    const filter = createTrainingDataFilter(resolvePolicy());
+
+    expect(filter.excludeCount({ _id: 'a', item: 'i', flagged: true, source: 'manual' })).toBe(true);
+    expect(filter.excludeCount({ _id: 'b', item: 'i', flagged: true, verified: true, source: 'manual' })).toBe(false);
+    expect(filter.excludeCount({ _id: 'c', item: 'i', flagged: true, source: 'delivery' })).toBe(false);
+    expect(filter.report().excludedCounts.flagged).toBe(1);
+  });
+
+  it('should exclude counts with an open anomaly alert', () => {
+    const filter = createTrainingDataFilter(resolvePolicy(), ['count1']);
+
+    expect(filter.excludeCount({ _id: 'count1', item: 'i', source: 'manual' })).toBe(true);
+    expect(filter.report().excludedCounts.unresolvedAnomaly).toBe(1);
+  });
+
+  it('should keep flagged counts when the policy is turned off', () => {
+    const filter = createTrainingDataFilter(resolvePolicy({ excludeFlagged: 'false' }));
+
+    expect(filter.excludeCount({ _id: 'a', item: 'i', flagged: true, source: 'manual' })).toBe(false);
+  });
+
+  it('should clip a decimal-error week', () => {
+    const series = [15, 14, 16, 15, 13, 17, 15, 16, 150, 14].map(week);
+    const filter = createTrainingDataFilter(resolvePolicy());
+    const clipped = filter.winsorize(series, 'item');
+
+    expect(clipped[8].winsorized).toBe(true);
+    expect(clipped[8].consumption).toBeLessThan(30);
+    expect(clipped[0].consumption).toBe(15);
+    expect(filter.report().winsorizedWeeks).toBe(1);
+    expect(filter.report().itemsAffected).toBe(1);
+  });
+
+  it('should not clip real demand events of intermittent items', () => {
+    const values = [0, 0, 12, 0, 0, 0, 10, 0, 0, 0, 11, 0];
+
+    expect(calculateOutlierBound(values, 5)).toBeNull();
+  });
+});
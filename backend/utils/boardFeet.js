@@ -0,0 +1,194 @@
+/**
+ * Board-Foot Utility
+ *
+ * Mills quote and negotiate in board feet (1" × 12" × 1'), items are counted
+ * in pieces, sheets, bundles or linear feet. Conversion comes from the
+ * nominal dimensions: thickness and width in inches, length in feet.
+ *
+ *   board feet per piece = thickness × width × length / 12
+ *
+ * A length marked with " or in (plywood's 96) is in inches, one marked with '
+ * or ft in feet; unmarked lengths above MAX_UNMARKED_FEET are taken as inches.
+ * Bundles need the item's pieces per bundle.
+ */
+
+const MAX_UNMARKED_FEET = 30;
+
+const GROUP_BY = ['family', 'category'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a dimension string into a number: "2", "5/4", "1-1/2", "3.5",
+ * "16'", "8 ft". Returns null when it is not a size.
+ */
+const parseDimension = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase().replace(/(ft|feet|in|'|")$/, '').trim();
+
+  const mixed = text.match(/^(\d+(?:\.\d+)?)[\s-]+(\d+)\/(\d+)$/);
+  if (mixed) return parseFloat(mixed[1]) + parseInt(mixed[2]) / parseInt(mixed[3]);
+
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1]) / parseInt(fraction[2]);
+
+  const number = parseFloat(text);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Length in feet (see the unit rules above)
+const parseLengthFeet = (value) => {
+  const length = parseDimension(value);
+  if (length === null) return null;
+
+  const text = String(value).trim().toLowerCase();
+  if (/("|in)$/.test(text)) return length / 12;
+  if (/('|ft|feet)$/.test(text)) return length;
+  return length > MAX_UNMARKED_FEET ? length / 12 : length;
+};
+
+/**
+ * Board feet in one unit of an item (unrounded), or null when its dimensions
+ * (or, for bundles, its pieces per bundle) are missing
+ */
+const calculateBoardFeetPerUnit = (item) => {
+  const unit = item.unitOfMeasure || 'pieces';
+  if (unit === 'board_feet') return 1;
+
+  const dimensions = item.dimensions || {};
+  const thickness = parseDimension(dimensions.thickness);
+  const width = parseDimension(dimensions.width);
+  if (!thickness || !width) return null;
+
+  if (unit === 'linear_feet') return thickness * width / 12;
+
+  const length = parseLengthFeet(dimensions.length);
+  if (!length) return null;
+
+  const perPiece = thickness * width * length / 12;
+  if (unit === 'bundles') {
+    return item.piecesPerBundle ? perPiece * item.piecesPerBundle : null;
+  }
+  return perPiece;
+};
+
+const toBoardFeet = (quantity, perUnit) => round((quantity || 0) * perUnit);
+
+// Species and nominal size, e.g. "SPF 2x6" (all lengths together)
+const getDimensionFamily = (item) => {
+  const dimensions = item.dimensions || {};
+  const size = dimensions.thickness && dimensions.width
+    ? `${dimensions.thickness}x${dimensions.width}`
+    : 'no size';
+  return item.species ? `${item.species} ${size}` : size;
+};
+
+const getGroupKey = (item, groupBy) => (
+  groupBy === 'category' ? item.category || 'other' : getDimensionFamily(item)
+);
+
+const dateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Aggregate items into board-foot totals per group
+ *
+ * entries: [{ item, currentStock, onOrder, reorderQty,
+ *             history: [{ date, consumption }], forecast: [{ week, date, predictedDemand }] }]
+ * groupBy: 'family' (species and nominal size) or 'category'
+ *
+ * Returns { groups, totals, unconverted }. Each group and the totals have
+ * board-foot currentStock, onOrder, reorder, consumed (history) and forecast
+ * totals plus weekly history and forecast rows. Items without a conversion
+ * are listed in `unconverted` and left out.
+ */
+const aggregateBoardFeet = (entries, groupBy = 'family') => {
+  const emptyGroup = (key) => ({
+    key,
+    itemCount: 0,
+    currentStock: 0,
+    onOrder: 0,
+    reorder: 0,
+    consumed: 0,
+    forecast: 0,
+    history: new Map(),
+    weeks: new Map()
+  });
+  const groups = new Map();
+  const totals = emptyGroup('total');
+  const unconverted = [];
+
+  for (const entry of entries) {
+    const { item } = entry;
+    const perUnit = calculateBoardFeetPerUnit(item);
+    if (perUnit === null) {
+      unconverted.push({
+        itemId: item._id,
+        sku: item.sku,
+        name: item.displayName || item.name,
+        unitOfMeasure: item.unitOfMeasure || 'pieces',
+        reason: item.unitOfMeasure === 'bundles' && !item.piecesPerBundle
+          ? 'pieces per bundle missing'
+          : 'dimensions missing'
+      });
+      continue;
+    }
+
+    const key = getGroupKey(item, groupBy);
+    if (!groups.has(key)) groups.set(key, emptyGroup(key));
+
+    for (const group of [groups.get(key), totals]) {
+      group.itemCount++;
+      group.currentStock += toBoardFeet(entry.currentStock, perUnit);
+      group.onOrder += toBoardFeet(entry.onOrder, perUnit);
+      group.reorder += toBoardFeet(entry.reorderQty, perUnit);
+
+      for (const week of entry.history || []) {
+        if (week.consumption === null || week.missing) continue;
+        const boardFeet = toBoardFeet(week.consumption, perUnit);
+        const date = dateKey(week.date);
+        group.history.set(date, (group.history.get(date) || 0) + boardFeet);
+        group.consumed += boardFeet;
+      }
+
+      for (const week of entry.forecast || []) {
+        const boardFeet = toBoardFeet(week.predictedDemand, perUnit);
+        const row = group.weeks.get(week.week) || { week: week.week, date: week.date, boardFeet: 0 };
+        row.boardFeet += boardFeet;
+        group.weeks.set(week.week, row);
+        group.forecast += boardFeet;
+      }
+    }
+  }
+
+  const finish = (group) => ({
+    key: group.key,
+    itemCount: group.itemCount,
+    currentStock: round(group.currentStock),
+    onOrder: round(group.onOrder),
+    reorder: round(group.reorder),
+    consumed: round(group.consumed),
+    forecast: round(group.forecast),
+    history: [...group.history.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, boardFeet]) => ({ date, boardFeet: round(boardFeet) })),
+    weeks: [...group.weeks.values()]
+      .sort((a, b) => a.week - b.week)
+      .map(row => ({ ...row, boardFeet: round(row.boardFeet) }))
+  });
+
+  return {
+    groups: [...groups.values()].map(finish).sort((a, b) => b.forecast - a.forecast),
+    totals: finish(totals),
+    unconverted
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  parseDimension,
+  parseLengthFeet,
+  calculateBoardFeetPerUnit,
+  toBoardFeet,
+  getDimensionFamily,
+  aggregateBoardFeet
+};
@@ -0,0 +1,204 @@
+/**
+ * Cold-Start Utility
+ *
+ * A new item has no count history, so its forecast would be zero demand and
+ * no minimum for months. Until it has COLD_START_MIN_WEEKS observed weeks it
+ * borrows the weekly demand of analogous items instead: same category and
+ * unit of measure, closest in size (a new 2x6-14' borrows from 2x6-12' and
+ * 2x6-16'). Size distance is measured on a log scale, so a length ratio
+ * counts the same as an equal cross-section ratio:
+ *
+ *   distance   = |ln(length / analog length)| + |ln(cross-section / analog cross-section)|
+ *   similarity = exp(-2 · distance)
+ *
+ * Analogs are assumed to sell a similar number of pieces, so their demand is
+ * converted into the item's unit (board feet scale with volume, linear feet
+ * with length). Weeks the item has observed itself are kept, and once it has
+ * a few the borrowed weeks are scaled to its own level.
+ */
+
+const { parseDimension, parseLengthFeet } = require('./boardFeet');
+
+const COLD_START_MIN_WEEKS = parseInt(process.env.COLD_START_MIN_WEEKS) || 12;
+const COLD_START_MAX_ANALOGS = parseInt(process.env.COLD_START_MAX_ANALOGS) || 3;
+const MIN_SIMILARITY = 0.2;
+
+// Own observed weeks needed before the borrowed level is rescaled, and the
+// furthest it is moved
+const MIN_LEVEL_WEEKS = 2;
+const MAX_LEVEL_SCALE = 4;
+
+// Penalty distance when a size cannot be compared (e.g. no length on one side)
+const UNKNOWN_SIZE_DISTANCE = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Length and cross-section of an item (null where not given)
+const getSize = (item) => {
+  const dimensions = item.dimensions || {};
+  const thickness = parseDimension(dimensions.thickness);
+  const width = parseDimension(dimensions.width);
+
+  return {
+    length: parseLengthFeet(dimensions.length),
+    crossSection: thickness && width ? thickness * width : null
+  };
+};
+
+const sizeDistance = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null || b === null) return UNKNOWN_SIZE_DISTANCE;
+  return Math.abs(Math.log(a / b));
+};
+
+/**
+ * Similarity of a candidate analog to an item in [0, 1], or 0 when the two
+ * cannot be compared (different category or unit of measure)
+ */
+const calculateSimilarity = (item, candidate) => {
+  if (item.category !== candidate.category) return 0;
+  if ((item.unitOfMeasure || 'pieces') !== (candidate.unitOfMeasure || 'pieces')) return 0;
+
+  const itemSize = getSize(item);
+  const candidateSize = getSize(candidate);
+  const distance = sizeDistance(itemSize.length, candidateSize.length)
+    + sizeDistance(itemSize.crossSection, candidateSize.crossSection);
+
+  return round(Math.exp(-2 * distance));
+};
+
+/**
+ * Factor converting an analog's demand into the item's unit. Piece counts are
+ * assumed similar, so only length- and volume-based units are rescaled.
+ */
+const calculateDemandScale = (item, analog) => {
+  const itemSize = getSize(item);
+  const analogSize = getSize(analog);
+  const lengthRatio = itemSize.length && analogSize.length ? itemSize.length / analogSize.length : 1;
+  const crossSectionRatio = itemSize.crossSection && analogSize.crossSection
+    ? itemSize.crossSection / analogSize.crossSection
+    : 1;
+
+  switch (item.unitOfMeasure) {
+    case 'linear_feet':
+      return round(lengthRatio);
+    case 'board_feet':
+      return round(lengthRatio * crossSectionRatio);
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Rank candidates by similarity to the item, most similar first
+ *
+ * Returns [{ item, similarity, scale }] with at most `limit` entries above
+ * the minimum similarity
+ */
+const findAnalogs = (item, candidates, limit = COLD_START_MAX_ANALOGS) => {
+  return candidates
+    .filter(candidate => String(candidate._id) !== String(item._id))
+    .map(candidate => ({
+      item: candidate,
+      similarity: calculateSimilarity(item, candidate),
+      scale: calculateDemandScale(item, candidate)
+    }))
+    .filter(analog => analog.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+const countObserved = (series) => series.filter(w => !w.missing && !w.imputed).length;
+
+/**
+ * Build the history a new item is forecast from
+ *
+ * ownHistory: the item's own weekly series (utils/timeSeries, gaps filled)
+ * analogs:    [{ item, similarity, scale, history }] with each analog's weekly series
+ *
+ * Each week is the similarity-weighted average of the analogs' scaled demand,
+ * except weeks the item has observed itself. With at least MIN_LEVEL_WEEKS of
+ * its own, borrowed weeks are scaled by own level / borrowed level over those
+ * weeks (within 1/MAX_LEVEL_SCALE..MAX_LEVEL_SCALE).
+ *
+ * Returns { history, levelScale, ownWeeks, analogs } or null when no analog
+ * has enough history.
+ */
+const buildColdStartHistory = (ownHistory, analogs, minWeeks = COLD_START_MIN_WEEKS) => {
+  const usable = analogs.filter(analog => countObserved(analog.history || []) >= minWeeks);
+  if (usable.length === 0) return null;
+
+  // Borrowed demand per week start
+  const borrowed = new Map();
+  for (const analog of usable) {
+    for (const week of analog.history) {
+      if (week.missing || week.consumption === null) continue;
+      const key = new Date(week.date).getTime();
+      const entry = borrowed.get(key) || { date: week.date, week: week.week, year: week.year, sum: 0, weight: 0 };
+      entry.sum += week.consumption * analog.scale * analog.similarity;
+      entry.weight += analog.similarity;
+      borrowed.set(key, entry);
+    }
+  }
+
+  const own = new Map();
+  for (const week of ownHistory) {
+    if (!week.missing && !week.imputed) own.set(new Date(week.date).getTime(), week);
+  }
+
+  // Level of the item's own weeks against what was borrowed for them
+  let levelScale = 1;
+  const overlap = [...own.keys()].filter(key => borrowed.has(key));
+  if (overlap.length >= MIN_LEVEL_WEEKS) {
+    const ownTotal = overlap.reduce((sum, key) => sum + own.get(key).consumption, 0);
+    const borrowedTotal = overlap.reduce((sum, key) => sum + borrowed.get(key).sum / borrowed.get(key).weight, 0);
+    if (borrowedTotal > 0) {
+      levelScale = Math.min(MAX_LEVEL_SCALE, Math.max(1 / MAX_LEVEL_SCALE, ownTotal / borrowedTotal));
+    }
+  }
+
+  const keys = [...new Set([...borrowed.keys(), ...own.keys()])].sort((a, b) => a - b);
+  const history = keys.map(key => {
+    if (own.has(key)) return { ...own.get(key), borrowed: false };
+
+    const entry = borrowed.get(key);
+    const consumption = round((entry.sum / entry.weight) * levelScale);
+    return {
+      date: entry.date,
+      week: entry.week,
+      year: entry.year,
+      consumption,
+      dailyRate: round(consumption / 7),
+      missing: false,
+      imputed: false,
+      borrowed: true
+    };
+  });
+
+  const totalWeight = usable.reduce((sum, analog) => sum + analog.similarity, 0);
+
+  return {
+    history,
+    levelScale: round(levelScale),
+    ownWeeks: own.size,
+    analogs: usable.map(analog => ({
+      itemId: analog.item._id,
+      sku: analog.item.sku,
+      name: analog.item.displayName || analog.item.name,
+      similarity: analog.similarity,
+      weight: round(analog.similarity / totalWeight),
+      scale: analog.scale,
+      observedWeeks: countObserved(analog.history)
+    }))
+  };
+};
+
+module.exports = {
+  COLD_START_MIN_WEEKS,
+  COLD_START_MAX_ANALOGS,
+  parseDimension,
+  calculateSimilarity,
+  calculateDemandScale,
+  findAnalogs,
+  buildColdStartHistory
+};
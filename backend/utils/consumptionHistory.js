@@ -0,0 +1,118 @@
+/**
+ * Consumption Reconstruction
+ *
+ * Stock counts alone understate consumption whenever stock was received
+ * between two counts. Consumption between two stock observations is
+ * rebuilt as
+ *
+ *   opening stock + received - closing stock
+ *
+ * Delivery and adjustment records are not stock observations: deliveries
+ * add their received quantity and adjustments (write-offs, corrections) are
+ * taken out, so neither shows up as consumption.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Count sources that are not a stock observation
+const MOVEMENT_SOURCES = ['delivery', 'adjustment'];
+
+const ORDER_NOTE_PATTERN = /^Delivery from order (\S+)/;
+
+/**
+ * Receipts for one item from delivered orders and delivery counts.
+ * Delivery counts written for one of the orders (by the Order post-save hook)
+ * are skipped so the same delivery is not counted twice.
+ *
+ * orders: delivered Order documents (lean) containing the item
+ * counts: the item's InventoryCount records
+ * Returns [{ date, quantity, source }] sorted by date
+ */
+const collectReceipts = (itemId, orders, counts) => {
+  const receipts = [];
+  const orderIds = new Set();
+  const orderNumbers = new Set();
+
+  for (const order of orders) {
+    orderIds.add(String(order._id));
+    orderNumbers.add(order.orderNumber);
+
+    const quantity = order.items
+      .filter(line => String(line.item) === String(itemId))
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    if (quantity > 0 && order.actualDeliveryDate) {
+      receipts.push({ date: new Date(order.actualDeliveryDate), quantity, source: 'order' });
+    }
+  }
+
+  for (const count of counts) {
+    if (count.source !== 'delivery') continue;
+    if (count.order && orderIds.has(String(count.order))) continue;
+
+    const noteMatch = count.notes && count.notes.match(ORDER_NOTE_PATTERN);
+    if (noteMatch && orderNumbers.has(noteMatch[1])) continue;
+
+    const quantity = count.count - (count.previousCount || 0);
+    if (quantity > 0) {
+      receipts.push({ date: new Date(count.countDate), quantity, source: 'delivery' });
+    }
+  }
+
+  return receipts.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Rebuild consumption between consecutive stock observations
+ *
+ * counts: InventoryCount records sorted by countDate
+ * receipts: output of collectReceipts
+ * Receipts and adjustments belong to the interval (previous, current]
+ */
+const reconstructConsumption = (counts, receipts = []) => {
+  const observations = counts.filter(c => !MOVEMENT_SOURCES.includes(c.source));
+  const adjustments = counts.filter(c => c.source === 'adjustment');
+  const history = [];
+
+  const sumBetween = (records, from, to, valueOf) => records
+    .filter(r => r.date > from && r.date <= to)
+    .reduce((sum, r) => sum + valueOf(r), 0);
+
+  const adjustmentRecords = adjustments.map(a => ({
+    date: new Date(a.countDate),
+    change: a.count - (a.previousCount || 0)
+  }));
+
+  for (let i = 1; i < observations.length; i++) {
+    const opening = observations[i - 1];
+    const closing = observations[i];
+    const from = new Date(opening.countDate);
+    const to = new Date(closing.countDate);
+    const daysBetween = (to - from) / DAY_MS;
+
+    if (daysBetween <= 0) continue;
+
+    const received = sumBetween(receipts, from, to, r => r.quantity);
+    const adjusted = sumBetween(adjustmentRecords, from, to, a => a.change);
+    const consumption = opening.count + received + adjusted - closing.count;
+
+    history.push({
+      week: closing.weekNumber,
+      year: closing.year,
+      consumption: consumption > 0 ? consumption : 0,
+      dailyRate: consumption > 0 ? consumption / daysBetween : 0,
+      received,
+      adjusted,
+      periodStart: opening.countDate,
+      date: closing.countDate
+    });
+  }
+
+  return history;
+};
+
+module.exports = {
+  MOVEMENT_SOURCES,
+  collectReceipts,
+  reconstructConsumption
+};
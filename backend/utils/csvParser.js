@@ -78,6 +78,11 @@ const COLUMN_MAPPINGS = {
   'width': 'dimensions.width',
   'length': 'dimensions.length',
   
+  // Board-foot conversion
+  'species': 'species',
+  'pieces_per_bundle': 'piecesPerBundle',
+  'pcs_per_bundle': 'piecesPerBundle',
+  
   // Stock
   'count': 'currentStock',
   'stock': 'currentStock',
@@ -155,7 +160,7 @@ const transformToInventoryItems = (records) => {
           let value = record[column];
           
           // Handle fractional values (e.g., "10 1/2" or "10.5")
-          if (typeof value === 'string' && ['currentStock', 'minimums.winter', 'minimums.summer'].includes(mappedField)) {
+          if (typeof value === 'string' && ['currentStock', 'minimums.winter', 'minimums.summer', 'piecesPerBundle'].includes(mappedField)) {
             value = parseFractionalValue(value);
           }
           
@@ -192,6 +197,7 @@ const transformToInventoryItems = (records) => {
       item.currentStock = item.currentStock || 0;
       item.minimums.winter = item.minimums.winter || 0;
       item.minimums.summer = item.minimums.summer || 0;
+      if (!item.piecesPerBundle) delete item.piecesPerBundle;
       item.isActive = true;
       
       items.push(item);
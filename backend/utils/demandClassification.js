@@ -0,0 +1,59 @@
+/**
+ * Demand Pattern Classification
+ *
+ * Syntetos-Boylan classification of an item's consumption history from
+ * ADI (average number of periods between demands) and CV² (squared
+ * coefficient of variation of the non-zero demand sizes):
+ *
+ *                 CV² < 0.49     CV² >= 0.49
+ *   ADI < 1.32    smooth         erratic
+ *   ADI >= 1.32   intermittent   lumpy
+ */
+
+const ADI_CUTOFF = 1.32;
+const CV2_CUTOFF = 0.49;
+
+// Fewer periods or demand events than this are left unclassified
+const MIN_PERIODS = 8;
+const MIN_DEMANDS = 2;
+
+const DEMAND_PATTERNS = ['smooth', 'erratic', 'intermittent', 'lumpy'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Classify a consumption history ([{ consumption }])
+ * Returns { pattern, adi, cv2, periods, demandPeriods }; pattern is null
+ * when there is not enough history to tell.
+ */
+const classifyDemand = (history) => {
+  const periods = history.length;
+  const demands = history.map(h => h.consumption).filter(value => value > 0);
+  const demandPeriods = demands.length;
+
+  if (periods < MIN_PERIODS || demandPeriods < MIN_DEMANDS) {
+    return { pattern: null, adi: null, cv2: null, periods, demandPeriods };
+  }
+
+  const adi = periods / demandPeriods;
+
+  const mean = demands.reduce((sum, v) => sum + v, 0) / demandPeriods;
+  const variance = demands.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / demandPeriods;
+  const cv2 = variance / (mean * mean);
+
+  let pattern;
+  if (adi < ADI_CUTOFF) {
+    pattern = cv2 < CV2_CUTOFF ? 'smooth' : 'erratic';
+  } else {
+    pattern = cv2 < CV2_CUTOFF ? 'intermittent' : 'lumpy';
+  }
+
+  return { pattern, adi: round(adi), cv2: round(cv2), periods, demandPeriods };
+};
+
+module.exports = {
+  ADI_CUTOFF,
+  CV2_CUTOFF,
+  DEMAND_PATTERNS,
+  classifyDemand
+};
@@ -0,0 +1,99 @@
+/**
+ * Ensemble Forecast Utility
+ *
+ * Combines the weekly forecasts of several methods into one. Each item's
+ * weights are learned from a backtest over its last ENSEMBLE_BACKTEST_WEEKS
+ * (see services/backtestService): a method's weight is inversely proportional
+ * to its mean absolute error, so a method with half the error counts twice,
+ * and only the ENSEMBLE_MAX_METHODS most accurate methods take part. Methods
+ * with fewer than ENSEMBLE_MIN_PAIRS backtested weeks are left out. Items
+ * without learned weights weigh the default methods equally.
+ */
+
+const ENSEMBLE_MAX_METHODS = parseInt(process.env.ENSEMBLE_MAX_METHODS) || 3;
+const ENSEMBLE_BACKTEST_WEEKS = parseInt(process.env.ENSEMBLE_BACKTEST_WEEKS) || 26;
+const ENSEMBLE_MIN_PAIRS = 8;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+/**
+ * Weights per method from backtest metrics ({ method: { count, mae } },
+ * see utils/forecastMetrics), summing to 1, or null when no method has
+ * enough backtested weeks
+ */
+const calculateEnsembleWeights = (metricsByMethod, options = {}) => {
+  const maxMethods = options.maxMethods || ENSEMBLE_MAX_METHODS;
+  const minPairs = options.minPairs || ENSEMBLE_MIN_PAIRS;
+
+  const ranked = Object.entries(metricsByMethod)
+    .filter(([, metrics]) => metrics.count >= minPairs && metrics.mae !== null)
+    .sort((a, b) => a[1].mae - b[1].mae)
+    .slice(0, maxMethods);
+  if (ranked.length === 0) return null;
+
+  // Methods without any error take all the weight
+  const exact = ranked.filter(([, metrics]) => metrics.mae === 0);
+  const scores = exact.length > 0
+    ? exact.map(([method]) => [method, 1])
+    : ranked.map(([method, metrics]) => [method, 1 / metrics.mae]);
+  const total = sum(scores.map(([, score]) => score));
+
+  return Object.fromEntries(scores.map(([method, score]) => [method, round(score / total, 3)]));
+};
+
+/**
+ * Weights for the methods that can forecast now: the learned weights of
+ * those methods rescaled to sum to 1, else equal weights for the default
+ * methods among them (all usable methods when there are none)
+ * Returns { basis: 'backtest' | 'equal', weights }
+ */
+const resolveEnsembleWeights = (learned, usable, defaults = []) => {
+  const weighted = learned ? usable.filter(method => learned[method] > 0) : [];
+  if (weighted.length > 0) {
+    const total = sum(weighted.map(method => learned[method]));
+    return {
+      basis: 'backtest',
+      weights: Object.fromEntries(weighted.map(method => [method, learned[method] / total]))
+    };
+  }
+
+  const fallback = defaults.filter(method => usable.includes(method));
+  const methods = fallback.length > 0 ? fallback : usable;
+  return {
+    basis: 'equal',
+    weights: Object.fromEntries(methods.map(method => [method, 1 / methods.length]))
+  };
+};
+
+/**
+ * Weighted sum of component forecasts ([{ weight, values, sigmas }])
+ * The components forecast from the same history, so their errors move
+ * together: sigmas are combined with the same weights rather than pooled.
+ * Sigmas are left empty unless every component has them.
+ */
+const combineForecasts = (components, weeks) => {
+  const values = [];
+  const sigmas = [];
+  const withSigmas = components.every(c => c.sigmas && c.sigmas.length >= weeks);
+
+  for (let week = 0; week < weeks; week++) {
+    values.push(sum(components.map(c => c.weight * (c.values[week] || 0))));
+    if (withSigmas) sigmas.push(sum(components.map(c => c.weight * c.sigmas[week])));
+  }
+
+  return { values, sigmas };
+};
+
+module.exports = {
+  ENSEMBLE_MAX_METHODS,
+  ENSEMBLE_BACKTEST_WEEKS,
+  ENSEMBLE_MIN_PAIRS,
+  calculateEnsembleWeights,
+  resolveEnsembleWeights,
+  combineForecasts
+};
@@ -0,0 +1,189 @@
+/**
+ * External Signals Utility
+ *
+ * Demand drivers from outside the yard (housing starts, building permits,
+ * precipitation, holiday weeks) uploaded as CSV rows of date, signal, value and
+ * an optional region. Values are aggregated into ISO weeks (mean, sum or max
+ * per signal) and kept in memory so the synchronous LSTM feature code can read
+ * them; services/externalSignalService loads them from the database.
+ *
+ * A model feature is the weekly value scaled to [0, 1] with the min/max seen
+ * at training time (stored with the model). Weeks without a value use, in
+ * order: the item's region, then the region-less series; the same week in one
+ * of the previous MAX_YEARS_BACK years (holidays, weather normals); the latest
+ * earlier value (e.g. housing starts not yet published); else 0.
+ */
+
+const { startOfIsoWeek } = require('./timeSeries');
+
+const SIGNAL_AGGREGATIONS = ['mean', 'sum', 'max'];
+const MAX_YEARS_BACK = 3;
+const NAME_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// name -> { aggregation, regions: Map(region -> Map(weekStart ms -> value)) }
+let signals = new Map();
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const normalizeSignalName = (name) => String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const normalizeRegion = (region) => (region ? String(region).trim().toLowerCase() : null);
+
+// "2024-05-06" is read as a local date (Date() would take it as UTC midnight,
+// which falls in the previous ISO week west of Greenwich)
+const parseSignalDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso ? new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3])) : new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const pick = (record, names) => {
+  const key = Object.keys(record).find(column => names.includes(column.trim().toLowerCase()));
+  return key !== undefined ? record[key] : undefined;
+};
+
+/**
+ * Turn CSV records into signal rows
+ *
+ * Columns (case-insensitive): date (or week/day), signal (or name), value,
+ * region (optional). Returns { rows: [{ name, region, date, value }], errors }
+ * with errors as [{ row, error }] (row numbers include the header).
+ */
+const parseSignalRows = (records) => {
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const name = normalizeSignalName(pick(record, ['signal', 'name', 'series']));
+    const date = parseSignalDate(pick(record, ['date', 'week', 'day']));
+    const rawValue = pick(record, ['value']);
+    const value = rawValue === '' || rawValue === undefined || rawValue === null ? NaN : Number(rawValue);
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push({ row, error: 'signal name must be letters, digits or underscores (max 50)' });
+    } else if (!date) {
+      errors.push({ row, error: 'invalid date' });
+    } else if (!Number.isFinite(value)) {
+      errors.push({ row, error: 'value must be a number' });
+    } else {
+      rows.push({ name, region: normalizeRegion(pick(record, ['region'])), date, value });
+    }
+  });
+
+  return { rows, errors };
+};
+
+// Weekly values (weekStart ms -> value) from dated values
+const aggregateWeekly = (values, aggregation = 'mean') => {
+  const buckets = new Map();
+  for (const { date, value } of values) {
+    const key = startOfIsoWeek(date).getTime();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(value);
+  }
+
+  const weekly = new Map();
+  for (const [key, bucket] of buckets) {
+    if (aggregation === 'sum') weekly.set(key, bucket.reduce((sum, v) => sum + v, 0));
+    else if (aggregation === 'max') weekly.set(key, Math.max(...bucket));
+    else weekly.set(key, bucket.reduce((sum, v) => sum + v, 0) / bucket.length);
+  }
+  return weekly;
+};
+
+/**
+ * Replace the in-memory signals
+ *
+ * definitions: [{ name, aggregation }]
+ * values:      [{ name, region, date, value }]
+ */
+const setExternalSignals = (definitions, values) => {
+  const byName = new Map();
+  for (const value of values) {
+    const region = normalizeRegion(value.region) || '';
+    if (!byName.has(value.name)) byName.set(value.name, new Map());
+    const regions = byName.get(value.name);
+    if (!regions.has(region)) regions.set(region, []);
+    regions.get(region).push(value);
+  }
+
+  signals = new Map();
+  for (const definition of definitions) {
+    const regions = new Map();
+    for (const [region, regionValues] of byName.get(definition.name) || []) {
+      regions.set(region, aggregateWeekly(regionValues, definition.aggregation));
+    }
+    signals.set(definition.name, { aggregation: definition.aggregation || 'mean', regions });
+  }
+};
+
+const hasSignal = (name) => signals.has(name) && signals.get(name).regions.size > 0;
+
+/**
+ * Scaling of a signal for a model: { name, min, max } over all its weekly
+ * values, or null when the signal has no data
+ */
+const getSignalScaling = (name) => {
+  if (!hasSignal(name)) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const weekly of signals.get(name).regions.values()) {
+    for (const value of weekly.values()) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  }
+  return { name, min: round(min), max: round(max) };
+};
+
+// Raw weekly value of a signal for the week containing date (see the fallbacks above)
+const getSignalValue = (name, date, region = null) => {
+  if (!hasSignal(name)) return null;
+
+  const { regions } = signals.get(name);
+  const series = [normalizeRegion(region), ''].filter(r => r !== null && regions.has(r)).map(r => regions.get(r));
+  if (series.length === 0) return null;
+
+  const week = startOfIsoWeek(date);
+  for (const weekly of series) {
+    if (weekly.has(week.getTime())) return weekly.get(week.getTime());
+  }
+
+  for (let years = 1; years <= MAX_YEARS_BACK; years++) {
+    const earlier = startOfIsoWeek(new Date(week.getFullYear() - years, week.getMonth(), week.getDate() + 3));
+    for (const weekly of series) {
+      if (weekly.has(earlier.getTime())) return weekly.get(earlier.getTime());
+    }
+  }
+
+  for (const weekly of series) {
+    const earlierKeys = [...weekly.keys()].filter(key => key < week.getTime());
+    if (earlierKeys.length > 0) return weekly.get(Math.max(...earlierKeys));
+  }
+
+  return null;
+};
+
+// Model feature in [0, 1] for a signal scaled as at training time
+const getSignalFeature = (scaling, date, region = null) => {
+  const value = getSignalValue(scaling.name, date, region);
+  if (value === null || scaling.max === scaling.min) return 0;
+  return Math.min(1, Math.max(0, (value - scaling.min) / (scaling.max - scaling.min)));
+};
+
+module.exports = {
+  SIGNAL_AGGREGATIONS,
+  normalizeSignalName,
+  parseSignalDate,
+  parseSignalRows,
+  aggregateWeekly,
+  setExternalSignals,
+  hasSignal,
+  getSignalScaling,
+  getSignalValue,
+  getSignalFeature
+};
@@ -0,0 +1,154 @@
+/**
+ * Forecast Metrics Utility
+ * Error measures for comparing forecasts against actual consumption
+ */
+
+const round = (value, decimals = 2) => {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Calculate error metrics from [{ actual, predicted }] pairs
+// - MAE:  mean absolute error (units)
+// - MAPE: mean absolute percentage error, skipping weeks with zero actual demand
+// - Bias: mean of (predicted - actual); positive means over-forecasting
+// - WAPE: sum |error| / sum actual, robust to zero-demand weeks
+const calculateErrorMetrics = (pairs) => {
+  if (!pairs || pairs.length === 0) {
+    return { count: 0, mae: null, mape: null, bias: null, wape: null };
+  }
+
+  let absErrorSum = 0;
+  let errorSum = 0;
+  let actualSum = 0;
+  let pctErrorSum = 0;
+  let pctCount = 0;
+
+  for (const { actual, predicted } of pairs) {
+    const error = predicted - actual;
+    absErrorSum += Math.abs(error);
+    errorSum += error;
+    actualSum += Math.abs(actual);
+
+    if (actual !== 0) {
+      pctErrorSum += Math.abs(error / actual);
+      pctCount++;
+    }
+  }
+
+  return {
+    count: pairs.length,
+    mae: round(absErrorSum / pairs.length),
+    mape: pctCount > 0 ? round((pctErrorSum / pctCount) * 100) : null,
+    bias: round(errorSum / pairs.length),
+    wape: actualSum > 0 ? round((absErrorSum / actualSum) * 100) : null
+  };
+};
+
+// Pick the method with the lowest value for a metric (ignores methods without data)
+const pickBestMethod = (metricsByMethod, metric = 'wape') => {
+  let best = null;
+
+  for (const [method, metrics] of Object.entries(metricsByMethod)) {
+    const value = metrics[metric];
+    if (value === null || value === undefined) continue;
+    if (!best || value < best.value) {
+      best = { method, value };
+    }
+  }
+
+  return best ? best.method : null;
+};
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+// Actual consumption over [periodStart, periodEnd) from a daily series, or
+// null when a day in the period has no data
+// Steps by calendar day: days around a daylight saving change are 23 or 25 hours
+const sumDailyActuals = (dailyByDay, periodStart, periodEnd) => {
+  let total = 0;
+  const end = dayKey(periodEnd);
+  for (const d = new Date(dayKey(periodStart)); d.getTime() < end; d.setDate(d.getDate() + 1)) {
+    const bucket = dailyByDay.get(dayKey(d));
+    if (!bucket || bucket.missing) return null;
+    total += bucket.consumption;
+  }
+  return total;
+};
+
+/**
+ * Join forecast snapshots to the consumption that actually happened
+ *
+ * snapshots: ForecastSnapshot documents, oldest first
+ * dailySeries: resampled daily consumption (see utils/timeSeries)
+ * Predictions whose period has not ended yet are `pending`; those without
+ * complete actuals are `no_data`. Both are left out of the metrics.
+ */
+const compareSnapshotsToActuals = (snapshots, dailySeries, now = new Date()) => {
+  const dailyByDay = new Map(dailySeries.map(bucket => [dayKey(bucket.date), bucket]));
+  const allPairs = [];
+  const pairsByHorizon = {};
+
+  const compared = snapshots.map(snapshot => {
+    const pairs = [];
+
+    const predictions = snapshot.predictions.map(prediction => {
+      let status = 'scored';
+      let actual = null;
+
+      if (new Date(prediction.periodEnd) > now) {
+        status = 'pending';
+      } else {
+        actual = sumDailyActuals(dailyByDay, prediction.periodStart, prediction.periodEnd);
+        if (actual === null) status = 'no_data';
+      }
+
+      if (status === 'scored') {
+        const pair = { actual, predicted: prediction.predictedDemand, horizonWeek: prediction.week };
+        pairs.push(pair);
+        allPairs.push(pair);
+        (pairsByHorizon[prediction.week] = pairsByHorizon[prediction.week] || []).push(pair);
+      }
+
+      return {
+        ...prediction,
+        actual: actual === null ? null : round(actual),
+        error: actual === null ? null : round(prediction.predictedDemand - actual),
+        status
+      };
+    });
+
+    return {
+      snapshotId: snapshot._id,
+      forecastDate: snapshot.forecastDate,
+      method: snapshot.method,
+      modelVersion: snapshot.modelVersion,
+      recommendedMin: snapshot.recommendedMin,
+      recommendedTarget: snapshot.recommendedTarget,
+      predictions,
+      metrics: calculateErrorMetrics(pairs)
+    };
+  });
+
+  const byHorizon = {};
+  for (const [week, pairs] of Object.entries(pairsByHorizon)) {
+    byHorizon[week] = calculateErrorMetrics(pairs);
+  }
+
+  return {
+    snapshots: compared,
+    byHorizon,
+    overall: calculateErrorMetrics(allPairs)
+  };
+};
+
+module.exports = {
+  calculateErrorMetrics,
+  pickBestMethod,
+  compareSnapshotsToActuals
+};
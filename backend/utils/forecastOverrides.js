@@ -0,0 +1,159 @@
+/**
+ * Forecast Overrides Utility
+ *
+ * Purchasers sometimes know better than the model. An override replaces
+ * (absolute) or scales (multiply) one of an item's forecast outputs for a
+ * limited time:
+ *
+ *   demand   weekly demand in the weeks the override covers
+ *   minimum  the minimum / reorder point
+ *   target   the target stock level
+ *
+ * When several overrides of the same field apply, the newest wins.
+ */
+
+const OVERRIDE_FIELDS = ['demand', 'minimum', 'target'];
+const OVERRIDE_MODES = ['multiply', 'absolute'];
+const MAX_OVERRIDE_DAYS = parseInt(process.env.MAX_OVERRIDE_DAYS) || 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check an override, returns a list of problems (empty when valid)
+ */
+const validateOverride = (override, now = new Date()) => {
+  const errors = [];
+
+  if (!OVERRIDE_FIELDS.includes(override.field)) {
+    errors.push(`field must be one of ${OVERRIDE_FIELDS.join(', ')}`);
+  }
+  if (!OVERRIDE_MODES.includes(override.mode)) {
+    errors.push(`mode must be one of ${OVERRIDE_MODES.join(', ')}`);
+  }
+  if (typeof override.value !== 'number' || !Number.isFinite(override.value) || override.value < 0) {
+    errors.push('value must be a number of at least 0');
+  } else if (override.mode === 'multiply' && override.value === 0) {
+    errors.push('a multiplier must be above 0');
+  }
+  if (!override.reason || !String(override.reason).trim()) {
+    errors.push('reason is required');
+  }
+
+  const startsAt = override.startsAt ? new Date(override.startsAt) : now;
+  const expiresAt = override.expiresAt ? new Date(override.expiresAt) : null;
+  if (isNaN(startsAt)) errors.push('startsAt is not a valid date');
+  if (!expiresAt || isNaN(expiresAt)) {
+    errors.push('expiresAt is required');
+  } else {
+    if (expiresAt <= now) errors.push('expiresAt must be in the future');
+    if (expiresAt <= startsAt) errors.push('expiresAt must be after startsAt');
+    if (expiresAt - Math.max(startsAt, now) > MAX_OVERRIDE_DAYS * DAY_MS) {
+      errors.push(`overrides can last at most ${MAX_OVERRIDE_DAYS} days`);
+    }
+  }
+
+  return errors;
+};
+
+// 'cancelled', 'scheduled', 'active' or 'expired'
+const getOverrideState = (override, at = new Date()) => {
+  if (override.cancelledAt) return 'cancelled';
+  if (new Date(override.startsAt) > at) return 'scheduled';
+  if (new Date(override.expiresAt) <= at) return 'expired';
+  return 'active';
+};
+
+// Newest override of a field in force at a date
+const pickOverride = (overrides, field, at) => {
+  const matching = overrides
+    .filter(o => o.field === field && getOverrideState(o, at) === 'active')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return matching[0] || null;
+};
+
+const applyOverrideValue = (value, override) => {
+  return override.mode === 'multiply' ? value * override.value : override.value;
+};
+
+/**
+ * Apply demand overrides to weekly forecast values and their standard
+ * deviations. A week is overridden when the override is in force at its
+ * midpoint; multipliers scale the spread too, absolute values keep it.
+ *
+ * Returns { values, sigmas, weeks } where weeks lists the overridden week numbers.
+ */
+const applyDemandOverrides = (values, sigmas, overrides, startDate) => {
+  const weeks = [];
+
+  const adjusted = values.map((value, i) => {
+    const midpoint = new Date(startDate.getTime() + (i + 0.5) * WEEK_MS);
+    const override = pickOverride(overrides, 'demand', midpoint);
+    if (!override) return { value, sigma: sigmas[i] };
+
+    weeks.push(i + 1);
+    return {
+      value: applyOverrideValue(value, override),
+      sigma: override.mode === 'multiply' ? sigmas[i] * override.value : sigmas[i]
+    };
+  });
+
+  return {
+    values: adjusted.map(a => a.value),
+    sigmas: adjusted.map(a => a.sigma),
+    weeks
+  };
+};
+
+/**
+ * Apply minimum and target overrides in force at a date.
+ * Without a target override the target follows an overridden minimum
+ * (calculateTarget), and it never ends up below the minimum.
+ *
+ * Returns { minimum, target, minimumOverride, targetOverride }
+ */
+const applyLevelOverrides = (levels, overrides, at, calculateTarget) => {
+  const minimumOverride = pickOverride(overrides, 'minimum', at);
+  const targetOverride = pickOverride(overrides, 'target', at);
+
+  const minimum = minimumOverride
+    ? round(applyOverrideValue(levels.minimum, minimumOverride))
+    : levels.minimum;
+
+  let target = levels.target;
+  if (targetOverride) target = round(applyOverrideValue(levels.target, targetOverride));
+  else if (minimumOverride) target = calculateTarget(minimum);
+
+  return {
+    minimum,
+    target: Math.max(target, minimum),
+    minimumOverride,
+    targetOverride
+  };
+};
+
+// Override as listed in a forecast summary
+const describeOverride = (override) => ({
+  id: override._id,
+  field: override.field,
+  mode: override.mode,
+  value: override.value,
+  reason: override.reason,
+  startsAt: override.startsAt,
+  expiresAt: override.expiresAt,
+  createdBy: override.createdBy
+});
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  OVERRIDE_MODES,
+  MAX_OVERRIDE_DAYS,
+  validateOverride,
+  getOverrideState,
+  pickOverride,
+  applyDemandOverrides,
+  applyLevelOverrides,
+  describeOverride
+};
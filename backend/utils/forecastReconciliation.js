@@ -0,0 +1,139 @@
+/**
+ * Forecast Reconciliation Utility
+ *
+ * Item forecasts from different models do not add up to a forecast of their
+ * group's total. Reconciliation makes them coherent within each group of
+ * items with the same category and unit of measure (units of different
+ * kinds are never added up):
+ *
+ * - bottom_up: the item forecasts stand, the group total is their sum
+ * - top_down:  the group total is forecast from the summed history and split
+ *              by each item's share of the group's past consumption
+ * - mint:      minimum-trace reconciliation with a diagonal covariance (WLS):
+ *              the gap between the total forecast and the sum of the item
+ *              forecasts is spread over the items in proportion to their
+ *              demand variance, the total moves by its own variance share
+ *
+ * FORECAST_RECONCILIATION selects the method ('none' by default).
+ */
+
+const RECONCILIATION_METHODS = ['none', 'bottom_up', 'top_down', 'mint'];
+
+const FORECAST_RECONCILIATION = RECONCILIATION_METHODS.includes(process.env.FORECAST_RECONCILIATION)
+  ? process.env.FORECAST_RECONCILIATION
+  : 'none';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+const variance = (values) => {
+  if (values.length < 2) return 0;
+  const mean = sum(values) / values.length;
+  return sum(values.map(v => (v - mean) ** 2)) / (values.length - 1);
+};
+
+// Group key of an item: category and unit of measure
+const getReconciliationGroup = (item) => `${item.category}:${item.unitOfMeasure}`;
+
+/**
+ * Weekly total of several histories ([{ date, consumption }]), by date
+ */
+const sumHistories = (histories) => {
+  const totals = new Map();
+  for (const history of histories) {
+    for (const week of history) {
+      const key = new Date(week.date).getTime();
+      totals.set(key, (totals.get(key) || 0) + week.consumption);
+    }
+  }
+
+  return [...totals.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, consumption]) => ({ date: new Date(time), consumption }));
+};
+
+// Keep values non-negative while preserving their sum where possible
+const clampToTotal = (values, total) => {
+  const clamped = values.map(v => Math.max(0, v));
+  const clampedSum = sum(clamped);
+  const target = Math.max(0, total);
+  if (clampedSum === 0 || clampedSum === target) return clamped;
+  return clamped.map(v => (v * target) / clampedSum);
+};
+
+/**
+ * Reconcile a group's weekly forecasts
+ *
+ * items: [{ id, values, history }] (history = past weekly consumption)
+ * total: { values, history } forecast of the group's summed history
+ *        (not needed for bottom_up)
+ * Returns { method, total: [...], items: Map(id -> [...]) }, values rounded
+ * to 2 decimals.
+ */
+const reconcileForecasts = (items, total, method = FORECAST_RECONCILIATION) => {
+  const weeks = Math.max(0, ...items.map(item => item.values.length));
+  const reconciled = new Map(items.map(item => [item.id, []]));
+  const totals = [];
+
+  // Past consumption shares (top-down) and demand variances (MinT weights)
+  const consumed = items.map(item => sum(item.history.map(w => w.consumption)));
+  const consumedTotal = sum(consumed);
+  const variances = items.map(item => variance(item.history.map(w => w.consumption)));
+  const allZero = variances.every(v => v === 0);
+  const weights = variances.map(v => (allZero ? 1 : v));
+  const totalWeight = total && total.history ? variance(total.history.map(w => w.consumption)) : 0;
+
+  for (let week = 0; week < weeks; week++) {
+    const base = items.map(item => item.values[week] || 0);
+    const totalForecast = total && total.values[week] !== undefined ? total.values[week] : sum(base);
+    let values;
+
+    if (method === 'top_down') {
+      const baseSum = sum(base);
+      values = items.map((item, i) => {
+        if (consumedTotal > 0) return totalForecast * (consumed[i] / consumedTotal);
+        if (baseSum > 0) return totalForecast * (base[i] / baseSum);
+        return totalForecast / items.length;
+      });
+    } else if (method === 'mint') {
+      const gap = totalForecast - sum(base);
+      const denominator = (allZero ? 0 : totalWeight) + sum(weights);
+      const adjusted = base.map((b, i) => b + (weights[i] * gap) / denominator);
+      values = clampToTotal(adjusted, sum(adjusted));
+    } else {
+      values = base;
+    }
+
+    values.forEach((v, i) => reconciled.get(items[i].id).push(round(v)));
+    totals.push(round(sum(values)));
+  }
+
+  return { method, total: totals, items: reconciled };
+};
+
+/**
+ * Apply an item's reconciliation to its current weekly forecast
+ *
+ * reconciled: { base, values } the item's forecast before and after
+ * reconciling its group. Each week is scaled by values / base, so a result
+ * reused after the item's forecast moved keeps its share of the group
+ * instead of a fixed quantity; weeks with a zero base take the difference.
+ * Weeks beyond the reconciled horizon are unchanged, demand is never
+ * negative.
+ */
+const applyReconciliation = (values, reconciled) => values.map((v, week) => {
+  if (!reconciled || week >= reconciled.values.length) return v;
+  const base = reconciled.base[week] || 0;
+  const target = reconciled.values[week];
+  return Math.max(0, base > 0 ? v * (target / base) : v + target - base);
+});
+
+module.exports = {
+  RECONCILIATION_METHODS,
+  FORECAST_RECONCILIATION,
+  getReconciliationGroup,
+  sumHistories,
+  reconcileForecasts,
+  applyReconciliation
+};
@@ -0,0 +1,167 @@
+/**
+ * Job Queue Utility
+ *
+ * In-memory queue for long-running background jobs (model training, forecast
+ * updates). Jobs run one at a time in the order they were started; the runner
+ * decides where (services/jobService runs them in a worker thread).
+ *
+ * A runner is called as run(job, { onProgress }) and returns
+ * { result: Promise, cancel: Function }. Progress is reported as
+ * { phase, completed, total, ...details }; the queue adds the percentage and
+ * an ETA from the average time per step completed since the phase was first
+ * reported.
+ * A runner that stops early on cancel resolves with { cancelled: true }.
+ */
+
+const crypto = require('crypto');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Seconds left in a phase, from the time the steps since startCompleted took
+const estimateRemainingSeconds = (startedAt, startCompleted, completed, total, now = new Date()) => {
+  if (!total) return null;
+  if (completed >= total) return 0;
+  if (completed <= startCompleted) return null;
+
+  const perStep = (now - startedAt) / (completed - startCompleted);
+  return Math.round((perStep * (total - completed)) / 1000);
+};
+
+/**
+ * Create a queue
+ *
+ * options.run:        runner (see above)
+ * options.onComplete: async (job) => {} after a job returned its result, also
+ *                     when it stopped on cancel (work it stored stays)
+ * options.keep:       finished jobs kept for lookup (default 20)
+ * options.now:        clock, for tests
+ */
+const createJobQueue = ({ run, onComplete = null, keep = 20, now = () => new Date() }) => {
+  const jobs = new Map();
+  const pending = [];
+  let current = null;
+
+  const summarize = (job) => ({
+    id: job.id,
+    type: job.type,
+    options: job.options,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    triggeredBy: job.triggeredBy,
+    result: job.result,
+    error: job.error
+  });
+
+  const prune = () => {
+    const finished = [...jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - keep)).forEach(job => jobs.delete(job.id));
+  };
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, fields, { status, finishedAt: now() });
+    if (job.progress) job.progress = { ...job.progress, etaSeconds: null };
+    current = null;
+    prune();
+    next();
+  };
+
+  const updateProgress = (job, progress) => {
+    const { completed = 0, total } = progress;
+    if (!job.progress || job.progress.phase !== progress.phase) {
+      job.phase = { startedAt: now(), completed };
+    }
+
+    job.progress = {
+      ...progress,
+      percent: total ? Math.round((completed / total) * 100) : null,
+      etaSeconds: estimateRemainingSeconds(job.phase.startedAt, job.phase.completed, completed, total, now())
+    };
+  };
+
+  const next = () => {
+    if (current || pending.length === 0) return;
+
+    const job = pending.shift();
+    current = job;
+    job.status = 'running';
+    job.startedAt = now();
+
+    let handle;
+    try {
+      handle = run(job, { onProgress: (progress) => updateProgress(job, progress) });
+    } catch (error) {
+      finish(job, 'failed', { error: error.message });
+      return;
+    }
+    job.cancel = handle.cancel;
+
+    handle.result
+      .then(async (result) => {
+        if (onComplete) {
+          try {
+            await onComplete({ ...job, result });
+          } catch (error) {
+            job.error = error.message;
+          }
+        }
+        finish(job, result && result.cancelled ? 'cancelled' : 'completed', { result });
+      })
+      .catch(error => finish(job, 'failed', { error: error.message }));
+  };
+
+  const enqueue = (type, options = {}, triggeredBy = null) => {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      options,
+      status: 'queued',
+      progress: null,
+      createdAt: now(),
+      startedAt: null,
+      finishedAt: null,
+      triggeredBy,
+      result: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    next();
+    return summarize(job);
+  };
+
+  const get = (id) => (jobs.has(id) ? summarize(jobs.get(id)) : null);
+
+  // Newest first
+  const list = () => [...jobs.values()].reverse().map(summarize);
+
+  // The queued or running job of a type, if any
+  const findActive = (type) => {
+    const job = [...jobs.values()].find(j => j.type === type && !FINISHED_STATUSES.includes(j.status));
+    return job ? summarize(job) : null;
+  };
+
+  // Queued jobs are dropped, running ones asked to stop; null when unknown
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      pending.splice(pending.indexOf(job), 1);
+      Object.assign(job, { status: 'cancelled', finishedAt: now() });
+    } else if (job.status === 'running' && job.cancel) {
+      job.cancel();
+    }
+    return summarize(job);
+  };
+
+  return { enqueue, get, list, findActive, cancel };
+};
+
+module.exports = {
+  estimateRemainingSeconds,
+  createJobQueue
+};
@@ -0,0 +1,96 @@
+/**
+ * Model Promotion Utility
+ *
+ * A retrain produces a challenger. Both the challenger and the current
+ * champion (the active model version) predict the last MODEL_HOLDOUT_WEEKS of
+ * every item's history, which the challenger was not trained on, one week
+ * ahead from the weeks before. The challenger replaces the champion only if
+ * its error (MODEL_PROMOTION_METRIC) is at least MODEL_PROMOTION_MARGIN
+ * percent lower.
+ */
+
+const PROMOTION_METRICS = ['wape', 'mae'];
+
+const MODEL_HOLDOUT_WEEKS = parseInt(process.env.MODEL_HOLDOUT_WEEKS) || 8;
+const MODEL_PROMOTION_MARGIN = process.env.MODEL_PROMOTION_MARGIN !== undefined
+  ? parseFloat(process.env.MODEL_PROMOTION_MARGIN)
+  : 2;
+const MODEL_PROMOTION_METRIC = PROMOTION_METRICS.includes(process.env.MODEL_PROMOTION_METRIC)
+  ? process.env.MODEL_PROMOTION_METRIC
+  : 'wape';
+
+/**
+ * One-week-ahead predictions over the hold-out window of a weekly series
+ *
+ * series:  [{ date, consumption, missing? }]
+ * predict: (window) => predicted consumption of the week after the window
+ *
+ * Returns [{ date, actual, predicted }] for every hold-out week whose
+ * preceding sequenceLength weeks were all observed.
+ */
+const collectHoldoutPairs = (series, holdoutWeeks, sequenceLength, predict) => {
+  const pairs = [];
+  const start = Math.max(sequenceLength, series.length - holdoutWeeks);
+
+  for (let i = start; i < series.length; i++) {
+    const window = series.slice(i - sequenceLength, i);
+    if (series[i].missing || window.some(w => w.missing)) continue;
+
+    pairs.push({ date: series[i].date, actual: series[i].consumption, predicted: predict(window) });
+  }
+
+  return pairs;
+};
+
+/**
+ * Decide whether a challenger replaces the champion
+ *
+ * challenger / champion: hold-out metrics from utils/forecastMetrics (champion null when no model is active)
+ * Returns { promote, reason, improvement } with improvement in percent of the
+ * champion's error (null when the two cannot be compared).
+ */
+const decidePromotion = (challenger, champion, options = {}) => {
+  const metric = options.metric || MODEL_PROMOTION_METRIC;
+  const margin = options.margin !== undefined ? options.margin : MODEL_PROMOTION_MARGIN;
+  const challengerError = challenger ? challenger[metric] : null;
+  const championError = champion ? champion[metric] : null;
+
+  if (!champion) {
+    return { promote: true, reason: 'No active model', improvement: null };
+  }
+  if (challengerError === null || challengerError === undefined) {
+    return { promote: false, reason: 'No hold-out weeks to evaluate the challenger on', improvement: null };
+  }
+  if (championError === null || championError === undefined) {
+    return { promote: true, reason: 'The active model could not be evaluated on the hold-out weeks', improvement: null };
+  }
+
+  // A perfect champion can only be matched
+  const improvement = championError > 0
+    ? Math.round(((championError - challengerError) / championError) * 10000) / 100
+    : (challengerError === 0 ? 0 : null);
+  const label = metric.toUpperCase();
+
+  if (improvement !== null && improvement >= margin) {
+    return {
+      promote: true,
+      reason: `${label} ${challengerError} vs ${championError} (${improvement}% better, margin ${margin}%)`,
+      improvement
+    };
+  }
+
+  return {
+    promote: false,
+    reason: `${label} ${challengerError} vs ${championError} does not beat the active model by ${margin}%`,
+    improvement
+  };
+};
+
+module.exports = {
+  PROMOTION_METRICS,
+  MODEL_HOLDOUT_WEEKS,
+  MODEL_PROMOTION_MARGIN,
+  MODEL_PROMOTION_METRIC,
+  collectHoldoutPairs,
+  decidePromotion
+};
@@ -0,0 +1,93 @@
+/**
+ * Model Scopes Utility
+ *
+ * Besides the global LSTM, a model version can hold models trained only on
+ * one category's items (MODEL_SCOPE=category) and on single high-volume
+ * items (at least ITEM_MODEL_MIN_SHARE percent of their category's
+ * consumption). A scoped model is only trained with at least
+ * SCOPED_MODEL_MIN_SAMPLES training windows. Each item is served by the most
+ * specific model available: its own, its category's, else the global one.
+ */
+
+const MODEL_SCOPES = ['global', 'category'];
+
+const MODEL_SCOPE = MODEL_SCOPES.includes(process.env.MODEL_SCOPE) ? process.env.MODEL_SCOPE : 'global';
+const ITEM_MODEL_MIN_SHARE = parseFloat(process.env.ITEM_MODEL_MIN_SHARE) || 0;
+const SCOPED_MODEL_MIN_SAMPLES = parseInt(process.env.SCOPED_MODEL_MIN_SAMPLES) || 40;
+
+const GLOBAL_KEY = 'global';
+
+// Key of a stored model: 'global', 'category:plywood' or 'item:<id>'
+const modelKey = (scope, key = null) => (scope === 'global' ? GLOBAL_KEY : `${scope}:${key}`);
+
+/**
+ * Decide which scoped models to train
+ *
+ * entries: [{ itemId, category, samples, volume }] per item with training data
+ *          (samples = training windows, volume = consumption in those weeks)
+ * Returns [{ scope, key, name, itemIds }] without the global model, which
+ * is always trained on all items.
+ */
+const planModelScopes = (entries, options = {}) => {
+  const scope = options.scope || MODEL_SCOPE;
+  const itemMinShare = options.itemMinShare !== undefined ? options.itemMinShare : ITEM_MODEL_MIN_SHARE;
+  const minSamples = options.minSamples || SCOPED_MODEL_MIN_SAMPLES;
+
+  const byCategory = new Map();
+  for (const entry of entries) {
+    if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+    byCategory.get(entry.category).push(entry);
+  }
+
+  const plans = [];
+  for (const [category, categoryEntries] of byCategory) {
+    const samples = categoryEntries.reduce((sum, e) => sum + e.samples, 0);
+    if (scope === 'category' && samples >= minSamples) {
+      plans.push({
+        scope: 'category',
+        key: category,
+        name: modelKey('category', category),
+        itemIds: categoryEntries.map(e => String(e.itemId))
+      });
+    }
+
+    if (itemMinShare <= 0) continue;
+    const volume = categoryEntries.reduce((sum, e) => sum + e.volume, 0);
+    for (const entry of categoryEntries) {
+      const share = volume > 0 ? (entry.volume / volume) * 100 : 0;
+      // A category's only item is already covered by the category model
+      if (share >= itemMinShare && entry.samples >= minSamples && (scope !== 'category' || categoryEntries.length > 1)) {
+        plans.push({
+          scope: 'item',
+          key: String(entry.itemId),
+          name: modelKey('item', entry.itemId),
+          itemIds: [String(entry.itemId)]
+        });
+      }
+    }
+  }
+
+  return plans;
+};
+
+// Key of the model that serves an item, given the keys of the loaded models
+const resolveModelKey = (item, loadedKeys) => {
+  const itemKey = modelKey('item', item.itemId || item._id);
+  if (loadedKeys.has(itemKey)) return itemKey;
+
+  const categoryKey = modelKey('category', item.category);
+  if (item.category && loadedKeys.has(categoryKey)) return categoryKey;
+
+  return GLOBAL_KEY;
+};
+
+module.exports = {
+  MODEL_SCOPES,
+  MODEL_SCOPE,
+  ITEM_MODEL_MIN_SHARE,
+  SCOPED_MODEL_MIN_SAMPLES,
+  GLOBAL_KEY,
+  modelKey,
+  planModelScopes,
+  resolveModelKey
+};
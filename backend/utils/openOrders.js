@@ -0,0 +1,121 @@
+/**
+ * Open Orders Utility
+ *
+ * Purchase orders that are placed but not yet delivered (pending, confirmed,
+ * shipped) are stock that is on its way. Projections add each order's
+ * quantity on its expected delivery date, and reorder logic nets the on-order
+ * quantity out so a confirmed truckload does not trigger another reorder.
+ */
+
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'shipped'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scheduled receipts of one item from open orders, earliest first
+ *
+ * Orders without an expected delivery date arrive after the vendor's average
+ * lead time (or fallbackLeadTime days). Overdue orders are expected today.
+ * Returns [{ orderId, orderNumber, status, vendor, orderDate, quantity,
+ *            expectedDeliveryDate, daysUntilArrival, estimated, overdue }]
+ */
+const collectOpenOrders = (itemId, orders, now = new Date(), fallbackLeadTime = 7) => {
+  const receipts = [];
+
+  for (const order of orders) {
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) continue;
+
+    const quantity = order.items
+      .filter(line => String(line.item._id || line.item) === String(itemId))
+      .reduce((sum, line) => sum + line.quantity, 0);
+    if (quantity <= 0) continue;
+
+    const vendor = order.vendor && order.vendor.name
+      ? { id: order.vendor._id, name: order.vendor.name }
+      : { id: order.vendor };
+
+    let arrival = order.expectedDeliveryDate ? new Date(order.expectedDeliveryDate) : null;
+    const estimated = !arrival;
+    if (estimated) {
+      const leadTime = (order.vendor && order.vendor.metrics && order.vendor.metrics.avgLeadTime) || fallbackLeadTime;
+      arrival = new Date(new Date(order.orderDate || now).getTime() + leadTime * DAY_MS);
+    }
+
+    const overdue = arrival < now;
+    const daysUntilArrival = overdue ? 0 : Math.ceil((arrival - now) / DAY_MS);
+
+    receipts.push({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      vendor,
+      orderDate: order.orderDate,
+      quantity: round(quantity),
+      expectedDeliveryDate: arrival.toISOString().split('T')[0],
+      daysUntilArrival,
+      estimated,
+      overdue
+    });
+  }
+
+  return receipts.sort((a, b) => a.daysUntilArrival - b.daysUntilArrival);
+};
+
+// Total quantity on order
+const sumOnOrder = (receipts) => round(receipts.reduce((sum, r) => sum + r.quantity, 0));
+
+/**
+ * Days until stock runs out at a constant daily demand, adding receipts as
+ * they arrive. A receipt only helps if it arrives before stock runs out.
+ * Returns null without demand.
+ */
+const calculateStockoutDays = (currentStock, avgDailyDemand, receipts = []) => {
+  if (!(avgDailyDemand > 0)) return null;
+
+  let stock = currentStock;
+  let day = 0;
+
+  for (const receipt of receipts) {
+    const runsOutAt = day + stock / avgDailyDemand;
+    if (runsOutAt < receipt.daysUntilArrival) break;
+
+    stock = stock - (receipt.daysUntilArrival - day) * avgDailyDemand + receipt.quantity;
+    day = receipt.daysUntilArrival;
+  }
+
+  return Math.max(0, Math.floor(day + stock / avgDailyDemand));
+};
+
+/**
+ * Add receipts to weekly prediction rows: each row gets the quantity
+ * received during its week and projected stock includes everything received
+ * by its date. Rows cover the week ending on `date`.
+ */
+const applyReceiptsToPredictions = (predictions, receipts, currentStock) => {
+  let cumulativeReceived = 0;
+
+  return predictions.map(prediction => {
+    const weekEnd = prediction.week * 7;
+    const receivedQty = receipts
+      .filter(r => r.daysUntilArrival < weekEnd && r.daysUntilArrival >= weekEnd - 7)
+      .reduce((sum, r) => sum + r.quantity, 0);
+    cumulativeReceived += receivedQty;
+
+    return {
+      ...prediction,
+      receivedQty: round(receivedQty),
+      cumulativeReceived: round(cumulativeReceived),
+      projectedStock: round(currentStock + cumulativeReceived - prediction.cumulativeDemand)
+    };
+  });
+};
+
+module.exports = {
+  OPEN_ORDER_STATUSES,
+  collectOpenOrders,
+  sumOnOrder,
+  calculateStockoutDays,
+  applyReceiptsToPredictions
+};
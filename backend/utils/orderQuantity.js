@@ -0,0 +1,179 @@
+/**
+ * Order Quantity Utility
+ *
+ * Picks the order quantity with the lowest total yearly cost for one item
+ * from one vendor:
+ *
+ *   total = purchase (D × price) + ordering ((D / Q) × (order cost + shipping))
+ *         + holding ((Q / 2) × holding rate × price)
+ *
+ * Candidates are the economic order quantity (EOQ = √(2DS / H)) within each
+ * price tier, the start of every price break, the smallest quantity that
+ * reaches the vendor's free-shipping minimum and the quantity actually needed.
+ * Shipping thresholds are evaluated as if the item were ordered on its own.
+ * A vendor with a free-shipping minimum but no shipping cost on file cannot
+ * be priced below the minimum: those quantities count shipping as 0 and are
+ * flagged `shippingCostUnknown`.
+ */
+
+// Fixed cost of placing one order (purchasing time, receiving)
+const ORDER_COST = parseFloat(process.env.ORDER_COST) || 25;
+
+// Yearly cost of holding one unit, as a share of its price
+const HOLDING_COST_RATE = parseFloat(process.env.HOLDING_COST_RATE) || 0.25;
+
+// Never recommend more than this many weeks of demand in one order
+const MAX_WEEKS_SUPPLY = parseInt(process.env.MAX_ORDER_WEEKS_SUPPLY) || 26;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Price tiers sorted by minQuantity: [{ minQuantity, price }]
+const getTierForQuantity = (tiers, quantity) => {
+  let tier = null;
+  for (const candidate of tiers) {
+    if (candidate.minQuantity <= quantity) tier = candidate;
+  }
+  return tier;
+};
+
+/**
+ * Yearly cost of ordering `quantity` at a time
+ * Returns null when no price tier applies to the quantity
+ */
+const calculateTotalCost = (quantity, params) => {
+  const { annualDemand, tiers, orderCost, holdingRate, freeShippingMinimum, shippingCost } = params;
+  const tier = getTierForQuantity(tiers, quantity);
+  if (!tier || quantity <= 0) return null;
+
+  const orderValue = quantity * tier.price;
+  const reachesMinimum = freeShippingMinimum > 0 && orderValue >= freeShippingMinimum;
+  const shippingCostUnknown = freeShippingMinimum > 0 && !reachesMinimum &&
+    (shippingCost === null || shippingCost === undefined);
+  const freeShipping = reachesMinimum || (!shippingCostUnknown && !shippingCost);
+  const shipping = freeShipping || shippingCostUnknown ? 0 : shippingCost;
+  const ordersPerYear = annualDemand / quantity;
+
+  const purchaseCost = annualDemand * tier.price;
+  const orderingCost = ordersPerYear * orderCost;
+  const shippingPerYear = ordersPerYear * shipping;
+  const holdingCost = (quantity / 2) * holdingRate * tier.price;
+
+  return {
+    quantity,
+    unitPrice: tier.price,
+    priceBreak: tier.minQuantity,
+    orderValue: round(orderValue),
+    freeShipping,
+    shippingCostUnknown,
+    shippingPerOrder: shipping,
+    ordersPerYear: round(ordersPerYear),
+    purchaseCost: round(purchaseCost),
+    orderingCost: round(orderingCost),
+    shippingCost: round(shippingPerYear),
+    holdingCost: round(holdingCost),
+    totalAnnualCost: round(purchaseCost + orderingCost + shippingPerYear + holdingCost)
+  };
+};
+
+/**
+ * Recommend an order quantity
+ *
+ * params:
+ *   avgDailyDemand        forecast daily demand
+ *   minQuantity           quantity needed now (e.g. up to target); never ordered below
+ *   tiers                 vendor price tiers [{ minQuantity, price }]
+ *   freeShippingMinimum   order value that ships free (0 = none)
+ *   shippingCost          shipping charged below the free-shipping minimum
+ *                         (null = unknown)
+ *   orderCost, holdingRate, maxWeeksSupply (optional overrides)
+ */
+const recommendOrderQuantity = (params) => {
+  const tiers = [...params.tiers]
+    .filter(t => t.price >= 0)
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+  if (tiers.length === 0) return null;
+
+  const annualDemand = Math.max(0, params.avgDailyDemand || 0) * 365;
+  const orderCost = params.orderCost !== undefined ? params.orderCost : ORDER_COST;
+  const holdingRate = params.holdingRate !== undefined ? params.holdingRate : HOLDING_COST_RATE;
+  const maxWeeksSupply = params.maxWeeksSupply || MAX_WEEKS_SUPPLY;
+  const costParams = {
+    annualDemand,
+    tiers,
+    orderCost,
+    holdingRate,
+    freeShippingMinimum: params.freeShippingMinimum || 0,
+    shippingCost: params.shippingCost ?? null
+  };
+
+  const needed = Math.max(Math.ceil(params.minQuantity || 0), Math.ceil(tiers[0].minQuantity), 1);
+  const cap = Math.max(needed, Math.ceil((annualDemand / 52) * maxWeeksSupply));
+
+  // Without demand only the needed quantity makes sense
+  if (annualDemand === 0) {
+    const only = calculateTotalCost(needed, { ...costParams, annualDemand: 0 });
+    return {
+      quantity: needed,
+      reason: 'minimum_need',
+      eoq: null,
+      shippingCostUnknown: Boolean(only && only.shippingCostUnknown),
+      breakdown: only,
+      candidates: []
+    };
+  }
+
+  const candidates = new Map();
+  const addCandidate = (quantity, reason) => {
+    const q = Math.min(cap, Math.max(needed, Math.ceil(quantity)));
+    if (!candidates.has(q)) candidates.set(q, reason);
+  };
+
+  addCandidate(needed, 'minimum_need');
+
+  tiers.forEach((tier, i) => {
+    const next = tiers[i + 1];
+    const eoq = Math.sqrt((2 * annualDemand * orderCost) / (holdingRate * tier.price || 1));
+    const upper = next ? next.minQuantity - 1 : Infinity;
+
+    if (i > 0) addCandidate(tier.minQuantity, 'price_break');
+    addCandidate(Math.min(Math.max(eoq, tier.minQuantity), upper), 'eoq');
+
+    if (costParams.freeShippingMinimum > 0 && tier.price > 0) {
+      const freeShippingQty = Math.ceil(costParams.freeShippingMinimum / tier.price);
+      if (freeShippingQty >= tier.minQuantity && freeShippingQty <= upper) {
+        addCandidate(freeShippingQty, 'free_shipping');
+      }
+    }
+  });
+
+  const evaluated = [];
+  for (const [quantity, reason] of candidates) {
+    const cost = calculateTotalCost(quantity, costParams);
+    if (cost) evaluated.push({ ...cost, reason });
+  }
+  evaluated.sort((a, b) => a.totalAnnualCost - b.totalAnnualCost || a.quantity - b.quantity);
+
+  const best = evaluated[0];
+  const baseTier = getTierForQuantity(tiers, best.quantity);
+
+  return {
+    quantity: best.quantity,
+    reason: best.reason,
+    eoq: round(Math.sqrt((2 * annualDemand * orderCost) / (holdingRate * baseTier.price || 1))),
+    shippingCostUnknown: best.shippingCostUnknown,
+    breakdown: {
+      ...best,
+      annualDemand: round(annualDemand),
+      orderCost,
+      holdingRate
+    },
+    candidates: evaluated
+  };
+};
+
+module.exports = {
+  ORDER_COST,
+  HOLDING_COST_RATE,
+  calculateTotalCost,
+  recommendOrderQuantity
+};
@@ -0,0 +1,128 @@
+/**
+ * Planned Demand Utility
+ *
+ * Known upcoming jobs (a contractor's framing package, a deck order for a
+ * builder) are demand the history cannot predict. Forecasts add each job's
+ * expected quantity (quantity × confidence) to the week it is needed by, and
+ * take past jobs out of the history so a one-off job does not inflate the
+ * baseline. Anomaly detection treats consumption around a job's needed-by
+ * date as explained.
+ */
+
+const PLANNED_DEMAND_WINDOW_DAYS = parseInt(process.env.PLANNED_DEMAND_WINDOW_DAYS) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Quantity of one item on a planned job
+const getPlannedQuantity = (plan, itemId) => {
+  return plan.items
+    .filter(line => String(line.item._id || line.item) === String(itemId))
+    .reduce((sum, line) => sum + line.quantity, 0);
+};
+
+const getProbability = (plan) => (plan.confidence ?? 100) / 100;
+
+/**
+ * Expected planned demand per forecast week (week h covers days (h-1)*7 to h*7
+ * after startDate). Only jobs still planned and needed within the horizon count.
+ *
+ * Returns { weekly, variances, total, jobs } where variances are the extra
+ * weekly variance from jobs that may not go ahead (q² · p · (1 - p)).
+ */
+const spreadPlannedDemand = (plans, itemId, startDate, weeks) => {
+  const weekly = new Array(weeks).fill(0);
+  const variances = new Array(weeks).fill(0);
+  const jobs = [];
+
+  for (const plan of plans) {
+    if (plan.status !== 'planned') continue;
+
+    const quantity = getPlannedQuantity(plan, itemId);
+    if (quantity <= 0) continue;
+
+    const index = Math.floor((new Date(plan.neededBy) - startDate) / WEEK_MS);
+    if (index < 0 || index >= weeks) continue;
+
+    const probability = getProbability(plan);
+    weekly[index] += quantity * probability;
+    variances[index] += quantity * quantity * probability * (1 - probability);
+
+    jobs.push({
+      id: plan._id,
+      customer: plan.customer,
+      job: plan.job,
+      neededBy: new Date(plan.neededBy).toISOString().split('T')[0],
+      week: index + 1,
+      quantity: round(quantity),
+      confidence: plan.confidence ?? 100,
+      expectedQuantity: round(quantity * probability)
+    });
+  }
+
+  return {
+    weekly: weekly.map(round),
+    variances,
+    total: round(weekly.reduce((sum, v) => sum + v, 0)),
+    jobs
+  };
+};
+
+/**
+ * Take past jobs out of a weekly consumption series (utils/timeSeries buckets).
+ * Each job's quantity comes off the week containing its needed-by date, never
+ * below zero. Affected weeks get `plannedConsumption`.
+ */
+const removePlannedFromHistory = (series, plans, itemId) => {
+  if (plans.length === 0) return series;
+
+  return series.map(bucket => {
+    if (bucket.missing) return bucket;
+
+    const start = new Date(bucket.date);
+    const end = new Date(start.getTime() + WEEK_MS);
+    const planned = plans
+      .filter(plan => plan.status !== 'cancelled')
+      .filter(plan => new Date(plan.neededBy) >= start && new Date(plan.neededBy) < end)
+      .reduce((sum, plan) => sum + getPlannedQuantity(plan, itemId), 0);
+    if (planned <= 0) return bucket;
+
+    const removed = Math.min(bucket.consumption, planned);
+    const consumption = round(bucket.consumption - removed);
+
+    return {
+      ...bucket,
+      consumption,
+      dailyRate: round(consumption / 7),
+      plannedConsumption: round(removed)
+    };
+  });
+};
+
+/**
+ * Planned quantity that explains consumption between two counts: jobs (not
+ * cancelled) needed from windowDays before the earlier count to windowDays
+ * after the later one, since material is often picked up ahead of time.
+ */
+const getExplainedQuantity = (plans, itemId, from, to, windowDays = PLANNED_DEMAND_WINDOW_DAYS) => {
+  const windowStart = new Date(from).getTime() - windowDays * DAY_MS;
+  const windowEnd = new Date(to).getTime() + windowDays * DAY_MS;
+
+  return round(plans
+    .filter(plan => plan.status !== 'cancelled')
+    .filter(plan => {
+      const neededBy = new Date(plan.neededBy).getTime();
+      return neededBy >= windowStart && neededBy <= windowEnd;
+    })
+    .reduce((sum, plan) => sum + getPlannedQuantity(plan, itemId), 0));
+};
+
+module.exports = {
+  PLANNED_DEMAND_WINDOW_DAYS,
+  getPlannedQuantity,
+  spreadPlannedDemand,
+  removePlannedFromHistory,
+  getExplainedQuantity
+};
@@ -0,0 +1,149 @@
+/**
+ * Prediction Interval Utility
+ * Turns point forecasts plus an error spread into lower/upper bounds
+ */
+
+const { calculateStockoutDays } = require('./openOrders');
+
+const DEFAULT_LEVELS = (process.env.FORECAST_CONFIDENCE_LEVELS || '80,95')
+  .split(',')
+  .map(level => parseFloat(level))
+  .filter(level => level > 0 && level < 100);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Inverse of the standard normal CDF (Acklam's rational approximation)
+const inverseNormal = (p) => {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+
+  const pLow = 0.02425;
+  const pHigh = 1 - pLow;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > pHigh) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Two-sided z-score for a confidence level in percent (95 -> 1.96)
+const zScoreForConfidence = (level) => inverseNormal(0.5 + level / 200);
+
+// One-sided z-score for a service level in percent (95 -> 1.645)
+const zScoreForServiceLevel = (level) => inverseNormal(level / 100);
+
+// Parse "80,95" (query string) into [80, 95], falling back to the configured defaults
+const parseConfidenceLevels = (value) => {
+  if (!value) return DEFAULT_LEVELS;
+
+  const levels = String(value)
+    .split(',')
+    .map(level => parseFloat(level))
+    .filter(level => level > 0 && level < 100);
+
+  return levels.length > 0 ? levels : DEFAULT_LEVELS;
+};
+
+// Standard deviation of a list of numbers (sample, n - 1)
+const standardDeviation = (values) => {
+  if (!values || values.length < 2) return 0;
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * Attach intervals to weekly predictions
+ *
+ * predictions: [{ predictedDemand, cumulativeDemand, projectedStock? }]
+ * weeklySigmas: standard deviation of each week's demand error
+ *
+ * Weekly errors are treated as independent, so the spread of cumulative
+ * demand (and of projected stock) grows with the square root of the summed variances.
+ */
+const addIntervalsToPredictions = (predictions, weeklySigmas, levels, currentStock = null) => {
+  let cumulativeVariance = 0;
+
+  return predictions.map((prediction, i) => {
+    const sigma = weeklySigmas[i] || 0;
+    cumulativeVariance += sigma * sigma;
+    const cumulativeSigma = Math.sqrt(cumulativeVariance);
+
+    const intervals = {};
+    for (const level of levels) {
+      const z = zScoreForConfidence(level);
+      const cumulativeLower = Math.max(0, prediction.cumulativeDemand - z * cumulativeSigma);
+      const cumulativeUpper = prediction.cumulativeDemand + z * cumulativeSigma;
+
+      intervals[level] = {
+        lower: round(Math.max(0, prediction.predictedDemand - z * sigma)),
+        upper: round(prediction.predictedDemand + z * sigma),
+        cumulativeLower: round(cumulativeLower),
+        cumulativeUpper: round(cumulativeUpper)
+      };
+
+      if (currentStock !== null) {
+        const available = currentStock + (prediction.cumulativeReceived || 0);
+        intervals[level].projectedStockLower = round(available - cumulativeUpper);
+        intervals[level].projectedStockUpper = round(available - cumulativeLower);
+      }
+    }
+
+    return { ...prediction, intervals };
+  });
+};
+
+/**
+ * Interval on days until stockout, from the cumulative demand bounds at the
+ * end of the horizon. High demand gives the earliest stockout, low demand the latest.
+ * The bounds cover whole weeks, so daily rates are over the weeks predicted.
+ * Receipts from open orders (utils/openOrders) are added as they arrive.
+ */
+const calculateStockoutInterval = (predictions, currentStock, levels, receipts = []) => {
+  const last = predictions[predictions.length - 1];
+  if (!last || !last.intervals) return null;
+
+  const daysCovered = predictions.length * 7;
+  const result = {};
+  for (const level of levels) {
+    const bounds = last.intervals[level];
+    const highDaily = bounds.cumulativeUpper / daysCovered;
+    const lowDaily = bounds.cumulativeLower / daysCovered;
+
+    result[level] = {
+      earliest: calculateStockoutDays(currentStock, highDaily, receipts),
+      latest: calculateStockoutDays(currentStock, lowDaily, receipts)
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_LEVELS,
+  zScoreForConfidence,
+  zScoreForServiceLevel,
+  parseConfidenceLevels,
+  standardDeviation,
+  addIntervalsToPredictions,
+  calculateStockoutInterval
+};
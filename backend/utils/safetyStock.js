@@ -0,0 +1,94 @@
+/**
+ * Safety Stock Utility
+ *
+ * Service-level reorder points. Counts are reviewed periodically, so stock
+ * has to cover demand over the protection period (lead time + review period):
+ *
+ *   safety stock  = z * sqrt(P * σd² + d² * σL²)
+ *   reorder point = d * P + safety stock
+ *
+ * d / σd: average daily demand and its standard deviation (forecast error)
+ * L / σL: average lead time in days and its standard deviation
+ * P:      protection period, L + review period
+ * z:      one-sided z-score of the target service level (95% -> 1.645)
+ */
+
+const { zScoreForServiceLevel } = require('./predictionIntervals');
+const { calculateIntermittentMinimum } = require('./seasonHelper');
+
+// Target service level (%) by category when the item has none of its own
+const DEFAULT_SERVICE_LEVELS = {
+  dimensional: 95,
+  treated: 95,
+  plywood: 92,
+  specialty: 85,
+  composite: 85,
+  other: 90
+};
+
+const FALLBACK_SERVICE_LEVEL = parseFloat(process.env.DEFAULT_SERVICE_LEVEL) || 90;
+
+// Days between inventory counts (how often stock is reviewed)
+const REVIEW_PERIOD_DAYS = parseInt(process.env.REVIEW_PERIOD_DAYS) || 7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Service level for an item: its own setting, else its category's default
+const getServiceLevel = (item) => {
+  if (item.serviceLevel) return item.serviceLevel;
+  return DEFAULT_SERVICE_LEVELS[item.category] || FALLBACK_SERVICE_LEVEL;
+};
+
+/**
+ * Calculate safety stock and reorder point
+ *
+ * inputs: { avgDailyDemand, dailyDemandStdDev, leadTimeDays, leadTimeStdDev,
+ *           serviceLevel, reviewPeriodDays?, intermittent? }
+ * Returns every input alongside the result so the number can be audited.
+ */
+const calculateReorderPoint = (inputs) => {
+  const avgDailyDemand = inputs.avgDailyDemand || 0;
+  const dailyDemandStdDev = inputs.dailyDemandStdDev || 0;
+  const leadTimeDays = inputs.leadTimeDays || 0;
+  const leadTimeStdDev = inputs.leadTimeStdDev || 0;
+  const reviewPeriodDays = inputs.reviewPeriodDays !== undefined
+    ? inputs.reviewPeriodDays
+    : REVIEW_PERIOD_DAYS;
+  const serviceLevel = inputs.serviceLevel || FALLBACK_SERVICE_LEVEL;
+
+  const protectionDays = leadTimeDays + reviewPeriodDays;
+  const zScore = zScoreForServiceLevel(serviceLevel);
+
+  const demandVariance = protectionDays * Math.pow(dailyDemandStdDev, 2);
+  const leadTimeVariance = Math.pow(avgDailyDemand, 2) * Math.pow(leadTimeStdDev, 2);
+  const safetyStock = Math.max(0, zScore * Math.sqrt(demandVariance + leadTimeVariance));
+  const demandDuringProtection = avgDailyDemand * protectionDays;
+
+  // Intermittent items must be able to fill whole demand events
+  const reorderPoint = Math.max(
+    demandDuringProtection + safetyStock,
+    calculateIntermittentMinimum(inputs.intermittent, protectionDays)
+  );
+
+  return {
+    basis: 'service_level',
+    serviceLevel,
+    zScore: round(zScore),
+    avgDailyDemand: round(avgDailyDemand),
+    dailyDemandStdDev: round(dailyDemandStdDev),
+    leadTimeDays: round(leadTimeDays),
+    leadTimeStdDev: round(leadTimeStdDev),
+    reviewPeriodDays,
+    protectionDays: round(protectionDays),
+    demandDuringProtection: round(demandDuringProtection),
+    safetyStock: Math.ceil(safetyStock * 100) / 100,
+    reorderPoint: Math.ceil(reorderPoint * 100) / 100
+  };
+};
+
+module.exports = {
+  DEFAULT_SERVICE_LEVELS,
+  REVIEW_PERIOD_DAYS,
+  getServiceLevel,
+  calculateReorderPoint
+};
@@ -0,0 +1,325 @@
+/**
+ * Scenario Utility
+ *
+ * What-if adjustments for planning ("spring comes three weeks early",
+ * "Pacific Lumber's lead time doubles") and a week-by-week simulation of
+ * stock, orders and spend used to compare a scenario with the baseline.
+ *
+ * Adjustments:
+ *   demandUplifts:     [{ item?, category?, percent }] - no item/category = all items;
+ *                      an item's own uplift wins over its category's
+ *   leadTimeOverrides: [{ vendor, leadTimeDays? , multiplier? }]
+ *   seasonShift:       { startWeeks, endWeeks } - weeks the busy season starts/ends
+ *                      later (positive) or earlier (negative)
+ */
+
+const { getSeasonTransitions } = require('./seasonHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const MAX_SEASON_SHIFT_WEEKS = 12;
+const MAX_HORIZON_WEEKS = 52;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check scenario adjustments, returns a list of problems (empty when valid)
+ */
+const validateAdjustments = (adjustments = {}) => {
+  const errors = [];
+  const { demandUplifts = [], leadTimeOverrides = [], seasonShift } = adjustments;
+
+  if (!Array.isArray(demandUplifts)) errors.push('demandUplifts must be a list');
+  else {
+    demandUplifts.forEach((uplift, i) => {
+      if (!isObject(uplift)) {
+        errors.push(`demandUplifts[${i}] must be an object`);
+        return;
+      }
+      if (!isNumber(uplift.percent) || uplift.percent <= -100) {
+        errors.push(`demandUplifts[${i}].percent must be a number above -100`);
+      }
+      if (uplift.item && uplift.category) {
+        errors.push(`demandUplifts[${i}] applies to an item or a category, not both`);
+      }
+    });
+  }
+
+  if (!Array.isArray(leadTimeOverrides)) errors.push('leadTimeOverrides must be a list');
+  else {
+    leadTimeOverrides.forEach((override, i) => {
+      if (!isObject(override)) {
+        errors.push(`leadTimeOverrides[${i}] must be an object`);
+        return;
+      }
+      if (!override.vendor) errors.push(`leadTimeOverrides[${i}].vendor is required`);
+      const hasDays = isNumber(override.leadTimeDays) && override.leadTimeDays > 0;
+      const hasMultiplier = isNumber(override.multiplier) && override.multiplier > 0;
+      if (!hasDays && !hasMultiplier) {
+        errors.push(`leadTimeOverrides[${i}] needs a positive leadTimeDays or multiplier`);
+      }
+    });
+  }
+
+  if (seasonShift && !isObject(seasonShift)) {
+    errors.push('seasonShift must be an object');
+  } else if (seasonShift) {
+    for (const key of ['startWeeks', 'endWeeks']) {
+      const value = seasonShift[key];
+      if (value === undefined || value === null) continue;
+      if (!Number.isInteger(value) || Math.abs(value) > MAX_SEASON_SHIFT_WEEKS) {
+        errors.push(`seasonShift.${key} must be a whole number of weeks within ±${MAX_SEASON_SHIFT_WEEKS}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Demand multiplier for an item (1 = unchanged)
+ */
+const getDemandMultiplier = (item, demandUplifts = []) => {
+  const itemId = String(item._id);
+  const match =
+    demandUplifts.find(u => u.item && String(u.item) === itemId) ||
+    demandUplifts.find(u => !u.item && u.category && u.category === item.category) ||
+    demandUplifts.find(u => !u.item && !u.category);
+
+  return match ? Math.max(0, 1 + match.percent / 100) : 1;
+};
+
+const findLeadTimeOverride = (vendorId, leadTimeOverrides = []) => {
+  if (!vendorId) return null;
+  return leadTimeOverrides.find(o => String(o.vendor) === String(vendorId)) || null;
+};
+
+/**
+ * Apply a vendor lead-time override to lead time stats
+ * ({ leadTimeDays, leadTimeStdDev, ... }, see forecastService.getLeadTimeStats)
+ */
+const applyLeadTimeOverride = (stats, override) => {
+  if (!override) return stats;
+
+  const multiplier = override.leadTimeDays
+    ? override.leadTimeDays / (stats.leadTimeDays || override.leadTimeDays)
+    : override.multiplier;
+
+  return {
+    ...stats,
+    leadTimeDays: round(override.leadTimeDays || stats.leadTimeDays * multiplier),
+    leadTimeStdDev: round(stats.leadTimeStdDev * multiplier),
+    leadTimeSource: 'scenario'
+  };
+};
+
+/**
+ * Move open-order arrivals (utils/openOrders receipts) of vendors with a
+ * lead-time override. Orders only arrive later than planned, never earlier.
+ */
+const delayReceipts = (receipts, leadTimeOverrides = [], now = new Date()) => {
+  return receipts
+    .map(receipt => {
+      const override = findLeadTimeOverride(receipt.vendor && receipt.vendor.id, leadTimeOverrides);
+      if (!override || !receipt.orderDate) return receipt;
+
+      const orderDate = new Date(receipt.orderDate);
+      const planned = new Date(receipt.expectedDeliveryDate);
+      const leadTimeDays = override.leadTimeDays || ((planned - orderDate) / DAY_MS) * override.multiplier;
+      const arrival = new Date(orderDate.getTime() + leadTimeDays * DAY_MS);
+      if (arrival <= planned) return receipt;
+
+      return {
+        ...receipt,
+        expectedDeliveryDate: arrival.toISOString().split('T')[0],
+        daysUntilArrival: Math.max(0, Math.ceil((arrival - now) / DAY_MS)),
+        delayed: true
+      };
+    })
+    .sort((a, b) => a.daysUntilArrival - b.daysUntilArrival);
+};
+
+/**
+ * Weeks to look ahead (positive) or back (negative) in the baseline demand
+ * curve for a date when the season boundaries move. A season starting three
+ * weeks early means demand now looks like baseline demand three weeks later.
+ * The nearest boundary (start or end of the busy season) decides the shift.
+ * Boundaries come from the season calendar of `region` (the item's
+ * seasonRegion, else the default calendar).
+ */
+const getSeasonShiftWeeks = (date, seasonShift, region = null) => {
+  if (!seasonShift) return 0;
+  const startWeeks = seasonShift.startWeeks || 0;
+  const endWeeks = seasonShift.endWeeks || 0;
+  if (!startWeeks && !endWeeks) return 0;
+
+  const year = date.getFullYear();
+  const boundaries = [];
+  for (const y of [year - 1, year, year + 1]) {
+    const transitions = getSeasonTransitions(y, region);
+    boundaries.push({ date: transitions.busySeasonStart, shift: -startWeeks });
+    boundaries.push({ date: transitions.slowSeasonStart, shift: -endWeeks });
+  }
+
+  boundaries.sort((a, b) => Math.abs(date - a.date) - Math.abs(date - b.date));
+  return boundaries[0].shift || 0;
+};
+
+/**
+ * Shifts for each week of a horizon starting at startDate (week h ends h weeks later)
+ */
+const getSeasonShiftOffsets = (startDate, weeks, seasonShift, region = null) => {
+  const offsets = [];
+  for (let h = 1; h <= weeks; h++) {
+    offsets.push(getSeasonShiftWeeks(new Date(startDate.getTime() + h * WEEK_MS), seasonShift, region));
+  }
+  return offsets;
+};
+
+/**
+ * Pick the warped values from a series predicted `back` weeks before the
+ * horizon start: out[i] = values[back + i + offsets[i]]
+ */
+const warpValues = (values, offsets, back = 0) => {
+  return offsets.map((offset, i) => {
+    const index = Math.min(values.length - 1, Math.max(0, back + i + offset));
+    return values[index];
+  });
+};
+
+/**
+ * Simulate an item week by week: demand and receipts move stock, and an order
+ * is placed at the end of a week when the stock position (on hand + on order)
+ * is at or below the reorder point. Unfilled demand is lost.
+ *
+ * params: { weeklyDemand, currentStock, receipts, reorderPoint, target,
+ *           leadTimeDays, minOrderQty, unitPrice }
+ */
+const simulateItemPlan = (params) => {
+  const {
+    weeklyDemand,
+    currentStock,
+    reorderPoint,
+    target,
+    leadTimeDays,
+    minOrderQty = 0,
+    unitPrice = null
+  } = params;
+
+  // Pending arrivals: [{ day, quantity }]
+  const pipeline = (params.receipts || []).map(r => ({ day: r.daysUntilArrival, quantity: r.quantity }));
+  let stock = currentStock;
+  const weeks = [];
+
+  weeklyDemand.forEach((demand, i) => {
+    const weekStart = i * 7;
+    const weekEnd = weekStart + 7;
+
+    const arriving = pipeline.filter(p => p.day < weekEnd);
+    const received = arriving.reduce((sum, p) => sum + p.quantity, 0);
+    for (const p of arriving) pipeline.splice(pipeline.indexOf(p), 1);
+
+    stock += received - demand;
+    const shortage = stock < 0 ? -stock : 0;
+    stock = Math.max(0, stock);
+
+    const onOrder = pipeline.reduce((sum, p) => sum + p.quantity, 0);
+    const position = stock + onOrder;
+    let orderQty = 0;
+    if (reorderPoint !== null && reorderPoint !== undefined && position <= reorderPoint) {
+      orderQty = Math.max(Math.ceil(target - position), Math.ceil(minOrderQty), 1);
+      pipeline.push({ day: weekEnd + leadTimeDays, quantity: orderQty });
+    }
+
+    weeks.push({
+      week: i + 1,
+      demand: round(demand),
+      received: round(received),
+      endingStock: round(stock),
+      shortage: round(shortage),
+      stockout: shortage > 0,
+      orderQty,
+      spend: unitPrice !== null ? round(orderQty * unitPrice) : 0
+    });
+  });
+
+  const firstStockout = weeks.find(w => w.stockout);
+
+  return {
+    weeks,
+    totals: {
+      stockoutWeeks: weeks.filter(w => w.stockout).length,
+      firstStockoutWeek: firstStockout ? firstStockout.week : null,
+      shortage: round(weeks.reduce((sum, w) => sum + w.shortage, 0)),
+      orders: weeks.filter(w => w.orderQty > 0).length,
+      orderQty: weeks.reduce((sum, w) => sum + w.orderQty, 0),
+      spend: round(weeks.reduce((sum, w) => sum + w.spend, 0)),
+      unpriced: unitPrice === null && weeks.some(w => w.orderQty > 0)
+    }
+  };
+};
+
+/**
+ * Totals across items for each week of the horizon
+ */
+const summarizeByWeek = (plans, weeks, startDate = new Date()) => {
+  const byWeek = [];
+
+  for (let i = 0; i < weeks; i++) {
+    const rows = plans.map(plan => plan.weeks[i]).filter(Boolean);
+    byWeek.push({
+      week: i + 1,
+      periodStart: new Date(startDate.getTime() + i * WEEK_MS).toISOString().split('T')[0],
+      itemsOut: rows.filter(r => r.stockout).length,
+      shortage: round(rows.reduce((sum, r) => sum + r.shortage, 0)),
+      orders: rows.filter(r => r.orderQty > 0).length,
+      orderQty: rows.reduce((sum, r) => sum + r.orderQty, 0),
+      spend: round(rows.reduce((sum, r) => sum + r.spend, 0))
+    });
+  }
+
+  return byWeek;
+};
+
+// Totals over the horizon for a list of item plans
+const summarizeTotals = (plans) => ({
+  itemsWithStockout: plans.filter(p => p.totals.stockoutWeeks > 0).length,
+  stockoutWeeks: plans.reduce((sum, p) => sum + p.totals.stockoutWeeks, 0),
+  shortage: round(plans.reduce((sum, p) => sum + p.totals.shortage, 0)),
+  orders: plans.reduce((sum, p) => sum + p.totals.orders, 0),
+  orderQty: plans.reduce((sum, p) => sum + p.totals.orderQty, 0),
+  spend: round(plans.reduce((sum, p) => sum + p.totals.spend, 0)),
+  unpricedItems: plans.filter(p => p.totals.unpriced).length
+});
+
+// Scenario minus baseline for every numeric field
+const diff = (scenario, baseline) => {
+  const result = {};
+  for (const key of Object.keys(scenario)) {
+    if (typeof scenario[key] === 'number' && typeof baseline[key] === 'number') {
+      result[key] = round(scenario[key] - baseline[key]);
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  MAX_HORIZON_WEEKS,
+  validateAdjustments,
+  getDemandMultiplier,
+  findLeadTimeOverride,
+  applyLeadTimeOverride,
+  delayReceipts,
+  getSeasonShiftWeeks,
+  getSeasonShiftOffsets,
+  warpValues,
+  simulateItemPlan,
+  summarizeByWeek,
+  summarizeTotals,
+  diff
+};
@@ -1,48 +1,233 @@
 /**
  * Season Helper Utility
  * Handles seasonal calculations for inventory minimums
+ *
+ * Seasons come from a season calendar (models/SeasonCalendar): named periods
+ * between month/day boundaries, each with a demand level relative to the
+ * calendar's base season. A period can ramp up from the previous level over
+ * its first days (shoulder seasons) or drop demand to zero (holiday
+ * shutdowns). Where periods overlap, the shortest one wins. Calendars are
+ * stored per region; items without a region use the 'default' calendar.
+ *
+ * Calendars are loaded into memory (setSeasonCalendars, see
+ * services/seasonCalendarService) so these helpers stay synchronous. Without
+ * a stored calendar, the busy season runs from BUSY_SEASON_START to
+ * BUSY_SEASON_END (months).
  */
 
-// Get current season based on configuration
-const getCurrentSeason = () => {
-  const month = new Date().getMonth() + 1; // 1-12
-  const busySeasonStart = parseInt(process.env.BUSY_SEASON_START) || 4;
-  const busySeasonEnd = parseInt(process.env.BUSY_SEASON_END) || 10;
-  
-  return month >= busySeasonStart && month <= busySeasonEnd ? 'summer' : 'winter';
+const DEFAULT_REGION = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let calendars = new Map();
+
+// Calendar equivalent to the BUSY_SEASON_START / BUSY_SEASON_END settings
+const createDefaultCalendar = () => ({
+  region: DEFAULT_REGION,
+  name: 'Default',
+  baseKey: 'slow',
+  baseName: 'Slow season',
+  baseFactor: 1,
+  periods: [{
+    key: 'busy',
+    name: 'Busy season',
+    type: 'regular',
+    startMonth: parseInt(process.env.BUSY_SEASON_START) || 4,
+    startDay: 1,
+    endMonth: parseInt(process.env.BUSY_SEASON_END) || 10,
+    endDay: 31,
+    demandFactor: 1.3,
+    rampDays: 0,
+    minimumBuffer: 20
+  }]
+});
+
+const PERIOD_TYPES = ['regular', 'shoulder', 'shutdown'];
+const MAX_RAMP_DAYS = 90;
+
+/**
+ * Check a season calendar, returns a list of problems (empty when valid)
+ */
+const validateSeasonCalendar = (calendar) => {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const validDay = (month, day) => Number.isInteger(month) && month >= 1 && month <= 12 &&
+    Number.isInteger(day) && day >= 1 && day <= new Date(2000, month, 0).getDate();
+
+  if (!isNumber(calendar.baseFactor) || calendar.baseFactor <= 0) {
+    errors.push('baseFactor must be a number above 0');
+  }
+  if (!Array.isArray(calendar.periods)) {
+    errors.push('periods must be a list');
+    return errors;
+  }
+
+  const keys = new Set([calendar.baseKey]);
+  calendar.periods.forEach((period, i) => {
+    if (!period.key || !/^[a-z0-9_-]+$/.test(period.key)) {
+      errors.push(`periods[${i}].key must be lowercase letters, digits, - or _`);
+    } else if (keys.has(period.key)) {
+      errors.push(`periods[${i}].key "${period.key}" is used twice`);
+    }
+    keys.add(period.key);
+
+    if (!period.name) errors.push(`periods[${i}].name is required`);
+    if (period.type && !PERIOD_TYPES.includes(period.type)) {
+      errors.push(`periods[${i}].type must be one of ${PERIOD_TYPES.join(', ')}`);
+    }
+    if (!validDay(period.startMonth, period.startDay)) errors.push(`periods[${i}] has an invalid start date`);
+    if (!validDay(period.endMonth, period.endDay)) errors.push(`periods[${i}] has an invalid end date`);
+    if (!isNumber(period.demandFactor) || period.demandFactor < 0) {
+      errors.push(`periods[${i}].demandFactor must be a number of at least 0`);
+    }
+    if (period.rampDays !== undefined && !(Number.isInteger(period.rampDays) && period.rampDays >= 0 && period.rampDays <= MAX_RAMP_DAYS)) {
+      errors.push(`periods[${i}].rampDays must be a whole number of days up to ${MAX_RAMP_DAYS}`);
+    }
+    if (period.minimumBuffer !== undefined && !(isNumber(period.minimumBuffer) && period.minimumBuffer >= 0)) {
+      errors.push(`periods[${i}].minimumBuffer must be a percentage of at least 0`);
+    }
+  });
+
+  return errors;
 };
 
-// Check if a date is in busy season
-const isInBusySeason = (date = new Date()) => {
-  const month = date.getMonth() + 1;
-  const busySeasonStart = parseInt(process.env.BUSY_SEASON_START) || 4;
-  const busySeasonEnd = parseInt(process.env.BUSY_SEASON_END) || 10;
-  
-  return month >= busySeasonStart && month <= busySeasonEnd;
+// Replace the calendars in use (plain objects, one per region)
+const setSeasonCalendars = (list = []) => {
+  calendars = new Map(list.map(calendar => [calendar.region || DEFAULT_REGION, calendar]));
+};
+
+// Calendar for a region, falling back to the default region and then the env settings
+const getSeasonCalendar = (region = null) => {
+  return calendars.get(region || DEFAULT_REGION) ||
+    calendars.get(DEFAULT_REGION) ||
+    createDefaultCalendar();
+};
+
+const monthDay = (month, day) => month * 100 + day;
+
+// Whether a period (inclusive month/day boundaries, may wrap the year end) contains a date
+const periodContains = (period, date) => {
+  const value = monthDay(date.getMonth() + 1, date.getDate());
+  const start = monthDay(period.startMonth, period.startDay);
+  const end = monthDay(period.endMonth, period.endDay);
+  return start <= end
+    ? value >= start && value <= end
+    : value >= start || value <= end;
+};
+
+// Most recent start of a period on or before a date
+const getPeriodStart = (period, date) => {
+  let start = new Date(date.getFullYear(), period.startMonth - 1, period.startDay);
+  if (start > date) start = new Date(date.getFullYear() - 1, period.startMonth - 1, period.startDay);
+  return start;
+};
+
+// End of the period that starts at `start` (last day, end months are clamped to their length)
+const getPeriodEnd = (period, start) => {
+  const wraps = monthDay(period.endMonth, period.endDay) < monthDay(period.startMonth, period.startDay);
+  const year = start.getFullYear() + (wraps ? 1 : 0);
+  const lastDay = new Date(year, period.endMonth, 0).getDate();
+  return new Date(year, period.endMonth - 1, Math.min(period.endDay, lastDay));
+};
+
+// Whole calendar days from one date to another (local dates, DST-safe)
+const daysBetween = (from, to) => {
+  const utc = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((utc(to) - utc(from)) / DAY_MS);
+};
+
+const getPeriodLength = (period) => {
+  const start = new Date(2001, period.startMonth - 1, period.startDay);
+  return daysBetween(start, getPeriodEnd(period, start)) + 1;
+};
+
+const basePeriod = (calendar) => ({
+  key: calendar.baseKey || 'base',
+  name: calendar.baseName || 'Base season',
+  type: 'base',
+  demandFactor: calendar.baseFactor ?? 1,
+  rampDays: 0,
+  minimumBuffer: 0
+});
+
+// Season period a date falls in (the calendar's base season outside all periods)
+const getSeasonPeriod = (date = new Date(), region = null) => {
+  const calendar = getSeasonCalendar(region);
+  const matching = (calendar.periods || [])
+    .filter(period => periodContains(period, date))
+    .sort((a, b) => getPeriodLength(a) - getPeriodLength(b));
+
+  return matching[0] || basePeriod(calendar);
+};
+
+// Relative demand level on a date. During a period's ramp days the level moves
+// linearly from the level of the day before the period to the period's own.
+const getSeasonLevel = (date = new Date(), region = null) => {
+  const period = getSeasonPeriod(date, region);
+  if (!(period.rampDays > 0)) return period.demandFactor;
+
+  const start = getPeriodStart(period, date);
+  const daysIn = daysBetween(start, date);
+  if (daysIn >= period.rampDays) return period.demandFactor;
+
+  const dayBefore = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+  const previous = getSeasonPeriod(dayBefore, region).demandFactor;
+  return previous + (period.demandFactor - previous) * ((daysIn + 1) / (period.rampDays + 1));
+};
+
+// Peak period of a calendar: the busiest period that is not a shutdown
+const getPeakPeriod = (region = null) => {
+  const periods = (getSeasonCalendar(region).periods || []).filter(p => p.type !== 'shutdown');
+  if (periods.length === 0) return null;
+  return periods.reduce((peak, p) => (p.demandFactor > peak.demandFactor ? p : peak));
 };
 
-// Get season indicator for ML features (0 = winter/slow, 1 = summer/busy)
-const getSeasonIndicator = (date = new Date()) => {
-  return isInBusySeason(date) ? 1 : 0;
+// Get current season: 'summer' (busy, above the base level) or 'winter'
+// for the legacy two-season minimums
+const getCurrentSeason = (date = new Date(), region = null) => {
+  return isInBusySeason(date, region) ? 'summer' : 'winter';
+};
+
+// Check if a date is in busy season (demand level above the calendar's base level)
+const isInBusySeason = (date = new Date(), region = null) => {
+  const calendar = getSeasonCalendar(region);
+  return getSeasonLevel(date, region) > (calendar.baseFactor ?? 1);
+};
+
+// Share of the way from the base level to the peak level (0-1) on a date,
+// used to blend the legacy winter/summer minimums through ramps
+const getBusyShare = (date = new Date(), region = null) => {
+  const calendar = getSeasonCalendar(region);
+  const base = calendar.baseFactor ?? 1;
+  const peak = getPeakPeriod(region);
+  if (!peak || peak.demandFactor <= base) return 0;
+
+  const share = (getSeasonLevel(date, region) - base) / (peak.demandFactor - base);
+  return Math.min(1, Math.max(0, share));
+};
+
+// Get season indicator for ML features: the demand level scaled to 0 (lowest
+// level in the calendar) - 1 (highest). With the default calendar this is
+// 0 = slow, 1 = busy.
+const getSeasonIndicator = (date = new Date(), region = null) => {
+  const calendar = getSeasonCalendar(region);
+  const levels = [calendar.baseFactor ?? 1, ...(calendar.periods || []).map(p => p.demandFactor)];
+  const min = Math.min(...levels);
+  const max = Math.max(...levels);
+  if (max === min) return 0;
+
+  return (getSeasonLevel(date, region) - min) / (max - min);
 };
 
 // Calculate seasonal adjustment factor
-// Returns multiplier for adjusting consumption predictions
-const getSeasonalAdjustmentFactor = (fromDate, toDate) => {
-  const fromSeason = isInBusySeason(fromDate);
-  const toSeason = isInBusySeason(toDate);
-  
-  if (fromSeason === toSeason) {
-    return 1.0; // No adjustment needed
-  }
-  
-  // Transitioning from slow to busy season - expect higher demand
-  if (!fromSeason && toSeason) {
-    return 1.3; // 30% increase
-  }
-  
-  // Transitioning from busy to slow season - expect lower demand
-  return 0.7; // 30% decrease
+// Returns multiplier for adjusting consumption predictions from one date to another
+const getSeasonalAdjustmentFactor = (fromDate, toDate, region = null) => {
+  const calendar = getSeasonCalendar(region);
+  const fromLevel = getSeasonLevel(fromDate, region);
+  const toLevel = getSeasonLevel(toDate, region);
+
+  // Coming out of a shutdown, compare with the base level instead
+  if (fromLevel <= 0) return toLevel / (calendar.baseFactor || 1);
+  return toLevel / fromLevel;
 };
 
 // Get day of year normalized (0-1)
@@ -62,17 +247,40 @@ const getWeekOfYear = (date = new Date()) => {
   return Math.ceil((days + start.getDay() + 1) / 7);
 };
 
+// Stock needed to fill whole demand events of an intermittent item over `days`
+// (intermittent = { demandSize, intervalWeeks } from Croston-type forecasts).
+// Lumpy items are consumed in full-size events, not an averaged daily trickle,
+// so this holds enough events for the window when one is likely to occur.
+const calculateIntermittentMinimum = (intermittent, days) => {
+  if (!intermittent || !(intermittent.demandSize > 0) || !(intermittent.intervalWeeks > 0)) {
+    return 0;
+  }
+  
+  const weeks = days / 7;
+  const expectedEvents = weeks / intermittent.intervalWeeks;
+  // Chance of at least one demand event within the window
+  const probabilityOfDemand = 1 - Math.pow(1 - Math.min(1, 1 / intermittent.intervalWeeks), weeks);
+  
+  if (probabilityOfDemand < 0.5) return 0;
+  
+  return Math.max(1, Math.round(expectedEvents)) * intermittent.demandSize;
+};
+
 // Calculate appropriate minimum based on season and consumption
-const calculateDynamicMinimum = (avgDailyConsumption, daysSupply = 30) => {
-  const season = getCurrentSeason();
+// Days-of-supply rule, used when there is too little history for a
+// service-level reorder point (see utils/safetyStock)
+// options: { intermittent, region, date }
+const calculateDynamicMinimum = (avgDailyConsumption, daysSupply = 30, options = {}) => {
+  const season = getSeasonPeriod(options.date || new Date(), options.region);
   const baseDaysSupply = parseInt(process.env.MIN_DAYS_SUPPLY) || daysSupply;
   
-  let minimum = avgDailyConsumption * baseDaysSupply;
+  let minimum = Math.max(
+    avgDailyConsumption * baseDaysSupply,
+    calculateIntermittentMinimum(options.intermittent, baseDaysSupply)
+  );
   
-  // Add seasonal buffer
-  if (season === 'summer') {
-    minimum *= 1.2; // 20% buffer for busy season
-  }
+  // Add the season's buffer (20% in the default busy season)
+  minimum *= 1 + (season.minimumBuffer || 0) / 100;
   
   return Math.ceil(minimum * 100) / 100; // Round to 2 decimals
 };
@@ -83,26 +291,39 @@ const calculateTarget = (minimum, multiplier = 1.5) => {
   return Math.ceil(minimum * targetMultiplier * 100) / 100;
 };
 
-// Get seasonal transition dates for the year
-const getSeasonTransitions = (year = new Date().getFullYear()) => {
-  const busySeasonStart = parseInt(process.env.BUSY_SEASON_START) || 4;
-  const busySeasonEnd = parseInt(process.env.BUSY_SEASON_END) || 10;
+// Get seasonal transition dates for the year: start and end of the peak
+// period and of the time until it starts again
+const getSeasonTransitions = (year = new Date().getFullYear(), region = null) => {
+  const peak = getPeakPeriod(region) || createDefaultCalendar().periods[0];
+  const busySeasonStart = new Date(year, peak.startMonth - 1, peak.startDay);
+  const busySeasonEnd = getPeriodEnd(peak, busySeasonStart);
   
   return {
-    busySeasonStart: new Date(year, busySeasonStart - 1, 1),
-    busySeasonEnd: new Date(year, busySeasonEnd, 0), // Last day of busy season end month
-    slowSeasonStart: new Date(year, busySeasonEnd, 1),
-    slowSeasonEnd: new Date(year + 1, busySeasonStart - 1, 0) // Wraps to next year
+    busySeasonStart,
+    busySeasonEnd,
+    slowSeasonStart: new Date(busySeasonEnd.getFullYear(), busySeasonEnd.getMonth(), busySeasonEnd.getDate() + 1),
+    slowSeasonEnd: new Date(year + 1, peak.startMonth - 1, peak.startDay - 1)
   };
 };
 
 module.exports = {
+  DEFAULT_REGION,
+  createDefaultCalendar,
+  setSeasonCalendars,
+  getSeasonCalendar,
+  validateSeasonCalendar,
+  periodContains,
+  getSeasonPeriod,
+  getSeasonLevel,
+  getPeakPeriod,
+  getBusyShare,
   getCurrentSeason,
   isInBusySeason,
   getSeasonIndicator,
   getSeasonalAdjustmentFactor,
   getNormalizedDayOfYear,
   getWeekOfYear,
+  calculateIntermittentMinimum,
   calculateDynamicMinimum,
   calculateTarget,
   getSeasonTransitions
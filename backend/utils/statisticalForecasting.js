@@ -0,0 +1,390 @@
+/**
+ * Statistical Forecasting Utility
+ * Dependency-free forecasting algorithms used when (or instead of) the LSTM.
+ *
+ * Every function takes a consumption history ([{ consumption, date }], oldest
+ * first, one entry per count interval - roughly weekly) and returns
+ * { values, sigmas, details } where `values` are the next `weeks` weekly
+ * predictions and `sigmas` the standard deviation of each week's error.
+ */
+
+const { getSeasonPeriod } = require('./seasonHelper');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Weeks in a seasonal cycle (one year of weekly counts)
+const SEASON_LENGTH = parseInt(process.env.SEASON_LENGTH_WEEKS) || 52;
+
+// Smoothing parameter grid searched when fitting exponential smoothing models
+const GRID = {
+  alpha: [0.1, 0.2, 0.3, 0.5],
+  beta: [0.01, 0.05, 0.1],
+  gamma: [0.05, 0.1, 0.3],
+  phi: 0.98
+};
+
+const mean = (values) => values.length > 0
+  ? values.reduce((sum, v) => sum + v, 0) / values.length
+  : 0;
+
+const rootMeanSquare = (values) => values.length > 0
+  ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length)
+  : 0;
+
+const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1));
+};
+
+// Date of the h-th week (1-based) after the forecast origin
+const futureDate = (startDate, h) => new Date(new Date(startDate).getTime() + h * WEEK_MS);
+
+// Sum of phi + phi^2 + ... + phi^h (damped trend multiplier)
+const dampedSum = (phi, h) => {
+  let sum = 0;
+  let power = 1;
+  for (let i = 0; i < h; i++) {
+    power *= phi;
+    sum += power;
+  }
+  return sum;
+};
+
+/**
+ * Simple average of the last `windowWeeks` weeks of history
+ */
+const simpleAverage = (history, weeks, options = {}) => {
+  const windowWeeks = options.windowWeeks || 12;
+  const startDate = options.startDate || new Date();
+  const windowStart = new Date(new Date(startDate).getTime() - windowWeeks * WEEK_MS);
+
+  const recent = history.filter(h => new Date(h.date) >= windowStart);
+  const sample = recent.length > 0 ? recent : history.slice(-windowWeeks);
+  const values = sample.map(h => h.consumption);
+
+  const avgWeekly = mean(values);
+  // Demand variance plus the uncertainty of the mean itself
+  const sigma = values.length > 0 ? stdDev(values) * Math.sqrt(1 + 1 / values.length) : 0;
+
+  return {
+    values: Array(weeks).fill(avgWeekly),
+    sigmas: Array(weeks).fill(sigma),
+    details: {
+      windowWeeks,
+      sampleSize: values.length,
+      stdDev: stdDev(values),
+      uncertaintyBasis: 'historical_variance'
+    }
+  };
+};
+
+/**
+ * Seasonal naive: each future week repeats the same week one year earlier
+ */
+const seasonalNaive = (history, weeks, options = {}) => {
+  const startDate = options.startDate || new Date();
+  const seasonMs = SEASON_LENGTH * WEEK_MS;
+  const tolerance = WEEK_MS / 2;
+
+  // Value observed around a given date (nearest entry within tolerance, else
+  // average of the entries within two weeks)
+  const valueNear = (date) => {
+    let nearest = null;
+    let nearestDiff = Infinity;
+    for (const h of history) {
+      const diff = Math.abs(new Date(h.date) - date);
+      if (diff < nearestDiff) {
+        nearest = h;
+        nearestDiff = diff;
+      }
+    }
+    if (nearest && nearestDiff <= tolerance) return nearest.consumption;
+
+    const nearby = history.filter(h => Math.abs(new Date(h.date) - date) <= 2 * WEEK_MS);
+    return nearby.length > 0 ? mean(nearby.map(h => h.consumption)) : null;
+  };
+
+  const fallback = mean(history.map(h => h.consumption));
+  const values = [];
+  for (let h = 1; h <= weeks; h++) {
+    const lastYear = valueNear(new Date(futureDate(startDate, h).getTime() - seasonMs));
+    values.push(lastYear !== null ? lastYear : fallback);
+  }
+
+  // Spread of year-over-year differences within the history
+  const differences = [];
+  for (const h of history) {
+    const previous = valueNear(new Date(new Date(h.date).getTime() - seasonMs));
+    if (previous !== null && new Date(h.date) - new Date(history[0].date) >= seasonMs - tolerance) {
+      differences.push(h.consumption - previous);
+    }
+  }
+  const sigma = differences.length >= 2 ? rootMeanSquare(differences) : stdDev(history.map(h => h.consumption));
+
+  return {
+    values,
+    sigmas: Array(weeks).fill(sigma),
+    details: { seasonLength: SEASON_LENGTH, residualSamples: differences.length }
+  };
+};
+
+// Seasonal naive needs at least one full year of history
+const canSeasonalNaive = (history) => {
+  if (history.length < 2) return false;
+  const span = new Date(history[history.length - 1].date) - new Date(history[0].date);
+  return span >= (SEASON_LENGTH - 1) * WEEK_MS;
+};
+
+/**
+ * Additive Holt-Winters with damped trend over a full seasonal cycle.
+ * Returns one-step residuals and the final state.
+ */
+const fitHoltWintersAdditive = (y, m, alpha, beta, gamma, phi) => {
+  const season1 = y.slice(0, m);
+  const season2 = y.slice(m, 2 * m);
+  let level = mean(season1);
+  let trend = (mean(season2) - mean(season1)) / m;
+  const seasonal = season1.map((v, i) => ((v - level) + (season2[i] - mean(season2))) / 2);
+
+  const residuals = [];
+  for (let t = m; t < y.length; t++) {
+    const s = seasonal[t - m];
+    const forecast = level + phi * trend + s;
+    residuals.push(y[t] - forecast);
+
+    const previousLevel = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+    seasonal.push(gamma * (y[t] - level) + (1 - gamma) * s);
+  }
+
+  return { level, trend, seasonal, residuals };
+};
+
+/**
+ * Damped Holt linear trend (no seasonal state), used on deseasonalized data
+ */
+const fitDampedHolt = (y, alpha, beta, phi) => {
+  let level = y[0];
+  let trend = y.length > 1 ? y[1] - y[0] : 0;
+
+  const residuals = [];
+  for (let t = 1; t < y.length; t++) {
+    const forecast = level + phi * trend;
+    residuals.push(y[t] - forecast);
+
+    const previousLevel = level;
+    level = alpha * y[t] + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+  }
+
+  return { level, trend, residuals };
+};
+
+// Multipliers per season calendar period estimated from the history itself.
+// Periods with fewer than 3 weeks of history get no factor (1); at least two
+// periods need a factor. Shutdown periods may get a factor of 0.
+const estimateSeasonFactors = (history, region = null) => {
+  const overall = mean(history.map(h => h.consumption));
+  if (overall <= 0) return null;
+
+  const byPeriod = {};
+  for (const h of history) {
+    const key = getSeasonPeriod(new Date(h.date), region).key;
+    (byPeriod[key] = byPeriod[key] || []).push(h.consumption);
+  }
+
+  const factors = {};
+  for (const [key, values] of Object.entries(byPeriod)) {
+    if (values.length >= 3) factors[key] = mean(values) / overall;
+  }
+
+  const positive = Object.values(factors).filter(f => f > 0);
+  return Object.keys(factors).length >= 2 && positive.length >= 1 ? factors : null;
+};
+
+/**
+ * Holt-Winters / ETS forecast with a yearly seasonal component.
+ *
+ * With two or more years of history a full additive Holt-Winters model is
+ * fitted (52 weekly seasonal indices). With less, the seasonal component
+ * falls back to multipliers per season calendar period (options.region, see
+ * utils/seasonHelper) estimated from the history, and a damped Holt trend is
+ * fitted to the deseasonalized series.
+ * Smoothing parameters are picked by one-step-ahead squared error.
+ */
+const holtWinters = (history, weeks, options = {}) => {
+  const startDate = options.startDate || new Date();
+  const y = history.map(h => h.consumption);
+  const m = options.seasonLength || SEASON_LENGTH;
+
+  if (y.length >= 2 * m) {
+    let best = null;
+    for (const alpha of GRID.alpha) {
+      for (const beta of GRID.beta) {
+        for (const gamma of GRID.gamma) {
+          const fit = fitHoltWintersAdditive(y, m, alpha, beta, gamma, GRID.phi);
+          const sse = fit.residuals.reduce((sum, r) => sum + r * r, 0);
+          if (!best || sse < best.sse) {
+            best = { ...fit, sse, params: { alpha, beta, gamma, phi: GRID.phi } };
+          }
+        }
+      }
+    }
+
+    const n = best.seasonal.length;
+    const values = [];
+    for (let h = 1; h <= weeks; h++) {
+      const s = best.seasonal[n - m + ((h - 1) % m)];
+      values.push(Math.max(0, best.level + dampedSum(GRID.phi, h) * best.trend + s));
+    }
+
+    const sigma = rootMeanSquare(best.residuals);
+    const { alpha } = best.params;
+
+    return {
+      values,
+      sigmas: values.map((v, i) => sigma * Math.sqrt(1 + i * alpha * alpha)),
+      details: {
+        seasonality: 'yearly',
+        seasonLength: m,
+        params: best.params,
+        residualStdDev: Math.round(sigma * 100) / 100
+      }
+    };
+  }
+
+  // Not enough history for weekly seasonal indices
+  const factors = estimateSeasonFactors(history, options.region);
+  const factorFor = (date) => {
+    if (!factors) return 1;
+    return factors[getSeasonPeriod(date, options.region).key] ?? 1;
+  };
+
+  // Weeks of a closed (zero factor) season carry no level information
+  const adjusted = history
+    .filter(h => factorFor(new Date(h.date)) > 0)
+    .map(h => h.consumption / factorFor(new Date(h.date)));
+
+  let best = null;
+  for (const alpha of GRID.alpha) {
+    for (const beta of GRID.beta) {
+      const fit = fitDampedHolt(adjusted, alpha, beta, GRID.phi);
+      const sse = fit.residuals.reduce((sum, r) => sum + r * r, 0);
+      if (!best || sse < best.sse) {
+        best = { ...fit, sse, params: { alpha, beta, phi: GRID.phi } };
+      }
+    }
+  }
+
+  const values = [];
+  for (let h = 1; h <= weeks; h++) {
+    const base = best.level + dampedSum(GRID.phi, h) * best.trend;
+    values.push(Math.max(0, base * factorFor(futureDate(startDate, h))));
+  }
+
+  const sigma = rootMeanSquare(best.residuals);
+  const { alpha } = best.params;
+
+  return {
+    values,
+    sigmas: values.map((v, i) => sigma * Math.sqrt(1 + i * alpha * alpha) * factorFor(futureDate(startDate, i + 1))),
+    details: {
+      seasonality: factors ? 'season_calendar' : 'none',
+      seasonFactors: factors,
+      params: best.params,
+      residualStdDev: Math.round(sigma * 100) / 100
+    }
+  };
+};
+
+/**
+ * Croston-family fit for intermittent demand.
+ * Demand sizes and the intervals between demands are smoothed separately.
+ * - croston: rate = size / interval (biased upwards)
+ * - sba:     Syntetos-Boylan approximation, rate = (1 - alpha / 2) * size / interval
+ * - tsb:     Teunter-Syntetos-Babai, smooths demand probability every period,
+ *            so the forecast decays when demand stops (obsolescence)
+ */
+const fitCroston = (y, variant, alpha, beta) => {
+  const firstDemand = y.findIndex(v => v > 0);
+  let size = y[firstDemand];
+  let interval = firstDemand + 1;
+  let probability = 1 / interval;
+  let periodsSinceDemand = 0;
+
+  const rateOf = () => {
+    if (variant === 'tsb') return probability * size;
+    const rate = size / interval;
+    return variant === 'sba' ? (1 - alpha / 2) * rate : rate;
+  };
+
+  const residuals = [];
+  for (let t = firstDemand + 1; t < y.length; t++) {
+    residuals.push(y[t] - rateOf());
+    periodsSinceDemand++;
+
+    if (variant === 'tsb') {
+      probability += beta * ((y[t] > 0 ? 1 : 0) - probability);
+      if (y[t] > 0) size += alpha * (y[t] - size);
+    } else if (y[t] > 0) {
+      size += alpha * (y[t] - size);
+      interval += alpha * (periodsSinceDemand - interval);
+    }
+
+    if (y[t] > 0) periodsSinceDemand = 0;
+  }
+
+  return { size, interval, probability, rate: rateOf(), residuals };
+};
+
+const croston = (history, weeks, options = {}) => {
+  const variant = options.variant || 'sba';
+  const y = history.map(h => h.consumption);
+
+  let best = null;
+  for (const alpha of [0.05, 0.1, 0.2, 0.3]) {
+    for (const beta of variant === 'tsb' ? [0.05, 0.1, 0.2] : [alpha]) {
+      const fit = fitCroston(y, variant, alpha, beta);
+      const sse = fit.residuals.reduce((sum, r) => sum + r * r, 0);
+      if (!best || sse < best.sse) {
+        best = { ...fit, sse, params: variant === 'tsb' ? { alpha, beta } : { alpha } };
+      }
+    }
+  }
+
+  const sigma = rootMeanSquare(best.residuals);
+  const intervalWeeks = variant === 'tsb'
+    ? (best.probability > 0 ? 1 / best.probability : null)
+    : best.interval;
+
+  return {
+    values: Array(weeks).fill(Math.max(0, best.rate)),
+    sigmas: Array(weeks).fill(sigma),
+    details: {
+      variant,
+      params: best.params,
+      residualStdDev: Math.round(sigma * 100) / 100,
+      // Used for minimums and stockout timing of lumpy items
+      intermittent: {
+        demandSize: Math.round(best.size * 100) / 100,
+        intervalWeeks: intervalWeeks !== null ? Math.round(intervalWeeks * 100) / 100 : null,
+        demandProbability: intervalWeeks ? Math.round((1 / intervalWeeks) * 1000) / 1000 : 0
+      }
+    }
+  };
+};
+
+// Croston needs at least two weeks with demand to estimate an interval
+const canCroston = (history) => history.filter(h => h.consumption > 0).length >= 2;
+
+module.exports = {
+  SEASON_LENGTH,
+  simpleAverage,
+  seasonalNaive,
+  canSeasonalNaive,
+  holtWinters,
+  croston,
+  canCroston
+};
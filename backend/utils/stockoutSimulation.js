@@ -0,0 +1,173 @@
+/**
+ * Stockout Simulation Utility
+ *
+ * Monte Carlo alternative to the point estimate of days until stockout. Each
+ * run draws weekly demand from the item's own history (bootstrap, scaled to
+ * the forecast level week by week) and a lead time from the vendor's
+ * delivered orders, then plays stock forward day by day with open-order
+ * receipts. An order placed today is the next possible delivery, so:
+ *
+ *   probability of stockout = share of runs that run out before it arrives
+ *   expected units short    = average demand left unfilled until it arrives
+ *
+ * Runs are seeded so the same inputs give the same answer.
+ */
+
+const SIMULATION_RUNS = parseInt(process.env.STOCKOUT_SIMULATION_RUNS) || 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Small seeded PRNG (mulberry32), returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Stable seed from a string (e.g. an item id)
+const seedFromString = (value) => {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+  return sorted[index];
+};
+
+/**
+ * Simulate stockouts for one item
+ *
+ * params:
+ *   demandHistory     past weekly consumption (observed weeks only)
+ *   forecast          forecast weekly demand for the horizon (optional; scales the draws)
+ *   currentStock
+ *   receipts          open-order receipts [{ daysUntilArrival, quantity }] (utils/openOrders)
+ *   leadTimeSamples   delivered lead times in days for the vendor
+ *   fallbackLeadTime  lead time when there are no samples
+ *   horizonDays       how far to look for the stockout date distribution
+ *   runs, seed
+ *
+ * Returns null when there is no demand history to draw from.
+ */
+const simulateStockoutRisk = (params) => {
+  const demandHistory = (params.demandHistory || []).filter(v => v >= 0);
+  if (demandHistory.length === 0) return null;
+
+  const runs = params.runs || SIMULATION_RUNS;
+  const random = createRandom(params.seed !== undefined ? params.seed : 1);
+  const leadTimeSamples = (params.leadTimeSamples || []).filter(v => v > 0);
+  const fallbackLeadTime = params.fallbackLeadTime || 7;
+  const receipts = params.receipts || [];
+  const forecast = params.forecast || [];
+
+  const historyMean = demandHistory.reduce((sum, v) => sum + v, 0) / demandHistory.length;
+  const maxLeadTime = leadTimeSamples.length > 0 ? Math.max(...leadTimeSamples) : fallbackLeadTime;
+  const horizonDays = Math.max(params.horizonDays || 0, Math.ceil(maxLeadTime));
+  const horizonWeeks = Math.ceil(horizonDays / 7);
+
+  // Forecast level relative to history, per week (1 = draw history as is)
+  const scale = [];
+  for (let w = 0; w < horizonWeeks; w++) {
+    const level = forecast[Math.min(w, forecast.length - 1)];
+    scale.push(forecast.length > 0 && historyMean > 0 ? level / historyMean : 1);
+  }
+
+  // Receipts by day
+  const receivedOn = new Map();
+  for (const receipt of receipts) {
+    const day = Math.max(0, Math.round(receipt.daysUntilArrival));
+    receivedOn.set(day, (receivedOn.get(day) || 0) + receipt.quantity);
+  }
+
+  const stockoutDays = [];
+  const shortfalls = [];
+  const leadTimes = [];
+  let stockoutsBeforeDelivery = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const leadTime = leadTimeSamples.length > 0
+      ? leadTimeSamples[Math.floor(random() * leadTimeSamples.length)]
+      : fallbackLeadTime;
+    leadTimes.push(leadTime);
+
+    let stock = params.currentStock + (receivedOn.get(0) || 0);
+    let stockoutDay = null;
+    let shortBeforeDelivery = 0;
+    let dailyDemand = 0;
+
+    for (let day = 1; day <= horizonDays; day++) {
+      const week = Math.floor((day - 1) / 7);
+      if ((day - 1) % 7 === 0) {
+        const draw = demandHistory[Math.floor(random() * demandHistory.length)];
+        dailyDemand = (draw * scale[week]) / 7;
+      }
+
+      stock += receivedOn.get(day) || 0;
+      stock -= dailyDemand;
+
+      if (stock < 0) {
+        if (stockoutDay === null) stockoutDay = day;
+        if (day <= leadTime) shortBeforeDelivery += Math.min(dailyDemand, -stock);
+        stock = 0;
+      }
+    }
+
+    if (stockoutDay !== null && stockoutDay <= leadTime) stockoutsBeforeDelivery++;
+    stockoutDays.push(stockoutDay);
+    shortfalls.push(shortBeforeDelivery);
+  }
+
+  const sortedDays = stockoutDays
+    .map(day => (day === null ? Infinity : day))
+    .sort((a, b) => a - b);
+  const dayAt = (p) => {
+    const value = percentile(sortedDays, p);
+    return value === Infinity ? null : value;
+  };
+
+  // Share of runs whose first stockout falls in each week
+  const byWeek = [];
+  for (let w = 0; w < horizonWeeks; w++) {
+    const count = stockoutDays.filter(day => day !== null && day > w * 7 && day <= (w + 1) * 7).length;
+    byWeek.push({ week: w + 1, probability: round(count / runs) });
+  }
+
+  const withinHorizon = stockoutDays.filter(day => day !== null).length;
+
+  return {
+    runs,
+    horizonDays,
+    probabilityOfStockout: round(stockoutsBeforeDelivery / runs),
+    expectedUnitsShort: round(shortfalls.reduce((sum, v) => sum + v, 0) / runs),
+    probabilityWithinHorizon: round(withinHorizon / runs),
+    stockoutDay: {
+      p10: dayAt(0.1),
+      p50: dayAt(0.5),
+      p90: dayAt(0.9)
+    },
+    byWeek,
+    leadTime: {
+      mean: round(leadTimes.reduce((sum, v) => sum + v, 0) / runs),
+      samples: leadTimeSamples.length,
+      source: leadTimeSamples.length > 0 ? 'vendor_orders' : 'item'
+    },
+    demandSamples: demandHistory.length
+  };
+};
+
+module.exports = {
+  SIMULATION_RUNS,
+  createRandom,
+  seedFromString,
+  simulateStockoutRisk
+};
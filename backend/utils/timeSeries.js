@@ -0,0 +1,173 @@
+/**
+ * Time Series Utility
+ *
+ * Turns consumption between irregular counts (see utils/consumptionHistory)
+ * into a regular calendar series of daily or ISO-week buckets. Each
+ * interval's consumption is spread evenly over its duration, so counts three
+ * days or three weeks apart (or several on the same day) land in the right
+ * buckets. Buckets without enough coverage are marked missing.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Intervals longer than this are too coarse to spread and are left as gaps
+const MAX_INTERVAL_DAYS = parseInt(process.env.MAX_COUNT_INTERVAL_DAYS) || 35;
+
+// Share of a bucket that must be covered by counts for it to have a value
+const MIN_COVERAGE = 0.5;
+
+const GRANULARITIES = {
+  day: 1,
+  week: 7
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Monday of the ISO week containing date
+const startOfIsoWeek = (date) => {
+  const d = startOfDay(date);
+  const offset = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - offset);
+  return d;
+};
+
+// ISO-8601 week number and week-numbering year
+const getIsoWeek = (date) => {
+  const d = startOfDay(date);
+  // Thursday of this week decides the year
+  d.setDate(d.getDate() + 3 - ((d.getDay() + 6) % 7));
+  const year = d.getFullYear();
+  const firstThursday = new Date(year, 0, 4);
+  firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+  const week = 1 + Math.round((d - firstThursday) / (7 * DAY_MS));
+  return { week, year };
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+/**
+ * Resample consumption intervals into regular buckets
+ *
+ * intervals: [{ periodStart, date, consumption }] (date = end of the interval)
+ * options.granularity: 'day' | 'week'
+ * options.start / options.end: range to cover (defaults to the intervals' range)
+ *
+ * Returns [{ date, week, year, consumption, dailyRate, coverage, missing }]
+ * where `date` is the bucket start and consumption is null when missing.
+ * Partly covered buckets are scaled up to the full bucket length.
+ */
+const resampleConsumption = (intervals, options = {}) => {
+  const granularity = options.granularity || 'week';
+  const bucketDays = GRANULARITIES[granularity];
+  if (!bucketDays) {
+    throw new Error(`Unknown granularity: ${granularity}`);
+  }
+
+  if (intervals.length === 0) return [];
+
+  const usable = intervals.filter(interval => {
+    const days = (new Date(interval.date) - new Date(interval.periodStart)) / DAY_MS;
+    return days > 0 && days <= MAX_INTERVAL_DAYS;
+  });
+
+  const bucketStart = granularity === 'week' ? startOfIsoWeek : startOfDay;
+  const rangeStart = bucketStart(options.start || intervals[0].periodStart);
+  const rangeEnd = new Date(options.end || intervals[intervals.length - 1].date);
+
+  const buckets = [];
+  for (let start = rangeStart; start < rangeEnd; start = addDays(start, bucketDays)) {
+    buckets.push({ start, end: addDays(start, bucketDays), consumption: 0, coveredMs: 0 });
+  }
+
+  for (const interval of usable) {
+    const from = new Date(interval.periodStart);
+    const to = new Date(interval.date);
+    const duration = to - from;
+
+    for (const bucket of buckets) {
+      if (bucket.end <= from) continue;
+      if (bucket.start >= to) break;
+
+      const overlap = Math.min(bucket.end, to) - Math.max(bucket.start, from);
+      if (overlap <= 0) continue;
+
+      bucket.consumption += interval.consumption * (overlap / duration);
+      bucket.coveredMs += overlap;
+    }
+  }
+
+  return buckets.map(bucket => {
+    const bucketMs = bucket.end - bucket.start;
+    const coverage = Math.min(1, bucket.coveredMs / bucketMs);
+    const missing = coverage < MIN_COVERAGE;
+    const consumption = missing ? null : round(bucket.consumption / coverage);
+    const { week, year } = getIsoWeek(bucket.start);
+
+    return {
+      date: bucket.start,
+      week,
+      year,
+      consumption,
+      dailyRate: missing ? null : round(consumption / bucketDays),
+      coverage: round(coverage),
+      missing
+    };
+  });
+};
+
+/**
+ * Make a resampled series usable by forecasting methods: leading and trailing
+ * missing buckets are dropped, interior gaps are linearly interpolated and
+ * flagged `imputed`.
+ */
+const fillGaps = (series) => {
+  const first = series.findIndex(bucket => !bucket.missing);
+  if (first === -1) return [];
+
+  let last = series.length - 1;
+  while (series[last].missing) last--;
+
+  const trimmed = series.slice(first, last + 1);
+  const bucketDays = trimmed.length > 1 ? Math.round((trimmed[1].date - trimmed[0].date) / DAY_MS) : 7;
+  let previous = 0;
+
+  return trimmed.map((bucket, i) => {
+    if (!bucket.missing) {
+      previous = i;
+      return { ...bucket, imputed: false };
+    }
+
+    let next = i + 1;
+    while (trimmed[next].missing) next++;
+
+    const from = trimmed[previous].consumption;
+    const to = trimmed[next].consumption;
+    const consumption = round(from + (to - from) * ((i - previous) / (next - previous)));
+
+    return {
+      ...bucket,
+      consumption,
+      dailyRate: round(consumption / bucketDays),
+      missing: false,
+      imputed: true
+    };
+  });
+};
+
+module.exports = {
+  MAX_INTERVAL_DAYS,
+  startOfIsoWeek,
+  getIsoWeek,
+  resampleConsumption,
+  fillGaps
+};
@@ -0,0 +1,135 @@
+/**
+ * Training Data Policy
+ *
+ * Decides which counts and weekly values forecasting models learn from, so a
+ * data-entry mistake (150 counted instead of 15) does not skew a year of
+ * forecasts:
+ *   - excludeFlagged: skip counts flagged by anomaly detection unless verified
+ *   - excludeUnresolvedAnomalies: skip counts with an open anomaly alert
+ *   - winsorize: clip weekly consumption above median + outlierMads * MAD
+ *
+ * Excluded counts are dropped before consumption is reconstructed, so the
+ * surrounding counts form one longer interval instead of two wrong ones.
+ */
+
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return String(value).toLowerCase() !== 'false';
+};
+
+const DEFAULT_POLICY = {
+  excludeFlagged: parseFlag(process.env.TRAINING_EXCLUDE_FLAGGED, true),
+  excludeUnresolvedAnomalies: parseFlag(process.env.TRAINING_EXCLUDE_UNRESOLVED, true),
+  winsorize: parseFlag(process.env.TRAINING_WINSORIZE, true),
+  outlierMads: parseFloat(process.env.TRAINING_OUTLIER_MADS) || 5
+};
+
+// Fewer non-zero weeks than this are not winsorized
+const MIN_WINSORIZE_POINTS = 8;
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+/**
+ * Merge overrides (e.g. from a retrain request) into the configured policy
+ */
+const resolvePolicy = (overrides = {}) => ({
+  excludeFlagged: parseFlag(overrides.excludeFlagged, DEFAULT_POLICY.excludeFlagged),
+  excludeUnresolvedAnomalies: parseFlag(
+    overrides.excludeUnresolvedAnomalies,
+    DEFAULT_POLICY.excludeUnresolvedAnomalies
+  ),
+  winsorize: parseFlag(overrides.winsorize, DEFAULT_POLICY.winsorize),
+  outlierMads: parseFloat(overrides.outlierMads) > 0
+    ? parseFloat(overrides.outlierMads)
+    : DEFAULT_POLICY.outlierMads
+});
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Upper bound for weekly consumption. Computed from the non-zero weeks so
+ * intermittent items (mostly zero weeks) keep their real demand events.
+ * Returns null when there is too little data or no spread.
+ */
+const calculateOutlierBound = (values, outlierMads) => {
+  const demands = values.filter(value => value > 0);
+  if (demands.length < MIN_WINSORIZE_POINTS) return null;
+
+  const center = median(demands);
+  const mad = median(demands.map(value => Math.abs(value - center)));
+  if (mad === 0) return null;
+
+  return center + outlierMads * MAD_SCALE * mad;
+};
+
+/**
+ * Filter for one training or forecasting run. Keeps a tally of what it
+ * excluded or clipped for the training report.
+ *
+ * unresolvedCountIds: ids of counts with an open anomaly alert
+ */
+const createTrainingDataFilter = (policy = DEFAULT_POLICY, unresolvedCountIds = []) => {
+  const unresolved = new Set(unresolvedCountIds.map(String));
+  const excludedCounts = { flagged: 0, unresolvedAnomaly: 0 };
+  let winsorizedWeeks = 0;
+  const itemsAffected = new Set();
+
+  // Deliveries are receipts, not stock observations, and are always kept
+  const excludeCount = (count) => {
+    if (count.source === 'delivery') return false;
+
+    let excluded = false;
+    if (policy.excludeUnresolvedAnomalies && unresolved.has(String(count._id))) {
+      excludedCounts.unresolvedAnomaly++;
+      excluded = true;
+    } else if (policy.excludeFlagged && count.flagged && !count.verified) {
+      excludedCounts.flagged++;
+      excluded = true;
+    }
+
+    if (excluded) itemsAffected.add(String(count.item));
+    return excluded;
+  };
+
+  // Clip outlying weeks of a resampled series (missing weeks stay missing)
+  const winsorize = (series, itemId = null) => {
+    if (!policy.winsorize) return series;
+
+    const bound = calculateOutlierBound(
+      series.filter(w => !w.missing).map(w => w.consumption),
+      policy.outlierMads
+    );
+    if (bound === null) return series;
+
+    return series.map(week => {
+      if (week.missing || week.consumption <= bound) return week;
+
+      winsorizedWeeks++;
+      if (itemId) itemsAffected.add(String(itemId));
+      const consumption = Math.round(bound * 100) / 100;
+      return { ...week, consumption, dailyRate: Math.round((consumption / 7) * 100) / 100, winsorized: true };
+    });
+  };
+
+  const report = () => ({
+    policy,
+    excludedCounts: { ...excludedCounts },
+    winsorizedWeeks,
+    itemsAffected: itemsAffected.size
+  });
+
+  return { policy, excludeCount, winsorize, report };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  calculateOutlierBound,
+  createTrainingDataFilter
+};
@@ -10,6 +10,10 @@ import Orders from './pages/Orders';
 import Vendors from './pages/Vendors';
 import Forecasts from './pages/Forecasts';
 import Alerts from './pages/Alerts';
+import Planner from './pages/Planner';
+import PlannedDemand from './pages/PlannedDemand';
+import Seasons from './pages/Seasons';
+import Signals from './pages/Signals';
 import './styles/index.css';
 
 function App() {
@@ -23,6 +27,10 @@ function App() {
           <Route path="orders" element={<Orders />} />
           <Route path="vendors" element={<Vendors />} />
           <Route path="forecasts" element={<Forecasts />} />
+          <Route path="planner" element={<Planner />} />
+          <Route path="planned-demand" element={<PlannedDemand />} />
+          <Route path="seasons" element={<Seasons />} />
+          <Route path="signals" element={<Signals />} />
           <Route path="alerts" element={<Alerts />} />
         </Route>
       </Routes>
@@ -2,7 +2,7 @@ import React from 'react';
 import { Outlet, NavLink } from 'react-router-dom';
 import { 
   FiHome, FiPackage, FiShoppingCart, FiUsers, 
-  FiTrendingUp, FiBell
+  FiTrendingUp, FiSliders, FiCalendar, FiSun, FiActivity, FiBell
 } from 'react-icons/fi';
 import { GiWoodPile } from 'react-icons/gi';
 
@@ -14,6 +14,10 @@ const Layout = () => {
     { to: '/orders', icon: FiShoppingCart, label: 'Orders' },
     { to: '/vendors', icon: FiUsers, label: 'Vendors' },
     { to: '/forecasts', icon: FiTrendingUp, label: 'Forecasts' },
+    { to: '/planner', icon: FiSliders, label: 'Planner' },
+    { to: '/planned-demand', icon: FiCalendar, label: 'Planned Demand' },
+    { to: '/seasons', icon: FiSun, label: 'Seasons' },
+    { to: '/signals', icon: FiActivity, label: 'Signals' },
     { to: '/alerts', icon: FiBell, label: 'Alerts' },
   ];
 
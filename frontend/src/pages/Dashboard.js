@@ -8,12 +8,21 @@ import { toast } from 'react-toastify';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend, ArcElement);
 
+// Tooltip for a simulated stockout risk (see GET /api/forecasts/reorder-recommendations)
+const describeRisk = (risk) => {
+  if (!risk) return 'Not enough history to simulate';
+  return `Chance of running out before an order placed today arrives (${risk.leadTime.mean} days). ` +
+    `Expected short: ${risk.expectedUnitsShort} units. ` +
+    `Stockout day p10/p50/p90: ${risk.stockoutDay.p10 ?? '-'}/${risk.stockoutDay.p50 ?? '-'}/${risk.stockoutDay.p90 ?? '-'}`;
+};
+
 const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [summary, setSummary] = useState(null);
   const [alerts, setAlerts] = useState([]);
   const [pendingOrders, setPendingOrders] = useState(null);
   const [reorderRecs, setReorderRecs] = useState([]);
+  const [reorderSort, setReorderSort] = useState('risk');
 
   useEffect(() => {
     fetchData();
@@ -25,7 +34,7 @@ const Dashboard = () => {
         inventoryApi.getSummary(),
         alertApi.getSummary(),
         orderApi.getPendingSummary(),
-        forecastApi.getReorderRecommendations()
+        forecastApi.getReorderRecommendations({ sortBy: reorderSort })
       ]);
       
       setSummary(summaryRes.data.data);
@@ -39,6 +48,16 @@ const Dashboard = () => {
     }
   };
 
+  const handleReorderSort = async (sortBy) => {
+    setReorderSort(sortBy);
+    try {
+      const res = await forecastApi.getReorderRecommendations({ sortBy });
+      setReorderRecs(res.data.data || []);
+    } catch (error) {
+      toast.error('Failed to load reorder recommendations');
+    }
+  };
+
   if (loading) {
     return (
       <div className="page-content">
@@ -180,7 +199,13 @@ const Dashboard = () => {
           <div className="card">
             <div className="card-header">
               <h3 className="card-title">Reorder Recommendations</h3>
-              <Link to="/forecasts" className="btn btn-secondary btn-sm">View All</Link>
+              <div className="flex gap-2">
+                <select className="form-select" value={reorderSort} onChange={e => handleReorderSort(e.target.value)} style={{ width: '150px' }}>
+                  <option value="risk">By stockout risk</option>
+                  <option value="days">By days left</option>
+                </select>
+                <Link to="/forecasts" className="btn btn-secondary btn-sm">View All</Link>
+              </div>
             </div>
             {reorderRecs.length === 0 ? (
               <p className="text-muted text-center">No items need reordering</p>
@@ -191,6 +216,7 @@ const Dashboard = () => {
                     <tr>
                       <th>Item</th>
                       <th>Days Left</th>
+                      <th>Risk</th>
                       <th>Order Qty</th>
                     </tr>
                   </thead>
@@ -205,6 +231,9 @@ const Dashboard = () => {
                             {rec.daysUntilStockout} days
                           </span>
                         </td>
+                        <td className="font-mono" title={describeRisk(rec.stockoutRisk)}>
+                          {rec.stockoutRisk ? `${Math.round(rec.stockoutRisk.probabilityOfStockout * 100)}%` : '-'}
+                        </td>
                         <td className="font-mono">{rec.recommendedOrderQty}</td>
                       </tr>
                     ))}
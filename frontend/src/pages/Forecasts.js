@@ -9,20 +9,60 @@ const Forecasts = () => {
   const [reorderRecs, setReorderRecs] = useState([]);
   const [modelStatus, setModelStatus] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [retraining, setRetraining] = useState(false);
+  const [trainingJob, setTrainingJob] = useState(null);
+  const [backtest, setBacktest] = useState(null);
+  const [backtesting, setBacktesting] = useState(false);
+  const [patternFilter, setPatternFilter] = useState('');
+  const [reorderSort, setReorderSort] = useState('risk');
+  const [boardFeet, setBoardFeet] = useState(null);
+  const [boardFeetGroupBy, setBoardFeetGroupBy] = useState('family');
+  const [loadingBoardFeet, setLoadingBoardFeet] = useState(false);
+  const [modelVersions, setModelVersions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
 
   useEffect(() => { fetchData(); }, []);
 
+  const trainingActive = trainingJob && ['queued', 'running'].includes(trainingJob.status);
+
+  // Poll the training job until it finishes
+  useEffect(() => {
+    if (!trainingActive) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await forecastApi.getJob(trainingJob.id);
+        const job = res.data.data;
+        setTrainingJob(job);
+        if (job.status === 'completed') {
+          toast.success(describeTrainingResult(job.result));
+          fetchData();
+        } else if (job.status === 'failed') {
+          toast.error(`Training failed: ${job.error}`);
+        } else if (job.status === 'cancelled') {
+          toast.info('Training cancelled');
+        }
+      } catch (error) {
+        setTrainingJob(null);
+      }
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [trainingJob]);
+
   const fetchData = async () => {
     try {
-      const [forecastsRes, reorderRes, statusRes] = await Promise.all([
+      const [forecastsRes, reorderRes, statusRes, versionsRes, jobsRes] = await Promise.all([
         forecastApi.getBatch({ days: 30 }),
-        forecastApi.getReorderRecommendations(),
-        forecastApi.getModelStatus()
+        forecastApi.getReorderRecommendations({ sortBy: reorderSort }),
+        forecastApi.getModelStatus(),
+        forecastApi.getModelVersions(),
+        forecastApi.getJobs()
       ]);
       setForecasts(forecastsRes.data.data);
       setReorderRecs(reorderRes.data.data);
       setModelStatus(statusRes.data.data);
+      setModelVersions(versionsRes.data.data);
+      const runningTraining = jobsRes.data.data.find(job => job.type === 'train_model' && ['queued', 'running'].includes(job.status));
+      if (runningTraining) setTrainingJob(runningTraining);
     } catch (error) {
       toast.error('Failed to load forecasts');
     } finally {
@@ -31,36 +71,200 @@ const Forecasts = () => {
   };
 
   const handleRetrain = async () => {
-    setRetraining(true);
     try {
       const res = await forecastApi.retrain();
+      setTrainingJob(res.data.data);
+      toast.info(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not start retraining');
+    }
+  };
+
+  const handleCancelTraining = async () => {
+    try {
+      const res = await forecastApi.cancelJob(trainingJob.id);
+      setTrainingJob(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not cancel training');
+    }
+  };
+
+  const describeTrainingResult = (result) => {
+    if (!result || !result.version) return 'Not enough data to train model';
+    const weights = result.ensembleWeights ? `, ensemble weights learned for ${result.ensembleWeights.itemsWeighted} items` : '';
+    return result.promoted
+      ? `Model v${result.version} trained and promoted${weights}`
+      : `Model v${result.version} trained, v${result.activeVersion} stays active${weights}`;
+  };
+
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return '';
+    return seconds < 60 ? `${seconds}s left` : `${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+  };
+
+  // Which model served the forecast and how it was reconciled
+  const describeModel = (forecast) => {
+    const parts = [];
+    if (forecast.ensemble) {
+      parts.push(forecast.ensemble.components.map(c => `${c.method} ${Math.round(c.weight * 100)}%`).join(', '));
+    }
+    if (forecast.modelKey) parts.push(`Model v${forecast.modelVersion} (${forecast.modelKey})`);
+    if (forecast.reconciliation) {
+      parts.push(`Reconciled ${forecast.reconciliation.method} within ${forecast.reconciliation.group} (${forecast.reconciliation.totalAdjustment >= 0 ? '+' : ''}${forecast.reconciliation.totalAdjustment})`);
+    }
+    return parts.join(' - ') || undefined;
+  };
+
+  const TRAINING_PHASES = {
+    preparing: 'Preparing training data',
+    training: 'Training',
+    evaluating: 'Comparing with the active model',
+    storing: 'Storing model',
+    weighting: 'Learning ensemble weights'
+  };
+
+  const handleCompareVersions = async () => {
+    setComparing(true);
+    try {
+      const res = await forecastApi.compareModelVersions();
+      setComparison(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Comparison failed');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleActivateVersion = async (version) => {
+    if (!window.confirm(`Make model v${version} the active model?`)) return;
+    try {
+      const res = await forecastApi.activateModelVersion(version);
       toast.success(res.data.message);
       fetchData();
     } catch (error) {
-      toast.error('Retraining failed');
+      toast.error(error.response?.data?.error || 'Failed to activate model');
+    }
+  };
+
+  const handleReorderSort = async (sortBy) => {
+    setReorderSort(sortBy);
+    try {
+      const res = await forecastApi.getReorderRecommendations({ sortBy });
+      setReorderRecs(res.data.data);
+    } catch (error) {
+      toast.error('Failed to load reorder recommendations');
+    }
+  };
+
+  const handleBacktest = async () => {
+    setBacktesting(true);
+    try {
+      const res = await forecastApi.getBacktest();
+      setBacktest(res.data.data);
+    } catch (error) {
+      toast.error('Backtest failed');
+    } finally {
+      setBacktesting(false);
+    }
+  };
+
+  const handleBoardFeet = async (groupBy = boardFeetGroupBy) => {
+    setBoardFeetGroupBy(groupBy);
+    setLoadingBoardFeet(true);
+    try {
+      const res = await forecastApi.getBoardFeet({ groupBy, days: 30 });
+      setBoardFeet(res.data.data);
+    } catch (error) {
+      toast.error('Failed to load board-foot report');
     } finally {
-      setRetraining(false);
+      setLoadingBoardFeet(false);
     }
   };
 
+  const patternBadge = {
+    smooth: 'badge-success',
+    erratic: 'badge-warning',
+    intermittent: 'badge-neutral',
+    lumpy: 'badge-danger'
+  };
+
+  const describeClassification = (forecast) => {
+    const c = forecast.demandClassification;
+    if (!c || !c.pattern) return 'Not enough history to classify';
+    return `ADI ${c.adi} (avg. weeks between demands), CV² ${c.cv2} (demand size variation) - forecast with ${forecast.method}`;
+  };
+
+  const ORDER_REASONS = {
+    eoq: 'EOQ',
+    price_break: 'price break',
+    free_shipping: 'free shipping',
+    minimum_need: 'minimum need'
+  };
+
+  const describeOrderQuantity = (orderQuantity) => {
+    if (!orderQuantity) return 'No vendor prices - quantity to reach target stock';
+    const b = orderQuantity.breakdown;
+    const shipping = b.shippingCostUnknown ? 'shipping cost unknown' : `shipping $${b.shippingCost}`;
+    return `Needed ${orderQuantity.neededQty}, EOQ ${orderQuantity.eoq ?? '-'}. Yearly cost $${b.totalAnnualCost}: ` +
+      `purchase $${b.purchaseCost}, ordering $${b.orderingCost}, ${shipping}, holding $${b.holdingCost}`;
+  };
+
+  const visibleForecasts = forecasts
+    .filter(f => !f.error)
+    .filter(f => !patternFilter || (f.demandPattern || 'unclassified') === patternFilter);
+
+  const formatMetric = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+
   return (
     <>
       <header className="page-header">
         <h1 className="page-title">Forecasts & AI</h1>
-        <button className="btn btn-secondary" onClick={handleRetrain} disabled={retraining}>
-          <FiRefreshCw className={retraining ? 'spinning' : ''} /> {retraining ? 'Retraining...' : 'Retrain Model'}
+        <button className="btn btn-secondary" onClick={handleRetrain} disabled={trainingActive}>
+          <FiRefreshCw className={trainingActive ? 'spinning' : ''} /> {trainingActive ? 'Retraining...' : 'Retrain Model'}
         </button>
       </header>
 
       <div className="page-content">
+        {trainingActive && (
+          <div className="card mb-4">
+            <div className="card-header">
+              <h3 className="card-title">
+                {trainingJob.status === 'queued' ? 'Training queued' : (TRAINING_PHASES[trainingJob.progress?.phase] || 'Starting')}
+                {trainingJob.progress?.phase === 'training' && ` ${trainingJob.progress.model || ''} - epoch ${trainingJob.progress.completed} of ${trainingJob.progress.total}`}
+                {trainingJob.progress?.phase === 'weighting' && ` - item ${trainingJob.progress.completed} of ${trainingJob.progress.total}`}
+              </h3>
+              <button className="btn btn-sm btn-secondary" onClick={handleCancelTraining}>Cancel</button>
+            </div>
+            <div style={{ background: 'var(--color-border)', borderRadius: '4px', height: '8px', overflow: 'hidden' }}>
+              <div style={{ width: `${trainingJob.progress?.percent || 0}%`, background: 'var(--color-primary)', height: '100%', transition: 'width 0.5s' }} />
+            </div>
+            <p className="text-sm text-muted mt-4">
+              {trainingJob.progress?.loss !== undefined && `Loss ${trainingJob.progress.loss.toFixed(4)}`}
+              {trainingJob.progress?.valLoss !== undefined && ` · validation loss ${trainingJob.progress.valLoss.toFixed(4)}`}
+              {trainingJob.progress?.etaSeconds ? ` · ${formatEta(trainingJob.progress.etaSeconds)}` : ''}
+            </p>
+          </div>
+        )}
+
         <div className="stats-grid">
           <div className="stat-card">
             <div className="stat-icon primary"><FiTrendingUp /></div>
             <div className="stat-content">
-              <div className="stat-value">{modelStatus?.modelTrained ? 'LSTM' : 'Average'}</div>
+              <div className="stat-value">{modelStatus?.modelTrained ? 'LSTM' : 'Statistical'}</div>
               <div className="stat-label">Forecast Method</div>
             </div>
           </div>
+          <div className="stat-card">
+            <div className="stat-icon primary"><FiRefreshCw /></div>
+            <div className="stat-content">
+              <div className="stat-value">{modelStatus?.activeVersion ? `v${modelStatus.activeVersion}` : '-'}</div>
+              <div className="stat-label">
+                {modelStatus?.lastTraining
+                  ? `Trained ${new Date(modelStatus.lastTraining).toLocaleDateString()}`
+                  : 'Model Version'}
+              </div>
+            </div>
+          </div>
           <div className="stat-card">
             <div className="stat-icon warning"><FiAlertCircle /></div>
             <div className="stat-content">
@@ -74,6 +278,10 @@ const Forecasts = () => {
         <div className="card mb-4">
           <div className="card-header">
             <h3 className="card-title">🚨 Reorder Recommendations</h3>
+            <select className="form-select" value={reorderSort} onChange={e => handleReorderSort(e.target.value)} style={{ width: '200px' }}>
+              <option value="risk">Sort by stockout risk</option>
+              <option value="days">Sort by days until stockout</option>
+            </select>
           </div>
           {reorderRecs.length === 0 ? (
             <p className="text-muted text-center">All items are adequately stocked!</p>
@@ -84,6 +292,7 @@ const Forecasts = () => {
                   <th>Item</th>
                   <th>Current Stock</th>
                   <th>Days Until Stockout</th>
+                  <th>Stockout Risk</th>
                   <th>Lead Time</th>
                   <th>Recommended Order</th>
                   <th>Urgency</th>
@@ -93,10 +302,38 @@ const Forecasts = () => {
                 {reorderRecs.map(rec => (
                   <tr key={rec.item.id}>
                     <td><Link to={`/inventory/${rec.item.id}`}>{rec.item.name}</Link></td>
-                    <td className="font-mono">{rec.item.currentStock}</td>
+                    <td className="font-mono">
+                      {rec.item.currentStock}
+                      {rec.onOrder > 0 && (
+                        <div className="text-muted" style={{ fontSize: '0.75rem' }} title={rec.openOrders.map(o => `${o.orderNumber}: ${o.quantity} due ${o.expectedDeliveryDate}`).join('\n')}>
+                          +{rec.onOrder} on order ({rec.openOrders.map(o => o.orderNumber).join(', ')})
+                        </div>
+                      )}
+                    </td>
                     <td className="font-mono">{rec.daysUntilStockout} days</td>
+                    <td className="font-mono" title={rec.stockoutRisk
+                      ? `${rec.stockoutRisk.runs} simulations, lead time ${rec.stockoutRisk.leadTime.mean} days on average. Stockout day 10/50/90%: ` +
+                        `${rec.stockoutRisk.stockoutDay.p10 ?? '-'} / ${rec.stockoutRisk.stockoutDay.p50 ?? '-'} / ${rec.stockoutRisk.stockoutDay.p90 ?? '-'}`
+                      : 'Not enough history to simulate'}>
+                      {rec.stockoutRisk ? (
+                        <>
+                          {Math.round(rec.stockoutRisk.probabilityOfStockout * 100)}%
+                          <div className="text-muted" style={{ fontSize: '0.75rem' }}>~{rec.stockoutRisk.expectedUnitsShort} short</div>
+                        </>
+                      ) : '-'}
+                    </td>
                     <td className="font-mono">{rec.leadTime} days</td>
-                    <td className="font-mono font-bold">{rec.recommendedOrderQty} units</td>
+                    <td className="font-mono font-bold" title={describeOrderQuantity(rec.orderQuantity)}>
+                      {rec.recommendedOrderQty} units
+                      {rec.recommendedOrderBoardFeet !== null && rec.recommendedOrderBoardFeet !== undefined && (
+                        <span className="text-muted" style={{ fontWeight: 'normal' }}> ({rec.recommendedOrderBoardFeet} BF)</span>
+                      )}
+                      {rec.orderQuantity && (
+                        <div className="text-muted" style={{ fontSize: '0.75rem', fontWeight: 'normal' }}>
+                          {rec.orderQuantity.vendor.name} @ ${rec.orderQuantity.breakdown.unitPrice} · {ORDER_REASONS[rec.orderQuantity.reason]}
+                        </div>
+                      )}
+                    </td>
                     <td><span className={`badge badge-${rec.urgency === 'critical' ? 'danger' : 'warning'}`}>{rec.urgency}</span></td>
                   </tr>
                 ))}
@@ -105,16 +342,190 @@ const Forecasts = () => {
           )}
         </div>
 
+        {/* Board Feet */}
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3 className="card-title">Board Feet</h3>
+            <div className="flex gap-2">
+              <select className="form-select" value={boardFeetGroupBy} onChange={e => handleBoardFeet(e.target.value)} style={{ width: '200px' }}>
+                <option value="family">By species &amp; size</option>
+                <option value="category">By category</option>
+              </select>
+              <button className="btn btn-secondary" onClick={() => handleBoardFeet()} disabled={loadingBoardFeet}>
+                {loadingBoardFeet ? 'Loading...' : 'Load'}
+              </button>
+            </div>
+          </div>
+          {!boardFeet ? (
+            <p className="text-muted text-center">Stock, consumption, 30-day forecast and reorder quantities converted to board feet for buying from mills.</p>
+          ) : (
+            <>
+              <table>
+                <thead>
+                  <tr>
+                    <th>{boardFeet.groupBy === 'category' ? 'Category' : 'Species & Size'}</th>
+                    <th className="text-right">Items</th>
+                    <th className="text-right">In Stock</th>
+                    <th className="text-right">On Order</th>
+                    <th className="text-right">Used ({boardFeet.historyWeeks} wk)</th>
+                    <th className="text-right">Forecast ({boardFeet.forecastDays} days)</th>
+                    <th className="text-right">To Reorder</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...boardFeet.groups, { ...boardFeet.totals, key: 'Total' }].map(group => (
+                    <tr key={group.key} className={group.key === 'Total' ? 'font-bold' : ''}>
+                      <td>{group.key}</td>
+                      <td className="text-right font-mono">{group.itemCount}</td>
+                      <td className="text-right font-mono">{group.currentStock.toLocaleString()} BF</td>
+                      <td className="text-right font-mono">{group.onOrder.toLocaleString()} BF</td>
+                      <td className="text-right font-mono">{group.consumed.toLocaleString()} BF</td>
+                      <td className="text-right font-mono">{group.forecast.toLocaleString()} BF</td>
+                      <td className="text-right font-mono">{group.reorder.toLocaleString()} BF</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {boardFeet.unconverted.length > 0 && (
+                <p className="text-sm text-muted mt-4">
+                  Not included (no conversion): {boardFeet.unconverted.map(u => `${u.name} (${u.reason})`).join(', ')}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Forecast Accuracy */}
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3 className="card-title">Forecast Accuracy (Backtest)</h3>
+            <button className="btn btn-secondary" onClick={handleBacktest} disabled={backtesting}>
+              {backtesting ? 'Running...' : 'Run Backtest'}
+            </button>
+          </div>
+          {!backtest ? (
+            <p className="text-muted text-center">Replays each item's history to compare forecast methods against actual consumption.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Scope</th>
+                  <th>Method</th>
+                  <th className="text-right">MAE</th>
+                  <th className="text-right">MAPE</th>
+                  <th className="text-right">Bias</th>
+                  <th className="text-right">WAPE</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[['Overall', backtest.overall], ...Object.entries(backtest.byCategory)].map(([scope, result]) => (
+                  Object.entries(result.metrics).map(([method, metrics]) => (
+                    <tr key={`${scope}-${method}`}>
+                      <td>{scope}</td>
+                      <td><span className={`badge ${method === result.bestMethod ? 'badge-success' : 'badge-neutral'}`}>{method}</span></td>
+                      <td className="text-right font-mono">{formatMetric(metrics.mae)}</td>
+                      <td className="text-right font-mono">{formatMetric(metrics.mape, '%')}</td>
+                      <td className="text-right font-mono">{formatMetric(metrics.bias)}</td>
+                      <td className="text-right font-mono">{formatMetric(metrics.wape, '%')}</td>
+                    </tr>
+                  ))
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Model Versions */}
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3 className="card-title">Model Versions</h3>
+            <button className="btn btn-secondary" onClick={handleCompareVersions} disabled={comparing || modelVersions.length === 0}>
+              {comparing ? 'Evaluating...' : 'Compare on Latest Weeks'}
+            </button>
+          </div>
+          {modelVersions.length === 0 ? (
+            <p className="text-muted text-center">No trained model yet.</p>
+          ) : (
+            <>
+              <p className="text-sm text-muted mb-4">
+                Each retrain is tested on the most recent weeks it was not trained on and replaces the active model only if its error is lower by the promotion margin.
+                {comparison && ` Latest comparison: ${comparison.holdoutWeeks} weeks, ${comparison.metric.toUpperCase()}.`}
+              </p>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>Trained</th>
+                    <th className="text-right">Loss</th>
+                    <th className="text-right">Hold-out WAPE</th>
+                    <th>Result</th>
+                    {comparison && <th className="text-right">Latest WAPE</th>}
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {modelVersions.map(v => {
+                    const evaluation = v.evaluation;
+                    const compared = comparison?.versions.find(c => c.version === v.version);
+                    return (
+                      <tr key={v.version}>
+                        <td className="font-mono">
+                          v{v.version} {v.isActive && <span className="badge badge-success">active</span>}
+                          {v.scopedModels?.length > 0 && (
+                            <div className="text-sm text-muted" title={v.scopedModels.map(m => `${m.scope}:${m.key}`).join(', ')}>
+                              + {v.scopedModels.length} scoped
+                            </div>
+                          )}
+                        </td>
+                        <td>{new Date(v.trainedAt).toLocaleDateString()}</td>
+                        <td className="text-right font-mono">{v.finalLoss?.toFixed(4) ?? '-'}</td>
+                        <td className="text-right font-mono">
+                          {formatMetric(evaluation?.challenger?.wape, '%')}
+                          {evaluation?.champion && <span className="text-muted"> vs v{evaluation.champion.version} {formatMetric(evaluation.champion.metrics.wape, '%')}</span>}
+                        </td>
+                        <td className="text-sm" title={evaluation?.reason}>
+                          {evaluation
+                            ? <span className={`badge ${evaluation.promoted ? 'badge-success' : 'badge-neutral'}`}>{evaluation.promoted ? 'promoted' : 'not promoted'}</span>
+                            : '-'}
+                        </td>
+                        {comparison && (
+                          <td className="text-right font-mono" title={compared?.error}>
+                            {formatMetric(compared?.metrics?.wape, '%')}
+                          </td>
+                        )}
+                        <td>
+                          {!v.isActive && (
+                            <button className="btn btn-sm btn-secondary" onClick={() => handleActivateVersion(v.version)}>Activate</button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
         {/* All Forecasts */}
         <div className="card">
           <div className="card-header">
             <h3 className="card-title">30-Day Demand Forecasts</h3>
+            <select className="form-select" value={patternFilter} onChange={(e) => setPatternFilter(e.target.value)} style={{ width: '170px' }}>
+              <option value="">All Demand Patterns</option>
+              <option value="smooth">Smooth</option>
+              <option value="erratic">Erratic</option>
+              <option value="intermittent">Intermittent</option>
+              <option value="lumpy">Lumpy</option>
+              <option value="unclassified">Unclassified</option>
+            </select>
           </div>
           {loading ? <div className="spinner"></div> : (
             <table>
               <thead>
                 <tr>
                   <th>Item</th>
+                  <th>Demand Pattern</th>
                   <th>Method</th>
                   <th className="text-right">Current</th>
                   <th className="text-right">Predicted Demand</th>
@@ -124,10 +535,16 @@ const Forecasts = () => {
                 </tr>
               </thead>
               <tbody>
-                {forecasts.filter(f => !f.error).map(forecast => (
+                {visibleForecasts.map(forecast => (
                   <tr key={forecast.itemId}>
                     <td><Link to={`/inventory/${forecast.itemId}`}>{forecast.itemName}</Link></td>
-                    <td><span className={`badge ${forecast.method === 'lstm' ? 'badge-success' : 'badge-neutral'}`}>{forecast.method}</span></td>
+                    <td title={describeClassification(forecast)}>
+                      <span className={`badge ${patternBadge[forecast.demandPattern] || 'badge-neutral'}`}>{forecast.demandPattern || 'unclassified'}</span>
+                    </td>
+                    <td title={describeModel(forecast)}>
+                      <span className={`badge ${['lstm', 'ensemble'].includes(forecast.method) ? 'badge-success' : 'badge-neutral'}`}>{forecast.method}</span>
+                      {forecast.modelKey && forecast.modelKey !== 'global' && <span className="text-sm text-muted"> {forecast.modelKey}</span>}
+                    </td>
                     <td className="text-right font-mono">{forecast.currentStock}</td>
                     <td className="text-right font-mono">{forecast.summary?.totalPredictedDemand}</td>
                     <td className="text-right font-mono">{forecast.summary?.avgDailyDemand}</td>
@@ -10,14 +10,16 @@ const Inventory = () => {
   const [search, setSearch] = useState('');
   const [category, setCategory] = useState('');
   const [status, setStatus] = useState('');
+  const [demandPattern, setDemandPattern] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [newItem, setNewItem] = useState({
     sku: '', name: '', category: 'dimensional',
     dimensions: { thickness: '', width: '', length: '' },
+    unitOfMeasure: 'pieces', species: '', piecesPerBundle: '',
     currentStock: 0, minimums: { winter: 0, summer: 0 }
   });
 
-  useEffect(() => { fetchItems(); }, [search, category, status]);
+  useEffect(() => { fetchItems(); }, [search, category, status, demandPattern]);
 
   const fetchItems = async () => {
     try {
@@ -25,6 +27,7 @@ const Inventory = () => {
       if (search) params.search = search;
       if (category) params.category = category;
       if (status) params.status = status;
+      if (demandPattern) params.demandPattern = demandPattern;
       const res = await inventoryApi.getAll(params);
       setItems(res.data.data);
     } catch (error) {
@@ -37,7 +40,10 @@ const Inventory = () => {
   const handleCreateItem = async (e) => {
     e.preventDefault();
     try {
-      await inventoryApi.create(newItem);
+      await inventoryApi.create({
+        ...newItem,
+        piecesPerBundle: newItem.unitOfMeasure === 'bundles' && newItem.piecesPerBundle ? parseInt(newItem.piecesPerBundle) : null
+      });
       toast.success('Item created');
       setShowModal(false);
       fetchItems();
@@ -83,6 +89,14 @@ const Inventory = () => {
               <option value="low">Low</option>
               <option value="critical">Critical</option>
             </select>
+            <select className="form-select" value={demandPattern} onChange={(e) => setDemandPattern(e.target.value)} style={{ width: '150px' }}>
+              <option value="">All Demand</option>
+              <option value="smooth">Smooth</option>
+              <option value="erratic">Erratic</option>
+              <option value="intermittent">Intermittent</option>
+              <option value="lumpy">Lumpy</option>
+              <option value="unclassified">Unclassified</option>
+            </select>
           </div>
         </div>
 
@@ -144,6 +158,42 @@ const Inventory = () => {
                     <option value="specialty">Specialty</option>
                   </select>
                 </div>
+                <div className="grid-3">
+                  <div className="form-group">
+                    <label className="form-label">Thickness (in)</label>
+                    <input className="form-input" value={newItem.dimensions.thickness} placeholder="2" onChange={e => setNewItem({...newItem, dimensions: {...newItem.dimensions, thickness: e.target.value}})} />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Width (in)</label>
+                    <input className="form-input" value={newItem.dimensions.width} placeholder="6" onChange={e => setNewItem({...newItem, dimensions: {...newItem.dimensions, width: e.target.value}})} />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Length</label>
+                    <input className="form-input" value={newItem.dimensions.length} placeholder="12'" onChange={e => setNewItem({...newItem, dimensions: {...newItem.dimensions, length: e.target.value}})} />
+                  </div>
+                </div>
+                <div className="grid-3">
+                  <div className="form-group">
+                    <label className="form-label">Unit</label>
+                    <select className="form-select" value={newItem.unitOfMeasure} onChange={e => setNewItem({...newItem, unitOfMeasure: e.target.value})}>
+                      <option value="pieces">Pieces</option>
+                      <option value="sheets">Sheets</option>
+                      <option value="bundles">Bundles</option>
+                      <option value="linear_feet">Linear feet</option>
+                      <option value="board_feet">Board feet</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Species</label>
+                    <input className="form-input" value={newItem.species} placeholder="SPF" onChange={e => setNewItem({...newItem, species: e.target.value})} />
+                  </div>
+                  {newItem.unitOfMeasure === 'bundles' && (
+                    <div className="form-group">
+                      <label className="form-label">Pieces per Bundle</label>
+                      <input type="number" min="1" className="form-input" value={newItem.piecesPerBundle} onChange={e => setNewItem({...newItem, piecesPerBundle: e.target.value})} />
+                    </div>
+                  )}
+                </div>
                 <div className="grid-3">
                   <div className="form-group">
                     <label className="form-label">Current Stock</label>
@@ -1,31 +1,60 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
+import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import { FiArrowLeft, FiEdit, FiPlus } from 'react-icons/fi';
-import { inventoryApi, forecastApi } from '../services/api';
+import { inventoryApi, forecastApi, seasonCalendarApi } from '../services/api';
 import { toast } from 'react-toastify';
 
-ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
+
+const OVERRIDE_FIELDS = { demand: 'Weekly demand', minimum: 'Minimum', target: 'Target' };
+const OVERRIDE_STATES = { active: 'badge-warning', scheduled: 'badge-info', expired: 'badge-neutral', cancelled: 'badge-neutral' };
+
+const emptyOverride = () => ({ field: 'demand', mode: 'multiply', value: '', reason: '', startsAt: '', expiresAt: '' });
+
+const describeOverrideChange = (override) => (override.mode === 'multiply'
+  ? `× ${override.value}`
+  : `= ${override.value}${override.field === 'demand' ? ' / week' : ''}`);
 
 const ItemDetail = () => {
   const { id } = useParams();
   const [item, setItem] = useState(null);
   const [forecast, setForecast] = useState(null);
+  const [methods, setMethods] = useState([]);
+  const [forecastHistory, setForecastHistory] = useState(null);
+  const [historyView, setHistoryView] = useState('week1');
   const [loading, setLoading] = useState(true);
   const [showCountModal, setShowCountModal] = useState(false);
   const [newCount, setNewCount] = useState({ count: '', notes: '' });
+  const [overrides, setOverrides] = useState([]);
+  const [showOverrideModal, setShowOverrideModal] = useState(false);
+  const [newOverride, setNewOverride] = useState(emptyOverride());
+  const [calendars, setCalendars] = useState([]);
+  const [seasonSettings, setSeasonSettings] = useState({ seasonRegion: '', seasonMinimums: {} });
 
   useEffect(() => { fetchData(); }, [id]);
 
   const fetchData = async () => {
     try {
-      const [itemRes, forecastRes] = await Promise.all([
+      const [itemRes, forecastRes, methodsRes, historyRes, overridesRes, calendarsRes] = await Promise.all([
         inventoryApi.getOne(id),
-        forecastApi.getOne(id)
+        forecastApi.getOne(id, { simulate: true }),
+        forecastApi.getMethods(),
+        forecastApi.getHistory(id),
+        forecastApi.getOverrides(id),
+        seasonCalendarApi.getAll()
       ]);
       setItem(itemRes.data.data);
       setForecast(forecastRes.data.data);
+      setMethods(methodsRes.data.data);
+      setForecastHistory(historyRes.data.data);
+      setOverrides(overridesRes.data.data);
+      setCalendars(calendarsRes.data.data);
+      setSeasonSettings({
+        seasonRegion: itemRes.data.data.seasonRegion || '',
+        seasonMinimums: itemRes.data.data.seasonMinimums || {}
+      });
     } catch (error) {
       toast.error('Failed to load item');
     } finally {
@@ -46,9 +75,80 @@ const ItemDetail = () => {
     }
   };
 
+  const handleMethodChange = async (e) => {
+    try {
+      await inventoryApi.update(id, { forecastMethod: e.target.value });
+      toast.success('Forecast method updated');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update forecast method');
+    }
+  };
+
+  const handleServiceLevelChange = async (e) => {
+    try {
+      await inventoryApi.update(id, { serviceLevel: e.target.value ? parseFloat(e.target.value) : null });
+      toast.success('Service level updated');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update service level');
+    }
+  };
+
+  const handleSaveSeasonMinimums = async () => {
+    // Blank inputs fall back to the winter/summer minimums
+    const seasonMinimums = Object.fromEntries(
+      Object.entries(seasonSettings.seasonMinimums)
+        .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        .map(([key, value]) => [key, parseFloat(value)])
+    );
+    try {
+      await inventoryApi.update(id, { seasonRegion: seasonSettings.seasonRegion || null, seasonMinimums });
+      toast.success('Season minimums updated');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update season minimums');
+    }
+  };
+
+  const handleCreateOverride = async (e) => {
+    e.preventDefault();
+    try {
+      await forecastApi.createOverride(id, {
+        ...newOverride,
+        value: parseFloat(newOverride.value),
+        startsAt: newOverride.startsAt || undefined
+      });
+      toast.success('Override added');
+      setShowOverrideModal(false);
+      setNewOverride(emptyOverride());
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add override');
+    }
+  };
+
+  const handleCancelOverride = async (overrideId) => {
+    const reason = window.prompt('Why is this override no longer needed?');
+    if (reason === null) return;
+    try {
+      await forecastApi.cancelOverride(overrideId, { reason });
+      toast.success('Override cancelled');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel override');
+    }
+  };
+
   if (loading) return <div className="page-content"><div className="loading-screen"><div className="spinner"></div></div></div>;
   if (!item) return <div className="page-content"><p>Item not found</p></div>;
 
+  const itemCalendar = calendars.find(c => c.region === (seasonSettings.seasonRegion || 'default'))
+    || calendars.find(c => c.region === 'default');
+  const calendarSeasons = itemCalendar
+    ? [{ key: itemCalendar.baseKey, name: itemCalendar.baseName }, ...itemCalendar.periods]
+    : [];
+
   const historyChartData = {
     labels: item.recentCounts?.slice().reverse().map(c => new Date(c.countDate).toLocaleDateString()) || [],
     datasets: [{
@@ -61,6 +161,28 @@ const ItemDetail = () => {
     }]
   };
 
+  // Widest confidence level returned with the forecast, drawn as a band
+  const bandLevel = forecast?.uncertainty?.confidenceLevels?.length
+    ? Math.max(...forecast.uncertainty.confidenceLevels)
+    : null;
+
+  const intervalDatasets = bandLevel ? [{
+    label: `${bandLevel}% Upper`,
+    data: forecast.predictions.map(p => p.intervals?.[bandLevel]?.projectedStockUpper),
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    backgroundColor: 'rgba(245, 158, 11, 0.15)',
+    pointRadius: 0,
+    fill: '+1',
+    tension: 0.3
+  }, {
+    label: `${bandLevel}% Lower`,
+    data: forecast.predictions.map(p => p.intervals?.[bandLevel]?.projectedStockLower),
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    pointRadius: 0,
+    fill: false,
+    tension: 0.3
+  }] : [];
+
   const forecastChartData = forecast?.predictions ? {
     labels: forecast.predictions.map(p => p.date),
     datasets: [{
@@ -69,7 +191,7 @@ const ItemDetail = () => {
       borderColor: '#f59e0b',
       borderDash: [5, 5],
       tension: 0.3
-    }, {
+    }, ...intervalDatasets, {
       label: 'Minimum',
       data: forecast.predictions.map(() => item.currentMinimum),
       borderColor: '#ef4444',
@@ -77,6 +199,55 @@ const ItemDetail = () => {
     }]
   } : null;
 
+  // Past forecasts vs actuals: one-week-ahead predictions of every snapshot,
+  // or all weeks of a single snapshot
+  const pastSnapshots = forecastHistory?.snapshots || [];
+  const selectedSnapshot = pastSnapshots.find(s => s.snapshotId === historyView);
+  const historyPoints = selectedSnapshot
+    ? selectedSnapshot.predictions
+    : pastSnapshots.map(s => s.predictions.find(p => p.week === 1)).filter(Boolean);
+
+  const pastForecastChartData = historyPoints.length > 0 ? {
+    labels: historyPoints.map(p => new Date(p.periodStart).toLocaleDateString()),
+    datasets: [{
+      label: 'Actual',
+      data: historyPoints.map(p => p.actual),
+      borderColor: '#1e3a5f',
+      backgroundColor: 'rgba(30, 58, 95, 0.1)',
+      fill: true,
+      tension: 0.3
+    }, {
+      label: 'Forecast',
+      data: historyPoints.map(p => p.predictedDemand),
+      borderColor: '#f59e0b',
+      borderDash: [5, 5],
+      tension: 0.3
+    }]
+  } : null;
+
+  const historyMetrics = selectedSnapshot ? selectedSnapshot.metrics : forecastHistory?.byHorizon?.[1];
+
+  const policy = forecast?.summary?.inventoryPolicy;
+  const policyRows = policy ? (policy.basis === 'service_level' ? [
+    ['Target service level', `${policy.serviceLevel}% (z = ${policy.zScore})`],
+    ['Avg daily demand (d)', policy.avgDailyDemand],
+    ['Daily demand std dev (σd)', policy.dailyDemandStdDev],
+    ['Lead time (L)', `${policy.leadTimeDays} days${policy.leadTimeSource === 'vendor_orders' ? ` from ${policy.leadTimeOrders} orders` : ' (item setting)'}`],
+    ['Lead time std dev (σL)', `${policy.leadTimeStdDev} days`],
+    ['Review period', `${policy.reviewPeriodDays} days`],
+    ['Demand over L + review', policy.demandDuringProtection],
+    ['Safety stock', policy.safetyStock],
+    ['Reorder point', policy.reorderPoint]
+  ] : [
+    ['Basis', 'Days of supply (not enough history for safety stock yet)'],
+    ['Avg daily demand', policy.avgDailyDemand],
+    ['Minimum', policy.minimum]
+  ]) : [];
+
+  const overridden = forecast?.summary?.overrides;
+
+  const stockoutInterval = bandLevel ? forecast.summary?.daysUntilStockoutInterval?.[bandLevel] : null;
+
   return (
     <>
       <header className="page-header">
@@ -85,6 +256,9 @@ const ItemDetail = () => {
           <div>
             <h1 className="page-title">{item.displayName || item.name}</h1>
             <span className="text-muted font-mono">{item.sku}</span>
+            {item.boardFeetPerUnit !== null && item.boardFeetPerUnit !== undefined && (
+              <span className="text-muted text-sm"> · {item.boardFeetPerUnit} BF per {(item.unitOfMeasure || 'pieces').replace(/s$/, '').replace('_', ' ')}</span>
+            )}
           </div>
         </div>
         <div className="flex gap-2">
@@ -105,21 +279,42 @@ const ItemDetail = () => {
           <div className="stat-card">
             <div className="stat-content">
               <div className="stat-value">{item.currentMinimum}</div>
-              <div className="stat-label">Minimum (Current Season)</div>
+              <div className="stat-label">
+                Minimum ({item.currentSeason?.name || 'Current Season'})
+                {overridden?.minimum && <> · overridden, model {overridden.modelValues.recommendedMin}</>}
+              </div>
             </div>
           </div>
           <div className="stat-card">
             <div className="stat-content">
               <div className="stat-value">{item.currentTarget}</div>
-              <div className="stat-label">Target</div>
+              <div className="stat-label">
+                Target
+                {(overridden?.minimum || overridden?.target) && <> · overridden, model {overridden.modelValues.recommendedTarget}</>}
+              </div>
             </div>
           </div>
           <div className="stat-card">
             <div className="stat-content">
               <div className="stat-value">{item.daysUntilStockout ?? 'N/A'}</div>
-              <div className="stat-label">Days Until Stockout</div>
+              <div className="stat-label">
+                Days Until Stockout
+                {stockoutInterval && (stockoutInterval.earliest !== null || stockoutInterval.latest !== null) && (
+                  <> ({bandLevel}%: {stockoutInterval.earliest ?? '-'}–{stockoutInterval.latest ?? '∞'})</>
+                )}
+              </div>
             </div>
           </div>
+          {forecast?.summary?.stockoutRisk && (
+            <div className="stat-card" title={`Stockout day 10/50/90%: ${forecast.summary.stockoutRisk.stockoutDay.p10 ?? '-'} / ${forecast.summary.stockoutRisk.stockoutDay.p50 ?? '-'} / ${forecast.summary.stockoutRisk.stockoutDay.p90 ?? '-'}`}>
+              <div className="stat-content">
+                <div className="stat-value">{Math.round(forecast.summary.stockoutRisk.probabilityOfStockout * 100)}%</div>
+                <div className="stat-label">
+                  Stockout Risk before next delivery (~{forecast.summary.stockoutRisk.expectedUnitsShort} short)
+                </div>
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="grid-2">
@@ -131,13 +326,245 @@ const ItemDetail = () => {
           </div>
 
           <div className="card">
-            <div className="card-header"><h3 className="card-title">Forecast ({forecast?.method})</h3></div>
+            <div className="card-header">
+              <h3 className="card-title">
+                Forecast ({forecast?.method}{forecast?.methodFallback ? `, ${forecast.requestedMethod} unavailable` : ''})
+              </h3>
+              <select className="form-select" value={item.forecastMethod || 'auto'} onChange={handleMethodChange} style={{ width: '180px' }}>
+                <option value="auto">Auto</option>
+                {methods.map(m => (
+                  <option key={m.name} value={m.name} disabled={!m.available}>{m.label}</option>
+                ))}
+              </select>
+            </div>
             {forecastChartData ? (
               <div className="chart-container">
                 <Line data={forecastChartData} options={{ maintainAspectRatio: false }} />
               </div>
             ) : <p className="text-muted">Not enough data for forecast</p>}
+            {forecast?.ensemble && (
+              <table className="mt-4">
+                <thead>
+                  <tr>
+                    <th>Component</th>
+                    <th className="text-right">Weight</th>
+                    <th className="text-right">Next 4 weeks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {forecast.ensemble.components.map(c => (
+                    <tr key={c.method}>
+                      <td>{c.method}</td>
+                      <td className="text-right font-mono">{Math.round(c.weight * 100)}%</td>
+                      <td className="text-right font-mono">{Math.round(c.values.slice(0, 4).reduce((sum, v) => sum + v, 0) * 100) / 100}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {forecast?.ensemble && (
+              <p className="text-sm text-muted">
+                {forecast.ensemble.basis === 'backtest'
+                  ? `Weights from backtest error, ${new Date(forecast.ensemble.calculatedAt).toLocaleDateString()}`
+                  : 'Equal weights until the next retrain learns them from backtest error'}
+              </p>
+            )}
+            {forecast?.coldStart && (
+              <p className="text-sm text-muted mt-4">
+                New item: {forecast.coldStart.borrowedWeeks} weeks borrowed from{' '}
+                {forecast.coldStart.analogs.map((analog, i) => (
+                  <React.Fragment key={analog.itemId}>
+                    {i > 0 && ', '}
+                    <Link to={`/inventory/${analog.itemId}`}>{analog.name}</Link> ({Math.round(analog.weight * 100)}%)
+                  </React.Fragment>
+                ))}
+                {forecast.coldStart.levelScale !== 1 && <>, scaled ×{forecast.coldStart.levelScale} to this item's own {forecast.coldStart.ownWeeks} weeks</>}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="card mt-4">
+          <div className="card-header">
+            <h3 className="card-title">Safety Stock &amp; Reorder Point</h3>
+            <select className="form-select" value={item.serviceLevel ?? ''} onChange={handleServiceLevelChange} style={{ width: '180px' }}>
+              <option value="">Category default</option>
+              {[85, 90, 92, 95, 97.5, 99].map(level => (
+                <option key={level} value={level}>{level}% service level</option>
+              ))}
+            </select>
+          </div>
+          {policyRows.length > 0 ? (
+            <table>
+              <tbody>
+                {policyRows.map(([label, value]) => (
+                  <tr key={label}>
+                    <td className="text-muted">{label}</td>
+                    <td className="text-right font-mono">{value ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <p className="text-muted">Not enough data for forecast</p>}
+        </div>
+
+        <div className="card mt-4">
+          <div className="card-header">
+            <h3 className="card-title">
+              Forecast Overrides
+              {overridden?.demandWeeks?.length > 0 && (
+                <span className="text-muted text-sm"> (demand overridden in weeks {overridden.demandWeeks.join(', ')})</span>
+              )}
+            </h3>
+            <button className="btn btn-sm btn-secondary" onClick={() => setShowOverrideModal(true)}><FiEdit /> Override</button>
+          </div>
+          {overrides.length > 0 ? (
+            <table>
+              <thead>
+                <tr><th>Field</th><th>Change</th><th>From</th><th>Until</th><th>Reason</th><th>By</th><th>State</th><th></th></tr>
+              </thead>
+              <tbody>
+                {overrides.map(override => (
+                  <tr key={override._id}>
+                    <td>{OVERRIDE_FIELDS[override.field]}</td>
+                    <td className="font-mono">{describeOverrideChange(override)}</td>
+                    <td>{new Date(override.startsAt).toLocaleDateString()}</td>
+                    <td>{new Date(override.expiresAt).toLocaleDateString()}</td>
+                    <td title={override.cancelReason ? `Cancelled: ${override.cancelReason}` : undefined}>{override.reason}</td>
+                    <td className="text-sm">
+                      {override.createdBy?.name || '-'} on {new Date(override.createdAt).toLocaleDateString()}
+                      {override.cancelledAt && <div className="text-muted">cancelled by {override.cancelledBy?.name || '-'}</div>}
+                    </td>
+                    <td><span className={`badge ${OVERRIDE_STATES[override.state]}`}>{override.state}</span></td>
+                    <td>
+                      {(override.state === 'active' || override.state === 'scheduled') && (
+                        <button className="btn btn-sm btn-secondary" onClick={() => handleCancelOverride(override._id)}>Cancel</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <p className="text-muted">No overrides. Forecast values come from the model.</p>}
+        </div>
+
+        {forecast?.summary?.openOrders?.length > 0 && (
+          <div className="card mt-4">
+            <div className="card-header">
+              <h3 className="card-title">On Order ({forecast.summary.onOrder} units)</h3>
+            </div>
+            <table>
+              <thead>
+                <tr><th>Order</th><th>Vendor</th><th>Status</th><th>Expected</th><th className="text-right">Quantity</th></tr>
+              </thead>
+              <tbody>
+                {forecast.summary.openOrders.map(order => (
+                  <tr key={order.orderId}>
+                    <td className="font-mono">{order.orderNumber}</td>
+                    <td>{order.vendor?.name || '-'}</td>
+                    <td><span className="badge badge-neutral">{order.status}</span></td>
+                    <td className={order.overdue ? 'text-danger' : ''}>
+                      {order.expectedDeliveryDate}
+                      {order.overdue ? ' (overdue)' : order.estimated ? ' (est.)' : ''}
+                    </td>
+                    <td className="text-right font-mono">{order.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {itemCalendar && (
+          <div className="card mt-4">
+            <div className="card-header">
+              <h3 className="card-title">Season Minimums</h3>
+              <div className="flex gap-2">
+                <select
+                  className="form-select"
+                  value={seasonSettings.seasonRegion}
+                  onChange={e => setSeasonSettings({ ...seasonSettings, seasonRegion: e.target.value })}
+                  style={{ width: '180px' }}
+                >
+                  <option value="">Default calendar</option>
+                  {calendars.filter(c => c.region !== 'default').map(c => (
+                    <option key={c.region} value={c.region}>{c.name || c.region}</option>
+                  ))}
+                </select>
+                <button className="btn btn-sm btn-secondary" onClick={handleSaveSeasonMinimums}>Save</button>
+              </div>
+            </div>
+            <p className="text-sm text-muted mb-4">
+              Leave a season blank to use the winter ({item.minimums?.winter}) / summer ({item.minimums?.summer}) minimums.
+            </p>
+            <div className="grid-3">
+              {calendarSeasons.map(season => (
+                <div className="form-group" key={season.key}>
+                  <label className="form-label">
+                    {season.name}{item.currentSeason?.key === season.key ? ' (current)' : ''}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-input"
+                    value={seasonSettings.seasonMinimums[season.key] ?? ''}
+                    onChange={e => setSeasonSettings({
+                      ...seasonSettings,
+                      seasonMinimums: { ...seasonSettings.seasonMinimums, [season.key]: e.target.value }
+                    })}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {forecast?.summary?.plannedDemand?.jobs?.length > 0 && (
+          <div className="card mt-4">
+            <div className="card-header">
+              <h3 className="card-title">Planned Jobs ({forecast.summary.plannedDemand.total} units expected)</h3>
+            </div>
+            <table>
+              <thead>
+                <tr><th>Customer</th><th>Job</th><th>Needed By</th><th className="text-right">Quantity</th><th className="text-right">Confidence</th></tr>
+              </thead>
+              <tbody>
+                {forecast.summary.plannedDemand.jobs.map(job => (
+                  <tr key={job.id}>
+                    <td>{job.customer}</td>
+                    <td>{job.job || '-'}</td>
+                    <td>{job.neededBy}</td>
+                    <td className="text-right font-mono">{job.quantity}</td>
+                    <td className="text-right font-mono">{job.confidence}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="card mt-4">
+          <div className="card-header">
+            <h3 className="card-title">
+              Past Forecasts vs Actual
+              {historyMetrics?.count > 0 && (
+                <span className="text-muted text-sm"> (MAE {historyMetrics.mae}, WAPE {historyMetrics.wape ?? '-'}%)</span>
+              )}
+            </h3>
+            <select className="form-select" value={historyView} onChange={e => setHistoryView(e.target.value)} style={{ width: '220px' }}>
+              <option value="week1">1-week-ahead, all forecasts</option>
+              {pastSnapshots.slice().reverse().map(s => (
+                <option key={s.snapshotId} value={s.snapshotId}>
+                  {new Date(s.forecastDate).toLocaleDateString()} ({s.method})
+                </option>
+              ))}
+            </select>
           </div>
+          {pastForecastChartData ? (
+            <div className="chart-container">
+              <Line data={pastForecastChartData} options={{ maintainAspectRatio: false, spanGaps: true }} />
+            </div>
+          ) : <p className="text-muted">No past forecasts stored yet. Snapshots are saved with each weekly forecast update.</p>}
         </div>
 
         <div className="card mt-4">
@@ -188,6 +615,60 @@ const ItemDetail = () => {
           </div>
         </div>
       )}
+
+      {showOverrideModal && (
+        <div className="modal-overlay" onClick={() => setShowOverrideModal(false)}>
+          <div className="modal" style={{ maxWidth: '500px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3 className="modal-title">Override Forecast</h3>
+              <button className="modal-close" onClick={() => setShowOverrideModal(false)}>&times;</button>
+            </div>
+            <form onSubmit={handleCreateOverride}>
+              <div className="modal-body">
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label className="form-label">Field</label>
+                    <select className="form-select" value={newOverride.field} onChange={e => setNewOverride({...newOverride, field: e.target.value})}>
+                      {Object.entries(OVERRIDE_FIELDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Change</label>
+                    <select className="form-select" value={newOverride.mode} onChange={e => setNewOverride({...newOverride, mode: e.target.value})}>
+                      <option value="multiply">Multiply model value</option>
+                      <option value="absolute">Set value</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">
+                    {newOverride.mode === 'multiply' ? 'Multiplier (e.g. 1.3 = +30%)' : `Value${newOverride.field === 'demand' ? ' (units per week)' : ' (units)'}`}
+                  </label>
+                  <input type="number" step="any" min="0" className="form-input" value={newOverride.value} onChange={e => setNewOverride({...newOverride, value: e.target.value})} required />
+                </div>
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label className="form-label">Starts</label>
+                    <input type="date" className="form-input" value={newOverride.startsAt} onChange={e => setNewOverride({...newOverride, startsAt: e.target.value})} />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Expires</label>
+                    <input type="date" className="form-input" value={newOverride.expiresAt} onChange={e => setNewOverride({...newOverride, expiresAt: e.target.value})} required />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Reason</label>
+                  <input className="form-input" value={newOverride.reason} onChange={e => setNewOverride({...newOverride, reason: e.target.value})} placeholder="e.g. Competitor closing in March" required />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowOverrideModal(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Save Override</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </>
   );
 };
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { FiPlus, FiCalendar, FiPackage, FiCheckCircle } from 'react-icons/fi';
+import { plannedDemandApi, inventoryApi } from '../services/api';
+import { toast } from 'react-toastify';
+
+const emptyJob = () => ({
+  customer: '', job: '', neededBy: '', confidence: 100, notes: '',
+  items: [{ item: '', quantity: 1 }]
+});
+
+const PlannedDemand = () => {
+  const [jobs, setJobs] = useState([]);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('planned');
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyJob());
+
+  useEffect(() => { fetchData(); }, [filter]);
+
+  const fetchData = async () => {
+    try {
+      const params = filter ? { status: filter } : {};
+      const [jobsRes, itemsRes] = await Promise.all([
+        plannedDemandApi.getAll(params),
+        inventoryApi.getAll({ limit: 100 })
+      ]);
+      setJobs(jobsRes.data.data);
+      setItems(itemsRes.data.data);
+    } catch (error) {
+      toast.error('Failed to load planned demand');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyJob());
+    setShowModal(true);
+  };
+
+  const openEdit = (job) => {
+    setEditingId(job._id);
+    setForm({
+      customer: job.customer,
+      job: job.job || '',
+      neededBy: job.neededBy.split('T')[0],
+      confidence: job.confidence,
+      notes: job.notes || '',
+      items: job.items.map(line => ({ item: line.item?._id || line.item, quantity: line.quantity }))
+    });
+    setShowModal(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await plannedDemandApi.update(editingId, form);
+        toast.success('Job updated');
+      } else {
+        await plannedDemandApi.create(form);
+        toast.success('Job added');
+      }
+      setShowModal(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save job');
+    }
+  };
+
+  const handleStatusUpdate = async (id, status) => {
+    try {
+      await plannedDemandApi.update(id, { status });
+      toast.success(`Job ${status}`);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update');
+    }
+  };
+
+  const getStatusBadge = (s) => ({
+    planned: 'badge-info', fulfilled: 'badge-success', cancelled: 'badge-neutral'
+  }[s] || 'badge-neutral');
+
+  const updateLine = (i, field, value) => {
+    const lines = [...form.items];
+    lines[i] = { ...lines[i], [field]: value };
+    setForm({ ...form, items: lines });
+  };
+
+  const addItemRow = () => setForm({ ...form, items: [...form.items, { item: '', quantity: 1 }] });
+  const removeItemRow = (i) => setForm({ ...form, items: form.items.filter((_, index) => index !== i) });
+
+  const upcoming = jobs.filter(j => j.status === 'planned' && new Date(j.neededBy) >= new Date());
+  const nextFourWeeks = upcoming.filter(j => new Date(j.neededBy) <= new Date(Date.now() + 28 * 24 * 60 * 60 * 1000));
+
+  return (
+    <>
+      <header className="page-header">
+        <h1 className="page-title">Planned Demand</h1>
+        <button className="btn btn-primary" onClick={openCreate}><FiPlus /> Add Job</button>
+      </header>
+
+      <div className="page-content">
+        <div className="stats-grid">
+          <div className="stat-card">
+            <div className="stat-icon primary"><FiCalendar /></div>
+            <div className="stat-content">
+              <div className="stat-value">{upcoming.length}</div>
+              <div className="stat-label">Upcoming Jobs</div>
+            </div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon warning"><FiPackage /></div>
+            <div className="stat-content">
+              <div className="stat-value">{nextFourWeeks.length}</div>
+              <div className="stat-label">Needed in 4 Weeks</div>
+            </div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon success"><FiCheckCircle /></div>
+            <div className="stat-content">
+              <div className="stat-value">{jobs.filter(j => j.status === 'fulfilled').length}</div>
+              <div className="stat-label">Fulfilled</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Contractor Jobs</h3>
+            <select className="form-select" value={filter} onChange={(e) => setFilter(e.target.value)} style={{ width: '150px' }}>
+              <option value="">All Status</option>
+              <option value="planned">Planned</option>
+              <option value="fulfilled">Fulfilled</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+          <p className="text-sm text-muted mb-4">
+            Forecasts add each planned job's quantity × confidence to the week it is needed by, and consumption for these jobs is not flagged as a spike.
+          </p>
+          {loading ? <div className="spinner"></div> : jobs.length === 0 ? (
+            <p className="text-muted">No jobs</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Customer</th>
+                  <th>Job</th>
+                  <th>Items</th>
+                  <th>Needed By</th>
+                  <th className="text-right">Confidence</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <tr key={job._id}>
+                    <td>{job.customer}</td>
+                    <td>{job.job || '-'}</td>
+                    <td className="text-sm">
+                      {job.items.map((line, i) => (
+                        <div key={i}>{line.quantity} × {line.item?.displayName || line.item?.name || 'Unknown item'}</div>
+                      ))}
+                    </td>
+                    <td>{new Date(job.neededBy).toLocaleDateString()}</td>
+                    <td className="text-right font-mono">{job.confidence}%</td>
+                    <td><span className={`badge ${getStatusBadge(job.status)}`}>{job.status}</span></td>
+                    <td>
+                      <div className="flex gap-2">
+                        <button className="btn btn-sm btn-secondary" onClick={() => openEdit(job)}>Edit</button>
+                        {job.status === 'planned' && (
+                          <>
+                            <button className="btn btn-sm btn-success" onClick={() => handleStatusUpdate(job._id, 'fulfilled')}>Fulfilled</button>
+                            <button className="btn btn-sm btn-secondary" onClick={() => handleStatusUpdate(job._id, 'cancelled')}>Cancel</button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal" style={{ maxWidth: '600px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3 className="modal-title">{editingId ? 'Edit Job' : 'Add Job'}</h3>
+              <button className="modal-close" onClick={() => setShowModal(false)}>&times;</button>
+            </div>
+            <form onSubmit={handleSave}>
+              <div className="modal-body">
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label className="form-label">Customer</label>
+                    <input className="form-input" value={form.customer} onChange={e => setForm({...form, customer: e.target.value})} required />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Job</label>
+                    <input className="form-input" value={form.job} onChange={e => setForm({...form, job: e.target.value})} placeholder="e.g. Lot 12 framing" />
+                  </div>
+                </div>
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label className="form-label">Needed By</label>
+                    <input type="date" className="form-input" value={form.neededBy} onChange={e => setForm({...form, neededBy: e.target.value})} required />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Confidence (%)</label>
+                    <input type="number" className="form-input" value={form.confidence} onChange={e => setForm({...form, confidence: parseInt(e.target.value)})} min="1" max="100" required />
+                  </div>
+                </div>
+                <label className="form-label">Items</label>
+                {form.items.map((line, i) => (
+                  <div key={i} className="flex gap-2 mb-2">
+                    <select className="form-select" style={{ flex: 2 }} value={line.item} onChange={e => updateLine(i, 'item', e.target.value)} required>
+                      <option value="">Select item...</option>
+                      {items.map(it => <option key={it._id} value={it._id}>{it.name}</option>)}
+                    </select>
+                    <input type="number" className="form-input" style={{ flex: 1 }} placeholder="Qty" value={line.quantity} onChange={e => updateLine(i, 'quantity', parseFloat(e.target.value))} min="1" required />
+                    {form.items.length > 1 && (
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => removeItemRow(i)}>&times;</button>
+                    )}
+                  </div>
+                ))}
+                <button type="button" className="btn btn-secondary btn-sm mb-4" onClick={addItemRow}>+ Add Item</button>
+                <div className="form-group">
+                  <label className="form-label">Notes</label>
+                  <input className="form-input" value={form.notes} onChange={e => setForm({...form, notes: e.target.value})} />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">{editingId ? 'Save Job' : 'Add Job'}</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PlannedDemand;
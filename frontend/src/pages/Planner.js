@@ -0,0 +1,429 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { FiPlay, FiSave, FiTrash2, FiPlus, FiX } from 'react-icons/fi';
+import { scenarioApi, inventoryApi, vendorApi } from '../services/api';
+import { toast } from 'react-toastify';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend);
+
+const CATEGORIES = ['dimensional', 'plywood', 'specialty', 'treated', 'composite', 'other'];
+
+const emptyScenario = {
+  name: '',
+  description: '',
+  weeks: 12,
+  adjustments: {
+    demandUplifts: [],
+    leadTimeOverrides: [],
+    seasonShift: { startWeeks: 0, endWeeks: 0 }
+  }
+};
+
+// Uplift target as one select value: '' (all items), 'category:x' or 'item:id'
+const upliftTarget = (uplift) => (
+  uplift.item ? `item:${uplift.item}` : uplift.category ? `category:${uplift.category}` : ''
+);
+
+const Planner = () => {
+  const [scenarios, setScenarios] = useState([]);
+  const [items, setItems] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [scenario, setScenario] = useState(emptyScenario);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => { fetchData(); }, []);
+
+  const fetchData = async () => {
+    try {
+      const [scenariosRes, itemsRes, vendorsRes] = await Promise.all([
+        scenarioApi.getAll(),
+        inventoryApi.getAll({ limit: 500, sortBy: 'name', order: 'asc' }),
+        vendorApi.getAll({ active: true })
+      ]);
+      setScenarios(scenariosRes.data.data);
+      setItems(itemsRes.data.data);
+      setVendors(vendorsRes.data.data);
+    } catch (error) {
+      toast.error('Failed to load planner data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectScenario = (id) => {
+    setSelectedId(id);
+    setResult(null);
+    const saved = scenarios.find(s => s._id === id);
+    setScenario(saved ? {
+      name: saved.name,
+      description: saved.description || '',
+      weeks: saved.weeks,
+      adjustments: {
+        demandUplifts: saved.adjustments?.demandUplifts || [],
+        leadTimeOverrides: saved.adjustments?.leadTimeOverrides || [],
+        seasonShift: saved.adjustments?.seasonShift || { startWeeks: 0, endWeeks: 0 }
+      }
+    } : emptyScenario);
+  };
+
+  const setAdjustments = (changes) => {
+    setScenario({ ...scenario, adjustments: { ...scenario.adjustments, ...changes } });
+  };
+
+  const updateUplift = (index, changes) => {
+    const demandUplifts = scenario.adjustments.demandUplifts.map((u, i) => (i === index ? { ...u, ...changes } : u));
+    setAdjustments({ demandUplifts });
+  };
+
+  const setUpliftTarget = (index, value) => {
+    const [kind, id] = value.split(':');
+    updateUplift(index, {
+      item: kind === 'item' ? id : undefined,
+      category: kind === 'category' ? id : undefined
+    });
+  };
+
+  const updateOverride = (index, changes) => {
+    const leadTimeOverrides = scenario.adjustments.leadTimeOverrides.map((o, i) => (i === index ? { ...o, ...changes } : o));
+    setAdjustments({ leadTimeOverrides });
+  };
+
+  const removeAt = (key, index) => {
+    setAdjustments({ [key]: scenario.adjustments[key].filter((_, i) => i !== index) });
+  };
+
+  // Numbers from the inputs; lead-time overrides use either days or a multiplier
+  const buildPayload = () => ({
+    name: scenario.name,
+    description: scenario.description,
+    weeks: parseInt(scenario.weeks),
+    adjustments: {
+      demandUplifts: scenario.adjustments.demandUplifts.map(u => ({
+        ...(u.item && { item: u.item }),
+        ...(u.category && { category: u.category }),
+        percent: parseFloat(u.percent)
+      })),
+      leadTimeOverrides: scenario.adjustments.leadTimeOverrides.map(o => ({
+        vendor: o.vendor,
+        ...(o.mode === 'days' || (o.mode === undefined && o.leadTimeDays)
+          ? { leadTimeDays: parseFloat(o.leadTimeDays) }
+          : { multiplier: parseFloat(o.multiplier) })
+      })),
+      seasonShift: {
+        startWeeks: parseInt(scenario.adjustments.seasonShift.startWeeks) || 0,
+        endWeeks: parseInt(scenario.adjustments.seasonShift.endWeeks) || 0
+      }
+    }
+  });
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const res = await scenarioApi.run(buildPayload());
+      setResult(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Scenario run failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!scenario.name) return toast.error('Give the scenario a name first');
+    try {
+      const res = selectedId
+        ? await scenarioApi.update(selectedId, buildPayload())
+        : await scenarioApi.create(buildPayload());
+      toast.success('Scenario saved');
+      const scenariosRes = await scenarioApi.getAll();
+      setScenarios(scenariosRes.data.data);
+      setSelectedId(res.data.data._id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save scenario');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    try {
+      await scenarioApi.delete(selectedId);
+      toast.success('Scenario deleted');
+      setScenarios(scenarios.filter(s => s._id !== selectedId));
+      selectScenario('');
+    } catch (error) {
+      toast.error('Failed to delete scenario');
+    }
+  };
+
+  const formatChange = (value, prefix = '') => {
+    if (value === null || value === undefined) return '-';
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    return `${sign}${prefix}${Math.abs(value).toLocaleString()}`;
+  };
+
+  const changeClass = (value, higherIsWorse = true) => {
+    if (!value) return '';
+    return (value > 0) === higherIsWorse ? 'text-danger' : 'text-success';
+  };
+
+  const spendChartData = result && {
+    labels: result.scenario.byWeek.map(w => w.periodStart),
+    datasets: [
+      {
+        type: 'bar',
+        label: 'Baseline spend',
+        data: result.baseline.byWeek.map(w => w.spend),
+        backgroundColor: 'rgba(148, 163, 184, 0.6)',
+        yAxisID: 'y'
+      },
+      {
+        type: 'bar',
+        label: 'Scenario spend',
+        data: result.scenario.byWeek.map(w => w.spend),
+        backgroundColor: 'rgba(37, 99, 235, 0.7)',
+        yAxisID: 'y'
+      },
+      {
+        type: 'line',
+        label: 'Baseline items out',
+        data: result.baseline.byWeek.map(w => w.itemsOut),
+        borderColor: '#94a3b8',
+        borderDash: [5, 5],
+        yAxisID: 'y1'
+      },
+      {
+        type: 'line',
+        label: 'Scenario items out',
+        data: result.scenario.byWeek.map(w => w.itemsOut),
+        borderColor: '#dc2626',
+        yAxisID: 'y1'
+      }
+    ]
+  };
+
+  const totalRows = result ? [
+    ['Items with a stockout', 'itemsWithStockout', ''],
+    ['Stockout item-weeks', 'stockoutWeeks', ''],
+    ['Lost demand (units)', 'shortage', ''],
+    ['Orders', 'orders', ''],
+    ['Units ordered', 'orderQty', ''],
+    ['Spend', 'spend', '$']
+  ] : [];
+
+  if (loading) return <div className="page-content"><div className="spinner"></div></div>;
+
+  return (
+    <>
+      <header className="page-header">
+        <h1 className="page-title">Scenario Planner</h1>
+        <div className="flex gap-2">
+          <select className="form-select" value={selectedId} onChange={e => selectScenario(e.target.value)} style={{ width: '220px' }}>
+            <option value="">New scenario</option>
+            {scenarios.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+          </select>
+          {selectedId && (
+            <button className="btn btn-secondary" onClick={handleDelete}><FiTrash2 /> Delete</button>
+          )}
+          <button className="btn btn-secondary" onClick={handleSave}><FiSave /> Save</button>
+          <button className="btn btn-primary" onClick={handleRun} disabled={running}>
+            <FiPlay /> {running ? 'Running...' : 'Run'}
+          </button>
+        </div>
+      </header>
+
+      <div className="page-content">
+        <div className="grid-2">
+          <div className="card">
+            <div className="card-header"><h3 className="card-title">Scenario</h3></div>
+            <div className="form-group">
+              <label className="form-label">Name</label>
+              <input className="form-input" value={scenario.name} onChange={e => setScenario({ ...scenario, name: e.target.value })} placeholder="Early spring" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Description</label>
+              <input className="form-input" value={scenario.description} onChange={e => setScenario({ ...scenario, description: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Horizon (weeks)</label>
+              <input type="number" min="1" max="52" className="form-input" value={scenario.weeks} onChange={e => setScenario({ ...scenario, weeks: e.target.value })} />
+            </div>
+            <div className="grid-2">
+              <div className="form-group">
+                <label className="form-label">Busy season starts (weeks, - = earlier)</label>
+                <input type="number" min="-12" max="12" className="form-input" value={scenario.adjustments.seasonShift.startWeeks}
+                  onChange={e => setAdjustments({ seasonShift: { ...scenario.adjustments.seasonShift, startWeeks: e.target.value } })} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Busy season ends (weeks, - = earlier)</label>
+                <input type="number" min="-12" max="12" className="form-input" value={scenario.adjustments.seasonShift.endWeeks}
+                  onChange={e => setAdjustments({ seasonShift: { ...scenario.adjustments.seasonShift, endWeeks: e.target.value } })} />
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">Demand Uplifts</h3>
+              <button className="btn btn-secondary" onClick={() => setAdjustments({ demandUplifts: [...scenario.adjustments.demandUplifts, { percent: 10 }] })}>
+                <FiPlus /> Add
+              </button>
+            </div>
+            {scenario.adjustments.demandUplifts.length === 0 && <p className="text-muted">No demand changes</p>}
+            {scenario.adjustments.demandUplifts.map((uplift, i) => (
+              <div key={i} className="flex gap-2 items-center mb-2">
+                <select className="form-select" value={upliftTarget(uplift)} onChange={e => setUpliftTarget(i, e.target.value)}>
+                  <option value="">All items</option>
+                  <optgroup label="Category">
+                    {CATEGORIES.map(c => <option key={c} value={`category:${c}`}>{c}</option>)}
+                  </optgroup>
+                  <optgroup label="Item">
+                    {items.map(item => <option key={item._id} value={`item:${item._id}`}>{item.sku} - {item.displayName || item.name}</option>)}
+                  </optgroup>
+                </select>
+                <input type="number" className="form-input" style={{ width: '100px' }} value={uplift.percent} onChange={e => updateUplift(i, { percent: e.target.value })} />
+                <span className="text-muted">%</span>
+                <button className="btn btn-icon" onClick={() => removeAt('demandUplifts', i)}><FiX /></button>
+              </div>
+            ))}
+
+            <div className="card-header mt-4">
+              <h3 className="card-title">Vendor Lead Times</h3>
+              <button className="btn btn-secondary" onClick={() => setAdjustments({ leadTimeOverrides: [...scenario.adjustments.leadTimeOverrides, { vendor: vendors[0]?._id || '', mode: 'multiplier', multiplier: 2 }] })}>
+                <FiPlus /> Add
+              </button>
+            </div>
+            {scenario.adjustments.leadTimeOverrides.length === 0 && <p className="text-muted">No lead time changes</p>}
+            {scenario.adjustments.leadTimeOverrides.map((override, i) => {
+              const mode = override.mode || (override.leadTimeDays ? 'days' : 'multiplier');
+              return (
+                <div key={i} className="flex gap-2 items-center mb-2">
+                  <select className="form-select" value={override.vendor} onChange={e => updateOverride(i, { vendor: e.target.value })}>
+                    {vendors.map(v => <option key={v._id} value={v._id}>{v.name} ({v.metrics?.avgLeadTime || 7} days)</option>)}
+                  </select>
+                  <select className="form-select" style={{ width: '120px' }} value={mode} onChange={e => updateOverride(i, { mode: e.target.value })}>
+                    <option value="multiplier">× current</option>
+                    <option value="days">days</option>
+                  </select>
+                  <input type="number" step="0.1" min="0.1" className="form-input" style={{ width: '100px' }}
+                    value={mode === 'days' ? override.leadTimeDays ?? '' : override.multiplier ?? ''}
+                    onChange={e => updateOverride(i, mode === 'days' ? { leadTimeDays: e.target.value } : { multiplier: e.target.value })} />
+                  <button className="btn btn-icon" onClick={() => removeAt('leadTimeOverrides', i)}><FiX /></button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {result && (
+          <>
+            <div className="card mt-4">
+              <div className="card-header">
+                <h3 className="card-title">Result ({result.weeks} weeks)</h3>
+                {result.skipped.length > 0 && <span className="text-muted text-sm">{result.skipped.length} item(s) skipped</span>}
+              </div>
+              <table>
+                <thead>
+                  <tr><th></th><th className="text-right">Baseline</th><th className="text-right">Scenario</th><th className="text-right">Change</th></tr>
+                </thead>
+                <tbody>
+                  {totalRows.map(([label, key, prefix]) => (
+                    <tr key={key}>
+                      <td>{label}</td>
+                      <td className="text-right font-mono">{prefix}{result.baseline.totals[key].toLocaleString()}</td>
+                      <td className="text-right font-mono">{prefix}{result.scenario.totals[key].toLocaleString()}</td>
+                      <td className={`text-right font-mono ${changeClass(result.change.totals[key], key !== 'orders' && key !== 'orderQty')}`}>
+                        {formatChange(result.change.totals[key], prefix)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {result.scenario.totals.unpricedItems > 0 && (
+                <p className="text-muted text-sm mt-2">{result.scenario.totals.unpricedItems} item(s) have no vendor or order price and are left out of spend.</p>
+              )}
+            </div>
+
+            <div className="card mt-4">
+              <div className="card-header"><h3 className="card-title">Spend and Stockouts by Week</h3></div>
+              <div className="chart-container">
+                <Bar data={spendChartData} options={{
+                  maintainAspectRatio: false,
+                  scales: {
+                    y: { position: 'left', title: { display: true, text: 'Spend ($)' } },
+                    y1: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Items out of stock' } }
+                  }
+                }} />
+              </div>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Week of</th>
+                    <th className="text-right">Items out</th>
+                    <th className="text-right">Orders</th>
+                    <th className="text-right">Units ordered</th>
+                    <th className="text-right">Spend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.scenario.byWeek.map((week, i) => {
+                    const change = result.change.byWeek[i];
+                    return (
+                      <tr key={week.week}>
+                        <td>{week.periodStart}</td>
+                        <td className="text-right font-mono">{week.itemsOut} <span className={changeClass(change.itemsOut)}>({formatChange(change.itemsOut)})</span></td>
+                        <td className="text-right font-mono">{week.orders} <span className="text-muted">({formatChange(change.orders)})</span></td>
+                        <td className="text-right font-mono">{week.orderQty} <span className="text-muted">({formatChange(change.orderQty)})</span></td>
+                        <td className="text-right font-mono">${week.spend.toLocaleString()} <span className="text-muted">({formatChange(change.spend, '$')})</span></td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="card mt-4">
+              <div className="card-header"><h3 className="card-title">Items</h3></div>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th className="text-right">Demand</th>
+                    <th className="text-right">Lead Time</th>
+                    <th className="text-right">First Stockout (week)</th>
+                    <th className="text-right">Stockout Weeks</th>
+                    <th className="text-right">Spend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.items.slice(0, 50).map(row => (
+                    <tr key={row.item.id}>
+                      <td><Link to={`/inventory/${row.item.id}`}>{row.item.name}</Link> <span className="text-muted font-mono text-sm">{row.item.sku}</span></td>
+                      <td className="text-right font-mono">{row.demandMultiplier === 1 ? '-' : `×${row.demandMultiplier}`}</td>
+                      <td className="text-right font-mono">
+                        {row.leadTimeDays.baseline === row.leadTimeDays.scenario
+                          ? `${row.leadTimeDays.baseline} days`
+                          : `${row.leadTimeDays.baseline} → ${row.leadTimeDays.scenario} days`}
+                      </td>
+                      <td className="text-right font-mono">{row.baseline.firstStockoutWeek ?? '-'} → {row.scenario.firstStockoutWeek ?? '-'}</td>
+                      <td className={`text-right font-mono ${changeClass(row.change.stockoutWeeks)}`}>
+                        {row.scenario.stockoutWeeks} ({formatChange(row.change.stockoutWeeks)})
+                      </td>
+                      <td className="text-right font-mono">${row.scenario.spend.toLocaleString()} ({formatChange(row.change.spend, '$')})</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Planner;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { FiSave, FiTrash2, FiPlus, FiX } from 'react-icons/fi';
+import { seasonCalendarApi } from '../services/api';
+import { toast } from 'react-toastify';
+
+ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend, Filler);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PERIOD_TYPES = { regular: 'Regular', shoulder: 'Shoulder', shutdown: 'Shutdown' };
+
+const emptyPeriod = () => ({
+  key: '', name: '', type: 'regular',
+  startMonth: 1, startDay: 1, endMonth: 1, endDay: 31,
+  demandFactor: 1, rampDays: 0, minimumBuffer: 0
+});
+
+const Seasons = () => {
+  const [calendars, setCalendars] = useState([]);
+  const [region, setRegion] = useState('default');
+  const [calendar, setCalendar] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [newRegion, setNewRegion] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => { fetchCalendars(); }, []);
+  useEffect(() => { fetchPreview(); }, [region, calendars]);
+
+  const fetchCalendars = async (selectRegion = region) => {
+    try {
+      const res = await seasonCalendarApi.getAll();
+      setCalendars(res.data.data);
+      const selected = res.data.data.find(c => c.region === selectRegion) || res.data.data[0];
+      setRegion(selected.region);
+      setCalendar(JSON.parse(JSON.stringify(selected)));
+    } catch (error) {
+      toast.error('Failed to load season calendars');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPreview = async () => {
+    if (!calendars.some(c => c.region === region)) return setPreview(null);
+    try {
+      const res = await seasonCalendarApi.preview(region);
+      setPreview(res.data.data);
+    } catch (error) {
+      setPreview(null);
+    }
+  };
+
+  const selectRegion = (value) => {
+    const selected = calendars.find(c => c.region === value);
+    setRegion(value);
+    setCalendar(JSON.parse(JSON.stringify(selected)));
+  };
+
+  const addRegion = () => {
+    const value = newRegion.trim().toLowerCase();
+    if (!value) return;
+    if (calendars.some(c => c.region === value)) return selectRegion(value);
+
+    const base = calendars.find(c => c.region === 'default');
+    const copy = { ...JSON.parse(JSON.stringify(base)), region: value, name: value, fromSettings: false, _id: undefined };
+    setCalendars([...calendars, copy]);
+    setRegion(value);
+    setCalendar(copy);
+    setNewRegion('');
+  };
+
+  const updatePeriod = (i, field, value) => {
+    const periods = [...calendar.periods];
+    periods[i] = { ...periods[i], [field]: value };
+    setCalendar({ ...calendar, periods });
+  };
+
+  const handleSave = async () => {
+    try {
+      await seasonCalendarApi.save(region, calendar);
+      toast.success('Season calendar saved');
+      fetchCalendars(region);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save calendar');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${region} calendar?`)) return;
+    try {
+      await seasonCalendarApi.delete(region);
+      toast.success('Season calendar deleted');
+      fetchCalendars('default');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete calendar');
+    }
+  };
+
+  if (loading || !calendar) return <div className="page-content"><div className="loading-screen"><div className="spinner"></div></div></div>;
+
+  const numberInput = (i, field, props = {}) => (
+    <input type="number" className="form-input" value={calendar.periods[i][field]}
+      onChange={e => updatePeriod(i, field, parseFloat(e.target.value))} {...props} />
+  );
+
+  const monthSelect = (i, field) => (
+    <select className="form-select" value={calendar.periods[i][field]} onChange={e => updatePeriod(i, field, parseInt(e.target.value))}>
+      {MONTHS.map((month, m) => <option key={month} value={m + 1}>{month}</option>)}
+    </select>
+  );
+
+  const previewChartData = preview ? {
+    labels: preview.weeks.map(w => w.date),
+    datasets: [{
+      label: 'Demand level',
+      data: preview.weeks.map(w => w.level),
+      borderColor: '#1e3a5f',
+      backgroundColor: 'rgba(30, 58, 95, 0.1)',
+      fill: true,
+      tension: 0.1
+    }]
+  } : null;
+
+  return (
+    <>
+      <header className="page-header">
+        <h1 className="page-title">Season Calendar</h1>
+        <div className="flex gap-2">
+          {!calendar.fromSettings && calendar._id && (
+            <button className="btn btn-secondary" onClick={handleDelete}><FiTrash2 /> Delete</button>
+          )}
+          <button className="btn btn-primary" onClick={handleSave}><FiSave /> Save</button>
+        </div>
+      </header>
+
+      <div className="page-content">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Region</h3>
+            <div className="flex gap-2">
+              <select className="form-select" value={region} onChange={e => selectRegion(e.target.value)} style={{ width: '180px' }}>
+                {calendars.map(c => <option key={c.region} value={c.region}>{c.region}</option>)}
+              </select>
+              <input className="form-input" value={newRegion} onChange={e => setNewRegion(e.target.value)} placeholder="New region" style={{ width: '150px' }} />
+              <button className="btn btn-secondary" onClick={addRegion}><FiPlus /> Add</button>
+            </div>
+          </div>
+          {calendar.fromSettings && (
+            <p className="text-sm text-muted mb-4">
+              Not saved yet: this calendar comes from the BUSY_SEASON_START / BUSY_SEASON_END settings.
+            </p>
+          )}
+          <p className="text-sm text-muted mb-4">
+            Items use the calendar of their region, or the default one. Demand factors are relative to the base season;
+            where periods overlap the shortest one applies. Shoulder seasons ramp from the previous level over their ramp days.
+          </p>
+          <div className="grid-3">
+            <div className="form-group">
+              <label className="form-label">Base season key</label>
+              <input className="form-input" value={calendar.baseKey} onChange={e => setCalendar({ ...calendar, baseKey: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Base season name</label>
+              <input className="form-input" value={calendar.baseName} onChange={e => setCalendar({ ...calendar, baseName: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Base demand factor</label>
+              <input type="number" step="0.05" min="0.01" className="form-input" value={calendar.baseFactor} onChange={e => setCalendar({ ...calendar, baseFactor: parseFloat(e.target.value) })} />
+            </div>
+          </div>
+        </div>
+
+        <div className="card mt-4">
+          <div className="card-header">
+            <h3 className="card-title">Periods</h3>
+            <button className="btn btn-sm btn-secondary" onClick={() => setCalendar({ ...calendar, periods: [...calendar.periods, emptyPeriod()] })}>
+              <FiPlus /> Add Period
+            </button>
+          </div>
+          {calendar.periods.length === 0 ? <p className="text-muted">Only the base season</p> : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Start</th>
+                  <th>End</th>
+                  <th>Demand factor</th>
+                  <th>Ramp days</th>
+                  <th>Min. buffer %</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.periods.map((period, i) => (
+                  <tr key={i}>
+                    <td><input className="form-input" value={period.key} onChange={e => updatePeriod(i, 'key', e.target.value.toLowerCase())} style={{ width: '110px' }} /></td>
+                    <td><input className="form-input" value={period.name} onChange={e => updatePeriod(i, 'name', e.target.value)} /></td>
+                    <td>
+                      <select className="form-select" value={period.type} onChange={e => updatePeriod(i, 'type', e.target.value)}>
+                        {Object.entries(PERIOD_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                    </td>
+                    <td><div className="flex gap-2">{monthSelect(i, 'startMonth')}{numberInput(i, 'startDay', { min: 1, max: 31, style: { width: '60px' } })}</div></td>
+                    <td><div className="flex gap-2">{monthSelect(i, 'endMonth')}{numberInput(i, 'endDay', { min: 1, max: 31, style: { width: '60px' } })}</div></td>
+                    <td>{numberInput(i, 'demandFactor', { step: 0.05, min: 0, style: { width: '80px' } })}</td>
+                    <td>{numberInput(i, 'rampDays', { min: 0, max: 90, style: { width: '70px' } })}</td>
+                    <td>{numberInput(i, 'minimumBuffer', { min: 0, style: { width: '70px' } })}</td>
+                    <td>
+                      <button className="btn btn-icon" onClick={() => setCalendar({ ...calendar, periods: calendar.periods.filter((_, index) => index !== i) })}>
+                        <FiX />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {previewChartData && (
+          <div className="card mt-4">
+            <div className="card-header">
+              <h3 className="card-title">Demand Level through {preview.year} (saved calendar)</h3>
+            </div>
+            <div className="chart-container">
+              <Line data={previewChartData} options={{
+                maintainAspectRatio: false,
+                plugins: { tooltip: { callbacks: { afterLabel: (ctx) => preview.weeks[ctx.dataIndex].seasonName } } }
+              }} />
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Seasons;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { FiUpload, FiTrash2 } from 'react-icons/fi';
+import { externalSignalApi, forecastApi } from '../services/api';
+import { toast } from 'react-toastify';
+
+ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Title, Tooltip, Legend);
+
+const AGGREGATIONS = { mean: 'Weekly mean', sum: 'Weekly sum', max: 'Weekly max' };
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const Signals = () => {
+  const [signals, setSignals] = useState([]);
+  const [modelFeatures, setModelFeatures] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [values, setValues] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const fileInput = useRef(null);
+
+  useEffect(() => { fetchData(); }, []);
+
+  const fetchData = async () => {
+    try {
+      const [signalsRes, statusRes] = await Promise.all([
+        externalSignalApi.getAll(),
+        forecastApi.getModelStatus()
+      ]);
+      setSignals(signalsRes.data.data);
+      setModelFeatures(statusRes.data.data.features || []);
+    } catch (error) {
+      toast.error('Failed to load signals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    setUploading(true);
+    try {
+      const res = await externalSignalApi.import(formData);
+      const { errors } = res.data.data;
+      toast.success(res.data.message);
+      if (errors.length > 0) {
+        toast.warning(`${errors.length} rows skipped (first: row ${errors[0].row}, ${errors[0].error})`);
+      }
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Upload failed');
+    } finally {
+      setUploading(false);
+      fileInput.current.value = '';
+    }
+  };
+
+  const handleUpdate = async (name, data) => {
+    try {
+      const res = await externalSignalApi.update(name, data);
+      toast.success(res.data.message);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update signal');
+    }
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete ${name} and all its values?`)) return;
+    try {
+      await externalSignalApi.delete(name);
+      toast.success('Signal deleted');
+      if (selected === name) setSelected(null);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete signal');
+    }
+  };
+
+  const handleSelect = async (name) => {
+    setSelected(name);
+    try {
+      const res = await externalSignalApi.getValues(name);
+      setValues(res.data.data);
+    } catch (error) {
+      toast.error('Failed to load values');
+    }
+  };
+
+  if (loading) return <div className="page-content"><div className="loading-screen"><div className="spinner"></div></div></div>;
+
+  const regions = [...new Set(values.map(v => v.region || 'all regions'))];
+  const dates = [...new Set(values.map(v => v.date.split('T')[0]))].sort();
+  const colors = ['#1e3a5f', '#c17817', '#2e7d32', '#8e24aa', '#d32f2f'];
+  const valuesChartData = {
+    labels: dates,
+    datasets: regions.map((region, i) => {
+      const byDate = new Map(values.filter(v => (v.region || 'all regions') === region).map(v => [v.date.split('T')[0], v.value]));
+      return {
+        label: region,
+        data: dates.map(date => byDate.get(date) ?? null),
+        borderColor: colors[i % colors.length],
+        spanGaps: true,
+        tension: 0.2
+      };
+    })
+  };
+
+  return (
+    <>
+      <header className="page-header">
+        <h1 className="page-title">External Signals</h1>
+        <div className="flex gap-2">
+          <input type="file" accept=".csv" ref={fileInput} onChange={handleUpload} style={{ display: 'none' }} />
+          <button className="btn btn-primary" onClick={() => fileInput.current.click()} disabled={uploading}>
+            <FiUpload /> {uploading ? 'Uploading...' : 'Upload CSV'}
+          </button>
+        </div>
+      </header>
+
+      <div className="page-content">
+        <div className="card">
+          <p className="text-sm text-muted mb-4">
+            Upload demand drivers such as housing starts, building permits, precipitation or holiday weeks as CSV with
+            the columns <span className="font-mono">date, signal, value</span> and an optional <span className="font-mono">region</span> (a
+            season calendar region; rows without one apply everywhere). Values are combined per week. Selected signals become
+            model features at the next retrain. Active model features: <strong>{modelFeatures.join(', ')}</strong>.
+          </p>
+          {signals.length === 0 ? <p className="text-muted text-center">No signals uploaded yet</p> : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Signal</th>
+                  <th>Weekly Value</th>
+                  <th>Regions</th>
+                  <th className="text-right">Values</th>
+                  <th>Covers</th>
+                  <th>Use in Model</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {signals.map(signal => {
+                  const from = signal.regions.length > 0 ? Math.min(...signal.regions.map(r => new Date(r.from))) : null;
+                  const to = signal.regions.length > 0 ? Math.max(...signal.regions.map(r => new Date(r.to))) : null;
+                  return (
+                    <tr key={signal.name}>
+                      <td>
+                        <button className="btn btn-sm btn-secondary" onClick={() => handleSelect(signal.name)}>{signal.label || signal.name}</button>
+                        <div className="text-muted font-mono" style={{ fontSize: '0.75rem' }}>{signal.name}</div>
+                      </td>
+                      <td>
+                        <select className="form-select" value={signal.aggregation} onChange={e => handleUpdate(signal.name, { aggregation: e.target.value })}>
+                          {Object.entries(AGGREGATIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td>{signal.regions.map(r => r.region || 'all').join(', ') || '-'}</td>
+                      <td className="text-right font-mono">{signal.valueCount}</td>
+                      <td>{from ? `${formatDate(from)} – ${formatDate(to)}` : '-'}</td>
+                      <td>
+                        <input type="checkbox" checked={signal.useInModel} onChange={e => handleUpdate(signal.name, { useInModel: e.target.checked })} />
+                        {modelFeatures.includes(signal.name) && <span className="badge badge-success" style={{ marginLeft: '0.5rem' }}>in model</span>}
+                      </td>
+                      <td>
+                        <button className="btn btn-icon" onClick={() => handleDelete(signal.name)}><FiTrash2 /></button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {selected && (
+          <div className="card mt-4">
+            <div className="card-header">
+              <h3 className="card-title">{selected}</h3>
+            </div>
+            <div className="chart-container">
+              <Line data={valuesChartData} options={{ maintainAspectRatio: false }} />
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Signals;
@@ -137,10 +137,59 @@ export const vendorApi = {
 
 export const forecastApi = {
   getOne: (itemId, params) => api.get(`/forecasts/${itemId}`, { params }),
+  getHistory: (itemId, params) => api.get(`/forecasts/${itemId}/history`, { params }),
   getBatch: (params) => api.get('/forecasts/batch', { params }),
-  getReorderRecommendations: () => api.get('/forecasts/reorder-recommendations'),
+  getReorderRecommendations: (params) => api.get('/forecasts/reorder-recommendations', { params }),
+  getBoardFeet: (params) => api.get('/forecasts/board-feet', { params }),
+  getBacktest: (params) => api.get('/forecasts/backtest', { params }),
+  getMethods: () => api.get('/forecasts/methods'),
   retrain: () => api.post('/forecasts/retrain'),
-  getModelStatus: () => api.get('/forecasts/model-status')
+  updateAll: () => api.post('/forecasts/update-all'),
+  getJobs: () => api.get('/forecasts/jobs'),
+  getJob: (id) => api.get(`/forecasts/jobs/${id}`),
+  cancelJob: (id) => api.post(`/forecasts/jobs/${id}/cancel`),
+  getModelStatus: () => api.get('/forecasts/model-status'),
+  getModelVersions: () => api.get('/forecasts/model-versions'),
+  compareModelVersions: (params) => api.get('/forecasts/model-versions/compare', { params }),
+  activateModelVersion: (version) => api.post(`/forecasts/model-versions/${version}/activate`),
+  getOverrides: (itemId) => api.get(`/forecasts/${itemId}/overrides`),
+  createOverride: (itemId, data) => api.post(`/forecasts/${itemId}/overrides`, data),
+  cancelOverride: (id, data) => api.put(`/forecasts/overrides/${id}/cancel`, data)
+};
+
+export const scenarioApi = {
+  getAll: () => api.get('/scenarios'),
+  getOne: (id) => api.get(`/scenarios/${id}`),
+  create: (data) => api.post('/scenarios', data),
+  update: (id, data) => api.put(`/scenarios/${id}`, data),
+  delete: (id) => api.delete(`/scenarios/${id}`),
+  run: (data) => api.post('/scenarios/run', data),
+  runSaved: (id) => api.post(`/scenarios/${id}/run`)
+};
+
+export const plannedDemandApi = {
+  getAll: (params) => api.get('/planned-demand', { params }),
+  getOne: (id) => api.get(`/planned-demand/${id}`),
+  create: (data) => api.post('/planned-demand', data),
+  update: (id, data) => api.put(`/planned-demand/${id}`, data),
+  delete: (id) => api.delete(`/planned-demand/${id}`)
+};
+
+export const seasonCalendarApi = {
+  getAll: () => api.get('/season-calendars'),
+  preview: (region, params) => api.get(`/season-calendars/${region}/preview`, { params }),
+  save: (region, data) => api.put(`/season-calendars/${region}`, data),
+  delete: (region) => api.delete(`/season-calendars/${region}`)
+};
+
+export const externalSignalApi = {
+  getAll: () => api.get('/external-signals'),
+  getValues: (name, params) => api.get(`/external-signals/${name}/values`, { params }),
+  import: (formData) => api.post('/external-signals/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  update: (name, data) => api.put(`/external-signals/${name}`, data),
+  delete: (name) => api.delete(`/external-signals/${name}`)
 };
 
 export const alertApi = {